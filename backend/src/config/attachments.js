@@ -0,0 +1,55 @@
+// Brands of the ISO media container used by HEIC/HEIF photos (iPhone camera default)
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'heif', 'mif1', 'msf1'];
+
+// File types accepted as attachments. Each is recognised by its leading bytes,
+// so a renamed file cannot pass for a different type.
+const ATTACHMENT_TYPES = {
+  'application/pdf': {
+    extension: 'pdf',
+    matches: (head) => head.subarray(0, 4).toString('latin1') === '%PDF'
+  },
+  'image/jpeg': {
+    extension: 'jpg',
+    matches: (head) => head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff
+  },
+  'image/png': {
+    extension: 'png',
+    matches: (head) => head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  'image/webp': {
+    extension: 'webp',
+    matches: (head) => head.subarray(0, 4).toString('latin1') === 'RIFF' && head.subarray(8, 12).toString('latin1') === 'WEBP'
+  },
+  'image/heic': {
+    extension: 'heic',
+    matches: (head) => head.subarray(4, 8).toString('latin1') === 'ftyp' && HEIF_BRANDS.includes(head.subarray(8, 12).toString('latin1'))
+  }
+};
+
+const ATTACHMENT_MIME_TYPES = Object.keys(ATTACHMENT_TYPES);
+
+// Bytes read from the start of a file to recognise its type
+const SIGNATURE_BYTES = 12;
+
+const ATTACHMENT_CATEGORIES = ['Imaging report', 'Referral letter', 'Photo', 'Other'];
+
+// Largest file accepted, in megabytes
+const MAX_ATTACHMENT_MB = Number(process.env.ATTACHMENT_MAX_MB) || 20;
+const MAX_ATTACHMENT_BYTES = MAX_ATTACHMENT_MB * 1024 * 1024;
+
+/**
+ * Recognise an accepted file type from the first bytes of a file
+ * @param {Buffer} head - At least SIGNATURE_BYTES from the start of the file
+ * @returns {string|null} - MIME type, or null when the file is not an accepted type
+ */
+const detectMimeType = (head) => ATTACHMENT_MIME_TYPES.find((type) => ATTACHMENT_TYPES[type].matches(head)) || null;
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  ATTACHMENT_MIME_TYPES,
+  ATTACHMENT_CATEGORIES,
+  SIGNATURE_BYTES,
+  MAX_ATTACHMENT_MB,
+  MAX_ATTACHMENT_BYTES,
+  detectMimeType
+};
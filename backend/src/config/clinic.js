@@ -0,0 +1,21 @@
+// Clinic details printed on the letterhead of every report. Set them in the
+// environment; the logo is an optional PNG or JPEG file path.
+const CLINIC = {
+  name: process.env.CLINIC_NAME || 'Kinesiology Sports Center',
+  legalName: process.env.CLINIC_LEGAL_NAME || '',
+  rut: process.env.CLINIC_RUT || '',
+  address: process.env.CLINIC_ADDRESS || '',
+  phone: process.env.CLINIC_PHONE || '',
+  email: process.env.CLINIC_EMAIL || '',
+  website: process.env.CLINIC_WEBSITE || '',
+  logoPath: process.env.CLINIC_LOGO_PATH || ''
+};
+
+// Time zone the clinic keeps its schedule in (IANA name, e.g. America/Santiago).
+// Appointment times are wall clock times there; defaults to the server's zone
+const CLINIC_TIMEZONE = process.env.CLINIC_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+module.exports = {
+  CLINIC,
+  CLINIC_TIMEZONE
+};
@@ -0,0 +1,89 @@
+// Joints and movements that can be measured, with the normal adult active range
+// of motion in degrees (American Academy of Orthopaedic Surgeons reference values).
+// Strength tests use the same joint and movement names, so a movement's range and
+// strength can be followed together.
+const JOINT_MOVEMENTS = {
+  shoulder: {
+    flexion: 180,
+    extension: 60,
+    abduction: 180,
+    adduction: 30,
+    internalRotation: 70,
+    externalRotation: 90
+  },
+  elbow: {
+    flexion: 150,
+    extension: 0
+  },
+  forearm: {
+    pronation: 80,
+    supination: 80
+  },
+  wrist: {
+    flexion: 80,
+    extension: 70,
+    radialDeviation: 20,
+    ulnarDeviation: 30
+  },
+  hip: {
+    flexion: 120,
+    extension: 30,
+    abduction: 45,
+    adduction: 30,
+    internalRotation: 45,
+    externalRotation: 45
+  },
+  knee: {
+    flexion: 135,
+    extension: 0
+  },
+  ankle: {
+    dorsiflexion: 20,
+    plantarflexion: 50,
+    inversion: 35,
+    eversion: 15
+  },
+  cervicalSpine: {
+    flexion: 45,
+    extension: 45,
+    lateralFlexion: 45,
+    rotation: 60
+  },
+  thoracolumbarSpine: {
+    flexion: 80,
+    extension: 25,
+    lateralFlexion: 35,
+    rotation: 45
+  }
+};
+
+const JOINTS = Object.keys(JOINT_MOVEMENTS);
+
+// A limb symmetry index under this percentage is reported as an asymmetry
+// (the usual return-to-sport threshold)
+const LSI_THRESHOLD = 90;
+
+/**
+ * Check whether a movement belongs to a joint
+ * @param {string} joint - Joint name
+ * @param {string} movement - Movement name
+ * @returns {boolean}
+ */
+const isJointMovement = (joint, movement) => Boolean(JOINT_MOVEMENTS[joint]) &&
+  Object.prototype.hasOwnProperty.call(JOINT_MOVEMENTS[joint], movement);
+
+/**
+ * Normal range of motion for a movement
+ * @param {string} joint - Joint name
+ * @param {string} movement - Movement name
+ * @returns {number|null} - Degrees, or null when unknown
+ */
+const normalRange = (joint, movement) => (isJointMovement(joint, movement) ? JOINT_MOVEMENTS[joint][movement] : null);
+
+module.exports = {
+  JOINT_MOVEMENTS,
+  JOINTS,
+  LSI_THRESHOLD,
+  isJointMovement,
+  normalRange
+};
@@ -0,0 +1,71 @@
+// Roles allowed to perform each action. Routes ask for a permission, never a role,
+// so changing who may do what only touches this file.
+const PERMISSIONS = {
+  // Patients: everyone at the front desk works with contact data,
+  // but only clinical staff see health information
+  'patients:read': ['admin', 'practitioner', 'receptionist', 'billing'],
+  'patients:write': ['admin', 'practitioner', 'receptionist'],
+  'patients:delete': ['admin'],
+  'patients:health': ['admin', 'practitioner'],
+  'patients:merge': ['admin', 'receptionist'],
+
+  // Scheduling
+  'appointments:read': ['admin', 'practitioner', 'receptionist', 'billing'],
+  'appointments:write': ['admin', 'practitioner', 'receptionist'],
+  'waitlist:read': ['admin', 'practitioner', 'receptionist'],
+  'waitlist:write': ['admin', 'practitioner', 'receptionist'],
+
+  // Clinical records: assessments are restricted to clinical staff,
+  // and only practitioners write and sign them
+  'records:read': ['admin', 'practitioner'],
+  'records:write': ['practitioner'],
+  'records:sign': ['practitioner'],
+
+  // Exercise library used to prescribe home programs
+  'exercises:write': ['admin', 'practitioner'],
+
+  // Billing: the front desk invoices and takes payments; voiding and refunds
+  // are kept to billing staff
+  'billing:read': ['admin', 'receptionist', 'billing'],
+  'billing:write': ['admin', 'receptionist', 'billing'],
+  'billing:adjust': ['admin', 'billing'],
+
+  // Insurance: authorizations are recorded at the front desk; claims to
+  // insurers are handled by billing staff
+  'insurance:read': ['admin', 'practitioner', 'receptionist', 'billing'],
+  'insurance:write': ['admin', 'receptionist', 'billing'],
+  'claims:manage': ['admin', 'billing'],
+
+  // Prepaid packages are sold at the front desk; the catalog and exceptions
+  // (extensions, cancellations) belong to billing staff
+  'packages:read': ['admin', 'practitioner', 'receptionist', 'billing'],
+  'packages:write': ['admin', 'receptionist', 'billing'],
+  'packages:manage': ['admin', 'billing'],
+
+  // Clinic-wide reports aggregate clinical data without naming patients
+  'reports:read': ['admin', 'practitioner'],
+
+  // Professionals and their schedules
+  'professionals:read': ['admin', 'practitioner', 'receptionist', 'billing'],
+  'professionals:write': ['admin'],
+  'schedules:write': ['admin', 'receptionist'],
+  // Secret calendar subscription URLs; practitioners only get their own
+  'calendar:feeds': ['admin', 'practitioner'],
+
+  // Staff accounts and compliance
+  'users:manage': ['admin'],
+  'audit:read': ['admin']
+};
+
+/**
+ * Check whether a role holds a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => (PERMISSIONS[permission] || []).includes(role);
+
+module.exports = {
+  PERMISSIONS,
+  hasPermission
+};
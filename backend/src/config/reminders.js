@@ -0,0 +1,42 @@
+// Appointment reminders. Windows are how long before the appointment a
+// reminder goes out (e.g. "48h,2h"); each appointment gets at most one
+// reminder per window and channel.
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60 };
+
+/**
+ * Read a duration such as "48h", "90m" or "2d" into minutes
+ * @param {string} value - Duration
+ * @returns {number} - Minutes, or NaN when the value is not a duration
+ */
+const parseDuration = (value) => {
+  const match = String(value).trim().match(/^(\d+)\s*([mhd])$/i);
+  return match ? parseInt(match[1], 10) * UNIT_MINUTES[match[2].toLowerCase()] : NaN;
+};
+
+const parseList = (value) => String(value).split(',').map((item) => item.trim()).filter(Boolean);
+
+const windows = parseList(process.env.REMINDER_WINDOWS || '48h,2h').map(parseDuration);
+
+if (windows.some(Number.isNaN)) {
+  throw new Error(`REMINDER_WINDOWS must be a list of durations such as "48h,2h" (got "${process.env.REMINDER_WINDOWS}")`);
+}
+
+const REMINDERS = {
+  // Minutes before the appointment, widest first
+  windows: [...new Set(windows)].sort((a, b) => b - a),
+  // Channel drivers every reminder is sent through (see notifications/)
+  channels: parseList(process.env.REMINDER_CHANNELS || 'console'),
+  // How often the dispatcher runs when started with the API
+  intervalMinutes: parseInt(process.env.REMINDER_INTERVAL_MINUTES, 10) || 5,
+  // Failed sends are retried after these delays, then given up on
+  retryDelaysMinutes: [5, 15, 60],
+  // A send that has not finished after this long is assumed interrupted
+  sendingTimeoutMinutes: 10,
+  // Reminders sent per run at most, so one run never floods a provider
+  batchSize: 100
+};
+
+module.exports = {
+  REMINDERS,
+  parseDuration
+};
@@ -0,0 +1,27 @@
+// Waitlist offers. A slot freed by a cancellation is held for one candidate
+// at a time; if they do not answer within the hold it goes to the next one.
+const { REMINDERS, parseDuration } = require('./reminders');
+
+const hold = parseDuration(process.env.WAITLIST_HOLD || '15m');
+const minimumNotice = parseDuration(process.env.WAITLIST_MIN_NOTICE || '1h');
+
+if (Number.isNaN(hold) || Number.isNaN(minimumNotice)) {
+  throw new Error('WAITLIST_HOLD and WAITLIST_MIN_NOTICE must be durations such as "15m" or "2h"');
+}
+
+const WAITLIST = {
+  // Minutes a candidate has to accept an offered slot
+  holdMinutes: hold,
+  // Slots starting sooner than this are not offered; nobody could make it
+  minimumNoticeMinutes: minimumNotice,
+  // Offers go out through the same channels as reminders unless set apart
+  channels: process.env.WAITLIST_CHANNELS
+    ? process.env.WAITLIST_CHANNELS.split(',').map((name) => name.trim()).filter(Boolean)
+    : REMINDERS.channels,
+  // How often unanswered offers are passed on when the job runs with the API
+  intervalMinutes: 1
+};
+
+module.exports = {
+  WAITLIST
+};
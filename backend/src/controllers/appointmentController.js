@@ -0,0 +1,189 @@
+const { matchedData } = require('express-validator');
+const appointmentService = require('../services/appointmentService');
+const reminderService = require('../services/reminderService');
+const insuranceService = require('../services/insuranceService');
+const packageService = require('../services/packageService');
+const waitlistService = require('../services/waitlistService');
+const auditService = require('../services/auditService');
+
+/**
+ * @desc    List appointments for a day or a week
+ * @route   GET /api/appointments
+ */
+const getAppointments = async (req, res) => {
+  const { date, view, ...filters } = matchedData(req, { locations: ['query'] });
+
+  const result = await appointmentService.getAppointments({ date, view, filters });
+  await auditService.logRead('Appointment', result.appointments);
+
+  res.json({ success: true, data: result.appointments, range: result.range });
+};
+
+/**
+ * @desc    Get a single appointment
+ * @route   GET /api/appointments/:id
+ */
+const getAppointment = async (req, res) => {
+  const appointment = await appointmentService.getAppointmentById(req.params.id);
+  await auditService.logRead('Appointment', appointment);
+
+  res.json({ success: true, data: appointment });
+};
+
+/**
+ * @desc    Book an appointment
+ * @route   POST /api/appointments
+ */
+const createAppointment = async (req, res) => {
+  const appointmentData = matchedData(req, { locations: ['body'] });
+
+  const appointment = await appointmentService.createAppointment(appointmentData, { changedBy: req.user.name });
+  const warnings = [
+    ...await insuranceService.bookingWarnings(appointment),
+    ...await packageService.bookingWarnings(appointment)
+  ];
+
+  res.status(201).json({ success: true, data: appointment, ...(warnings.length > 0 && { warnings }) });
+};
+
+/**
+ * @desc    Update an appointment
+ * @route   PUT /api/appointments/:id
+ */
+const updateAppointment = async (req, res) => {
+  const updateData = matchedData(req, { locations: ['body'] });
+
+  const appointment = await appointmentService.updateAppointment(req.params.id, updateData);
+  const warnings = [
+    ...await insuranceService.bookingWarnings(appointment),
+    ...await packageService.bookingWarnings(appointment)
+  ];
+
+  res.json({ success: true, data: appointment, ...(warnings.length > 0 && { warnings }) });
+};
+
+/**
+ * @desc    Confirm an appointment
+ * @route   PATCH /api/appointments/:id/confirm
+ */
+const confirmAppointment = async (req, res) => {
+  const { reason } = matchedData(req, { locations: ['body'] });
+
+  const appointment = await appointmentService.confirmAppointment(req.params.id, { changedBy: req.user.name, reason });
+
+  res.json({ success: true, data: appointment });
+};
+
+/**
+ * @desc    Check the patient in
+ * @route   PATCH /api/appointments/:id/check-in
+ */
+const checkInAppointment = async (req, res) => {
+  const { reason } = matchedData(req, { locations: ['body'] });
+
+  const appointment = await appointmentService.checkInAppointment(req.params.id, { changedBy: req.user.name, reason });
+
+  res.json({ success: true, data: appointment });
+};
+
+/**
+ * @desc    Complete an appointment
+ * @route   PATCH /api/appointments/:id/complete
+ */
+const completeAppointment = async (req, res) => {
+  const { reason } = matchedData(req, { locations: ['body'] });
+
+  const appointment = await appointmentService.completeAppointment(req.params.id, { changedBy: req.user.name, reason });
+
+  res.json({ success: true, data: appointment });
+};
+
+/**
+ * @desc    Cancel an appointment
+ * @route   PATCH /api/appointments/:id/cancel
+ */
+const cancelAppointment = async (req, res) => {
+  const { reason } = matchedData(req, { locations: ['body'] });
+
+  const appointment = await appointmentService.cancelAppointment(req.params.id, { changedBy: req.user.name, reason });
+  const offer = await waitlistService.offerFreedSlot(appointment);
+
+  res.json({ success: true, data: appointment, ...(offer && { waitlistOffer: offer._id }) });
+};
+
+/**
+ * @desc    Mark an appointment as a no-show
+ * @route   PATCH /api/appointments/:id/no-show
+ */
+const markNoShow = async (req, res) => {
+  const { reason } = matchedData(req, { locations: ['body'] });
+
+  const appointment = await appointmentService.markNoShow(req.params.id, { changedBy: req.user.name, reason });
+  const offer = await waitlistService.offerFreedSlot(appointment);
+
+  res.json({ success: true, data: appointment, ...(offer && { waitlistOffer: offer._id }) });
+};
+
+/**
+ * @desc    Reschedule an appointment into a new slot
+ * @route   POST /api/appointments/:id/reschedule
+ */
+const rescheduleAppointment = async (req, res) => {
+  const { reason, ...newSlot } = matchedData(req, { locations: ['body'] });
+
+  const result = await appointmentService.rescheduleAppointment(
+    req.params.id,
+    newSlot,
+    { changedBy: req.user.name, reason }
+  );
+
+  const warnings = [
+    ...await insuranceService.bookingWarnings(result.appointment),
+    ...await packageService.bookingWarnings(result.appointment)
+  ];
+  const offer = await waitlistService.offerFreedSlot(result.previous);
+
+  res.status(201).json({
+    success: true,
+    data: result.appointment,
+    previous: result.previous,
+    ...(offer && { waitlistOffer: offer._id }),
+    ...(warnings.length > 0 && { warnings })
+  });
+};
+
+/**
+ * @desc    Get the status history and reschedule chain of an appointment
+ * @route   GET /api/appointments/:id/history
+ */
+const getAppointmentHistory = async (req, res) => {
+  const history = await appointmentService.getAppointmentHistory(req.params.id);
+  await auditService.logRead('Appointment', history.chain);
+
+  res.json({ success: true, data: history });
+};
+
+/**
+ * @desc    Get the reminders of an appointment and their delivery attempts
+ * @route   GET /api/appointments/:id/reminders
+ */
+const getAppointmentReminders = async (req, res) => {
+  const reminders = await reminderService.getAppointmentReminders(req.params.id);
+
+  res.json({ success: true, count: reminders.length, data: reminders });
+};
+
+module.exports = {
+  getAppointments,
+  getAppointment,
+  createAppointment,
+  updateAppointment,
+  confirmAppointment,
+  checkInAppointment,
+  completeAppointment,
+  cancelAppointment,
+  markNoShow,
+  rescheduleAppointment,
+  getAppointmentHistory,
+  getAppointmentReminders
+};
@@ -0,0 +1,50 @@
+const { matchedData } = require('express-validator');
+const appointmentLinkService = require('../services/appointmentLinkService');
+const { setActor } = require('../utils/requestContext');
+
+// Recorded as the actor of whatever a patient does through a confirm/cancel link
+const PATIENT_ACTOR = { name: 'Patient (reminder link)', role: 'patient' };
+
+/**
+ * @desc    Appointment behind a confirm/cancel link, for the patient holding it
+ * @route   GET /api/appointment-links/:token
+ */
+const getAppointmentLink = async (req, res) => {
+  const link = await appointmentLinkService.getLink(req.params.token);
+
+  res.set('Cache-Control', 'private, no-store');
+  res.json({ success: true, data: link });
+};
+
+/**
+ * @desc    Appointment behind a confirm/cancel link as an .ics file
+ * @route   GET /api/appointment-links/:token/calendar.ics
+ */
+const getAppointmentCalendar = async (req, res) => {
+  const { filename, content } = await appointmentLinkService.getCalendar(req.params.token);
+
+  res.set('Cache-Control', 'private, no-store');
+  res.attachment(filename);
+  res.type('text/calendar; charset=utf-8');
+  res.send(content);
+};
+
+/**
+ * @desc    Confirm or cancel the appointment of a link, using the link up
+ * @route   POST /api/appointment-links/:token
+ */
+const useAppointmentLink = async (req, res) => {
+  setActor(PATIENT_ACTOR);
+  const { reason } = matchedData(req, { locations: ['body'] });
+
+  const link = await appointmentLinkService.useLink(req.params.token, { changedBy: PATIENT_ACTOR.name, reason });
+
+  res.set('Cache-Control', 'private, no-store');
+  res.json({ success: true, data: link });
+};
+
+module.exports = {
+  getAppointmentLink,
+  getAppointmentCalendar,
+  useAppointmentLink
+};
@@ -0,0 +1,71 @@
+const { pipeline } = require('stream/promises');
+const { matchedData } = require('express-validator');
+const attachmentService = require('../services/attachmentService');
+const auditService = require('../services/auditService');
+
+/**
+ * @desc    Upload a file to a clinical record (multipart field "file")
+ * @route   POST /api/records/:id/attachments
+ */
+const uploadAttachment = async (req, res) => {
+  const details = matchedData(req, { locations: ['body'] });
+
+  const attachment = await attachmentService.uploadAttachment(req.params.id, req.file, details, req.user);
+
+  res.status(201).json({ success: true, data: attachment });
+};
+
+/**
+ * @desc    List the files attached to a clinical record
+ * @route   GET /api/records/:id/attachments
+ */
+const getRecordAttachments = async (req, res) => {
+  const options = matchedData(req, { locations: ['query'] });
+
+  const attachments = await attachmentService.getRecordAttachments(req.params.id, options);
+  await auditService.logRead('Attachment', attachments);
+
+  res.json({ success: true, count: attachments.length, data: attachments });
+};
+
+/**
+ * @desc    Download an attached file
+ * @route   GET /api/records/:id/attachments/:attachmentId/download
+ */
+const downloadAttachment = async (req, res) => {
+  const { attachment, stream } = await attachmentService.openAttachment(req.params.id, req.params.attachmentId);
+  await auditService.logRead('Attachment', attachment);
+
+  res.set({
+    'Content-Type': attachment.mimeType,
+    'Content-Length': attachment.size,
+    'Content-Disposition': `attachment; filename="${attachment.name.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+    ETag: `"${attachment.sha256}"`,
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  await pipeline(stream, res);
+};
+
+/**
+ * @desc    Delete an attached file, keeping a tombstone
+ * @route   DELETE /api/records/:id/attachments/:attachmentId
+ */
+const deleteAttachment = async (req, res) => {
+  const { reason } = matchedData(req, { locations: ['body'] });
+
+  const result = await attachmentService.deleteAttachment(req.params.id, req.params.attachmentId, {
+    reason,
+    deletedBy: req.user
+  });
+
+  res.json(result);
+};
+
+module.exports = {
+  uploadAttachment,
+  getRecordAttachments,
+  downloadAttachment,
+  deleteAttachment
+};
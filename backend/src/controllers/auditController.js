@@ -0,0 +1,59 @@
+const { matchedData } = require('express-validator');
+const auditService = require('../services/auditService');
+
+/**
+ * @desc    Search the audit log
+ * @route   GET /api/audit
+ */
+const getEntries = async (req, res) => {
+  const { page, limit, ...filters } = matchedData(req, { locations: ['query'] });
+
+  const result = await auditService.getEntries(filters, page, limit);
+
+  res.json({ success: true, data: result.entries, pagination: result.pagination });
+};
+
+/**
+ * @desc    Audit trail of one patient's chart
+ * @route   GET /api/audit/patients/:patientId
+ */
+const getPatientEntries = async (req, res) => {
+  const { page, limit, ...filters } = matchedData(req, { locations: ['query'] });
+
+  const result = await auditService.getEntries({ ...filters, patient: req.params.patientId }, page, limit);
+
+  res.json({ success: true, data: result.entries, pagination: result.pagination });
+};
+
+/**
+ * @desc    Everything one staff member accessed
+ * @route   GET /api/audit/users/:userId
+ */
+const getUserEntries = async (req, res) => {
+  const { page, limit, ...filters } = matchedData(req, { locations: ['query'] });
+
+  const result = await auditService.getEntries({ ...filters, actor: req.params.userId }, page, limit);
+
+  res.json({ success: true, data: result.entries, pagination: result.pagination });
+};
+
+/**
+ * @desc    Download matching entries as CSV or JSON
+ * @route   GET /api/audit/export
+ */
+const exportEntries = async (req, res) => {
+  const { format, ...filters } = matchedData(req, { locations: ['query'] });
+
+  const file = await auditService.exportEntries(filters, format);
+
+  res.attachment(file.filename);
+  res.type(file.contentType);
+  res.send(file.body);
+};
+
+module.exports = {
+  getEntries,
+  getPatientEntries,
+  getUserEntries,
+  exportEntries
+};
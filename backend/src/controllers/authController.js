@@ -0,0 +1,93 @@
+const { matchedData } = require('express-validator');
+const authService = require('../services/authService');
+const userService = require('../services/userService');
+
+/**
+ * @desc    Log in with email and password
+ * @route   POST /api/auth/login
+ */
+const login = async (req, res) => {
+  const { email, password } = matchedData(req, { locations: ['body'] });
+
+  const { token, user } = await authService.login(email, password);
+
+  res.json({ success: true, token, data: user });
+};
+
+/**
+ * @desc    Close every session of the current user
+ * @route   POST /api/auth/logout
+ */
+const logout = async (req, res) => {
+  const result = await authService.logout(req.user._id);
+
+  res.json(result);
+};
+
+/**
+ * @desc    Get the current user
+ * @route   GET /api/auth/me
+ */
+const getMe = async (req, res) => {
+  await req.user.populate('professional', 'firstName lastName especialty');
+
+  res.json({ success: true, data: req.user });
+};
+
+/**
+ * @desc    Change the current user's password
+ * @route   PUT /api/auth/password
+ */
+const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = matchedData(req, { locations: ['body'] });
+
+  const { token, user } = await authService.changePassword(req.user._id, currentPassword, newPassword);
+
+  res.json({ success: true, token, data: user });
+};
+
+/**
+ * @desc    List staff accounts
+ * @route   GET /api/users
+ */
+const getUsers = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const users = await userService.getAllUsers(filters);
+
+  res.json({ success: true, data: users });
+};
+
+/**
+ * @desc    Create a staff account
+ * @route   POST /api/users
+ */
+const createUser = async (req, res) => {
+  const userData = matchedData(req, { locations: ['body'] });
+
+  const user = await userService.createUser(userData);
+
+  res.status(201).json({ success: true, data: user });
+};
+
+/**
+ * @desc    Update a staff account
+ * @route   PUT /api/users/:id
+ */
+const updateUser = async (req, res) => {
+  const updateData = matchedData(req, { locations: ['body'] });
+
+  const user = await userService.updateUser(req.params.id, updateData);
+
+  res.json({ success: true, data: user });
+};
+
+module.exports = {
+  login,
+  logout,
+  getMe,
+  changePassword,
+  getUsers,
+  createUser,
+  updateUser
+};
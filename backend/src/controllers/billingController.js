@@ -0,0 +1,115 @@
+const { matchedData } = require('express-validator');
+const billingService = require('../services/billingService');
+
+/**
+ * @desc    List invoices
+ * @route   GET /api/billing/invoices
+ */
+const getInvoices = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const invoices = await billingService.getInvoices(filters);
+
+  res.json({ success: true, count: invoices.length, data: invoices });
+};
+
+/**
+ * @desc    Get an invoice with its payments and refunds
+ * @route   GET /api/billing/invoices/:id
+ */
+const getInvoice = async (req, res) => {
+  const { invoice, payments } = await billingService.getInvoiceById(req.params.id);
+
+  res.json({ success: true, data: invoice, payments });
+};
+
+/**
+ * @desc    Invoice one or more appointments of a patient
+ * @route   POST /api/billing/invoices
+ */
+const createInvoice = async (req, res) => {
+  const invoiceData = matchedData(req, { locations: ['body'] });
+
+  const invoice = await billingService.createInvoice(invoiceData, req.user._id);
+
+  res.status(201).json({ success: true, data: invoice });
+};
+
+/**
+ * @desc    Void an invoice with nothing paid on it
+ * @route   POST /api/billing/invoices/:id/void
+ */
+const voidInvoice = async (req, res) => {
+  const { reason } = matchedData(req, { locations: ['body'] });
+
+  const invoice = await billingService.voidInvoice(req.params.id, { changedBy: req.user.name, reason });
+
+  res.json({ success: true, data: invoice });
+};
+
+/**
+ * @desc    Record a payment towards an invoice
+ * @route   POST /api/billing/invoices/:id/payments
+ */
+const recordPayment = async (req, res) => {
+  const paymentData = matchedData(req, { locations: ['body'] });
+
+  const { payment, invoice } = await billingService.recordPayment(
+    req.params.id,
+    { ...paymentData, kind: 'Payment' },
+    req.user._id
+  );
+
+  res.status(201).json({ success: true, data: payment, invoice });
+};
+
+/**
+ * @desc    Refund part or all of what was paid on an invoice
+ * @route   POST /api/billing/invoices/:id/refunds
+ */
+const recordRefund = async (req, res) => {
+  const refundData = matchedData(req, { locations: ['body'] });
+
+  const { payment, invoice } = await billingService.recordPayment(
+    req.params.id,
+    { ...refundData, kind: 'Refund' },
+    req.user._id
+  );
+
+  res.status(201).json({ success: true, data: payment, invoice });
+};
+
+/**
+ * @desc    Daily cash close per practitioner
+ * @route   GET /api/billing/cash-close
+ */
+const getCashClose = async (req, res) => {
+  const options = matchedData(req, { locations: ['query'] });
+
+  const close = await billingService.getCashClose(options);
+
+  res.json({ success: true, data: close });
+};
+
+/**
+ * @desc    Outstanding balance per patient
+ * @route   GET /api/billing/outstanding
+ */
+const getOutstanding = async (req, res) => {
+  const options = matchedData(req, { locations: ['query'] });
+
+  const outstanding = await billingService.getOutstanding(options);
+
+  res.json({ success: true, count: outstanding.patients.length, data: outstanding });
+};
+
+module.exports = {
+  getInvoices,
+  getInvoice,
+  createInvoice,
+  voidInvoice,
+  recordPayment,
+  recordRefund,
+  getCashClose,
+  getOutstanding
+};
@@ -0,0 +1,17 @@
+const calendarService = require('../services/calendarService');
+
+/**
+ * @desc    iCalendar feed of a professional's appointments, for calendar apps
+ * @route   GET /api/calendar/feeds/:token.ics
+ */
+const getCalendarFeed = async (req, res) => {
+  const calendar = await calendarService.renderFeed(req.params.token);
+
+  res.set('Cache-Control', 'private, no-store');
+  res.type('text/calendar; charset=utf-8');
+  res.send(calendar);
+};
+
+module.exports = {
+  getCalendarFeed
+};
@@ -0,0 +1,141 @@
+const { matchedData } = require('express-validator');
+const clinicalRecordService = require('../services/clinicalRecordService');
+const measurementService = require('../services/measurementService');
+const painService = require('../services/painService');
+const auditService = require('../services/auditService');
+
+/**
+ * @desc    List a patient's clinical records in visit order with amendments
+ * @route   GET /api/records/patient/:patientId
+ */
+const getPatientRecords = async (req, res) => {
+  const options = matchedData(req, { locations: ['query'] });
+
+  const records = await clinicalRecordService.getPatientRecords(req.params.patientId, options);
+  await auditService.logRead('ClinicalRecord', records);
+
+  res.json({ success: true, data: records });
+};
+
+/**
+ * @desc    Get a single clinical record
+ * @route   GET /api/records/:id
+ */
+const getRecord = async (req, res) => {
+  const record = await clinicalRecordService.getRecordById(req.params.id);
+  await auditService.logRead('ClinicalRecord', record);
+
+  res.json({ success: true, data: record });
+};
+
+/**
+ * @desc    Create a draft clinical record
+ * @route   POST /api/records
+ */
+const createRecord = async (req, res) => {
+  const recordData = matchedData(req, { locations: ['body'] });
+
+  // Practitioners always write records under their own name
+  const record = await clinicalRecordService.createRecord({
+    ...recordData,
+    practitioner: req.user.professional
+  });
+
+  res.status(201).json({ success: true, data: record });
+};
+
+/**
+ * @desc    Update a draft clinical record
+ * @route   PUT /api/records/:id
+ */
+const updateRecord = async (req, res) => {
+  const updateData = matchedData(req, { locations: ['body'] });
+
+  const record = await clinicalRecordService.updateDraft(req.params.id, updateData, req.user.professional);
+
+  res.json({ success: true, data: record });
+};
+
+/**
+ * @desc    Delete a draft clinical record
+ * @route   DELETE /api/records/:id
+ */
+const deleteRecord = async (req, res) => {
+  const result = await clinicalRecordService.deleteDraft(req.params.id, req.user.professional);
+
+  res.json(result);
+};
+
+/**
+ * @desc    Sign and lock a clinical record
+ * @route   POST /api/records/:id/sign
+ */
+const signRecord = async (req, res) => {
+  const record = await clinicalRecordService.signRecord(req.params.id, req.user.professional);
+
+  res.json({ success: true, data: record });
+};
+
+/**
+ * @desc    Amend a signed clinical record
+ * @route   POST /api/records/:id/amendments
+ */
+const amendRecord = async (req, res) => {
+  const amendment = matchedData(req, { locations: ['body'] });
+
+  const record = await clinicalRecordService.amendRecord(req.params.id, amendment, req.user.professional);
+
+  res.status(201).json({ success: true, data: record });
+};
+
+/**
+ * @desc    Limb symmetry and normative deficits for a record's measurements
+ * @route   GET /api/records/:id/measurements/analysis
+ */
+const getMeasurementAnalysis = async (req, res) => {
+  const { involvedSide } = matchedData(req, { locations: ['query'] });
+
+  const analysis = await measurementService.analyzeRecord(req.params.id, { involvedSide });
+  await auditService.logRead('ClinicalRecord', { _id: analysis.record, patient: analysis.patient });
+
+  res.json({ success: true, data: analysis });
+};
+
+/**
+ * @desc    Change in each measured joint across a patient's visits
+ * @route   GET /api/records/patient/:patientId/measurements
+ */
+const getPatientMeasurements = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const { records, ...progress } = await measurementService.getPatientProgress(req.params.patientId, filters);
+  await auditService.logRead('ClinicalRecord', records);
+
+  res.json({ success: true, data: progress });
+};
+
+/**
+ * @desc    Pain scores across a patient's visits, with session relief and episode trends
+ * @route   GET /api/records/patient/:patientId/pain
+ */
+const getPatientPain = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const { records, ...pain } = await painService.getPatientTimeline(req.params.patientId, filters);
+  await auditService.logRead('ClinicalRecord', records);
+
+  res.json({ success: true, data: pain });
+};
+
+module.exports = {
+  getPatientRecords,
+  getRecord,
+  createRecord,
+  updateRecord,
+  deleteRecord,
+  signRecord,
+  amendRecord,
+  getMeasurementAnalysis,
+  getPatientMeasurements,
+  getPatientPain
+};
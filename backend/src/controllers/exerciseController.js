@@ -0,0 +1,96 @@
+const { pipeline } = require('stream/promises');
+const { matchedData } = require('express-validator');
+const exerciseService = require('../services/exerciseService');
+
+/**
+ * @desc    List the exercise catalog
+ * @route   GET /api/exercises
+ */
+const getExercises = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const exercises = await exerciseService.getExercises(filters);
+
+  res.json({ success: true, count: exercises.length, data: exercises });
+};
+
+/**
+ * @desc    Get a single catalog exercise
+ * @route   GET /api/exercises/:id
+ */
+const getExercise = async (req, res) => {
+  const exercise = await exerciseService.getExerciseById(req.params.id);
+
+  res.json({ success: true, data: exercise });
+};
+
+/**
+ * @desc    Add an exercise to the catalog
+ * @route   POST /api/exercises
+ */
+const createExercise = async (req, res) => {
+  const exerciseData = matchedData(req, { locations: ['body'] });
+
+  const exercise = await exerciseService.createExercise(exerciseData, req.user._id);
+
+  res.status(201).json({ success: true, data: exercise });
+};
+
+/**
+ * @desc    Update a catalog exercise
+ * @route   PUT /api/exercises/:id
+ */
+const updateExercise = async (req, res) => {
+  const updateData = matchedData(req, { locations: ['body'] });
+
+  const exercise = await exerciseService.updateExercise(req.params.id, updateData);
+
+  res.json({ success: true, data: exercise });
+};
+
+/**
+ * @desc    Withdraw an exercise from the catalog
+ * @route   DELETE /api/exercises/:id
+ */
+const deactivateExercise = async (req, res) => {
+  const exercise = await exerciseService.deactivateExercise(req.params.id);
+
+  res.json({ success: true, data: exercise });
+};
+
+/**
+ * @desc    Set the illustration of an exercise (multipart field "image")
+ * @route   PUT /api/exercises/:id/image
+ */
+const uploadImage = async (req, res) => {
+  const exercise = await exerciseService.setImage(req.params.id, req.file);
+
+  res.json({ success: true, data: exercise });
+};
+
+/**
+ * @desc    Get the illustration of an exercise
+ * @route   GET /api/exercises/:id/image
+ */
+const getImage = async (req, res) => {
+  const { image, stream } = await exerciseService.openImage(req.params.id);
+
+  res.set({
+    'Content-Type': image.mimeType,
+    'Content-Length': image.size,
+    'Cache-Control': 'private, max-age=3600',
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  await pipeline(stream, res);
+};
+
+module.exports = {
+  getExercises,
+  getExercise,
+  createExercise,
+  updateExercise,
+  deactivateExercise,
+  uploadImage,
+  getImage
+};
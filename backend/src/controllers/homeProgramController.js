@@ -0,0 +1,150 @@
+const { pipeline } = require('stream/promises');
+const { matchedData } = require('express-validator');
+const homeProgramService = require('../services/homeProgramService');
+const auditService = require('../services/auditService');
+const { setActor } = require('../utils/requestContext');
+const { renderHandoutPdf, renderHandoutHtml } = require('../reports/handout');
+
+// Recorded as the actor of whatever a patient does through an adherence link
+const PATIENT_ACTOR = { name: 'Patient (adherence link)', role: 'patient' };
+
+/**
+ * @desc    Prescribe catalog exercises into a draft record
+ * @route   POST /api/records/:id/home-exercises
+ */
+const prescribeExercises = async (req, res) => {
+  const { exercises, replace } = matchedData(req, { locations: ['body'] });
+
+  const record = await homeProgramService.prescribe(req.params.id, exercises, req.user.professional, { replace });
+
+  res.json({ success: true, data: record });
+};
+
+/**
+ * @desc    Copy the patient's previous home program into a draft record, with changes
+ * @route   POST /api/records/:id/home-exercises/copy-previous
+ */
+const copyPreviousProgram = async (req, res) => {
+  const changes = matchedData(req, { locations: ['body'] });
+
+  const { record, copiedFrom } = await homeProgramService.copyPrevious(req.params.id, changes, req.user.professional);
+
+  res.json({ success: true, copiedFrom, data: record });
+};
+
+/**
+ * @desc    Patient handout of the home program, as PDF (default) or HTML
+ * @route   GET /api/records/:id/home-exercises/handout
+ */
+const getHandout = async (req, res) => {
+  const { format = 'pdf' } = matchedData(req, { locations: ['query'] });
+
+  const handout = await homeProgramService.getHandout(req.params.id);
+  await auditService.logRead('ClinicalRecord', handout.record);
+
+  res.set('Cache-Control', 'private, no-store');
+
+  if (format === 'html') {
+    res.type('html').send(renderHandoutHtml(handout));
+    return;
+  }
+
+  const date = new Date(handout.record.visitDate).toISOString().slice(0, 10);
+  const filename = `ejercicios-${handout.patient.idNumber || handout.patient._id}-${date}.pdf`;
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename.replace(/[^\w.-]/g, '_')}"`
+  });
+
+  await pipeline(renderHandoutPdf(handout), res);
+};
+
+/**
+ * @desc    Create a link for the patient to log their home exercises
+ * @route   POST /api/records/:id/home-exercises/adherence-link
+ */
+const createAdherenceLink = async (req, res) => {
+  const link = await homeProgramService.issueAdherenceLink(req.params.id);
+
+  res.status(201).json({ success: true, data: link });
+};
+
+/**
+ * @desc    How well the patient kept up with the home program of a record
+ * @route   GET /api/records/:id/adherence
+ */
+const getAdherence = async (req, res) => {
+  const adherence = await homeProgramService.getAdherence(req.params.id);
+  await auditService.logRead('AdherenceLog', adherence.logs);
+
+  res.json({ success: true, data: adherence });
+};
+
+/**
+ * @desc    Log home exercises on the patient's behalf
+ * @route   POST /api/records/:id/adherence
+ */
+const logAdherence = async (req, res) => {
+  const { entries } = matchedData(req, { locations: ['body'] });
+
+  const logs = await homeProgramService.logAdherence(req.params.id, entries, {
+    source: 'Staff',
+    recordedBy: req.user._id
+  });
+
+  res.status(201).json({ success: true, count: logs.length, data: logs });
+};
+
+/**
+ * @desc    Home program and recent logs, for the patient holding the link
+ * @route   GET /api/adherence/:token
+ */
+const getPatientProgram = async (req, res) => {
+  setActor(PATIENT_ACTOR);
+  const record = await homeProgramService.openAdherenceLink(req.params.token);
+
+  const program = await homeProgramService.getPatientView(record);
+  await auditService.logRead('AdherenceLog', program.logs.map((log) => ({ _id: log._id, patient: record.patient })));
+
+  res.set('Cache-Control', 'private, no-store');
+  res.json({ success: true, data: program });
+};
+
+/**
+ * @desc    Log home exercises as the patient holding the link
+ * @route   POST /api/adherence/:token
+ */
+const logPatientAdherence = async (req, res) => {
+  setActor(PATIENT_ACTOR);
+  const { entries } = matchedData(req, { locations: ['body'] });
+
+  const record = await homeProgramService.openAdherenceLink(req.params.token);
+  const logs = await homeProgramService.logAdherence(record, entries, { source: 'Patient' });
+
+  // Only what the patient sent is echoed back
+  res.status(201).json({
+    success: true,
+    count: logs.length,
+    data: logs.map((log) => ({
+      _id: log._id,
+      homeExercise: log.homeExercise,
+      date: log.date,
+      completed: log.completed,
+      setsCompleted: log.setsCompleted,
+      painDuring: log.painDuring,
+      notes: log.notes
+    }))
+  });
+};
+
+module.exports = {
+  prescribeExercises,
+  copyPreviousProgram,
+  getHandout,
+  createAdherenceLink,
+  getAdherence,
+  logAdherence,
+  getPatientProgram,
+  logPatientAdherence
+};
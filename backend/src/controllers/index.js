@@ -0,0 +1,20 @@
+module.exports = {
+  appointmentController: require('./appointmentController'),
+  appointmentLinkController: require('./appointmentLinkController'),
+  attachmentController: require('./attachmentController'),
+  auditController: require('./auditController'),
+  authController: require('./authController'),
+  billingController: require('./billingController'),
+  calendarController: require('./calendarController'),
+  clinicalRecordController: require('./clinicalRecordController'),
+  exerciseController: require('./exerciseController'),
+  homeProgramController: require('./homeProgramController'),
+  insuranceController: require('./insuranceController'),
+  outcomeController: require('./outcomeController'),
+  packageController: require('./packageController'),
+  patientController: require('./patientController'),
+  professionalController: require('./professionalController'),
+  reportController: require('./reportController'),
+  seriesController: require('./seriesController'),
+  waitlistController: require('./waitlistController')
+};
@@ -0,0 +1,168 @@
+const { matchedData } = require('express-validator');
+const insuranceService = require('../services/insuranceService');
+const claimService = require('../services/claimService');
+const auditService = require('../services/auditService');
+
+/**
+ * @desc    List insurance authorizations with the sessions used
+ * @route   GET /api/insurance/authorizations
+ */
+const getAuthorizations = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const authorizations = await insuranceService.getAuthorizations(filters);
+  await auditService.logRead('InsuranceAuthorization', authorizations);
+
+  res.json({ success: true, count: authorizations.length, data: authorizations });
+};
+
+/**
+ * @desc    Get an authorization with the appointments booked against it
+ * @route   GET /api/insurance/authorizations/:id
+ */
+const getAuthorization = async (req, res) => {
+  const { authorization, appointments } = await insuranceService.getAuthorizationById(req.params.id);
+  await auditService.logRead('InsuranceAuthorization', authorization);
+
+  res.json({ success: true, data: authorization, appointments });
+};
+
+/**
+ * @desc    Record an insurance authorization for a patient
+ * @route   POST /api/insurance/authorizations
+ */
+const createAuthorization = async (req, res) => {
+  const authorizationData = matchedData(req, { locations: ['body'] });
+
+  const authorization = await insuranceService.createAuthorization(authorizationData, req.user._id);
+
+  res.status(201).json({ success: true, data: authorization });
+};
+
+/**
+ * @desc    Update an insurance authorization
+ * @route   PUT /api/insurance/authorizations/:id
+ */
+const updateAuthorization = async (req, res) => {
+  const updateData = matchedData(req, { locations: ['body'] });
+
+  const authorization = await insuranceService.updateAuthorization(req.params.id, updateData);
+
+  res.json({ success: true, data: authorization });
+};
+
+/**
+ * @desc    Withdraw an insurance authorization
+ * @route   DELETE /api/insurance/authorizations/:id
+ */
+const deactivateAuthorization = async (req, res) => {
+  const authorization = await insuranceService.deactivateAuthorization(req.params.id);
+
+  res.json({ success: true, data: authorization });
+};
+
+/**
+ * @desc    List claim batches
+ * @route   GET /api/insurance/claim-batches
+ */
+const getClaimBatches = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const batches = await claimService.getBatches(filters);
+
+  res.json({ success: true, count: batches.length, data: batches });
+};
+
+/**
+ * @desc    Get a claim batch with its claims
+ * @route   GET /api/insurance/claim-batches/:id
+ */
+const getClaimBatch = async (req, res) => {
+  const { batch, claims } = await claimService.getBatchById(req.params.id);
+
+  res.json({ success: true, data: batch, claims });
+};
+
+/**
+ * @desc    Batch the unclaimed insured sessions of a provider attended in a period
+ * @route   POST /api/insurance/claim-batches
+ */
+const createClaimBatch = async (req, res) => {
+  const options = matchedData(req, { locations: ['body'] });
+
+  const { batch, claims, skipped } = await claimService.createBatch(options, req.user);
+
+  res.status(201).json({ success: true, data: batch, claims, skipped });
+};
+
+/**
+ * @desc    Discard a draft claim batch
+ * @route   DELETE /api/insurance/claim-batches/:id
+ */
+const deleteClaimBatch = async (req, res) => {
+  await claimService.deleteBatch(req.params.id);
+
+  res.json({ success: true, data: {} });
+};
+
+/**
+ * @desc    Mark a claim batch as submitted to the insurer
+ * @route   POST /api/insurance/claim-batches/:id/submit
+ */
+const submitClaimBatch = async (req, res) => {
+  const batch = await claimService.submitBatch(req.params.id, { changedBy: req.user.name });
+
+  res.json({ success: true, data: batch });
+};
+
+/**
+ * @desc    Download the claims of a batch as CSV for submission
+ * @route   GET /api/insurance/claim-batches/:id/export
+ */
+const exportClaimBatch = async (req, res) => {
+  const file = await claimService.exportBatch(req.params.id);
+
+  res.attachment(file.filename);
+  res.type(file.contentType);
+  res.send(file.body);
+};
+
+/**
+ * @desc    List claims
+ * @route   GET /api/insurance/claims
+ */
+const getClaims = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const claims = await claimService.getClaims(filters);
+
+  res.json({ success: true, count: claims.length, data: claims });
+};
+
+/**
+ * @desc    Record the insurer's answer on a claim
+ * @route   PATCH /api/insurance/claims/:id
+ */
+const updateClaimStatus = async (req, res) => {
+  const update = matchedData(req, { locations: ['body'] });
+
+  const claim = await claimService.updateClaimStatus(req.params.id, update, { changedBy: req.user.name });
+
+  res.json({ success: true, data: claim });
+};
+
+module.exports = {
+  getAuthorizations,
+  getAuthorization,
+  createAuthorization,
+  updateAuthorization,
+  deactivateAuthorization,
+  getClaimBatches,
+  getClaimBatch,
+  createClaimBatch,
+  deleteClaimBatch,
+  submitClaimBatch,
+  exportClaimBatch,
+  getClaims,
+  updateClaimStatus
+};
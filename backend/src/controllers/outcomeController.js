@@ -0,0 +1,92 @@
+const { matchedData } = require('express-validator');
+const outcomeService = require('../services/outcomeService');
+const auditService = require('../services/auditService');
+
+/**
+ * @desc    List the available outcome questionnaires
+ * @route   GET /api/outcomes/questionnaires
+ */
+const getQuestionnaires = async (req, res) => {
+  const questionnaires = outcomeService.listQuestionnaires();
+
+  res.json({ success: true, count: questionnaires.length, data: questionnaires });
+};
+
+/**
+ * @desc    Get one questionnaire with its items and interpretation bands
+ * @route   GET /api/outcomes/questionnaires/:code
+ */
+const getQuestionnaire = async (req, res) => {
+  const { code } = matchedData(req, { locations: ['params'] });
+
+  res.json({ success: true, data: outcomeService.getQuestionnaire(code) });
+};
+
+/**
+ * @desc    Record and score a completed questionnaire
+ * @route   POST /api/outcomes
+ */
+const createMeasure = async (req, res) => {
+  const measureData = matchedData(req, { locations: ['body'] });
+
+  const measure = await outcomeService.createMeasure(measureData, req.user.professional);
+
+  res.status(201).json({ success: true, data: measure });
+};
+
+/**
+ * @desc    Get a single outcome measure
+ * @route   GET /api/outcomes/:id
+ */
+const getMeasure = async (req, res) => {
+  const measure = await outcomeService.getMeasureById(req.params.id);
+  await auditService.logRead('OutcomeMeasure', measure);
+
+  res.json({ success: true, data: measure });
+};
+
+/**
+ * @desc    Delete an outcome measure entered by mistake
+ * @route   DELETE /api/outcomes/:id
+ */
+const deleteMeasure = async (req, res) => {
+  const result = await outcomeService.deleteMeasure(req.params.id, req.user.professional);
+
+  res.json(result);
+};
+
+/**
+ * @desc    List a patient's outcome measures in date order
+ * @route   GET /api/outcomes/patient/:patientId
+ */
+const getPatientMeasures = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const measures = await outcomeService.getPatientMeasures(req.params.patientId, filters);
+  await auditService.logRead('OutcomeMeasure', measures);
+
+  res.json({ success: true, count: measures.length, data: measures });
+};
+
+/**
+ * @desc    Score trend per questionnaire with MCID flags
+ * @route   GET /api/outcomes/patient/:patientId/trend
+ */
+const getPatientTrend = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const { trend, measures } = await outcomeService.getPatientTrend(req.params.patientId, filters);
+  await auditService.logRead('OutcomeMeasure', measures);
+
+  res.json({ success: true, data: trend });
+};
+
+module.exports = {
+  getQuestionnaires,
+  getQuestionnaire,
+  createMeasure,
+  getMeasure,
+  deleteMeasure,
+  getPatientMeasures,
+  getPatientTrend
+};
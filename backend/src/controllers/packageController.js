@@ -0,0 +1,134 @@
+const { matchedData } = require('express-validator');
+const packageService = require('../services/packageService');
+const auditService = require('../services/auditService');
+
+/**
+ * @desc    List the packages in the catalog
+ * @route   GET /api/packages/products
+ */
+const getProducts = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const products = await packageService.getProducts(filters);
+
+  res.json({ success: true, count: products.length, data: products });
+};
+
+/**
+ * @desc    Add a package to the catalog
+ * @route   POST /api/packages/products
+ */
+const createProduct = async (req, res) => {
+  const productData = matchedData(req, { locations: ['body'] });
+
+  const product = await packageService.createProduct(productData);
+
+  res.status(201).json({ success: true, data: product });
+};
+
+/**
+ * @desc    Update a package in the catalog
+ * @route   PUT /api/packages/products/:id
+ */
+const updateProduct = async (req, res) => {
+  const updateData = matchedData(req, { locations: ['body'] });
+
+  const product = await packageService.updateProduct(req.params.id, updateData);
+
+  res.json({ success: true, data: product });
+};
+
+/**
+ * @desc    Take a package off sale
+ * @route   DELETE /api/packages/products/:id
+ */
+const deactivateProduct = async (req, res) => {
+  const product = await packageService.deactivateProduct(req.params.id);
+
+  res.json({ success: true, data: product });
+};
+
+/**
+ * @desc    List packages sold, with their balance
+ * @route   GET /api/packages
+ */
+const getPackages = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const packages = await packageService.getPackages(filters);
+  await auditService.logRead('PatientPackage', packages);
+
+  res.json({ success: true, count: packages.length, data: packages });
+};
+
+/**
+ * @desc    Get a package with the appointments using it
+ * @route   GET /api/packages/:id
+ */
+const getPackage = async (req, res) => {
+  const result = await packageService.getPackageById(req.params.id);
+  await auditService.logRead('PatientPackage', result.package);
+
+  res.json({ success: true, data: result.package, appointments: result.appointments });
+};
+
+/**
+ * @desc    Sell a package to a patient
+ * @route   POST /api/packages
+ */
+const sellPackage = async (req, res) => {
+  const saleData = matchedData(req, { locations: ['body'] });
+
+  const patientPackage = await packageService.sellPackage(saleData, req.user._id);
+
+  res.status(201).json({ success: true, data: patientPackage });
+};
+
+/**
+ * @desc    Transfer unused sessions to another patient
+ * @route   POST /api/packages/:id/transfer
+ */
+const transferSessions = async (req, res) => {
+  const transfer = matchedData(req, { locations: ['body'] });
+
+  const result = await packageService.transferSessions(req.params.id, transfer, req.user);
+
+  res.status(201).json({ success: true, data: result.to, from: result.from });
+};
+
+/**
+ * @desc    Move the expiry of a package
+ * @route   PATCH /api/packages/:id/extend
+ */
+const extendPackage = async (req, res) => {
+  const extension = matchedData(req, { locations: ['body'] });
+
+  const patientPackage = await packageService.extendPackage(req.params.id, extension, req.user);
+
+  res.json({ success: true, data: patientPackage });
+};
+
+/**
+ * @desc    Cancel a package, releasing its upcoming appointments
+ * @route   PATCH /api/packages/:id/cancel
+ */
+const cancelPackage = async (req, res) => {
+  const { reason } = matchedData(req, { locations: ['body'] });
+
+  const result = await packageService.cancelPackage(req.params.id, { reason });
+
+  res.json({ success: true, data: result.package, released: result.released });
+};
+
+module.exports = {
+  getProducts,
+  createProduct,
+  updateProduct,
+  deactivateProduct,
+  getPackages,
+  getPackage,
+  sellPackage,
+  transferSessions,
+  extendPackage,
+  cancelPackage
+};
@@ -0,0 +1,200 @@
+const { matchedData } = require('express-validator');
+const patientService = require('../services/patientService');
+const duplicateService = require('../services/duplicateService');
+const auditService = require('../services/auditService');
+const { hasPermission } = require('../config/permissions');
+
+// Patient fields only clinical staff may read or change
+const HEALTH_FIELDS = ['bloodType', 'allergies', 'medicalConditions', 'medications'];
+
+/**
+ * Remove health information from patients when the user may not see it
+ * @param {Object} req - Express request (for the current user)
+ * @param {Object|Object[]} patients - Patient document(s)
+ * @returns {Object|Object[]} - Patients safe to return to this user
+ */
+const forUser = (req, patients) => {
+  if (hasPermission(req.user.role, 'patients:health')) {
+    return patients;
+  }
+
+  const strip = (patient) => {
+    const data = patient.toJSON();
+    HEALTH_FIELDS.forEach((field) => delete data[field]);
+    return data;
+  };
+
+  return Array.isArray(patients) ? patients.map(strip) : strip(patients);
+};
+
+/**
+ * Reject payloads that touch health information without permission
+ * @param {Object} req - Express request (for the current user)
+ * @param {Object} data - Validated patient payload
+ */
+const assertCanWriteHealth = (req, data) => {
+  if (!hasPermission(req.user.role, 'patients:health') && HEALTH_FIELDS.some((field) => field in data)) {
+    const error = new Error('Your role cannot change patient health information');
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+/**
+ * @desc    Get all patients with pagination
+ * @route   GET /api/patients
+ */
+const getPatients = async (req, res) => {
+  const { page, limit, isActive } = matchedData(req, { locations: ['query'] });
+  const filters = isActive !== undefined ? { isActive } : {};
+
+  const result = await patientService.getAllPatients({ page, limit, filters });
+  await auditService.logRead('Patient', result.patients);
+
+  res.json({ success: true, data: forUser(req, result.patients), pagination: result.pagination });
+};
+
+/**
+ * @desc    Search patients by name, ID number, contact data, gender or age range;
+ *          free text in `q` returns relevance-ranked results
+ * @route   GET /api/patients/search
+ */
+const searchPatients = async (req, res) => {
+  const { page, limit, ...searchParams } = matchedData(req, { locations: ['query'] });
+
+  const result = await patientService.searchPatients(searchParams, page, limit);
+  await auditService.logRead('Patient', result.patients);
+
+  res.json({ success: true, data: forUser(req, result.patients), pagination: result.pagination });
+};
+
+/**
+ * @desc    Get a single patient
+ * @route   GET /api/patients/:id
+ */
+const getPatient = async (req, res) => {
+  const patient = await patientService.getPatientById(req.params.id);
+  await auditService.logRead('Patient', patient);
+
+  res.json({ success: true, data: forUser(req, patient) });
+};
+
+/**
+ * @desc    Get a single patient by RUT or document number, in any formatting
+ * @route   GET /api/patients/by-id-number/:idNumber
+ */
+const getPatientByIdNumber = async (req, res) => {
+  const { idNumber } = matchedData(req, { locations: ['params'] });
+
+  const patient = await patientService.getPatientByIdNumber(idNumber);
+  await auditService.logRead('Patient', patient);
+
+  res.json({ success: true, data: forUser(req, patient) });
+};
+
+/**
+ * @desc    Create a patient
+ * @route   POST /api/patients
+ */
+const createPatient = async (req, res) => {
+  const patientData = matchedData(req, { locations: ['body'] });
+  assertCanWriteHealth(req, patientData);
+
+  const patient = await patientService.createPatient(patientData);
+
+  res.status(201).json({ success: true, data: forUser(req, patient) });
+};
+
+/**
+ * @desc    Update a patient
+ * @route   PUT /api/patients/:id
+ */
+const updatePatient = async (req, res) => {
+  const updateData = matchedData(req, { locations: ['body'] });
+  assertCanWriteHealth(req, updateData);
+
+  const patient = await patientService.updatePatient(req.params.id, updateData);
+
+  res.json({ success: true, data: forUser(req, patient) });
+};
+
+/**
+ * @desc    Deactivate a patient (soft delete)
+ * @route   DELETE /api/patients/:id
+ */
+const deletePatient = async (req, res) => {
+  const result = await patientService.deletePatient(req.params.id);
+
+  res.json({ success: result.success, message: result.message, data: forUser(req, result.patient) });
+};
+
+/**
+ * @desc    Scan all active patients for likely duplicates
+ * @route   GET /api/patients/duplicates
+ */
+const findDuplicates = async (req, res) => {
+  const options = matchedData(req, { locations: ['query'] });
+
+  const pairs = await duplicateService.findAllDuplicates(options);
+  await auditService.logRead('Patient', pairs.flatMap((pair) => pair.patients));
+
+  res.json({ success: true, count: pairs.length, data: pairs });
+};
+
+/**
+ * @desc    Patients that look like the same person as this one
+ * @route   GET /api/patients/:id/duplicates
+ */
+const getPatientDuplicates = async (req, res) => {
+  const { minScore } = matchedData(req, { locations: ['query'] });
+
+  const matches = await duplicateService.findDuplicatesOf(req.params.id, { minScore });
+  await auditService.logRead('Patient', matches.map((match) => match.patient));
+
+  res.json({ success: true, count: matches.length, data: matches });
+};
+
+/**
+ * @desc    Merge a duplicate into this patient
+ * @route   POST /api/patients/:id/merge
+ */
+const mergePatient = async (req, res) => {
+  const { duplicateId, take = [], reason } = matchedData(req, { locations: ['body'] });
+  assertCanWriteHealth(req, Object.fromEntries(take.map((field) => [field, true])));
+
+  const result = await duplicateService.mergePatients(req.params.id, duplicateId, {
+    take,
+    reason,
+    mergedBy: req.user
+  });
+
+  res.json({
+    success: true,
+    data: forUser(req, result.patient),
+    merge: { id: result.merge._id, moved: result.merge.moved }
+  });
+};
+
+/**
+ * @desc    Merges this patient took part in
+ * @route   GET /api/patients/:id/merges
+ */
+const getPatientMerges = async (req, res) => {
+  const merges = await duplicateService.getMerges(req.params.id);
+
+  res.json({ success: true, count: merges.length, data: merges });
+};
+
+module.exports = {
+  getPatients,
+  searchPatients,
+  getPatient,
+  getPatientByIdNumber,
+  createPatient,
+  updatePatient,
+  deletePatient,
+  findDuplicates,
+  getPatientDuplicates,
+  mergePatient,
+  getPatientMerges
+};
@@ -0,0 +1,161 @@
+const { matchedData } = require('express-validator');
+const professionalService = require('../services/professionalService');
+const calendarService = require('../services/calendarService');
+
+/**
+ * @desc    Get all professionals
+ * @route   GET /api/professionals
+ */
+const getProfessionals = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const professionals = await professionalService.getAllProfessionals(filters);
+
+  res.json({ success: true, data: professionals });
+};
+
+/**
+ * @desc    Find bookable slots by specialty, duration and date range
+ * @route   GET /api/professionals/available-slots
+ */
+const getAvailableSlots = async (req, res) => {
+  const criteria = matchedData(req, { locations: ['query'] });
+
+  const slots = await professionalService.findAvailableSlots(criteria);
+
+  res.json({ success: true, data: slots });
+};
+
+/**
+ * @desc    Get a single professional
+ * @route   GET /api/professionals/:id
+ */
+const getProfessional = async (req, res) => {
+  const professional = await professionalService.getProfessionalById(req.params.id);
+
+  res.json({ success: true, data: professional });
+};
+
+/**
+ * @desc    Create a professional
+ * @route   POST /api/professionals
+ */
+const createProfessional = async (req, res) => {
+  const professionalData = matchedData(req, { locations: ['body'] });
+
+  const professional = await professionalService.createProfessional(professionalData);
+
+  res.status(201).json({ success: true, data: professional });
+};
+
+/**
+ * @desc    Update a professional
+ * @route   PUT /api/professionals/:id
+ */
+const updateProfessional = async (req, res) => {
+  const updateData = matchedData(req, { locations: ['body'] });
+
+  const professional = await professionalService.updateProfessional(req.params.id, updateData);
+
+  res.json({ success: true, data: professional });
+};
+
+/**
+ * @desc    Deactivate a professional (soft delete)
+ * @route   DELETE /api/professionals/:id
+ */
+const deleteProfessional = async (req, res) => {
+  const result = await professionalService.deleteProfessional(req.params.id);
+
+  res.json({ success: result.success, message: result.message, data: result.professional });
+};
+
+/**
+ * @desc    Replace weekly working hours
+ * @route   PUT /api/professionals/:id/working-hours
+ */
+const setWorkingHours = async (req, res) => {
+  const { workingHours } = matchedData(req, { locations: ['body'] });
+
+  const professional = await professionalService.setWorkingHours(req.params.id, workingHours);
+
+  res.json({ success: true, data: professional });
+};
+
+/**
+ * @desc    Register time off
+ * @route   POST /api/professionals/:id/time-off
+ */
+const addTimeOff = async (req, res) => {
+  const timeOff = matchedData(req, { locations: ['body'] });
+
+  const professional = await professionalService.addTimeOff(req.params.id, timeOff);
+
+  res.status(201).json({ success: true, data: professional });
+};
+
+/**
+ * @desc    Remove time off
+ * @route   DELETE /api/professionals/:id/time-off/:timeOffId
+ */
+const removeTimeOff = async (req, res) => {
+  const professional = await professionalService.removeTimeOff(req.params.id, req.params.timeOffId);
+
+  res.json({ success: true, data: professional });
+};
+
+/**
+ * Subscription URL of a calendar feed, as seen by whoever called the API
+ * @param {Object} req - Express request
+ * @param {string} token - Feed token
+ * @returns {string}
+ */
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/feeds/${token}.ics`;
+
+/**
+ * @desc    Show whether a professional's calendar feed is set up
+ * @route   GET /api/professionals/:id/calendar-feed
+ */
+const getCalendarFeed = async (req, res) => {
+  const feed = await calendarService.getFeed(req.params.id, req.user);
+
+  res.json({ success: true, data: feed });
+};
+
+/**
+ * @desc    Create a new secret calendar feed URL, replacing the old one
+ * @route   POST /api/professionals/:id/calendar-feed
+ */
+const issueCalendarFeed = async (req, res) => {
+  const { feed, token } = await calendarService.issueFeed(req.params.id, req.user);
+  const url = feedUrl(req, token);
+
+  // The URL cannot be shown again, only replaced
+  res.set('Cache-Control', 'private, no-store');
+  res.status(201).json({ success: true, data: feed, url, webcalUrl: url.replace(/^https?:/, 'webcal:') });
+};
+
+/**
+ * @desc    Turn off a professional's calendar feed
+ * @route   DELETE /api/professionals/:id/calendar-feed
+ */
+const revokeCalendarFeed = async (req, res) => {
+  const revoked = await calendarService.revokeFeed(req.params.id, req.user);
+
+  res.json({ success: true, message: revoked ? 'Calendar feed turned off' : 'No calendar feed was set up' });
+};
+
+module.exports = {
+  getProfessionals,
+  getAvailableSlots,
+  getProfessional,
+  createProfessional,
+  updateProfessional,
+  deleteProfessional,
+  setWorkingHours,
+  addTimeOff,
+  removeTimeOff,
+  getCalendarFeed,
+  issueCalendarFeed,
+  revokeCalendarFeed
+};
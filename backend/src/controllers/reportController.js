@@ -0,0 +1,95 @@
+const { pipeline } = require('stream/promises');
+const { matchedData } = require('express-validator');
+const painService = require('../services/painService');
+const clinicalReportService = require('../services/clinicalReportService');
+const auditService = require('../services/auditService');
+const { renderSessionReport, renderProgressReport, renderDischargeSummary } = require('../reports/clinicalReports');
+
+/**
+ * Send a rendered report as an inline PDF
+ * @param {Object} res - Express response
+ * @param {Object} doc - Finished PDF document
+ * @param {string} name - Kind of report, used in the file name
+ * @param {Object} patient - Patient the report is about
+ * @param {Date} date - Date the report refers to
+ */
+const sendPdf = async (res, doc, name, patient, date) => {
+  const filename = `${name}-${patient.idNumber || patient._id}-${new Date(date).toISOString().slice(0, 10)}.pdf`;
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename.replace(/[^\w.-]/g, '_')}"`,
+    'Cache-Control': 'private, no-store'
+  });
+
+  await pipeline(doc, res);
+};
+
+/**
+ * @desc    Average pain relief per diagnosis
+ * @route   GET /api/reports/pain/by-diagnosis
+ */
+const getPainByDiagnosis = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const rows = await painService.getReportByDiagnosis(filters);
+
+  res.json({ success: true, count: rows.length, data: rows });
+};
+
+/**
+ * @desc    Average pain relief in sessions using each technique
+ * @route   GET /api/reports/pain/by-technique
+ */
+const getPainByTechnique = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const rows = await painService.getReportByTechnique(filters);
+
+  res.json({ success: true, count: rows.length, data: rows });
+};
+
+/**
+ * @desc    PDF report of a single session
+ * @route   GET /api/reports/records/:id/session
+ */
+const getSessionReport = async (req, res) => {
+  const report = await clinicalReportService.getSessionReport(req.params.id);
+  await auditService.logRead('ClinicalRecord', report.record);
+
+  await sendPdf(res, renderSessionReport(report), 'informe-sesion', report.patient, report.record.visitDate);
+};
+
+/**
+ * @desc    PDF progress report over a period
+ * @route   GET /api/reports/patients/:patientId/progress
+ */
+const getProgressReport = async (req, res) => {
+  const period = matchedData(req, { locations: ['query'] });
+
+  const report = await clinicalReportService.getProgressReport(req.params.patientId, period, req.user.professional);
+  await auditService.logRead('ClinicalRecord', report.records);
+
+  await sendPdf(res, renderProgressReport(report), 'informe-evolucion', report.patient, report.to);
+};
+
+/**
+ * @desc    PDF discharge summary of an episode of care
+ * @route   GET /api/reports/patients/:patientId/discharge
+ */
+const getDischargeSummary = async (req, res) => {
+  const options = matchedData(req, { locations: ['query'] });
+
+  const report = await clinicalReportService.getDischargeSummary(req.params.patientId, options, req.user.professional);
+  await auditService.logRead('ClinicalRecord', report.records);
+
+  await sendPdf(res, renderDischargeSummary(report), 'epicrisis', report.patient, report.to);
+};
+
+module.exports = {
+  getPainByDiagnosis,
+  getPainByTechnique,
+  getSessionReport,
+  getProgressReport,
+  getDischargeSummary
+};
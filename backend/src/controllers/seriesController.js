@@ -0,0 +1,85 @@
+const { matchedData } = require('express-validator');
+const seriesService = require('../services/seriesService');
+const auditService = require('../services/auditService');
+const insuranceService = require('../services/insuranceService');
+const packageService = require('../services/packageService');
+const waitlistService = require('../services/waitlistService');
+
+/**
+ * @desc    Create a recurring appointment series
+ * @route   POST /api/appointment-series
+ */
+const createSeries = async (req, res) => {
+  const { allOrNothing, ...seriesData } = matchedData(req, { locations: ['body'] });
+
+  const result = await seriesService.createSeries(seriesData, { changedBy: req.user.name, allOrNothing });
+  const warnings = [
+    ...await insuranceService.bookingWarnings(result.appointments),
+    ...await packageService.bookingWarnings(result.appointments)
+  ];
+
+  res.status(201).json({
+    success: true,
+    data: result.series,
+    appointments: result.appointments,
+    conflicts: result.conflicts,
+    ...(warnings.length > 0 && { warnings })
+  });
+};
+
+/**
+ * @desc    Get a series with its appointments
+ * @route   GET /api/appointment-series/:id
+ */
+const getSeries = async (req, res) => {
+  const result = await seriesService.getSeriesById(req.params.id);
+  await auditService.logRead('Appointment', result.appointments);
+
+  res.json({ success: true, data: result.series, appointments: result.appointments });
+};
+
+/**
+ * @desc    Edit this occurrence, this and following, or the whole series
+ * @route   PUT /api/appointment-series/:id/appointments/:appointmentId
+ */
+const updateOccurrences = async (req, res) => {
+  const { scope, ...changes } = matchedData(req, { locations: ['body'] });
+
+  const appointments = await seriesService.updateOccurrences(
+    req.params.id,
+    req.params.appointmentId,
+    scope,
+    changes
+  );
+
+  res.json({ success: true, data: appointments });
+};
+
+/**
+ * @desc    Cancel this occurrence, this and following, or the whole series
+ * @route   PATCH /api/appointment-series/:id/appointments/:appointmentId/cancel
+ */
+const cancelOccurrences = async (req, res) => {
+  const { scope, reason } = matchedData(req, { locations: ['body'] });
+
+  const appointments = await seriesService.cancelOccurrences(
+    req.params.id,
+    req.params.appointmentId,
+    scope,
+    { changedBy: req.user.name, reason }
+  );
+
+  // Each freed slot goes to the waitlist in turn
+  for (const appointment of appointments) {
+    await waitlistService.offerFreedSlot(appointment);
+  }
+
+  res.json({ success: true, data: appointments });
+};
+
+module.exports = {
+  createSeries,
+  getSeries,
+  updateOccurrences,
+  cancelOccurrences
+};
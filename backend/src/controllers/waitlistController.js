@@ -0,0 +1,140 @@
+const { matchedData } = require('express-validator');
+const waitlistService = require('../services/waitlistService');
+const auditService = require('../services/auditService');
+const { setActor } = require('../utils/requestContext');
+
+// Recorded as the actor of whatever a patient does through an offer link
+const PATIENT_ACTOR = { name: 'Patient (waitlist link)', role: 'patient' };
+
+/**
+ * @desc    List waitlist entries
+ * @route   GET /api/waitlist
+ */
+const getEntries = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const entries = await waitlistService.getEntries(filters);
+  await auditService.logRead('WaitlistEntry', entries);
+
+  res.json({ success: true, count: entries.length, data: entries });
+};
+
+/**
+ * @desc    Get a waitlist entry with the offers made to it
+ * @route   GET /api/waitlist/:id
+ */
+const getEntry = async (req, res) => {
+  const result = await waitlistService.getEntryById(req.params.id);
+  await auditService.logRead('WaitlistEntry', result.entry);
+
+  res.json({ success: true, data: result.entry, offers: result.offers });
+};
+
+/**
+ * @desc    Put a patient on the waitlist
+ * @route   POST /api/waitlist
+ */
+const createEntry = async (req, res) => {
+  const entryData = matchedData(req, { locations: ['body'] });
+
+  const entry = await waitlistService.createEntry(entryData, req.user._id);
+
+  res.status(201).json({ success: true, data: entry });
+};
+
+/**
+ * @desc    Change what a waiting patient is looking for
+ * @route   PUT /api/waitlist/:id
+ */
+const updateEntry = async (req, res) => {
+  const updateData = matchedData(req, { locations: ['body'] });
+
+  const entry = await waitlistService.updateEntry(req.params.id, updateData);
+
+  res.json({ success: true, data: entry });
+};
+
+/**
+ * @desc    Take a patient off the waitlist
+ * @route   PATCH /api/waitlist/:id/cancel
+ */
+const cancelEntry = async (req, res) => {
+  const { reason } = matchedData(req, { locations: ['body'] });
+
+  const entry = await waitlistService.cancelEntry(req.params.id, { reason });
+
+  res.json({ success: true, data: entry });
+};
+
+/**
+ * @desc    List offers of freed slots
+ * @route   GET /api/waitlist/offers
+ */
+const getOffers = async (req, res) => {
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const offers = await waitlistService.getOffers(filters);
+
+  res.json({ success: true, count: offers.length, data: offers });
+};
+
+/**
+ * @desc    Accept an offer on the patient's behalf, booking the slot
+ * @route   POST /api/waitlist/offers/:id/accept
+ */
+const acceptOffer = async (req, res) => {
+  const result = await waitlistService.acceptOffer(req.params.id, { changedBy: req.user.name });
+
+  res.status(201).json({ success: true, data: result.offer, appointment: result.appointment });
+};
+
+/**
+ * @desc    Decline an offer on the patient's behalf, passing the slot on
+ * @route   POST /api/waitlist/offers/:id/decline
+ */
+const declineOffer = async (req, res) => {
+  const result = await waitlistService.declineOffer(req.params.id, { changedBy: req.user.name });
+
+  res.json({ success: true, data: result.offer, ...(result.next && { nextOffer: result.next._id }) });
+};
+
+/**
+ * @desc    Slot behind an offer link, for the patient holding it
+ * @route   GET /api/waitlist-offers/:token
+ */
+const getOfferLink = async (req, res) => {
+  const offer = await waitlistService.getOfferByToken(req.params.token);
+
+  res.set('Cache-Control', 'private, no-store');
+  res.json({ success: true, data: offer });
+};
+
+/**
+ * @desc    Accept or decline the slot of an offer link
+ * @route   POST /api/waitlist-offers/:token
+ */
+const answerOfferLink = async (req, res) => {
+  setActor(PATIENT_ACTOR);
+  const { answer } = matchedData(req, { locations: ['body'] });
+
+  const offer = await waitlistService.answerByToken(req.params.token, {
+    accept: answer === 'accept',
+    changedBy: PATIENT_ACTOR.name
+  });
+
+  res.set('Cache-Control', 'private, no-store');
+  res.json({ success: true, data: offer });
+};
+
+module.exports = {
+  getEntries,
+  getEntry,
+  createEntry,
+  updateEntry,
+  cancelEntry,
+  getOffers,
+  acceptOffer,
+  declineOffer,
+  getOfferLink,
+  answerOfferLink
+};
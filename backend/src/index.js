@@ -2,36 +2,77 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/database');
+const { requestContext } = require('./utils/requestContext');
 
 // Load environment variables
 dotenv.config();
 
+// Session tokens cannot be issued or checked without a signing secret
+if (!process.env.JWT_SECRET) {
+  console.error('JWT_SECRET is not set');
+  process.exit(1);
+}
+
 // Create Express app
 const app = express();
 
+// Behind a reverse proxy, client addresses (used by rate limits and the audit log)
+// come from X-Forwarded-For; TRUST_PROXY is the number of proxies in front
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10));
+}
+
 // Connect to Database
 connectDB();
 
 // Middleware
-app.use(cors());
+// Only the configured front-end origins may call the API from a browser
+app.use(cors({
+  origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',').map((origin) => origin.trim()) : false
+}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(requestContext);
 
 // Define routes (to be added later)
 app.get('/', (req, res) => {
   res.json({ message: 'Welcome to Kinesiology Sports Center API' });
 });
 
-// Route imports will be added here
-// app.use('/api/patients', require('./routes/patientRoutes'));
-// app.use('/api/records', require('./routes/recordRoutes'));
-// app.use('/api/appointments', require('./routes/appointmentRoutes'));
+// Route imports
+app.use('/api/auth', require('./routes/authRoutes'));
+app.use('/api/users', require('./routes/userRoutes'));
+app.use('/api/audit', require('./routes/auditRoutes'));
+app.use('/api/patients', require('./routes/patientRoutes'));
+app.use('/api/professionals', require('./routes/professionalRoutes'));
+app.use('/api/records', require('./routes/recordRoutes'));
+app.use('/api/outcomes', require('./routes/outcomeRoutes'));
+app.use('/api/exercises', require('./routes/exerciseRoutes'));
+app.use('/api/adherence', require('./routes/adherenceRoutes'));
+app.use('/api/reports', require('./routes/reportRoutes'));
+app.use('/api/appointments', require('./routes/appointmentRoutes'));
+app.use('/api/appointment-series', require('./routes/seriesRoutes'));
+app.use('/api/appointment-links', require('./routes/appointmentLinkRoutes'));
+app.use('/api/billing', require('./routes/billingRoutes'));
+app.use('/api/insurance', require('./routes/insuranceRoutes'));
+app.use('/api/packages', require('./routes/packageRoutes'));
+app.use('/api/calendar', require('./routes/calendarRoutes'));
+app.use('/api/waitlist', require('./routes/waitlistRoutes'));
+app.use('/api/waitlist-offers', require('./routes/waitlistOfferRoutes'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    message: 'Something went wrong!',
+  // Services tag expected failures (not found, duplicates...) with a statusCode
+  const statusCode = err.statusCode || 500;
+
+  if (statusCode >= 500) {
+    console.error(err.stack);
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode >= 500 ? 'Something went wrong!' : err.message,
+    ...(err.details && { details: err.details }),
     error: process.env.NODE_ENV === 'development' ? err.message : {}
   });
 });
@@ -42,6 +83,16 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Appointment reminders go out from the API process unless a cron job sends them instead
+if (process.env.REMINDERS_ENABLED === 'true') {
+  require('./jobs/reminderJob').startReminderJob();
+}
+
+// Unanswered waitlist offers are passed on from the API process unless a cron job does it
+if (process.env.WAITLIST_ENABLED === 'true') {
+  require('./jobs/waitlistJob').startWaitlistJob();
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.log(`Error: ${err.message}`);
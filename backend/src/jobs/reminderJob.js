@@ -0,0 +1,47 @@
+const reminderService = require('../services/reminderService');
+const { REMINDERS } = require('../config/reminders');
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one dispatcher pass, skipping it while the previous one is still going
+ */
+const runOnce = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const results = await reminderService.dispatch();
+    if (Object.values(results).some(Boolean)) {
+      console.log(`Reminders: ${Object.entries(results).map(([key, count]) => `${count} ${key}`).join(', ')}`);
+    }
+  } catch (error) {
+    // A failed pass is retried on the next tick; it must never take the API down
+    console.error(`Reminder dispatch failed: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Dispatch reminders every REMINDER_INTERVAL_MINUTES while the API runs
+ */
+const startReminderJob = () => {
+  if (timer) return;
+
+  timer = setInterval(runOnce, REMINDERS.intervalMinutes * 60 * 1000);
+  timer.unref();
+  console.log(`Reminder dispatcher running every ${REMINDERS.intervalMinutes} min (${REMINDERS.channels.join(', ')})`);
+};
+
+const stopReminderJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  runOnce,
+  startReminderJob,
+  stopReminderJob
+};
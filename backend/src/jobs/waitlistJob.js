@@ -0,0 +1,47 @@
+const waitlistService = require('../services/waitlistService');
+const { WAITLIST } = require('../config/waitlist');
+
+let timer = null;
+let running = false;
+
+/**
+ * Expire unanswered offers once, skipping it while the previous pass is still going
+ */
+const runOnce = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const results = await waitlistService.expireOffers();
+    if (results.expired > 0) {
+      console.log(`Waitlist: ${results.expired} expired, ${results.offered} offered onwards`);
+    }
+  } catch (error) {
+    // A failed pass is retried on the next tick; it must never take the API down
+    console.error(`Waitlist offer expiry failed: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Pass on unanswered offers every minute while the API runs
+ */
+const startWaitlistJob = () => {
+  if (timer) return;
+
+  timer = setInterval(runOnce, WAITLIST.intervalMinutes * 60 * 1000);
+  timer.unref();
+  console.log(`Waitlist offers held for ${WAITLIST.holdMinutes} min (${WAITLIST.channels.join(', ')})`);
+};
+
+const stopWaitlistJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  runOnce,
+  startWaitlistJob,
+  stopWaitlistJob
+};
@@ -0,0 +1,62 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { hasPermission } = require('../config/permissions');
+const { setActor } = require('../utils/requestContext');
+
+/**
+ * Require a valid session token and load the user into req.user
+ */
+const protect = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  if (!token) {
+    const error = new Error('Not authorized to access this route');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    const error = new Error('Session is invalid or has expired');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const user = await User.findById(payload.id);
+
+  // Deactivated accounts and tokens issued before a logout are rejected
+  if (!user || !user.isActive || user.tokenVersion !== payload.version) {
+    const error = new Error('Session is invalid or has expired');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  req.user = user;
+  setActor(user);
+  next();
+};
+
+/**
+ * Restrict a route to roles holding every given permission
+ * @param {...string} permissions - Permissions required (see config/permissions)
+ * @returns {Function} - Express middleware
+ */
+const authorize = (...permissions) => (req, res, next) => {
+  const allowed = req.user && permissions.every((permission) => hasPermission(req.user.role, permission));
+
+  if (!allowed) {
+    const error = new Error(`Role ${req.user ? req.user.role : 'guest'} is not allowed to perform this action`);
+    error.statusCode = 403;
+    throw error;
+  }
+
+  next();
+};
+
+module.exports = {
+  protect,
+  authorize
+};
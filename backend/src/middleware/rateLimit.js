@@ -0,0 +1,42 @@
+const { rateLimit } = require('express-rate-limit');
+
+const LINK_WINDOW_MINUTES = 15;
+
+// Requests allowed per client address in each window
+const LINK_REQUEST_LIMIT = parseInt(process.env.LINK_RATE_LIMIT, 10) || 30;
+
+/**
+ * Limit requests to routes opened with a link instead of a session, where the
+ * token is the only credential and must not be guessed by trying many of them
+ */
+const linkLimiter = rateLimit({
+  windowMs: LINK_WINDOW_MINUTES * 60 * 1000,
+  limit: LINK_REQUEST_LIMIT,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many requests, please try again later' }
+});
+
+const LOGIN_WINDOW_MINUTES = 15;
+
+// Failed logins allowed per client address and email in each window
+const LOGIN_ATTEMPT_LIMIT = parseInt(process.env.LOGIN_RATE_LIMIT, 10) || 10;
+
+/**
+ * Limit failed login attempts for an account from one address, so passwords
+ * cannot be guessed online. Successful logins do not count.
+ */
+const loginLimiter = rateLimit({
+  windowMs: LOGIN_WINDOW_MINUTES * 60 * 1000,
+  limit: LOGIN_ATTEMPT_LIMIT,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => `${req.ip}|${String((req.body && req.body.email) || '').trim().toLowerCase()}`,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many login attempts, please try again later' }
+});
+
+module.exports = {
+  linkLimiter,
+  loginLimiter
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const multer = require('multer');
+const { getStorage } = require('../storage');
+const { MAX_ATTACHMENT_BYTES, MAX_ATTACHMENT_MB, SIGNATURE_BYTES, detectMimeType } = require('../config/attachments');
+
+// Multer storage engine that streams each file straight into attachment
+// storage, hashing it and reading its signature on the way through
+const attachmentStorage = {
+  _handleFile(req, file, cb) {
+    const storage = getStorage();
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    let head = Buffer.alloc(0);
+
+    const meter = new Transform({
+      transform(chunk, encoding, done) {
+        hash.update(chunk);
+        size += chunk.length;
+        if (head.length < SIGNATURE_BYTES) {
+          head = Buffer.concat([head, chunk]).subarray(0, SIGNATURE_BYTES);
+        }
+        done(null, chunk);
+      }
+    });
+
+    file.stream.pipe(meter);
+
+    storage.write(meter)
+      .then((key) => cb(null, {
+        storage: storage.name,
+        storageKey: key,
+        size,
+        sha256: hash.digest('hex'),
+        detectedType: detectMimeType(head)
+      }))
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    getStorage(file.storage).remove(file.storageKey).then(() => cb(), cb);
+  }
+};
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `File is larger than the ${MAX_ATTACHMENT_MB} MB limit`,
+  LIMIT_FILE_COUNT: 'Upload one file at a time',
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field'
+};
+
+/**
+ * Accept a single multipart file into attachment storage. The stored file is
+ * described in req.file ({ originalname, mimetype, storage, storageKey, size,
+ * sha256, detectedType }) and the other form fields in req.body. If the request
+ * ends in an error, the stored file is removed again.
+ * @param {string} field - Form field holding the file
+ * @returns {Function} - Express middleware
+ */
+const receiveFile = (field) => {
+  const handler = multer({
+    storage: attachmentStorage,
+    // File names sent by browsers are UTF-8 (e.g. "ecografía.pdf")
+    defParamCharset: 'utf8',
+    limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1, fields: 10 }
+  }).single(field);
+
+  return (req, res, next) => handler(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      err.statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      err.message = LIMIT_MESSAGES[err.code] || err.message;
+    }
+
+    if (req.file) {
+      res.on('finish', () => {
+        if (res.statusCode >= 400) {
+          getStorage(req.file.storage).remove(req.file.storageKey).catch((error) => {
+            console.error(`Could not remove rejected upload ${req.file.storageKey}: ${error.message}`);
+          });
+        }
+      });
+    }
+
+    next(err);
+  });
+};
+
+module.exports = {
+  receiveFile
+};
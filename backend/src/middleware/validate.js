@@ -0,0 +1,31 @@
+const { validationResult } = require('express-validator');
+
+/**
+ * Run a set of express-validator chains and stop the request with a 400
+ * response when any of them fails
+ * @param {Array} rules - Validation chains to run
+ * @returns {Function} - Express middleware
+ */
+const validate = (rules) => async (req, res, next) => {
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map((err) => ({
+        field: err.path,
+        message: err.msg,
+        value: err.value
+      }))
+    });
+  }
+
+  next();
+};
+
+module.exports = validate;
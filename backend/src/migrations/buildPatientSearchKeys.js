@@ -0,0 +1,71 @@
+/**
+ * Migration: fill in the search keys of existing patients
+ *
+ * Patient search matches folded name words, sound-alike keys and RUT/phone
+ * digits stored in Patient.searchKeys. New and edited patients get them
+ * automatically; this script computes them for patients saved before that.
+ * It is safe to run more than once.
+ *
+ * Usage: node src/migrations/buildPatientSearchKeys.js [--dry-run]
+ */
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Patient = require('../models/Patient');
+
+// Updates sent to the database per round trip
+const BATCH_SIZE = 1000;
+
+const run = async ({ dryRun }) => {
+  const collection = mongoose.connection.collection('patients');
+  const cursor = collection.find({}, { projection: { firstName: 1, lastName: 1, idNumber: 1, phone: 1 } });
+
+  let batch = [];
+  let updated = 0;
+  const flush = async () => {
+    if (!dryRun && batch.length > 0) {
+      await collection.bulkWrite(batch, { ordered: false });
+    }
+    updated += batch.length;
+    batch = [];
+  };
+
+  for await (const patient of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: patient._id },
+        update: { $set: { searchKeys: Patient.buildSearchKeys(patient) } }
+      }
+    });
+
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  // Make sure the search indexes exist, even where autoIndex is turned off
+  if (!dryRun) {
+    await Patient.createIndexes();
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Built search keys for ${updated} patient(s)`);
+};
+
+if (require.main === module) {
+  dotenv.config();
+
+  const options = {
+    dryRun: process.argv.slice(2).includes('--dry-run')
+  };
+
+  connectDB()
+    .then(() => run(options))
+    .then(() => mongoose.disconnect())
+    .catch((error) => {
+      console.error(`Migration failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
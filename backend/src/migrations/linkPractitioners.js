@@ -0,0 +1,125 @@
+/**
+ * Migration: replace free-text practitioner names with Professional references
+ *
+ * Appointments, clinical records and appointment series used to store the
+ * practitioner as a plain string. This script matches each distinct name to an
+ * existing professional and rewrites the field as an ObjectId. Names that match
+ * no professional, or more than one, are left untouched and written to a report.
+ *
+ * Usage: node src/migrations/linkPractitioners.js [--dry-run] [--report <file>]
+ */
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Professional = require('../models/Professional');
+const { foldText } = require('../utils/text');
+
+// Collections whose documents carry a practitioner field
+const COLLECTIONS = ['appointments', 'clinicalrecords', 'appointmentseries'];
+
+// Courtesy titles commonly typed in front of a name
+const TITLE_PATTERN = /^(dr|dra|klgo|klga|kine|lic|sr|sra|srta)\.?\s+/;
+
+/**
+ * Reduce a name to the form used for matching
+ * @param {string} name - Name as typed
+ * @returns {string}
+ */
+const normalizeName = (name) => foldText(name).replace(/[.,]/g, ' ').replace(/\s+/g, ' ').trim().replace(TITLE_PATTERN, '');
+
+/**
+ * Build lookup tables from professional names to professional IDs
+ * Every professional is indexed under "first last", "last first" and, for
+ * compound names, "first-word last-word"
+ * @param {Object[]} professionals - All professionals
+ * @returns {Map<string, Set<string>>} - Normalized name to matching IDs
+ */
+const buildNameIndex = (professionals) => {
+  const index = new Map();
+  const add = (key, id) => {
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(String(id));
+  };
+
+  for (const prof of professionals) {
+    const first = normalizeName(prof.firstName);
+    const last = normalizeName(prof.lastName);
+    add(`${first} ${last}`, prof._id);
+    add(`${last} ${first}`, prof._id);
+    add(`${first.split(' ')[0]} ${last.split(' ')[0]}`, prof._id);
+  }
+
+  return index;
+};
+
+const run = async ({ dryRun, reportFile }) => {
+  const professionals = await Professional.find({});
+  const nameIndex = buildNameIndex(professionals);
+
+  const report = {
+    runAt: new Date(),
+    dryRun,
+    matched: [],
+    unmatched: []
+  };
+
+  for (const name of COLLECTIONS) {
+    const collection = mongoose.connection.collection(name);
+    const names = await collection.distinct('practitioner', { practitioner: { $type: 'string' } });
+
+    for (const practitioner of names) {
+      const candidates = nameIndex.get(normalizeName(practitioner));
+      const count = await collection.countDocuments({ practitioner });
+
+      if (!candidates || candidates.size !== 1) {
+        report.unmatched.push({
+          collection: name,
+          practitioner,
+          documents: count,
+          reason: candidates ? `Ambiguous: ${candidates.size} professionals match` : 'No matching professional',
+          candidates: candidates ? [...candidates] : []
+        });
+        continue;
+      }
+
+      const [professionalId] = candidates;
+
+      if (!dryRun) {
+        await collection.updateMany(
+          { practitioner },
+          { $set: { practitioner: new mongoose.Types.ObjectId(professionalId) } }
+        );
+      }
+
+      report.matched.push({ collection: name, practitioner, professionalId, documents: count });
+    }
+  }
+
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Linked ${report.matched.length} practitioner name(s)`);
+  console.log(`${report.unmatched.length} name(s) could not be matched; see ${reportFile}`);
+};
+
+if (require.main === module) {
+  dotenv.config();
+
+  const args = process.argv.slice(2);
+  const reportIndex = args.indexOf('--report');
+  const options = {
+    dryRun: args.includes('--dry-run'),
+    reportFile: path.resolve(reportIndex >= 0 ? args[reportIndex + 1] : 'practitioner-migration-report.json')
+  };
+
+  connectDB()
+    .then(() => run(options))
+    .then(() => mongoose.disconnect())
+    .catch((error) => {
+      console.error(`Migration failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { run, normalizeName };
@@ -0,0 +1,120 @@
+/**
+ * Migration: store patient and professional ID numbers in canonical form
+ *
+ * ID numbers used to be saved exactly as typed, so "12.345.678-5", "12345678-5"
+ * and "123456785" could all exist side by side. This script rewrites every valid
+ * RUT as "12345678-5" and sets documentType on records that lack it. Values that
+ * are not a valid RUT and have no document type, and RUTs that collapse onto the
+ * same canonical form (likely duplicates), are left untouched and written to a report.
+ *
+ * Usage: node src/migrations/normalizeIdNumbers.js [--dry-run] [--report <file>]
+ */
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { normalizeIdNumber } = require('../models/plugins/idNumber');
+const { isValidRut } = require('../utils/rut');
+
+// Collections whose documents carry an idNumber field
+const COLLECTIONS = ['patients', 'profesionals'];
+
+/**
+ * Work out the document type and stored form of an existing ID number
+ * @param {Object} doc - Raw document with idNumber and (maybe) documentType
+ * @returns {Object|null} - { documentType, idNumber }, or null when it cannot be decided
+ */
+const canonicalize = (doc) => {
+  const documentType = doc.documentType || (isValidRut(doc.idNumber) ? 'RUT' : null);
+
+  if (!documentType || (documentType === 'RUT' && !isValidRut(doc.idNumber))) {
+    return null;
+  }
+
+  return { documentType, idNumber: normalizeIdNumber(doc.idNumber, documentType) };
+};
+
+const run = async ({ dryRun, reportFile }) => {
+  const report = {
+    runAt: new Date(),
+    dryRun,
+    normalized: [],
+    invalid: [],
+    duplicates: []
+  };
+
+  for (const name of COLLECTIONS) {
+    const collection = mongoose.connection.collection(name);
+    const docs = await collection.find({}, { projection: { idNumber: 1, documentType: 1 } }).toArray();
+
+    // Group documents by the ID number they would end up with
+    const byCanonical = new Map();
+    for (const doc of docs) {
+      const canonical = canonicalize(doc);
+
+      if (!canonical) {
+        report.invalid.push({
+          collection: name,
+          id: doc._id,
+          idNumber: doc.idNumber,
+          reason: doc.documentType ? 'RUT check digit does not match' : 'Not a valid RUT and no document type set'
+        });
+        continue;
+      }
+
+      if (!byCanonical.has(canonical.idNumber)) byCanonical.set(canonical.idNumber, []);
+      byCanonical.get(canonical.idNumber).push({ doc, canonical });
+    }
+
+    for (const [idNumber, entries] of byCanonical) {
+      if (entries.length > 1) {
+        report.duplicates.push({
+          collection: name,
+          idNumber,
+          documents: entries.map(({ doc }) => ({ id: doc._id, idNumber: doc.idNumber }))
+        });
+        continue;
+      }
+
+      const [{ doc, canonical }] = entries;
+      if (doc.idNumber === canonical.idNumber && doc.documentType === canonical.documentType) {
+        continue;
+      }
+
+      if (!dryRun) {
+        await collection.updateOne({ _id: doc._id }, { $set: canonical });
+      }
+
+      report.normalized.push({ collection: name, id: doc._id, from: doc.idNumber, to: canonical.idNumber });
+    }
+  }
+
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Normalized ${report.normalized.length} ID number(s)`);
+  console.log(
+    `${report.invalid.length} invalid and ${report.duplicates.length} duplicated ID number(s) left untouched; see ${reportFile}`
+  );
+};
+
+if (require.main === module) {
+  dotenv.config();
+
+  const args = process.argv.slice(2);
+  const reportIndex = args.indexOf('--report');
+  const options = {
+    dryRun: args.includes('--dry-run'),
+    reportFile: path.resolve(reportIndex >= 0 ? args[reportIndex + 1] : 'id-number-migration-report.json')
+  };
+
+  connectDB()
+    .then(() => run(options))
+    .then(() => mongoose.disconnect())
+    .catch((error) => {
+      console.error(`Migration failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { run, canonicalize };
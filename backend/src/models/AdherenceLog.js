@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+
+// One day of one prescribed home exercise, as reported by the patient or by staff
+const AdherenceLogSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient reference is required']
+  },
+  clinicalRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicalRecord',
+    required: [true, 'Clinical record reference is required']
+  },
+  // Entry of ClinicalRecord.homeExercises the log refers to
+  homeExercise: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Home exercise reference is required']
+  },
+  // Name at the time of logging, so the log still reads well after an amendment
+  exerciseName: {
+    type: String,
+    trim: true
+  },
+  // Local midnight of the day the exercise was (or was not) done
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  completed: {
+    type: Boolean,
+    required: [true, 'Whether the exercise was done is required']
+  },
+  setsCompleted: {
+    type: Number,
+    min: 0
+  },
+  painDuring: {
+    type: Number,
+    min: 0,
+    max: 10
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  source: {
+    type: String,
+    enum: ['Patient', 'Staff'],
+    required: [true, 'Source is required']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Logging the same day again corrects the entry instead of adding another
+AdherenceLogSchema.index({ clinicalRecord: 1, homeExercise: 1, date: 1 }, { unique: true });
+AdherenceLogSchema.index({ patient: 1, date: -1 });
+
+// What patients report about their exercises is part of their health data
+AdherenceLogSchema.plugin(auditPlugin, { resourceType: 'AdherenceLog', patientPath: 'patient' });
+
+module.exports = mongoose.model('AdherenceLog', AdherenceLogSchema);
@@ -1,4 +1,52 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+const { isValidTime, toMinutes, normalizeTime, intervalsOverlap, dayRange } = require('../utils/time');
+
+// Allowed status changes; statuses without outgoing transitions are final
+const STATUS_TRANSITIONS = {
+  Scheduled: ['Confirmed', 'Cancelled', 'No-Show', 'Rescheduled'],
+  Confirmed: ['Completed', 'Cancelled', 'No-Show', 'Rescheduled'],
+  Completed: [],
+  Cancelled: [],
+  'No-Show': [],
+  Rescheduled: []
+};
+
+// Statuses that free the slot again
+const RELEASED_STATUSES = ['Cancelled', 'No-Show', 'Rescheduled'];
+
+// Statuses an appointment may be created with
+const INITIAL_STATUSES = ['Scheduled', 'Confirmed'];
+
+// Statuses in which an appointment booked on a package has used its session
+const PACKAGE_VISIT_STATUSES = ['Completed', 'No-Show'];
+
+const StatusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'confirm', 'check-in', 'complete', 'cancel', 'no-show', 'reschedule'],
+    required: true
+  },
+  changedBy: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const AppointmentSchema = new mongoose.Schema({
   // Reference to Patient
@@ -17,13 +65,23 @@ const AppointmentSchema = new mongoose.Schema({
   startTime: {
     type: String,
     required: [true, 'Start time is required'],
-    trim: true
+    trim: true,
+    set: normalizeTime,
+    validate: {
+      validator: isValidTime,
+      message: 'Start time must be in HH:MM format'
+    }
   },
   
   endTime: {
     type: String,
     required: [true, 'End time is required'],
-    trim: true
+    trim: true,
+    set: normalizeTime,
+    validate: {
+      validator: isValidTime,
+      message: 'End time must be in HH:MM format'
+    }
   },
   
   // Optional reference to an existing clinical record
@@ -74,11 +132,39 @@ const AppointmentSchema = new mongoose.Schema({
     trim: true
   },
   
+  // Lifecycle Information
+  checkedInAt: {
+    type: Date
+  },
+  
+  completedAt: {
+    type: Date
+  },
+  
+  statusHistory: [StatusChangeSchema],
+  
+  // Reschedule chain: the appointment this one replaced and the one that replaced it
+  rescheduledFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  
+  rescheduledTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  
+  // Recurring series this appointment belongs to
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries'
+  },
+  
   // Practitioner Information
   practitioner: {
-    type: String,
-    required: [true, 'Practitioner name is required'],
-    trim: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profesional',
+    required: [true, 'Practitioner is required']
   },
   
   // Room/Resource Allocation
@@ -93,6 +179,13 @@ const AppointmentSchema = new mongoose.Schema({
     default: false
   },
   
+  // Insurance authorization the session is booked against; its details are
+  // copied into insuranceDetails
+  authorization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsuranceAuthorization'
+  },
+  
   insuranceDetails: {
     provider: {
       type: String,
@@ -108,6 +201,19 @@ const AppointmentSchema = new mongoose.Schema({
     }
   },
   
+  // Prepaid package the session is taken from
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PatientPackage'
+  },
+  
+  // Set at booking when the patient buys packages but has no session left for this one
+  noPackageCredit: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Derived from invoices and payments by the billing service; never set by hand
   paymentStatus: {
     type: String,
     enum: ['Pending', 'Paid', 'Partially Paid', 'Insurance Pending', 'Waived'],
@@ -144,48 +250,185 @@ const AppointmentSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Method to check for appointment conflicts
-AppointmentSchema.statics.checkConflict = async function(practitioner, date, startTime, endTime, excludeId = null) {
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-  
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
-  
+// Indexes used by conflict checks and day/week listings
+AppointmentSchema.index({ date: 1, practitioner: 1 });
+AppointmentSchema.index({ date: 1, room: 1 });
+AppointmentSchema.index({ date: 1, patient: 1 });
+AppointmentSchema.index({ series: 1, date: 1 });
+AppointmentSchema.index({ authorization: 1 });
+AppointmentSchema.index({ package: 1, status: 1 });
+
+// Remember the stored status so saves can be checked against the state machine
+AppointmentSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+AppointmentSchema.post('save', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+// Reject status changes that skip the lifecycle actions
+AppointmentSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    if (!INITIAL_STATUSES.includes(this.status)) {
+      this.invalidate('status', `New appointments must be ${INITIAL_STATUSES.join(' or ')}`, this.status);
+    }
+  } else if (this.isModified('status') &&
+      !this.constructor.canTransition(this.$locals.persistedStatus, this.status)) {
+    this.invalidate(
+      'status',
+      `Cannot change status from ${this.$locals.persistedStatus} to ${this.status}`,
+      this.status
+    );
+  }
+  next();
+});
+
+// Ensure the appointment ends after it starts
+AppointmentSchema.pre('validate', function(next) {
+  if (isValidTime(this.startTime) && isValidTime(this.endTime) &&
+      toMinutes(this.endTime) <= toMinutes(this.startTime)) {
+    this.invalidate('endTime', 'End time must be after start time', this.endTime);
+  }
+  next();
+});
+
+/**
+ * Check whether the state machine allows moving between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+AppointmentSchema.statics.canTransition = function(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Check whether a status is final (no further lifecycle actions allowed)
+ * @param {string} status - Status to check
+ * @returns {boolean}
+ */
+AppointmentSchema.statics.isFinalStatus = function(status) {
+  return (STATUS_TRANSITIONS[status] || []).length === 0;
+};
+
+/**
+ * Check whether an appointment in a status has used the session of its package
+ * (a missed one only if the package says so)
+ * @param {string} status - Status to check
+ * @returns {boolean}
+ */
+AppointmentSchema.statics.isPackageVisit = function(status) {
+  return PACKAGE_VISIT_STATUSES.includes(status);
+};
+
+/**
+ * Query filter matching appointments that still occupy their slot
+ * @returns {Object} - Condition for the status field
+ */
+AppointmentSchema.statics.occupyingStatusFilter = function() {
+  return { $nin: RELEASED_STATUSES };
+};
+
+/**
+ * Record a lifecycle action, changing the status when it differs from the current one
+ * @param {string} status - Status after the action
+ * @param {Object} change - Details of the action
+ * @param {string} change.action - Lifecycle action performed
+ * @param {string} change.changedBy - Who performed it
+ * @param {string} [change.reason] - Why it was performed
+ */
+AppointmentSchema.methods.transitionTo = function(status, { action, changedBy, reason }) {
+  const from = this.status;
+
+  if (from !== status && !this.constructor.canTransition(from, status)) {
+    const error = new Error(`Cannot ${action} an appointment with status ${from}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  this.status = status;
+  this.statusHistory.push({ from, to: status, action, changedBy, reason, changedAt: new Date() });
+
+  if (status === 'Cancelled') {
+    this.cancelledAt = new Date();
+    this.cancelledBy = changedBy;
+    this.cancellationReason = reason;
+  }
+};
+
+/**
+ * Find an existing appointment that clashes with the given slot
+ * A clash is any active appointment on the same day whose time interval overlaps
+ * the new one and that shares the practitioner, the room or the patient
+ * @param {Object} slot - Slot to check
+ * @param {string} slot.practitioner - Professional ID of the new appointment
+ * @param {string} [slot.patient] - Patient ID of the new appointment
+ * @param {string} [slot.room] - Room of the new appointment
+ * @param {Date|string} slot.date - Day of the appointment
+ * @param {string} slot.startTime - Start time (HH:MM)
+ * @param {string} slot.endTime - End time (HH:MM)
+ * @param {string} [excludeId] - Appointment to ignore (the one being updated)
+ * @returns {Promise<Object|null>} - { resource, appointment } for the first clash, or null
+ */
+AppointmentSchema.statics.checkConflict = async function(
+  { practitioner, patient, room, date, startTime, endTime },
+  excludeId = null
+) {
+  const newStart = toMinutes(startTime);
+  const newEnd = toMinutes(endTime);
+
+  if (Number.isNaN(newStart) || Number.isNaN(newEnd)) {
+    const error = new Error('Start and end time must be in HH:MM format');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const { start, end } = dayRange(date);
+
+  // Only the resources actually set on the new appointment can clash
+  const resources = [];
+  if (practitioner) resources.push({ practitioner });
+  if (room) resources.push({ room });
+  if (patient) resources.push({ patient });
+
+  if (resources.length === 0) {
+    return null;
+  }
+
   const query = {
-    practitioner,
-    date: { $gte: startOfDay, $lte: endOfDay },
-    status: { $nin: ['Cancelled', 'No-Show'] }
+    date: { $gte: start, $lte: end },
+    status: this.occupyingStatusFilter(),
+    $or: resources
   };
-  
+
   // Exclude the current appointment if updating
   if (excludeId) {
     query._id = { $ne: excludeId };
   }
-  
-  const appointments = await this.find(query);
-  
-  // Convert times to comparable format (assuming HH:MM format)
-  const newStart = startTime;
-  const newEnd = endTime;
-  
-  // Check for conflicts
+
+  const appointments = await this.find(query).sort({ startTime: 1 });
+
   for (const app of appointments) {
-    const existingStart = app.startTime;
-    const existingEnd = app.endTime;
-    
-    // Check if new appointment overlaps with existing appointment
-    if (
-      (newStart >= existingStart && newStart < existingEnd) || // New start time is within existing appointment
-      (newEnd > existingStart && newEnd <= existingEnd) || // New end time is within existing appointment
-      (newStart <= existingStart && newEnd >= existingEnd) // New appointment completely overlaps existing appointment
-    ) {
-      return true; // Conflict found
+    if (!intervalsOverlap(newStart, newEnd, toMinutes(app.startTime), toMinutes(app.endTime))) {
+      continue;
     }
+
+    let resource = 'patient';
+    if (practitioner && String(app.practitioner) === String(practitioner)) {
+      resource = 'practitioner';
+    } else if (room && app.room === room) {
+      resource = 'room';
+    }
+
+    return { resource, appointment: app };
   }
-  
-  return false; // No conflict
+
+  return null; // No conflict
 };
 
+// Every create, update and delete is written to the audit log
+AppointmentSchema.plugin(auditPlugin, { resourceType: 'Appointment', patientPath: 'patient' });
+
 module.exports = mongoose.model('Appointment', AppointmentSchema);
 
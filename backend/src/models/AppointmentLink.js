@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A confirm or cancel link sent to a patient. The signed token only names the
+// link; what it does and whether it was used is kept here, so each works once.
+const AppointmentLinkSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: [true, 'Appointment reference is required']
+  },
+  action: {
+    type: String,
+    enum: ['confirm', 'cancel'],
+    required: [true, 'Link action is required']
+  },
+  // Reminder the link went out in
+  reminder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reminder'
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+AppointmentLinkSchema.index({ appointment: 1 });
+
+module.exports = mongoose.model('AppointmentLink', AppointmentLinkSchema);
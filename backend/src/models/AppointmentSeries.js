@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { isValidTime, normalizeTime } = require('../utils/time');
+
+const AppointmentSeriesSchema = new mongoose.Schema({
+  // Reference to Patient
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient reference is required']
+  },
+  
+  // Treatment plan the series was generated from
+  clinicalRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicalRecord'
+  },
+  
+  // Details copied to every appointment of the series
+  type: {
+    type: String,
+    required: [true, 'Appointment type is required']
+  },
+  
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profesional',
+    required: [true, 'Practitioner is required']
+  },
+  
+  room: {
+    type: String,
+    trim: true
+  },
+  
+  fee: {
+    type: Number,
+    min: 0
+  },
+  
+  // Insurance authorization every session of the series is booked against
+  authorization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsuranceAuthorization'
+  },
+  
+  // Recurrence Pattern
+  daysOfWeek: {
+    type: [Number],
+    validate: {
+      validator: (days) => days.length > 0 && days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6),
+      message: 'Days of week must be numbers between 0 (Sunday) and 6 (Saturday)'
+    }
+  },
+  
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    set: normalizeTime,
+    validate: {
+      validator: isValidTime,
+      message: 'Start time must be in HH:MM format'
+    }
+  },
+  
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    set: normalizeTime,
+    validate: {
+      validator: isValidTime,
+      message: 'End time must be in HH:MM format'
+    }
+  },
+  
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  
+  // Either a number of weeks or a number of sessions bounds the series
+  weeks: {
+    type: Number,
+    min: 1
+  },
+  
+  sessions: {
+    type: Number,
+    min: 1
+  },
+  
+  // Slots that could not be booked when the series was generated
+  conflicts: [
+    {
+      date: {
+        type: Date
+      },
+      resource: {
+        type: String
+      },
+      conflictingAppointment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+      },
+      // Set instead when the slot is held for a waitlisted patient
+      waitlistOffer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WaitlistOffer'
+      }
+    }
+  ],
+  
+  status: {
+    type: String,
+    enum: ['Active', 'Cancelled'],
+    default: 'Active'
+  },
+  
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, 
+{
+  timestamps: true
+});
+
+// A series needs something that tells it when to stop
+AppointmentSeriesSchema.pre('validate', function(next) {
+  if (!this.weeks && !this.sessions) {
+    this.invalidate('weeks', 'Either weeks or sessions is required', this.weeks);
+  }
+  next();
+});
+
+module.exports = mongoose.model('AppointmentSeries', AppointmentSeriesSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+const { ATTACHMENT_MIME_TYPES, ATTACHMENT_CATEGORIES } = require('../config/attachments');
+
+const AttachmentSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient reference is required']
+  },
+  clinicalRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicalRecord',
+    required: [true, 'Clinical record reference is required']
+  },
+  category: {
+    type: String,
+    enum: ATTACHMENT_CATEGORIES,
+    default: 'Other'
+  },
+  // File name as uploaded
+  name: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Type recognised from the file contents, not the one the browser declared
+  mimeType: {
+    type: String,
+    enum: ATTACHMENT_MIME_TYPES,
+    required: [true, 'File type is required']
+  },
+  size: {
+    type: Number,
+    min: 0,
+    required: [true, 'File size is required']
+  },
+  // SHA-256 of the contents, hex encoded
+  sha256: {
+    type: String,
+    match: [/^[a-f0-9]{64}$/, 'Content hash must be a SHA-256 hex digest'],
+    required: [true, 'Content hash is required']
+  },
+  // Backend holding the file and its key there; the key never leaves the API
+  storage: {
+    type: String,
+    required: [true, 'Storage backend is required']
+  },
+  storageKey: {
+    type: String,
+    select: false
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedByName: {
+    type: String,
+    trim: true
+  },
+
+  // Deleted attachments keep this tombstone; only the file itself is removed
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deletedByName: {
+    type: String,
+    trim: true
+  },
+  deletionReason: {
+    type: String,
+    trim: true
+  }
+}, 
+{
+  timestamps: { createdAt: 'uploadedAt', updatedAt: true }
+});
+
+AttachmentSchema.index({ clinicalRecord: 1, uploadedAt: 1 });
+AttachmentSchema.index({ patient: 1, uploadedAt: 1 });
+
+// Every create, update and delete is written to the audit log
+AttachmentSchema.plugin(auditPlugin, { resourceType: 'Attachment', patientPath: 'patient', ignore: ['storageKey'] });
+
+module.exports = mongoose.model('Attachment', AttachmentSchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { getContext } = require('../utils/requestContext');
+
+const AuditLogSchema = new mongoose.Schema({
+  // Who
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorName: {
+    type: String,
+    trim: true
+  },
+  actorRole: {
+    type: String,
+    trim: true
+  },
+  
+  // What
+  action: {
+    type: String,
+    enum: ['read', 'create', 'update', 'delete', 'merge'],
+    required: [true, 'Action is required']
+  },
+  resourceType: {
+    type: String,
+    enum: ['Patient', 'ClinicalRecord', 'Appointment', 'OutcomeMeasure', 'Attachment', 'AdherenceLog', 'Invoice', 'Payment', 'InsuranceAuthorization', 'InsuranceClaim', 'PatientPackage', 'WaitlistEntry'],
+    required: [true, 'Resource type is required']
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Resource ID is required']
+  },
+  // Patient whose chart was touched, so the log can be read per patient
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  changes: [
+    {
+      _id: false,
+      field: {
+        type: String
+      },
+      before: {
+        type: mongoose.Schema.Types.Mixed
+      },
+      after: {
+        type: mongoose.Schema.Types.Mixed
+      }
+    }
+  ],
+  
+  // Where from
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  method: {
+    type: String
+  },
+  path: {
+    type: String
+  }
+}, 
+{
+  timestamps: { createdAt: 'timestamp', updatedAt: false }
+});
+
+AuditLogSchema.index({ patient: 1, timestamp: -1 });
+AuditLogSchema.index({ actor: 1, timestamp: -1 });
+AuditLogSchema.index({ resourceType: 1, resourceId: 1, timestamp: -1 });
+
+// The log is append-only: entries can be written once and never changed or removed
+const rejectChange = function() {
+  const error = new Error('Audit log entries cannot be modified or deleted');
+  error.statusCode = 403;
+  throw error;
+};
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    rejectChange();
+  }
+  next();
+});
+
+AuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectChange
+);
+
+AuditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+/**
+ * Append one or more entries, filling in who and where from the request context
+ * @param {Object|Object[]} entries - { action, resourceType, resourceId, patient, changes }
+ * @returns {Promise<Object[]>} - Stored entries
+ */
+AuditLogSchema.statics.record = function(entries) {
+  const context = getContext() || {};
+  const actor = context.actor || {};
+
+  const docs = [].concat(entries).map((entry) => ({
+    actor: actor._id,
+    actorName: actor.name || 'system',
+    actorRole: actor.role,
+    ip: context.ip,
+    userAgent: context.userAgent,
+    method: context.method,
+    path: context.path,
+    ...entry
+  }));
+
+  return docs.length > 0 ? this.insertMany(docs) : Promise.resolve([]);
+};
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
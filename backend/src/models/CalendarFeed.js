@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Secret subscription link to a professional's appointments. Only a hash of
+// the token is kept, so the link cannot be recovered from the database; a new
+// one replaces it and the old link stops working.
+const CalendarFeedSchema = new mongoose.Schema({
+  professional: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profesional',
+    required: [true, 'Professional reference is required'],
+    unique: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // User who created the current token
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Last time a calendar app fetched the feed
+  lastFetchedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CalendarFeed', CalendarFeedSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Claims of one insurer sent together. Draft batches can still be discarded;
+// a batch closes by itself once every claim in it is paid or rejected.
+const ClaimBatchSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    trim: true,
+    required: [true, 'Provider is required']
+  },
+  // Sessions attended within these days were gathered into the batch
+  periodFrom: {
+    type: Date,
+    required: true
+  },
+  periodTo: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['Draft', 'Submitted', 'Closed'],
+    default: 'Draft'
+  },
+  claimCount: {
+    type: Number,
+    default: 0
+  },
+  totalClaimed: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: {
+    type: Date
+  },
+  submittedBy: {
+    type: String,
+    trim: true
+  },
+  closedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ClaimBatch', ClaimBatchSchema);
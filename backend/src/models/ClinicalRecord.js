@@ -1,4 +1,134 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+const { JOINTS, isJointMovement } = require('../config/normativeRanges');
+const { clinicDate } = require('../utils/time');
+
+// Fields that can still be corrected, through an amendment, once a record is signed
+const AMENDABLE_FIELDS = [
+  'chiefComplaint',
+  'physicalAssessment.bodyPosture',
+  'physicalAssessment.rangeOfMotion',
+  'physicalAssessment.muscleStrength',
+  'physicalAssessment.painAssessment.location',
+  'physicalAssessment.painAssessment.intensity',
+  'physicalAssessment.painAssessment.description',
+  'physicalAssessment.functionalLimitations',
+  'physicalAssessment.measurements',
+  'diagnosis',
+  'treatmentPlan.shortTermGoals',
+  'treatmentPlan.longTermGoals',
+  'treatmentPlan.recommendedTreatments',
+  'treatmentPlan.recommendedFrequency',
+  'treatmentPlan.estimatedDuration',
+  'treatmentProvided',
+  'techniques',
+  'homeExercises',
+  'progressNotes',
+  'painBeforeTreatment',
+  'painAfterTreatment',
+  'functionalImprovements',
+  'nextVisitRecommendation',
+  'notes'
+];
+
+const AmendmentSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: AMENDABLE_FIELDS,
+    required: [true, 'Amended field is required']
+  },
+  // Value of the field before the amendment, kept verbatim
+  previousValue: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  newValue: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  reason: {
+    type: String,
+    required: [true, 'Amendment reason is required'],
+    trim: true
+  },
+  amendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profesional',
+    required: [true, 'Amendment author is required']
+  },
+  amendedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One goniometer or strength reading; compared side to side and across visits
+const MeasurementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Range of Motion', 'Strength'],
+    required: [true, 'Measurement type is required']
+  },
+  joint: {
+    type: String,
+    enum: JOINTS,
+    required: [true, 'Joint is required']
+  },
+  movement: {
+    type: String,
+    required: [true, 'Movement is required'],
+    validate: {
+      validator: function(movement) {
+        return isJointMovement(this.joint, movement);
+      },
+      message: (props) => `${props.value} is not a movement of this joint`
+    }
+  },
+  // Midline for spinal movements without a side, such as flexion
+  side: {
+    type: String,
+    enum: ['Left', 'Right', 'Midline'],
+    required: [true, 'Side is required']
+  },
+  // Range of motion, in degrees
+  activeDegrees: {
+    type: Number,
+    min: -90,
+    max: 360
+  },
+  passiveDegrees: {
+    type: Number,
+    min: -90,
+    max: 360
+  },
+  // Strength, as a manual muscle test grade or a dynamometer reading
+  mmtGrade: {
+    type: Number,
+    min: 0,
+    max: 5
+  },
+  dynamometerKg: {
+    type: Number,
+    min: 0
+  },
+  testName: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+});
+
+// Each reading must carry the value its type is about
+MeasurementSchema.pre('validate', function(next) {
+  if (this.type === 'Range of Motion' && this.activeDegrees == null && this.passiveDegrees == null) {
+    this.invalidate('activeDegrees', 'Range of motion needs active or passive degrees');
+  }
+  if (this.type === 'Strength' && this.mmtGrade == null && this.dynamometerKg == null) {
+    this.invalidate('mmtGrade', 'Strength needs an MMT grade or a dynamometer reading');
+  }
+  next();
+});
 
 const ClinicalRecordSchema = new mongoose.Schema({
   // Reference to Patient
@@ -9,10 +139,11 @@ const ClinicalRecordSchema = new mongoose.Schema({
   },
   
   // Visit Information
+  // A calendar day (midnight UTC), like every date-only field; today at the clinic by default
   visitDate: {
     type: Date,
     required: [true, 'Visit date is required'],
-    default: Date.now
+    default: () => clinicDate()
   },
   
   // Clinical Assessment
@@ -54,7 +185,8 @@ const ClinicalRecordSchema = new mongoose.Schema({
     functionalLimitations: {
       type: String,
       trim: true
-    }
+    },
+    measurements: [MeasurementSchema]
   },
   
   // Diagnosis and Plan
@@ -136,6 +268,25 @@ const ClinicalRecordSchema = new mongoose.Schema({
       },
       reps: {
         type: Number
+      },
+      // Catalog entry and progression level the exercise was prescribed from, if any
+      exercise: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Exercise'
+      },
+      level: {
+        type: Number,
+        min: 1
+      },
+      // Sessions expected per week, against which adherence is measured
+      timesPerWeek: {
+        type: Number,
+        min: 1,
+        max: 21
+      },
+      notes: {
+        type: String,
+        trim: true
       }
     }
   ],
@@ -165,9 +316,9 @@ const ClinicalRecordSchema = new mongoose.Schema({
   
   // Professional Information
   practitioner: {
-    type: String,
-    required: [true, 'Practitioner name is required'],
-    trim: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profesional',
+    required: [true, 'Practitioner is required']
   },
   
   nextVisitRecommendation: {
@@ -175,6 +326,8 @@ const ClinicalRecordSchema = new mongoose.Schema({
   },
   
   // Additional Information
+  // Links recorded before files were uploaded through the API; uploaded
+  // files are Attachment documents
   attachments: [
     {
       name: {
@@ -199,11 +352,109 @@ const ClinicalRecordSchema = new mongoose.Schema({
   notes: {
     type: String,
     trim: true
-  }
+  },
+  
+  // Signing and Amendments
+  status: {
+    type: String,
+    enum: ['Draft', 'Signed'],
+    default: 'Draft'
+  },
+  
+  signedAt: {
+    type: Date
+  },
+  
+  signedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profesional'
+  },
+  
+  amendments: [AmendmentSchema]
 }, 
 {
   timestamps: true
 });
 
+ClinicalRecordSchema.index({ patient: 1, visitDate: 1 });
+
+// Remember whether the stored record is already signed
+ClinicalRecordSchema.post('init', function() {
+  this.$locals.wasSigned = this.status === 'Signed';
+});
+
+ClinicalRecordSchema.post('save', function() {
+  this.$locals.wasSigned = this.status === 'Signed';
+  this.$locals.amending = false;
+});
+
+// A signed record is locked: the only accepted change is an amendment
+ClinicalRecordSchema.pre('validate', function(next) {
+  if (this.$locals.wasSigned && !this.$locals.amending) {
+    const changed = this.modifiedPaths({ includeChildren: false });
+    if (changed.length > 0) {
+      this.invalidate(changed[0], 'Signed records cannot be edited; add an amendment instead');
+    }
+  }
+  next();
+});
+
+/**
+ * Check whether a field can be amended after signing
+ * @param {string} field - Dotted path of the field
+ * @returns {boolean}
+ */
+ClinicalRecordSchema.statics.isAmendable = function(field) {
+  return AMENDABLE_FIELDS.includes(field);
+};
+
+/**
+ * Sign the record, locking it against further edits
+ * @param {string} professionalId - Professional signing the record
+ */
+ClinicalRecordSchema.methods.sign = function(professionalId) {
+  if (this.status === 'Signed') {
+    const error = new Error('Clinical record is already signed');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  this.status = 'Signed';
+  this.signedAt = new Date();
+  this.signedBy = professionalId;
+};
+
+/**
+ * Correct a field of a signed record, keeping the original value in the amendment trail
+ * @param {Object} amendment - Amendment details
+ * @param {string} amendment.field - Dotted path of the field to correct
+ * @param {*} amendment.value - Corrected value
+ * @param {string} amendment.reason - Why the correction is needed
+ * @param {string} amendment.amendedBy - Professional making the correction
+ */
+ClinicalRecordSchema.methods.amend = function({ field, value, reason, amendedBy }) {
+  if (this.status !== 'Signed') {
+    const error = new Error('Draft records are edited directly; only signed records take amendments');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!AMENDABLE_FIELDS.includes(field)) {
+    const error = new Error(`Field ${field} cannot be amended`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const current = this.get(field);
+  const previousValue = current && typeof current.toObject === 'function' ? current.toObject() : current;
+
+  this.$locals.amending = true;
+  this.set(field, value);
+  this.amendments.push({ field, previousValue, newValue: value, reason, amendedBy, amendedAt: new Date() });
+};
+
+// Every create, update and delete is written to the audit log
+ClinicalRecordSchema.plugin(auditPlugin, { resourceType: 'ClinicalRecord', patientPath: 'patient' });
+
 module.exports = mongoose.model('ClinicalRecord', ClinicalRecordSchema);
 
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Named sequences for numbers that must be consecutive, such as invoice folios
+const CounterSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+/**
+ * Take the next number of a sequence. Atomic, so concurrent callers never get the same one.
+ * @param {string} name - Sequence name
+ * @returns {Promise<number>}
+ */
+CounterSchema.statics.next = async function(name) {
+  const counter = await this.findByIdAndUpdate(name, { $inc: { seq: 1 } }, { new: true, upsert: true });
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+const BODY_REGIONS = [
+  'Neck',
+  'Shoulder',
+  'Elbow',
+  'Wrist and Hand',
+  'Thoracic Spine',
+  'Lumbar Spine',
+  'Hip',
+  'Knee',
+  'Ankle and Foot',
+  'Core',
+  'Full Body'
+];
+
+// A harder (or easier) version of the exercise; levels start at 1
+const ProgressionLevelSchema = new mongoose.Schema({
+  level: {
+    type: Number,
+    required: [true, 'Level number is required'],
+    min: [1, 'Levels start at 1']
+  },
+  name: {
+    type: String,
+    required: [true, 'Level name is required'],
+    trim: true
+  },
+  // Replaces the exercise instructions at this level when given
+  instructions: {
+    type: String,
+    trim: true
+  },
+  sets: {
+    type: Number,
+    min: 0
+  },
+  reps: {
+    type: Number,
+    min: 0
+  },
+  frequency: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const ExerciseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Exercise name is required'],
+    trim: true
+  },
+  bodyRegion: {
+    type: String,
+    enum: BODY_REGIONS,
+    required: [true, 'Body region is required']
+  },
+  // Written for the patient: they are printed on the handout as they are
+  instructions: {
+    type: String,
+    required: [true, 'Instructions are required'],
+    trim: true
+  },
+  defaultSets: {
+    type: Number,
+    min: 0
+  },
+  defaultReps: {
+    type: Number,
+    min: 0
+  },
+  defaultFrequency: {
+    type: String,
+    trim: true
+  },
+  // Sessions expected per week, used to measure adherence
+  defaultTimesPerWeek: {
+    type: Number,
+    min: 1,
+    max: 21
+  },
+  progressionLevels: {
+    type: [ProgressionLevelSchema],
+    validate: {
+      validator: (levels) => new Set(levels.map((level) => level.level)).size === levels.length,
+      message: 'Progression levels must have different numbers'
+    }
+  },
+  // Illustration kept in attachment storage; the key never leaves the API
+  image: {
+    storage: String,
+    key: {
+      type: String,
+      select: false
+    },
+    mimeType: String,
+    size: Number
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Names are unique regardless of case and accents ("Puente glúteo" == "puente gluteo")
+ExerciseSchema.index({ name: 1 }, { unique: true, collation: { locale: 'es', strength: 1 } });
+ExerciseSchema.index({ bodyRegion: 1, isActive: 1 });
+
+// Keep levels in order however they were entered
+ExerciseSchema.pre('validate', function(next) {
+  if (this.isModified('progressionLevels')) {
+    this.progressionLevels.sort((a, b) => a.level - b.level);
+  }
+  next();
+});
+
+/**
+ * Prescription values for a level, falling back to the exercise defaults
+ * @param {number} level - Progression level, or none for the base exercise
+ * @returns {Object} - { levelName, instructions, sets, reps, frequency }
+ */
+ExerciseSchema.methods.atLevel = function(level) {
+  const progression = level ? this.progressionLevels.find((candidate) => candidate.level === level) : null;
+
+  if (level && !progression) {
+    const error = new Error(`${this.name} has no progression level ${level}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return {
+    levelName: progression ? progression.name : undefined,
+    instructions: (progression && progression.instructions) || this.instructions,
+    sets: progression && progression.sets !== undefined ? progression.sets : this.defaultSets,
+    reps: progression && progression.reps !== undefined ? progression.reps : this.defaultReps,
+    frequency: (progression && progression.frequency) || this.defaultFrequency
+  };
+};
+
+module.exports = mongoose.model('Exercise', ExerciseSchema);
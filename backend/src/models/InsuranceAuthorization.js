@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+const { dayRange } = require('../utils/time');
+
+// Sessions an insurer agreed to cover for a patient, e.g. "Isapre X authorized
+// 10 kinesiology sessions until June 30". Appointments booked against it use
+// up its sessions.
+const InsuranceAuthorizationSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient reference is required']
+  },
+  insurerType: {
+    type: String,
+    enum: ['Fonasa', 'Isapre', 'Other'],
+    required: [true, 'Insurer type is required']
+  },
+  // Insurer claims are sent to (the Isapre's name; "Fonasa" for Fonasa)
+  provider: {
+    type: String,
+    trim: true,
+    required: [true, 'Provider is required']
+  },
+  policyNumber: {
+    type: String,
+    trim: true
+  },
+  authorizationCode: {
+    type: String,
+    trim: true,
+    required: [true, 'Authorization code is required']
+  },
+  sessionsAuthorized: {
+    type: Number,
+    required: [true, 'Number of authorized sessions is required'],
+    min: [1, 'At least one session must be authorized'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Authorized sessions must be a whole number'
+    }
+  },
+  validFrom: {
+    type: Date,
+    required: [true, 'Start of validity is required']
+  },
+  validUntil: {
+    type: Date,
+    required: [true, 'End of validity is required']
+  },
+  // Amount claimed from the insurer per session, in whole pesos; the
+  // appointment fee is claimed when not set
+  amountPerSession: {
+    type: Number,
+    min: [0, 'Amount cannot be negative']
+  },
+  diagnosis: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Withdrawn authorizations keep their history but take no new bookings
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+InsuranceAuthorizationSchema.index({ provider: 1, authorizationCode: 1 }, { unique: true });
+InsuranceAuthorizationSchema.index({ patient: 1, validUntil: -1 });
+
+InsuranceAuthorizationSchema.pre('validate', function(next) {
+  if (this.insurerType === 'Fonasa' && !this.provider) {
+    this.provider = 'Fonasa';
+  }
+  if (this.validFrom && this.validUntil && this.validUntil < this.validFrom) {
+    this.invalidate('validUntil', 'End of validity must be on or after its start', this.validUntil);
+  }
+  next();
+});
+
+/**
+ * Whether a day falls within the validity of the authorization, both ends included
+ * @param {Date} date - Day to check
+ * @returns {boolean}
+ */
+InsuranceAuthorizationSchema.methods.coversDate = function(date) {
+  return date >= dayRange(this.validFrom).start && date <= dayRange(this.validUntil).end;
+};
+
+// Every create, update and delete is written to the audit log
+InsuranceAuthorizationSchema.plugin(auditPlugin, { resourceType: 'InsuranceAuthorization', patientPath: 'patient' });
+
+module.exports = mongoose.model('InsuranceAuthorization', InsuranceAuthorizationSchema);
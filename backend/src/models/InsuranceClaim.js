@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+
+// Allowed status changes; Paid and Rejected are final. Pending claims move to
+// Submitted with their batch.
+const CLAIM_TRANSITIONS = {
+  Pending: ['Submitted'],
+  Submitted: ['Approved', 'Rejected', 'Paid'],
+  Approved: ['Paid', 'Rejected'],
+  Paid: [],
+  Rejected: []
+};
+
+const ClaimStatusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Reimbursement asked of an insurer for one attended session
+const InsuranceClaimSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClaimBatch',
+    required: true
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  authorization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsuranceAuthorization',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  provider: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  // Day of the session
+  date: {
+    type: Date,
+    required: true
+  },
+  amountClaimed: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: Object.keys(CLAIM_TRANSITIONS),
+    default: 'Pending'
+  },
+  // The insurer's own number for the claim
+  reference: {
+    type: String,
+    trim: true
+  },
+  amountApproved: {
+    type: Number,
+    min: 0
+  },
+  amountPaid: {
+    type: Number,
+    min: 0
+  },
+  paidAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+  // Whether the claim still stands for its session; cleared on rejection so
+  // the session can be claimed again
+  active: {
+    type: Boolean,
+    default: true
+  },
+  statusHistory: [ClaimStatusChangeSchema]
+}, {
+  timestamps: true
+});
+
+InsuranceClaimSchema.index({ batch: 1, date: 1 });
+// A session is claimed by one standing claim at most
+InsuranceClaimSchema.index(
+  { appointment: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+InsuranceClaimSchema.index({ status: 1, provider: 1 });
+
+/**
+ * Check whether a claim may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+InsuranceClaimSchema.statics.canTransition = function(from, to) {
+  return (CLAIM_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Whether a status is final (the claim is settled)
+ * @param {string} status - Status to check
+ * @returns {boolean}
+ */
+InsuranceClaimSchema.statics.isSettled = function(status) {
+  return (CLAIM_TRANSITIONS[status] || []).length === 0;
+};
+
+/**
+ * Move the claim to a new status, recording the change
+ * @param {string} status - Status after the change
+ * @param {Object} change - { changedBy, reason }
+ */
+InsuranceClaimSchema.methods.transitionTo = function(status, { changedBy, reason }) {
+  const from = this.status;
+
+  if (!this.constructor.canTransition(from, status)) {
+    const error = new Error(`Cannot change a claim from ${from} to ${status}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  this.status = status;
+  this.active = status !== 'Rejected';
+  this.statusHistory.push({ from, to: status, changedBy, reason, changedAt: new Date() });
+};
+
+// Every create, update and delete is written to the audit log
+InsuranceClaimSchema.plugin(auditPlugin, { resourceType: 'InsuranceClaim', patientPath: 'patient' });
+
+module.exports = mongoose.model('InsuranceClaim', InsuranceClaimSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+
+// One billed appointment. Amounts are whole pesos.
+const InvoiceItemSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: [true, 'Appointment reference is required']
+  },
+  // Copied from the appointment, so the invoice reads the same if the appointment changes
+  date: {
+    type: Date,
+    required: true
+  },
+  startTime: {
+    type: String,
+    trim: true
+  },
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profesional',
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Amount must be a whole number of pesos'
+    }
+  }
+});
+
+// Invoice (boleta) for one or more appointments of a patient
+const InvoiceSchema = new mongoose.Schema({
+  // Consecutive folio
+  number: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient reference is required']
+  },
+  items: {
+    type: [InvoiceItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'An invoice needs at least one appointment'
+    }
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Payments less refunds; kept in step with Payment by the billing service
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Issued invoices are collected against; void ones no longer count
+  status: {
+    type: String,
+    enum: ['Issued', 'Void'],
+    default: 'Issued'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidedBy: {
+    type: String,
+    trim: true
+  },
+  voidReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+InvoiceSchema.virtual('balance').get(function() {
+  return this.total - this.amountPaid;
+});
+
+InvoiceSchema.pre('validate', function(next) {
+  this.total = this.items.reduce((sum, item) => sum + (item.amount || 0), 0);
+  next();
+});
+
+// An appointment is billed on one issued invoice at most
+InvoiceSchema.index(
+  { 'items.appointment': 1 },
+  { unique: true, partialFilterExpression: { status: 'Issued' } }
+);
+InvoiceSchema.index({ patient: 1, issuedAt: -1 });
+
+// Every create, update and delete is written to the audit log
+InvoiceSchema.plugin(auditPlugin, { resourceType: 'Invoice', patientPath: 'patient' });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
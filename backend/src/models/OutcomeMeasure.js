@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+const { QUESTIONNAIRE_CODES, scoreAnswers } = require('../questionnaires');
+
+const OutcomeMeasureSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient reference is required']
+  },
+  // Session at which the questionnaire was filled in
+  clinicalRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicalRecord'
+  },
+  questionnaire: {
+    type: String,
+    enum: QUESTIONNAIRE_CODES,
+    required: [true, 'Questionnaire is required']
+  },
+  administeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Responses by item ID, on each item's own scale
+  answers: {
+    type: Map,
+    of: Number,
+    required: [true, 'Answers are required']
+  },
+  // Computed from the answers on save; never set by hand
+  score: {
+    total: {
+      type: Number
+    },
+    band: {
+      type: String
+    },
+    subscales: {
+      type: Map,
+      of: Number
+    }
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profesional'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, 
+{
+  timestamps: true
+});
+
+OutcomeMeasureSchema.index({ patient: 1, questionnaire: 1, administeredAt: 1 });
+OutcomeMeasureSchema.index({ clinicalRecord: 1 });
+
+// Score the answers whenever they change
+OutcomeMeasureSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('answers') || this.isModified('questionnaire')) {
+    try {
+      const answers = Object.fromEntries(this.answers || []);
+      this.score = scoreAnswers(this.questionnaire, answers);
+    } catch (error) {
+      this.invalidate('answers', error.message);
+    }
+  }
+  next();
+});
+
+// Questionnaire answers are health data: every change is audited
+OutcomeMeasureSchema.plugin(auditPlugin, { resourceType: 'OutcomeMeasure', patientPath: 'patient' });
+
+module.exports = mongoose.model('OutcomeMeasure', OutcomeMeasureSchema);
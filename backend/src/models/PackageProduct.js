@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Appointment = require('./Appointment');
+
+// A package the clinic sells: a pack of sessions (5, 10, 20...) or a monthly
+// plan, used up by the patient's appointments
+const PackageProductSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Package name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  sessions: {
+    type: Number,
+    required: [true, 'Number of sessions is required'],
+    min: [1, 'A package needs at least one session'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Sessions must be a whole number'
+    }
+  },
+  // Days the sessions can be used for, counted from the sale
+  validityDays: {
+    type: Number,
+    required: [true, 'Validity is required'],
+    min: [1, 'Validity must be at least one day']
+  },
+  // Whole pesos
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  // Appointment types the package pays for; all of them when empty
+  appointmentTypes: [{
+    type: String,
+    enum: Appointment.schema.path('type').enumValues
+  }],
+  // Whether a missed appointment uses up a session like an attended one
+  noShowPolicy: {
+    type: String,
+    enum: ['Deduct', 'Keep'],
+    default: 'Deduct'
+  },
+  // Whether unused sessions may be passed on to another patient
+  transferable: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+PackageProductSchema.index({ name: 1 }, { unique: true, collation: { locale: 'es', strength: 1 } });
+
+module.exports = mongoose.model('PackageProduct', PackageProductSchema);
@@ -1,4 +1,18 @@
 const mongoose = require('mongoose');
+const idNumberPlugin = require('./plugins/idNumber');
+const auditPlugin = require('./plugins/audit');
+const { nameTokens, phoneticKey, digitsOf } = require('../utils/search');
+const { clinicDate } = require('../utils/time');
+
+// Fields the search keys are derived from
+const SEARCH_SOURCE_FIELDS = ['firstName', 'lastName', 'idNumber', 'phone'];
+
+const SearchKeysSchema = new mongoose.Schema({
+  nameTokens: [String],
+  phoneticTokens: [String],
+  idDigits: String,
+  phoneDigits: [String]
+}, { _id: false });
 
 const PatientSchema = new mongoose.Schema({
   // Personal Information
@@ -133,11 +147,29 @@ const PatientSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set when this patient was a duplicate folded into another one
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+
+  // Derived, indexed forms of name, RUT and phone for search; never set by hand
+  searchKeys: {
+    type: SearchKeysSchema,
+    select: false
   }
 }, 
 {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Search keys are internal to the search endpoint
+    transform: (doc, ret) => {
+      delete ret.searchKeys;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -148,15 +180,66 @@ PatientSchema.virtual('fullName').get(function() {
 
 // Virtual for patient's age
 PatientSchema.virtual('age').get(function() {
-  const today = new Date();
+  const today = clinicDate();
   const birthDate = new Date(this.dateOfBirth);
-  let age = today.getFullYear() - birthDate.getFullYear();
-  const m = today.getMonth() - birthDate.getMonth();
-  if (m < 0 || (m === 0 && today.getDate() < birthDate.getDate())) {
+  let age = today.getUTCFullYear() - birthDate.getUTCFullYear();
+  const m = today.getUTCMonth() - birthDate.getUTCMonth();
+  if (m < 0 || (m === 0 && today.getUTCDate() < birthDate.getUTCDate())) {
     age--;
   }
   return age;
 });
 
+// Prefix searches on name words, sound-alike keys, RUT digits and phone digits
+PatientSchema.index({ 'searchKeys.nameTokens': 1, isActive: 1 });
+PatientSchema.index({ 'searchKeys.phoneticTokens': 1, isActive: 1 });
+PatientSchema.index({ 'searchKeys.idDigits': 1 });
+PatientSchema.index({ 'searchKeys.phoneDigits': 1 });
+
+/**
+ * Compute the search keys for a patient
+ * @param {Object} patient - Object with firstName, lastName, idNumber and phone
+ * @returns {Object} - Value for the searchKeys path
+ */
+PatientSchema.statics.buildSearchKeys = function({ firstName, lastName, idNumber, phone }) {
+  const tokens = nameTokens(firstName, lastName);
+  const phoneDigits = digitsOf(phone).replace(/K/g, '');
+
+  return {
+    nameTokens: [...new Set(tokens)],
+    phoneticTokens: [...new Set(tokens.map(phoneticKey))],
+    idDigits: digitsOf(idNumber),
+    // Also index the national number, so "9 1234 5678" finds "+56 9 1234 5678"
+    phoneDigits: [...new Set([phoneDigits, phoneDigits.replace(/^56(?=\d{9}$)/, '')])]
+  };
+};
+
+// RUT validation and a single stored form for ID numbers
+PatientSchema.plugin(idNumberPlugin);
+
+// Runs after the ID number plugin, so keys are built from the normalized RUT
+PatientSchema.pre('validate', function(next) {
+  if (this.isNew || SEARCH_SOURCE_FIELDS.some((field) => this.isModified(field))) {
+    this.searchKeys = this.constructor.buildSearchKeys(this);
+  }
+  next();
+});
+
+// Keep search keys in step with updates that bypass document middleware
+PatientSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...update.$set };
+
+  if (!SEARCH_SOURCE_FIELDS.some((field) => field in changes)) return;
+
+  const current = await this.model.findOne(this.getQuery()).select(SEARCH_SOURCE_FIELDS.join(' ')).lean();
+  if (current) {
+    this.set('searchKeys', this.model.buildSearchKeys({ ...current, ...changes }));
+  }
+});
+
+// Every create, update and delete is written to the audit log
+PatientSchema.plugin(auditPlugin, { resourceType: 'Patient', patientPath: '_id', ignore: ['searchKeys'] });
+
 module.exports = mongoose.model('Patient', PatientSchema);
 
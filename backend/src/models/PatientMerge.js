@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const MovedResourceSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    required: true
+  },
+  ids: [
+    {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  ]
+}, { _id: false });
+
+const PatientMergeSchema = new mongoose.Schema({
+  // Patient that was kept
+  survivor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Surviving patient is required']
+  },
+  // Duplicate that was folded into the survivor and deactivated
+  merged: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Merged patient is required']
+  },
+  // Fields whose value was taken from the duplicate
+  fieldsTaken: [
+    {
+      type: String
+    }
+  ],
+  // Both patients as they were before the merge, so it can be reviewed or undone by hand
+  survivorBefore: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  mergedBefore: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Documents re-pointed from the duplicate to the survivor
+  moved: [MovedResourceSchema],
+  reason: {
+    type: String,
+    trim: true
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  mergedByName: {
+    type: String,
+    trim: true
+  }
+}, 
+{
+  timestamps: { createdAt: 'mergedAt', updatedAt: false }
+});
+
+PatientMergeSchema.index({ survivor: 1, mergedAt: -1 });
+PatientMergeSchema.index({ merged: 1 });
+
+module.exports = mongoose.model('PatientMerge', PatientMergeSchema);
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+const { clinicDate } = require('../utils/time');
+
+// A session used up by an appointment
+const UsageSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['Completed', 'No-Show'],
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Sessions passed on to another patient's package
+const TransferSchema = new mongoose.Schema({
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PatientPackage',
+    required: true
+  },
+  sessions: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  transferredBy: {
+    type: String,
+    trim: true
+  },
+  transferredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A package sold to a patient. The product's terms are copied at the sale, so
+// later changes to the catalog do not alter what the patient bought.
+const PatientPackageSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient reference is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PackageProduct',
+    required: [true, 'Package product is required']
+  },
+  name: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  // Sessions bought (or received), less any transferred away
+  sessionsTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Kept in step with usage by the package service
+  sessionsUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  appointmentTypes: [{
+    type: String
+  }],
+  noShowPolicy: {
+    type: String,
+    enum: ['Deduct', 'Keep'],
+    required: true
+  },
+  transferable: {
+    type: Boolean,
+    default: false
+  },
+  purchasedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Last instant a session can be used
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Sale: whole pesos and how they were paid (none for received transfers)
+  price: {
+    type: Number,
+    min: 0
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['Cash', 'Debit', 'Transfer']
+  },
+  paymentReference: {
+    type: String,
+    trim: true
+  },
+  soldBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Package the sessions came from, when received as a transfer
+  transferredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PatientPackage'
+  },
+  usage: [UsageSchema],
+  transfers: [TransferSchema],
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+PatientPackageSchema.index({ patient: 1, expiresAt: -1 });
+
+PatientPackageSchema.virtual('sessionsRemaining').get(function() {
+  return Math.max(0, this.sessionsTotal - this.sessionsUsed);
+});
+
+// Cancelled, Exhausted (no sessions left), Expired or Active
+PatientPackageSchema.virtual('state').get(function() {
+  if (this.cancelledAt) return 'Cancelled';
+  if (this.sessionsUsed >= this.sessionsTotal) return 'Exhausted';
+  if (this.expiresAt < clinicDate()) return 'Expired';
+  return 'Active';
+});
+
+/**
+ * Whether the package pays for an appointment of this type on this day
+ * @param {Object} appointment - Appointment (or booking data) with type and date
+ * @returns {boolean}
+ */
+PatientPackageSchema.methods.covers = function(appointment) {
+  return !this.cancelledAt &&
+    appointment.date <= this.expiresAt &&
+    (this.appointmentTypes.length === 0 || this.appointmentTypes.includes(appointment.type));
+};
+
+// Every create, update and delete is written to the audit log
+PatientPackageSchema.plugin(auditPlugin, { resourceType: 'PatientPackage', patientPath: 'patient' });
+
+module.exports = mongoose.model('PatientPackage', PatientPackageSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+
+const PAYMENT_METHODS = ['Cash', 'Debit', 'Transfer'];
+
+// Share of a payment that went to one appointment, for the practitioner's cash
+// close; negative for refunds
+const AllocationSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profesional',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Money received for an invoice, or given back. Payments are never edited or
+// deleted: a mistake is corrected with a refund.
+const PaymentSchema = new mongoose.Schema({
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: [true, 'Invoice reference is required']
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient reference is required']
+  },
+  kind: {
+    type: String,
+    enum: ['Payment', 'Refund'],
+    default: 'Payment'
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: [true, 'Payment method is required']
+  },
+  // Whole pesos, always positive; the kind says which way the money went
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Amount must be positive'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Amount must be a whole number of pesos'
+    }
+  },
+  // Transfer or card voucher number
+  reference: {
+    type: String,
+    trim: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  allocations: [AllocationSchema],
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+PaymentSchema.index({ invoice: 1, receivedAt: 1 });
+PaymentSchema.index({ receivedAt: 1 });
+
+// Every create, update and delete is written to the audit log
+PaymentSchema.plugin(auditPlugin, { resourceType: 'Payment', patientPath: 'patient' });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
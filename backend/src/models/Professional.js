@@ -1,4 +1,77 @@
 const mongoose = require('mongoose');
+const idNumberPlugin = require('./plugins/idNumber');
+const { isValidTime, toMinutes, normalizeTime, clinicDate } = require('../utils/time');
+
+// Time of day stored as zero padded HH:MM, with optional extra validators
+const timeOfDay = (label, ...validators) => ({
+  type: String,
+  required: [true, `${label} is required`],
+  set: normalizeTime,
+  validate: [
+    {
+      validator: isValidTime,
+      message: `${label} must be in HH:MM format`
+    },
+    ...validators
+  ]
+});
+
+// Reject ranges whose end is not after their start
+const endAfterStart = {
+  validator: function() {
+    return toMinutes(this.endTime) > toMinutes(this.startTime);
+  },
+  message: 'End time must be after start time'
+};
+
+const BreakSchema = new mongoose.Schema({
+  startTime: timeOfDay('Break start time'),
+  endTime: timeOfDay('Break end time', endAfterStart),
+  label: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const WorkingHoursSchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday
+  dayOfWeek: {
+    type: Number,
+    required: [true, 'Day of week is required'],
+    min: 0,
+    max: 6
+  },
+  startTime: timeOfDay('Start time'),
+  endTime: timeOfDay('End time', endAfterStart),
+  breaks: [BreakSchema]
+}, { _id: false });
+
+const TimeOffSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Vacation', 'Sick Leave', 'Training', 'Personal', 'Other'],
+    default: 'Other'
+  },
+  // Exact instants, so a leave can cover whole days or part of a day
+  startDate: {
+    type: Date,
+    required: [true, 'Time-off start is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Time-off end is required'],
+    validate: {
+      validator: function(value) {
+        return value > this.startDate;
+      },
+      message: 'Time-off end must be after its start'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+});
 
 const ProfessionalSchema = new mongoose.Schema({
   // Personal Information
@@ -40,6 +113,15 @@ const ProfessionalSchema = new mongoose.Schema({
     required: [true, 'Phone number is required'],
     trim: true
   },
+  // Registration number in the national registry of health providers,
+  // printed under the practitioner's signature on reports
+  registrationNumber: {
+    type: String,
+    trim: true
+  },
+  // Schedule
+  workingHours: [WorkingHoursSchema],
+  timeOff: [TimeOffSchema],
   isActive: {
     type: Boolean,
     default: true
@@ -57,14 +139,40 @@ const ProfessionalSchema = new mongoose.Schema({
 
   // Virtual for patient's age
   ProfessionalSchema.virtual('age').get(function() {
-    const today = new Date();
+    const today = clinicDate();
     const birthDate = new Date(this.dateOfBirth);
-    let age = today.getFullYear() - birthDate.getFullYear();
-    const m = today.getMonth() - birthDate.getMonth();
-    if (m < 0 || (m === 0 && today.getDate() < birthDate.getDate())) {
+    let age = today.getUTCFullYear() - birthDate.getUTCFullYear();
+    const m = today.getUTCMonth() - birthDate.getUTCMonth();
+    if (m < 0 || (m === 0 && today.getUTCDate() < birthDate.getUTCDate())) {
       age--;
     }
     return age;
   });
 
+  /**
+   * Load a professional that can take new bookings
+   * @param {string} professionalId - MongoDB ID of the professional
+   * @returns {Promise<Object>} - Professional object
+   */
+  ProfessionalSchema.statics.findBookable = async function(professionalId) {
+    const professional = await this.findById(professionalId);
+
+    if (!professional) {
+      const error = new Error('Professional not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!professional.isActive) {
+      const error = new Error(`${professional.fullName} is inactive and cannot take new bookings`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return professional;
+  };
+
+  // RUT validation and a single stored form for ID numbers
+  ProfessionalSchema.plugin(idNumberPlugin);
+
   module.exports = mongoose.model('Profesional', ProfessionalSchema);
\ No newline at end of file
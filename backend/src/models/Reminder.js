@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const AttemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['Sent', 'Failed'],
+    required: true
+  },
+  error: {
+    type: String
+  },
+  providerMessageId: {
+    type: String
+  }
+}, { _id: false });
+
+// One reminder of one appointment, for one window and one channel
+const ReminderSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: [true, 'Appointment reference is required']
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient reference is required']
+  },
+  // Minutes before the appointment the reminder belongs to
+  window: {
+    type: Number,
+    required: [true, 'Reminder window is required']
+  },
+  channel: {
+    type: String,
+    required: [true, 'Channel is required']
+  },
+  // Email address or phone number the reminder goes to
+  recipient: {
+    type: String,
+    trim: true
+  },
+  // Pending -> Sending -> Sent, or back to Pending for a retry until attempts run out (Failed).
+  // Skipped: the patient cannot be reached on the channel.
+  // Cancelled: the appointment stopped needing a reminder before it went out.
+  status: {
+    type: String,
+    enum: ['Pending', 'Sending', 'Sent', 'Failed', 'Skipped', 'Cancelled'],
+    default: 'Pending'
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  // When a dispatcher took the reminder to send it
+  claimedAt: {
+    type: Date
+  },
+  attempts: [AttemptSchema],
+  sentAt: {
+    type: Date
+  },
+  // Why the reminder was skipped, cancelled or failed
+  reason: {
+    type: String
+  },
+  // What was sent, as the patient received it
+  subject: {
+    type: String
+  },
+  text: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// The unique key is what guarantees a patient never gets the same reminder twice
+ReminderSchema.index({ appointment: 1, window: 1, channel: 1 }, { unique: true });
+ReminderSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('Reminder', ReminderSchema);
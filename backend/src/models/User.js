@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+// Hash (same cost as real ones) compared against when no account matches
+const DUMMY_PASSWORD_HASH = '$2b$12$pJrBtGpVHMOpZ1AHI.0nZOQHgXt0I.9SLKnlb7xmvs6p7uAEfpoHq';
+
+const UserSchema = new mongoose.Schema({
+  // Account Information
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ],
+    trim: true
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'practitioner', 'receptionist', 'billing'],
+    required: [true, 'Role is required']
+  },
+  
+  // Clinical staff accounts are tied to their professional profile
+  professional: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profesional',
+    required: [
+      function() { return this.role === 'practitioner'; },
+      'Practitioner accounts must be linked to a professional'
+    ]
+  },
+  
+  // Session Control
+  // Bumped on logout or password change so every issued token stops working
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  
+  // Status and Admin Fields
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, 
+{
+  timestamps: true,
+  toJSON: {
+    // Never send credentials or session counters to clients
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.tokenVersion;
+      return ret;
+    }
+  }
+});
+
+UserSchema.index({ professional: 1 }, { unique: true, sparse: true });
+
+// Hash the password whenever it is set
+UserSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  this.password = await bcrypt.hash(this.password, 12);
+
+  if (!this.isNew) {
+    this.tokenVersion += 1;
+  }
+  next();
+});
+
+/**
+ * Compare a plain text password with the stored hash
+ * @param {string} candidate - Password to check
+ * @returns {Promise<boolean>}
+ */
+UserSchema.methods.matchPassword = function(candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+/**
+ * Spend as long as matchPassword on a password that matches no account, so a
+ * failed login takes the same time whether or not the email exists
+ * @param {string} candidate - Password to check
+ * @returns {Promise<boolean>} - Always false
+ */
+UserSchema.statics.matchNoPassword = async function(candidate) {
+  await bcrypt.compare(candidate, DUMMY_PASSWORD_HASH);
+  return false;
+};
+
+/**
+ * Issue a signed session token for this user
+ * @returns {string} - JWT
+ */
+UserSchema.methods.getSignedJwtToken = function() {
+  return jwt.sign(
+    { id: this._id, role: this.role, version: this.tokenVersion },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '12h' }
+  );
+};
+
+module.exports = mongoose.model('User', UserSchema);
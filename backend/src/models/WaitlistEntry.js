@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+const Appointment = require('./Appointment');
+const { isValidTime, toMinutes, normalizeTime, dayOfWeek } = require('../utils/time');
+
+// Ranking weight of each urgency, most urgent first when offering a slot
+const URGENCY_RANK = {
+  Urgent: 3,
+  High: 2,
+  Normal: 1
+};
+
+// Time of day stored as zero padded HH:MM, with optional extra validators
+const timeOfDay = (label, ...validators) => ({
+  type: String,
+  required: [true, `${label} is required`],
+  set: normalizeTime,
+  validate: [
+    {
+      validator: isValidTime,
+      message: `${label} must be in HH:MM format`
+    },
+    ...validators
+  ]
+});
+
+// Reject ranges whose end is not after their start
+const endAfterStart = {
+  validator: function() {
+    return toMinutes(this.endTime) > toMinutes(this.startTime);
+  },
+  message: 'End time must be after start time'
+};
+
+// A weekday and hours the patient can come in
+const AvailabilitySchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday
+  dayOfWeek: {
+    type: Number,
+    required: [true, 'Day of week is required'],
+    min: 0,
+    max: 6
+  },
+  startTime: timeOfDay('Start time'),
+  endTime: timeOfDay('End time', endAfterStart)
+}, { _id: false });
+
+// A patient waiting for an earlier appointment
+const WaitlistEntrySchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient reference is required']
+  },
+  // Either a particular professional or anyone of a specialty
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profesional'
+  },
+  especialty: {
+    type: String,
+    trim: true
+  },
+  // Type of appointment booked when a slot is accepted
+  type: {
+    type: String,
+    enum: Appointment.schema.path('type').enumValues,
+    default: 'Treatment Session'
+  },
+  // When the patient can come; any time when empty
+  availability: [AvailabilitySchema],
+  urgency: {
+    type: String,
+    enum: Object.keys(URGENCY_RANK),
+    default: 'Normal'
+  },
+  // The patient stops waiting after this; no slot is offered past it
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  // Waiting -> Offered while a slot is held for the patient -> Booked,
+  // or back to Waiting if they decline or do not answer
+  status: {
+    type: String,
+    enum: ['Waiting', 'Offered', 'Booked', 'Cancelled'],
+    default: 'Waiting'
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+WaitlistEntrySchema.index({ status: 1, expiresAt: 1 });
+WaitlistEntrySchema.index({ patient: 1, status: 1 });
+
+WaitlistEntrySchema.pre('validate', function(next) {
+  if (!this.practitioner && !this.especialty) {
+    this.invalidate('practitioner', 'A preferred professional or a specialty is required');
+  }
+  next();
+});
+
+/**
+ * Whether the patient said they can come at a slot
+ * @param {Object} slot - date, startTime and endTime
+ * @returns {boolean}
+ */
+WaitlistEntrySchema.methods.acceptsTime = function(slot) {
+  if (this.availability.length === 0) return true;
+
+  const start = toMinutes(slot.startTime);
+  const end = toMinutes(slot.endTime);
+  return this.availability.some((window) => window.dayOfWeek === dayOfWeek(slot.date) &&
+    toMinutes(window.startTime) <= start && end <= toMinutes(window.endTime));
+};
+
+WaitlistEntrySchema.statics.URGENCY_RANK = URGENCY_RANK;
+
+// Every create, update and delete is written to the audit log
+WaitlistEntrySchema.plugin(auditPlugin, { resourceType: 'WaitlistEntry', patientPath: 'patient' });
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
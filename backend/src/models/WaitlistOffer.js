@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { dayRange } = require('../utils/time');
+
+// How the offer reached the patient on each channel
+const DeliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    required: true
+  },
+  recipient: {
+    type: String,
+    trim: true
+  },
+  outcome: {
+    type: String,
+    enum: ['Sent', 'Failed', 'Skipped'],
+    required: true
+  },
+  error: {
+    type: String
+  },
+  providerMessageId: {
+    type: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A freed slot held for one waitlisted patient. The slot is offered to one
+// candidate at a time: each offer that is declined or times out leads to a
+// new offer of the same slot to the next candidate.
+const WaitlistOfferSchema = new mongoose.Schema({
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry',
+    required: [true, 'Waitlist entry is required']
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient reference is required']
+  },
+  // Appointment whose cancellation freed the slot; identifies the slot across offers
+  freedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: [true, 'Freed appointment is required']
+  },
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profesional',
+    required: true
+  },
+  room: {
+    type: String,
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  // Position of the candidate in the ranking (1 = first offered)
+  rank: {
+    type: Number,
+    required: true
+  },
+  // Pending while the slot is held; Withdrawn when the slot was taken or the entry dropped
+  status: {
+    type: String,
+    enum: ['Pending', 'Accepted', 'Declined', 'Expired', 'Withdrawn'],
+    default: 'Pending'
+  },
+  // End of the hold
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date
+  },
+  respondedBy: {
+    type: String,
+    trim: true
+  },
+  // Why the offer was withdrawn
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Appointment booked when the offer was accepted
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  deliveries: [DeliverySchema]
+}, {
+  timestamps: true
+});
+
+// At most one candidate holds a slot at a time
+WaitlistOfferSchema.index(
+  { freedBy: 1 },
+  { unique: true, partialFilterExpression: { status: 'Pending' } }
+);
+WaitlistOfferSchema.index({ freedBy: 1, entry: 1 });
+WaitlistOfferSchema.index({ status: 1, expiresAt: 1 });
+WaitlistOfferSchema.index({ practitioner: 1, date: 1, status: 1 });
+
+/**
+ * Find the pending offer holding a slot, if any
+ * @param {Object} slot - practitioner, date, startTime and endTime
+ * @returns {Promise<Object|null>}
+ */
+WaitlistOfferSchema.statics.findHold = function(slot) {
+  const { start, end } = dayRange(slot.date);
+
+  return this.findOne({
+    practitioner: slot.practitioner,
+    date: { $gte: start, $lte: end },
+    status: 'Pending',
+    expiresAt: { $gt: new Date() },
+    startTime: { $lt: slot.endTime },
+    endTime: { $gt: slot.startTime }
+  });
+};
+
+module.exports = mongoose.model('WaitlistOffer', WaitlistOfferSchema);
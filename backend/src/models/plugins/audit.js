@@ -0,0 +1,117 @@
+const AuditLog = require('../AuditLog');
+
+// Bookkeeping fields that never need to appear in a diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const isPlainObject = (value) => value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !value._bsontype &&
+  !Buffer.isBuffer(value);
+
+/**
+ * Flatten a document into dotted paths; arrays are compared as a whole
+ * @param {Object} obj - Plain object
+ * @param {string[]} ignored - Top-level fields to leave out
+ * @param {string} prefix - Path of obj within the document
+ * @param {Object} out - Accumulator
+ * @returns {Object} - { 'address.city': 'Santiago', ... }
+ */
+const flatten = (obj, ignored, prefix = '', out = {}) => {
+  for (const [key, value] of Object.entries(obj || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!prefix && ignored.includes(key)) continue;
+
+    if (isPlainObject(value)) {
+      flatten(value, ignored, path, out);
+    } else {
+      out[path] = value;
+    }
+  }
+  return out;
+};
+
+/**
+ * List the fields that differ between two versions of a document
+ * @param {Object} before - Earlier version (plain object)
+ * @param {Object} after - Later version (plain object)
+ * @param {string[]} ignored - Top-level fields to leave out
+ * @returns {Object[]} - [{ field, before, after }]
+ */
+const diff = (before, after, ignored = IGNORED_FIELDS) => {
+  const flatBefore = flatten(before, ignored);
+  const flatAfter = flatten(after, ignored);
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  return [...fields]
+    .filter((field) => JSON.stringify(flatBefore[field]) !== JSON.stringify(flatAfter[field]))
+    .sort()
+    .map((field) => ({ field, before: flatBefore[field], after: flatAfter[field] }));
+};
+
+const snapshot = (doc) => doc.toObject({ depopulate: true, virtuals: false, getters: false });
+
+/**
+ * Mongoose plugin writing an audit entry for every create, update and delete
+ * @param {Object} schema - Schema to audit
+ * @param {Object} options - Plugin options
+ * @param {string} options.resourceType - Name stored in AuditLog.resourceType
+ * @param {string} options.patientPath - Path holding the patient ID ('_id' for Patient itself)
+ * @param {string[]} options.ignore - Derived top-level fields to keep out of diffs
+ */
+const auditPlugin = (schema, { resourceType, patientPath, ignore = [] }) => {
+  const ignored = [...IGNORED_FIELDS, ...ignore];
+  const entryFor = (doc, action, changes = []) => ({
+    action,
+    resourceType,
+    resourceId: doc._id,
+    patient: patientPath === '_id' ? doc._id : (doc[patientPath] && doc[patientPath]._id) || doc[patientPath],
+    changes
+  });
+
+  schema.post('init', function() {
+    this.$locals.auditBefore = snapshot(this);
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.auditWasNew = this.isNew;
+    next();
+  });
+
+  schema.post('save', async function() {
+    const after = snapshot(this);
+    const wasNew = this.$locals.auditWasNew;
+    const changes = diff(wasNew ? {} : this.$locals.auditBefore, after, ignored);
+    this.$locals.auditBefore = after;
+
+    if (wasNew || changes.length > 0) {
+      await AuditLog.record(entryFor(this, wasNew ? 'create' : 'update', changes));
+    }
+  });
+
+  schema.post('insertMany', async function(docs) {
+    await AuditLog.record(docs.map((doc) => entryFor(doc, 'create', diff({}, snapshot(doc), ignored))));
+  });
+
+  schema.pre('findOneAndUpdate', async function() {
+    this._auditBefore = await this.model.findOne(this.getQuery()).lean();
+  });
+
+  schema.post('findOneAndUpdate', async function() {
+    if (!this._auditBefore) return;
+
+    const after = await this.model.findById(this._auditBefore._id).lean();
+    const changes = diff(this._auditBefore, after, ignored);
+
+    if (changes.length > 0) {
+      await AuditLog.record(entryFor(after, 'update', changes));
+    }
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    await AuditLog.record(entryFor(this, 'delete', diff(snapshot(this), {}, ignored)));
+  });
+};
+
+module.exports = auditPlugin;
@@ -0,0 +1,51 @@
+const { isValidRut, normalizeRut } = require('../../utils/rut');
+
+const DOCUMENT_TYPES = ['RUT', 'Passport', 'Foreign ID'];
+
+/**
+ * Bring an ID number to its stored form
+ * RUTs become "12345678-5"; other documents are trimmed, uppercased and stripped of spaces
+ * @param {string} idNumber - ID number as typed
+ * @param {string} documentType - One of DOCUMENT_TYPES (default: 'RUT')
+ * @returns {string}
+ */
+const normalizeIdNumber = (idNumber, documentType = 'RUT') => {
+  if (typeof idNumber !== 'string') {
+    return idNumber;
+  }
+  return documentType === 'RUT'
+    ? normalizeRut(idNumber.trim())
+    : idNumber.replace(/\s+/g, '').toUpperCase();
+};
+
+/**
+ * Mongoose plugin adding a document type to idNumber, validating RUT check
+ * digits and storing every ID number in a single canonical form
+ * @param {Object} schema - Schema with an idNumber path
+ */
+const idNumberPlugin = (schema) => {
+  schema.add({
+    documentType: {
+      type: String,
+      enum: DOCUMENT_TYPES,
+      default: 'RUT'
+    }
+  });
+
+  schema.pre('validate', function(next) {
+    if (this.isModified('idNumber') || this.isModified('documentType')) {
+      this.idNumber = normalizeIdNumber(this.idNumber, this.documentType);
+
+      if (this.documentType === 'RUT' && this.idNumber && !isValidRut(this.idNumber)) {
+        this.invalidate('idNumber', 'RUT is not valid (check digit does not match)', this.idNumber);
+      }
+    }
+    next();
+  });
+
+  schema.statics.normalizeIdNumber = normalizeIdNumber;
+};
+
+module.exports = idNumberPlugin;
+module.exports.DOCUMENT_TYPES = DOCUMENT_TYPES;
+module.exports.normalizeIdNumber = normalizeIdNumber;
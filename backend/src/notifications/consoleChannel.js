@@ -0,0 +1,43 @@
+const fs = require('fs');
+const { toE164 } = require('../utils/phone');
+
+/**
+ * Development stand-in for a real channel: messages are appended to a file
+ * as JSON lines, or printed when no file is set. Nothing leaves the server.
+ */
+class ConsoleChannel {
+  constructor(outboxPath) {
+    this.name = 'console';
+    this.format = 'email';
+    this.outboxPath = outboxPath;
+  }
+
+  /**
+   * Address a patient is reached at on this channel
+   * @param {Object} patient - Patient with email and phone
+   * @returns {string|null}
+   */
+  recipientFor(patient) {
+    return patient.email || toE164(patient.phone);
+  }
+
+  /**
+   * Deliver a message. Attachments are listed by name only.
+   * @param {Object} message - { to, subject, text, attachments }
+   * @returns {Promise<Object>} - { id }
+   */
+  async send({ to, subject, text, attachments = [] }) {
+    const id = `console-${Date.now()}`;
+    const files = attachments.map((attachment) => attachment.filename);
+
+    if (this.outboxPath) {
+      await fs.promises.appendFile(this.outboxPath, `${JSON.stringify({ id, at: new Date(), to, subject, text, files })}\n`);
+    } else {
+      console.log(`[reminder] To: ${to}\nSubject: ${subject}\n${files.length > 0 ? `Files: ${files.join(', ')}\n` : ''}\n${text}\n`);
+    }
+
+    return { id };
+  }
+}
+
+module.exports = ConsoleChannel;
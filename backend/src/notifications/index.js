@@ -0,0 +1,71 @@
+const ConsoleChannel = require('./consoleChannel');
+const SmtpChannel = require('./smtpChannel');
+const TwilioChannel = require('./twilioChannel');
+
+// Message channels by name. Each creates an object with:
+//   name                 -> channel name stored on each reminder
+//   format               -> 'email' (subject and body) or 'text' (one short message)
+//   recipientFor(patient) -> address or number to send to, or null when the patient has none
+//   send({ to, subject, text, attachments }) -> Promise<{ id }>, rejecting with
+//                           error.permanent = true when retrying cannot help.
+//                           attachments ({ filename, content }) are dropped by
+//                           channels that cannot carry files
+const CHANNELS = {
+  console: () => new ConsoleChannel(process.env.REMINDER_OUTBOX),
+  smtp: () => new SmtpChannel({
+    url: process.env.SMTP_URL,
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM
+  }),
+  sms: () => new TwilioChannel({
+    name: 'sms',
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_SMS_FROM
+  }),
+  whatsapp: () => new TwilioChannel({
+    name: 'whatsapp',
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_WHATSAPP_FROM,
+    whatsapp: true
+  })
+};
+
+const instances = new Map();
+
+/**
+ * Make another message channel available (e.g. a different SMS provider)
+ * @param {string} name - Name used in REMINDER_CHANNELS and stored on each reminder
+ * @param {Function} factory - Returns the channel
+ */
+const registerChannel = (name, factory) => {
+  CHANNELS[name] = factory;
+  instances.delete(name);
+};
+
+/**
+ * Get a message channel
+ * @param {string} name - Channel name
+ * @returns {Object} - Channel
+ */
+const getChannel = (name) => {
+  if (!CHANNELS[name]) {
+    throw new Error(`Unknown message channel: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, CHANNELS[name]());
+  }
+
+  return instances.get(name);
+};
+
+module.exports = {
+  registerChannel,
+  getChannel
+};
@@ -0,0 +1,160 @@
+const { CLINIC, CLINIC_TIMEZONE } = require('../config/clinic');
+const { clinicDate } = require('../utils/time');
+
+// Patients are reached in Spanish; appointment types are named the way the front desk says them
+const APPOINTMENT_TYPES = {
+  'Initial Assessment': 'evaluación inicial',
+  'Follow-up': 'control',
+  'Treatment Session': 'sesión de tratamiento',
+  'Progress Evaluation': 'reevaluación',
+  'Discharge Assessment': 'evaluación de alta',
+  Other: 'atención'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const longDate = new Intl.DateTimeFormat('es-CL', { weekday: 'long', day: 'numeric', month: 'long', timeZone: CLINIC_TIMEZONE });
+
+/**
+ * Say when an appointment is, relative to now when that reads better
+ * ("hoy", "mañana", "el jueves 22 de octubre")
+ * @param {Date} start - Start of the appointment
+ * @param {Date} now - Current time
+ * @returns {string}
+ */
+const whenText = (start, now) => {
+  const days = Math.round((clinicDate(start) - clinicDate(now)) / DAY_MS);
+
+  if (days === 0) return 'hoy';
+  if (days === 1) return 'mañana';
+  return `el ${longDate.format(start)}`;
+};
+
+/**
+ * Values the reminder templates are filled with
+ * @param {Object} details - { patient, practitioner, appointment, start, now, links }
+ * @returns {Object}
+ */
+const reminderValues = ({ patient, practitioner, appointment, start, now, links = {} }) => ({
+  clinic: CLINIC.name,
+  firstName: patient.firstName,
+  type: APPOINTMENT_TYPES[appointment.type] || APPOINTMENT_TYPES.Other,
+  when: whenText(start, now),
+  time: appointment.startTime,
+  practitioner: practitioner ? `${practitioner.firstName} ${practitioner.lastName}` : '',
+  address: CLINIC.address,
+  phone: CLINIC.phone,
+  confirmUrl: links.confirm,
+  cancelUrl: links.cancel
+});
+
+// One template per channel format. Null lines (an optional value that is missing) are dropped.
+const TEMPLATES = {
+  email: {
+    subject: (v) => `Recordatorio: su ${v.type} ${v.when} a las ${v.time}`,
+    text: (v) => [
+      `Hola ${v.firstName}:`,
+      '',
+      `Le recordamos su ${v.type} ${v.when} a las ${v.time}${v.practitioner ? ` con ${v.practitioner}` : ''} en ${v.clinic}.`,
+      v.address ? `Dirección: ${v.address}` : null,
+      '',
+      v.confirmUrl ? `Confirme su asistencia aquí: ${v.confirmUrl}` : null,
+      v.cancelUrl
+        ? `Si no puede asistir, por favor cancele la hora aquí para ofrecerla a otro paciente: ${v.cancelUrl}`
+        : `Si no puede asistir, por favor avísenos con anticipación${v.phone ? ` llamando al ${v.phone}` : ''} para ofrecer la hora a otro paciente.`,
+      '',
+      'Saludos cordiales,',
+      v.clinic
+    ]
+  },
+  text: {
+    text: (v) => [
+      `${v.clinic}: Hola ${v.firstName}, le recordamos su ${v.type} ${v.when} a las ${v.time}` +
+        `${v.practitioner ? ` con ${v.practitioner}` : ''}.` +
+        (v.confirmUrl ? ` Confirme: ${v.confirmUrl}` : '') +
+        (v.cancelUrl ? ` Cancele: ${v.cancelUrl}` : ` Si no puede asistir, avísenos${v.phone ? ` al ${v.phone}` : ''}.`)
+    ]
+  }
+};
+
+/**
+ * Render the reminder of an appointment for a channel format
+ * @param {string} format - 'email' or 'text'
+ * @param {Object} details - { patient, practitioner, appointment, start, now, links }
+ * @param {Object} [details.links] - { confirm, cancel } URLs for the patient to answer with
+ * @returns {Object} - { subject, text }
+ */
+const renderReminder = (format, details) => {
+  const template = TEMPLATES[format];
+  if (!template) {
+    throw new Error(`No reminder template for format ${format}`);
+  }
+
+  const values = reminderValues(details);
+  const lines = template.text(values).filter((line) => line !== null);
+
+  return {
+    subject: template.subject ? template.subject(values) : undefined,
+    text: lines.join('\n')
+  };
+};
+
+// Waitlist offers: a freed slot the patient can take before the hold runs out
+const OFFER_TEMPLATES = {
+  email: {
+    subject: (v) => `Hora disponible ${v.when} a las ${v.time}`,
+    text: (v) => [
+      `Hola ${v.firstName}:`,
+      '',
+      `Se liberó una hora para su ${v.type} ${v.when} a las ${v.time}${v.practitioner ? ` con ${v.practitioner}` : ''} en ${v.clinic}.`,
+      `La reservamos para usted hasta las ${v.holdUntil}.`,
+      '',
+      v.acceptUrl ? `Para tomarla, o para dejarla pasar: ${v.acceptUrl}` : null,
+      v.acceptUrl ? null : `Para tomarla, llámenos${v.phone ? ` al ${v.phone}` : ''} antes de esa hora.`,
+      '',
+      'Saludos cordiales,',
+      v.clinic
+    ]
+  },
+  text: {
+    text: (v) => [
+      `${v.clinic}: Hola ${v.firstName}, se liberó una hora ${v.when} a las ${v.time}` +
+        `${v.practitioner ? ` con ${v.practitioner}` : ''}. La reservamos para usted hasta las ${v.holdUntil}.` +
+        (v.acceptUrl ? ` Respóndanos aquí: ${v.acceptUrl}` : ` Llámenos${v.phone ? ` al ${v.phone}` : ''} para tomarla.`)
+    ]
+  }
+};
+
+const clockTime = new Intl.DateTimeFormat('es-CL', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: CLINIC_TIMEZONE });
+
+/**
+ * Render a waitlist offer for a channel format
+ * @param {string} format - 'email' or 'text'
+ * @param {Object} details - { patient, practitioner, appointment, start, now, holdUntil, url }
+ * @param {Object} details.appointment - The offered slot (type, startTime)
+ * @returns {Object} - { subject, text }
+ */
+const renderWaitlistOffer = (format, details) => {
+  const template = OFFER_TEMPLATES[format];
+  if (!template) {
+    throw new Error(`No waitlist offer template for format ${format}`);
+  }
+
+  const values = {
+    ...reminderValues(details),
+    holdUntil: clockTime.format(details.holdUntil),
+    acceptUrl: details.url
+  };
+  const lines = template.text(values).filter((line) => line !== null);
+
+  return {
+    subject: template.subject ? template.subject(values) : undefined,
+    text: lines.join('\n')
+  };
+};
+
+module.exports = {
+  APPOINTMENT_TYPES,
+  renderReminder,
+  renderWaitlistOffer
+};
@@ -0,0 +1,69 @@
+const { toE164 } = require('../utils/phone');
+
+const API_URL = 'https://api.twilio.com/2010-04-01';
+
+// Network errors raised before the request could reach Twilio. Any other
+// failure (a timeout, a dropped connection) may come after Twilio took the
+// message, so it is not retried: a retry could send it twice.
+const UNSENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * SMS or WhatsApp messages through the Twilio REST API
+ */
+class TwilioChannel {
+  /**
+   * @param {Object} options - Provider account
+   * @param {string} options.name - Channel name ('sms' or 'whatsapp')
+   * @param {string} options.accountSid - Account SID
+   * @param {string} options.authToken - Auth token
+   * @param {string} options.from - Sender number in E.164 form
+   * @param {boolean} options.whatsapp - Send through WhatsApp instead of SMS
+   */
+  constructor({ name, accountSid, authToken, from, whatsapp = false }) {
+    if (!accountSid || !authToken || !from) {
+      throw new Error(`The ${name} channel needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and a sender number`);
+    }
+
+    this.name = name;
+    this.format = 'text';
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+    this.prefix = whatsapp ? 'whatsapp:' : '';
+  }
+
+  recipientFor(patient) {
+    return toE164(patient.phone);
+  }
+
+  async send({ to, text }) {
+    let response;
+    try {
+      response = await fetch(`${API_URL}/Accounts/${this.accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ From: `${this.prefix}${this.from}`, To: `${this.prefix}${to}`, Body: text }),
+        signal: AbortSignal.timeout(15000)
+      });
+    } catch (error) {
+      error.permanent = !UNSENT_CODES.includes(error.cause && error.cause.code);
+      throw error;
+    }
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(`Twilio ${response.status}: ${result.message || response.statusText}`);
+      // Invalid or unreachable numbers are rejected with 4xx; only throttling is worth retrying
+      error.permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+      throw error;
+    }
+
+    return { id: result.sid };
+  }
+}
+
+module.exports = TwilioChannel;
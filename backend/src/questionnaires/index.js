@@ -0,0 +1,102 @@
+const odi = require('./odi');
+const ndi = require('./ndi');
+const lefs = require('./lefs');
+const quickdash = require('./quickdash');
+const koos = require('./koos');
+const visaa = require('./visaa');
+
+// Every questionnaire the clinic can administer, by code
+const QUESTIONNAIRES = Object.fromEntries(
+  [odi, ndi, lefs, quickdash, koos, visaa].map((questionnaire) => [questionnaire.code, questionnaire])
+);
+
+const QUESTIONNAIRE_CODES = Object.keys(QUESTIONNAIRES);
+
+/**
+ * Look up a questionnaire definition
+ * @param {string} code - Questionnaire code ('ODI', 'KOOS', ...)
+ * @returns {Object|undefined}
+ */
+const getQuestionnaire = (code) => QUESTIONNAIRES[code];
+
+/**
+ * Public description of a questionnaire, without its scoring function
+ * @param {Object} questionnaire - Questionnaire definition
+ * @returns {Object}
+ */
+const describe = ({ score, ...questionnaire }) => questionnaire;
+
+/**
+ * Interpretation band a score falls into
+ * @param {Object} questionnaire - Questionnaire definition
+ * @param {number|null} value - Score
+ * @returns {string|null} - Band label, or null when the questionnaire has no bands
+ */
+const interpret = (questionnaire, value) => {
+  if (value === null || value === undefined) return null;
+  const band = questionnaire.bands.find((candidate) => value <= candidate.max);
+  return band ? band.label : null;
+};
+
+/**
+ * List the problems with a set of answers
+ * @param {Object} questionnaire - Questionnaire definition
+ * @param {Object} answers - Responses by item ID
+ * @returns {string[]} - Empty when the answers are acceptable
+ */
+const checkAnswers = (questionnaire, answers) => {
+  const items = new Map(questionnaire.items.map((item) => [item.id, item]));
+  const problems = [];
+
+  for (const [id, value] of Object.entries(answers)) {
+    const item = items.get(id);
+    if (!item) {
+      problems.push(`${id} is not an item of ${questionnaire.code}`);
+    } else if (value !== null && (!Number.isInteger(value) || value < item.min || value > item.max)) {
+      problems.push(`${id} must be a whole number from ${item.min} to ${item.max}`);
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Score a completed questionnaire
+ * @param {string} code - Questionnaire code
+ * @param {Object} answers - Responses by item ID
+ * @returns {Object} - { total, band, subscales }
+ */
+const scoreAnswers = (code, answers) => {
+  const questionnaire = getQuestionnaire(code);
+  if (!questionnaire) {
+    const error = new Error(`Unknown questionnaire: ${code}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const problems = checkAnswers(questionnaire, answers);
+  if (problems.length > 0) {
+    const error = new Error(`Invalid answers for ${code}: ${problems.join('; ')}`);
+    error.statusCode = 400;
+    error.details = problems;
+    throw error;
+  }
+
+  const { total, subscales = {} } = questionnaire.score(answers);
+  if (total === null && Object.values(subscales).every((value) => value === null)) {
+    const error = new Error(`Too many unanswered items to score ${code}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { total, band: interpret(questionnaire, total), subscales };
+};
+
+module.exports = {
+  QUESTIONNAIRES,
+  QUESTIONNAIRE_CODES,
+  getQuestionnaire,
+  describe,
+  interpret,
+  scoreAnswers
+};
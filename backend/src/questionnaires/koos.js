@@ -0,0 +1,100 @@
+const { scaleItems, koosScore, round } = require('./scoring');
+
+const symptoms = scaleItems([
+  ['S1', 'Swelling in the knee'],
+  ['S2', 'Grinding, clicking or noise when the knee moves'],
+  ['S3', 'Knee catching or hanging up'],
+  ['S4', 'Straightening the knee fully'],
+  ['S5', 'Bending the knee fully'],
+  ['S6', 'Stiffness after first wakening in the morning'],
+  ['S7', 'Stiffness after sitting, lying or resting later in the day']
+], 0, 4);
+
+const pain = scaleItems([
+  ['P1', 'How often knee pain is felt'],
+  ['P2', 'Twisting or pivoting on the knee'],
+  ['P3', 'Straightening the knee fully'],
+  ['P4', 'Bending the knee fully'],
+  ['P5', 'Walking on a flat surface'],
+  ['P6', 'Going up or down stairs'],
+  ['P7', 'At night while in bed'],
+  ['P8', 'Sitting or lying'],
+  ['P9', 'Standing upright']
+], 0, 4);
+
+const adl = scaleItems([
+  ['A1', 'Descending stairs'],
+  ['A2', 'Ascending stairs'],
+  ['A3', 'Rising from sitting'],
+  ['A4', 'Standing'],
+  ['A5', 'Bending to the floor or picking up an object'],
+  ['A6', 'Walking on a flat surface'],
+  ['A7', 'Getting in or out of a car'],
+  ['A8', 'Going shopping'],
+  ['A9', 'Putting on socks or stockings'],
+  ['A10', 'Rising from bed'],
+  ['A11', 'Taking off socks or stockings'],
+  ['A12', 'Lying in bed'],
+  ['A13', 'Getting in or out of the bath'],
+  ['A14', 'Sitting'],
+  ['A15', 'Getting on or off the toilet'],
+  ['A16', 'Heavy domestic duties'],
+  ['A17', 'Light domestic duties']
+], 0, 4);
+
+const sport = scaleItems([
+  ['SP1', 'Squatting'],
+  ['SP2', 'Running'],
+  ['SP3', 'Jumping'],
+  ['SP4', 'Twisting or pivoting on the injured knee'],
+  ['SP5', 'Kneeling']
+], 0, 4);
+
+const qol = scaleItems([
+  ['Q1', 'How often you are aware of your knee problem'],
+  ['Q2', 'Lifestyle modified to avoid activities that might damage the knee'],
+  ['Q3', 'Troubled by lack of confidence in the knee'],
+  ['Q4', 'Overall difficulty with the knee']
+], 0, 4);
+
+const SUBSCALES = [
+  { code: 'pain', name: 'Pain', items: pain },
+  { code: 'symptoms', name: 'Symptoms', items: symptoms },
+  { code: 'adl', name: 'Activities of daily living', items: adl },
+  { code: 'sport', name: 'Sport and recreation', items: sport },
+  { code: 'qol', name: 'Knee-related quality of life', items: qol }
+];
+
+// KOOS4 leaves out daily living, which changes little in younger, active patients
+const KOOS4 = ['pain', 'symptoms', 'sport', 'qol'];
+
+/**
+ * Knee injury and Osteoarthritis Outcome Score
+ * Five subscales of items answered 0 (no problems) to 4 (extreme problems),
+ * each transformed to 0-100 where 100 means no problems. A subscale needs at
+ * least half its items answered. The total is the KOOS4 mean.
+ */
+module.exports = {
+  code: 'KOOS',
+  name: 'Knee injury and Osteoarthritis Outcome Score',
+  bodyRegion: 'Knee',
+  higherIsBetter: true,
+  range: { min: 0, max: 100 },
+  unit: 'points',
+  mcid: 8,
+  items: SUBSCALES.flatMap((subscale) => subscale.items),
+  subscales: SUBSCALES.map(({ code, name, items }) => ({ code, name, items: items.map((item) => item.id) })),
+  // KOOS is read as a subscale profile; it has no severity bands
+  bands: [],
+  score: (answers) => {
+    const subscales = Object.fromEntries(SUBSCALES.map(({ code, items }) => [code, koosScore(answers, items)]));
+    const koos4 = KOOS4.map((code) => subscales[code]);
+
+    return {
+      total: koos4.every((value) => value !== null)
+        ? round(koos4.reduce((sum, value) => sum + value, 0) / koos4.length)
+        : null,
+      subscales
+    };
+  }
+};
@@ -0,0 +1,49 @@
+const { scaleItems, scaledSum } = require('./scoring');
+
+const items = scaleItems([
+  ['usualWork', 'Usual work, housework or school activities'],
+  ['usualHobbies', 'Usual hobbies, recreational or sporting activities'],
+  ['bath', 'Getting into or out of the bath'],
+  ['walkingRooms', 'Walking between rooms'],
+  ['shoesSocks', 'Putting on shoes or socks'],
+  ['squatting', 'Squatting'],
+  ['liftingFloor', 'Lifting an object, like a bag of groceries, from the floor'],
+  ['lightActivities', 'Performing light activities around the home'],
+  ['heavyActivities', 'Performing heavy activities around the home'],
+  ['car', 'Getting into or out of a car'],
+  ['walking2Blocks', 'Walking 2 blocks'],
+  ['walkingMile', 'Walking a mile'],
+  ['stairs', 'Going up or down 10 stairs'],
+  ['standingHour', 'Standing for 1 hour'],
+  ['sittingHour', 'Sitting for 1 hour'],
+  ['runningEven', 'Running on even ground'],
+  ['runningUneven', 'Running on uneven ground'],
+  ['sharpTurns', 'Making sharp turns while running fast'],
+  ['hopping', 'Hopping'],
+  ['rollingOver', 'Rolling over in bed']
+], 0, 4);
+
+/**
+ * Lower Extremity Functional Scale
+ * Twenty activities scored 0 (extreme difficulty) to 4 (no difficulty); the
+ * total is out of 80 and every item must be answered.
+ */
+module.exports = {
+  code: 'LEFS',
+  name: 'Lower Extremity Functional Scale',
+  bodyRegion: 'Lower limb',
+  higherIsBetter: true,
+  range: { min: 0, max: 80 },
+  unit: 'points',
+  mcid: 9,
+  items,
+  // No published cut-offs; working bands by share of full function
+  bands: [
+    { max: 19, label: 'Extreme limitation' },
+    { max: 39, label: 'Severe limitation' },
+    { max: 59, label: 'Moderate limitation' },
+    { max: 79, label: 'Mild limitation' },
+    { max: 80, label: 'No limitation' }
+  ],
+  score: (answers) => ({ total: scaledSum(answers, items, { scale: 80 }) })
+};
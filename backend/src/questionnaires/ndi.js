@@ -0,0 +1,39 @@
+const { scaleItems, scaledSum } = require('./scoring');
+
+const items = scaleItems([
+  ['painIntensity', 'Pain intensity'],
+  ['personalCare', 'Personal care (washing, dressing)'],
+  ['lifting', 'Lifting'],
+  ['reading', 'Reading'],
+  ['headaches', 'Headaches'],
+  ['concentration', 'Concentration'],
+  ['work', 'Work'],
+  ['driving', 'Driving'],
+  ['sleeping', 'Sleeping'],
+  ['recreation', 'Recreation']
+], 0, 5);
+
+/**
+ * Neck Disability Index
+ * Ten sections scored 0-5 for a raw total out of 50. One skipped section is
+ * allowed and the total is prorated.
+ */
+module.exports = {
+  code: 'NDI',
+  name: 'Neck Disability Index',
+  bodyRegion: 'Cervical spine',
+  higherIsBetter: false,
+  range: { min: 0, max: 50 },
+  unit: 'points',
+  mcid: 7.5,
+  items,
+  // Vernon & Mior (1991)
+  bands: [
+    { max: 4, label: 'No disability' },
+    { max: 14, label: 'Mild disability' },
+    { max: 24, label: 'Moderate disability' },
+    { max: 34, label: 'Severe disability' },
+    { max: 50, label: 'Complete disability' }
+  ],
+  score: (answers) => ({ total: scaledSum(answers, items, { scale: 50, maxMissing: 1 }) })
+};
@@ -0,0 +1,39 @@
+const { scaleItems, scaledSum } = require('./scoring');
+
+const items = scaleItems([
+  ['painIntensity', 'Pain intensity'],
+  ['personalCare', 'Personal care (washing, dressing)'],
+  ['lifting', 'Lifting'],
+  ['walking', 'Walking'],
+  ['sitting', 'Sitting'],
+  ['standing', 'Standing'],
+  ['sleeping', 'Sleeping'],
+  ['sexLife', 'Sex life'],
+  ['socialLife', 'Social life'],
+  ['travelling', 'Travelling']
+], 0, 5);
+
+/**
+ * Oswestry Disability Index (version 2.1a)
+ * Ten sections scored 0-5; the result is a percentage. One skipped section
+ * (usually sex life) is allowed and the score is prorated.
+ */
+module.exports = {
+  code: 'ODI',
+  name: 'Oswestry Disability Index',
+  bodyRegion: 'Lumbar spine',
+  higherIsBetter: false,
+  range: { min: 0, max: 100 },
+  unit: '%',
+  mcid: 10,
+  items,
+  // Fairbank & Pynsent (2000)
+  bands: [
+    { max: 20, label: 'Minimal disability' },
+    { max: 40, label: 'Moderate disability' },
+    { max: 60, label: 'Severe disability' },
+    { max: 80, label: 'Crippling back pain' },
+    { max: 100, label: 'Bed-bound or symptom magnification' }
+  ],
+  score: (answers) => ({ total: scaledSum(answers, items, { scale: 100, maxMissing: 1 }) })
+};
@@ -0,0 +1,75 @@
+const { scaleItems, dashScore } = require('./scoring');
+
+const items = scaleItems([
+  ['tightJar', 'Open a tight or new jar'],
+  ['heavyChores', 'Do heavy household chores'],
+  ['carryBag', 'Carry a shopping bag or briefcase'],
+  ['washBack', 'Wash your back'],
+  ['knife', 'Use a knife to cut food'],
+  ['forcefulRecreation', 'Recreational activities with force or impact through the arm, shoulder or hand'],
+  ['socialActivities', 'Interference with normal social activities'],
+  ['workLimitation', 'Limitation in work or other regular daily activities'],
+  ['pain', 'Arm, shoulder or hand pain'],
+  ['tingling', 'Tingling (pins and needles) in the arm, shoulder or hand'],
+  ['sleep', 'Difficulty sleeping because of pain']
+], 1, 5);
+
+const workItems = scaleItems([
+  ['workTechnique', 'Using your usual technique for your work'],
+  ['workPain', 'Doing your usual work because of pain'],
+  ['workWell', 'Doing your work as well as you would like'],
+  ['workTime', 'Spending your usual amount of time doing your work']
+], 1, 5);
+
+const sportsItems = scaleItems([
+  ['sportsTechnique', 'Using your usual technique for playing your instrument or sport'],
+  ['sportsPain', 'Playing your instrument or sport because of pain'],
+  ['sportsWell', 'Playing your instrument or sport as well as you would like'],
+  ['sportsTime', 'Spending your usual amount of time practising or playing']
+], 1, 5);
+
+/**
+ * Score an optional module only when the patient filled it in
+ * @param {Object} answers - Responses by item ID
+ * @param {Object[]} moduleItems - Items of the module
+ * @returns {number|null}
+ */
+const optionalModule = (answers, moduleItems) => (
+  moduleItems.some((item) => answers[item.id] !== undefined && answers[item.id] !== null)
+    ? dashScore(answers, moduleItems)
+    : null
+);
+
+/**
+ * QuickDASH (Disabilities of the Arm, Shoulder and Hand, short form)
+ * Eleven items scored 1-5; at least ten must be answered. The optional work
+ * and sports/performing arts modules are scored separately, all four items each.
+ */
+module.exports = {
+  code: 'QUICKDASH',
+  name: 'QuickDASH',
+  bodyRegion: 'Upper limb',
+  higherIsBetter: false,
+  range: { min: 0, max: 100 },
+  unit: 'points',
+  mcid: 8,
+  items: [...items, ...workItems, ...sportsItems],
+  subscales: [
+    { code: 'work', name: 'Work module', items: workItems.map((item) => item.id) },
+    { code: 'sports', name: 'Sports/performing arts module', items: sportsItems.map((item) => item.id) }
+  ],
+  // No published cut-offs; working bands used in clinic
+  bands: [
+    { max: 15, label: 'No or minimal disability' },
+    { max: 40, label: 'Mild disability' },
+    { max: 70, label: 'Moderate disability' },
+    { max: 100, label: 'Severe disability' }
+  ],
+  score: (answers) => ({
+    total: dashScore(answers, items, 1),
+    subscales: {
+      work: optionalModule(answers, workItems),
+      sports: optionalModule(answers, sportsItems)
+    }
+  })
+};
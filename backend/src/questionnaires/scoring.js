@@ -0,0 +1,72 @@
+/**
+ * Scoring helpers shared by the questionnaire definitions
+ * Answers are plain objects keyed by item ID; unanswered items are missing or null
+ */
+
+/**
+ * Build item definitions that share one response scale
+ * @param {Array<[string, string]>} entries - [id, label] pairs
+ * @param {number} min - Lowest response
+ * @param {number} max - Highest response
+ * @returns {Object[]} - [{ id, label, min, max }]
+ */
+const scaleItems = (entries, min, max) => entries.map(([id, label]) => ({ id, label, min, max }));
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const answeredItems = (answers, items) => items.filter((item) => answers[item.id] !== undefined && answers[item.id] !== null);
+
+/**
+ * Sum of responses rescaled to `scale`, prorating for skipped items
+ * (ODI: sum / (5 x answered) x 100)
+ * @param {Object} answers - Responses by item ID
+ * @param {Object[]} items - Items making up the score
+ * @param {Object} options - { scale, maxMissing }
+ * @returns {number|null} - Score, or null when too many items were skipped
+ */
+const scaledSum = (answers, items, { scale, maxMissing = 0 }) => {
+  const answered = answeredItems(answers, items);
+  if (answered.length === 0 || items.length - answered.length > maxMissing) return null;
+
+  const sum = answered.reduce((total, item) => total + answers[item.id] - item.min, 0);
+  const max = answered.reduce((total, item) => total + item.max - item.min, 0);
+  return round((sum / max) * scale);
+};
+
+/**
+ * DASH-style score: (mean response - 1) x 25, from 0 (no disability) to 100
+ * @param {Object} answers - Responses by item ID
+ * @param {Object[]} items - Items on a 1-5 scale
+ * @param {number} maxMissing - Items that may be skipped
+ * @returns {number|null} - Score, or null when too many items were skipped
+ */
+const dashScore = (answers, items, maxMissing = 0) => {
+  const answered = answeredItems(answers, items);
+  if (answered.length === 0 || items.length - answered.length > maxMissing) return null;
+
+  const mean = answered.reduce((total, item) => total + answers[item.id], 0) / answered.length;
+  return round((mean - 1) * 25);
+};
+
+/**
+ * KOOS-style score: 100 - mean x 25, from 0 (extreme problems) to 100 (none);
+ * computed only when at least half of the items were answered
+ * @param {Object} answers - Responses by item ID
+ * @param {Object[]} items - Items on a 0-4 scale, 0 meaning no problems
+ * @returns {number|null} - Score, or null when too many items were skipped
+ */
+const koosScore = (answers, items) => {
+  const answered = answeredItems(answers, items);
+  if (answered.length === 0 || answered.length < items.length / 2) return null;
+
+  const mean = answered.reduce((total, item) => total + answers[item.id], 0) / answered.length;
+  return round(100 - mean * 25);
+};
+
+module.exports = {
+  scaleItems,
+  round,
+  scaledSum,
+  dashScore,
+  koosScore
+};
@@ -0,0 +1,39 @@
+const { scaleItems, scaledSum } = require('./scoring');
+
+const items = [
+  ...scaleItems([
+    ['morningStiffness', 'Minutes of Achilles stiffness on first getting up'],
+    ['stretchPain', 'Pain when stretching the Achilles tendon fully'],
+    ['walkingPain', 'Pain after walking on flat ground for 30 minutes'],
+    ['stairsPain', 'Pain walking downstairs with a normal gait cycle'],
+    ['heelRaisePain', 'Pain during or immediately after 10 single-leg heel raises'],
+    ['hopsPain', 'Number of single-leg hops without pain'],
+    ['sportActivity', 'Current level of sport or other physical activity']
+  ], 0, 10),
+  // Question 8 is answered in one of three branches (A: 0-30, B: 0-20, C: 0-10)
+  { id: 'loadingActivity', label: 'Duration of Achilles-loading sport or activity', min: 0, max: 30 }
+];
+
+/**
+ * Victorian Institute of Sport Assessment - Achilles
+ * Seven items scored 0-10 and one scored 0-30, all required; the total is out
+ * of 100 where 100 is an asymptomatic, fully active tendon.
+ */
+module.exports = {
+  code: 'VISA-A',
+  name: 'VISA-A (Achilles tendinopathy)',
+  bodyRegion: 'Achilles tendon',
+  higherIsBetter: true,
+  range: { min: 0, max: 100 },
+  unit: 'points',
+  mcid: 6.5,
+  items,
+  // No published cut-offs; working bands used in clinic
+  bands: [
+    { max: 49, label: 'Severe symptoms' },
+    { max: 69, label: 'Moderate symptoms' },
+    { max: 89, label: 'Mild symptoms' },
+    { max: 100, label: 'Minimal or no symptoms' }
+  ],
+  score: (answers) => ({ total: scaledSum(answers, items, { scale: 100 }) })
+};
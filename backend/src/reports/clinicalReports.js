@@ -0,0 +1,345 @@
+const {
+  formatDate,
+  fullName,
+  createReport,
+  section,
+  field,
+  bullets,
+  note,
+  table,
+  painChart,
+  signatureBlock,
+  finishReport
+} = require('./pdf');
+const { clinicDate } = require('../utils/time');
+
+// Reports are handed to patients, insurers and referring doctors in Chile,
+// so their wording is Spanish
+const CHANGE_LABELS = {
+  improved: 'mejoría clínicamente importante',
+  worsened: 'empeoramiento clínicamente importante',
+  'no important change': 'sin cambio clínicamente importante'
+};
+
+const orDash = (value) => (value === undefined || value === null || value === '' ? '—' : String(value));
+
+const signed = (value) => (value > 0 ? `+${value}` : String(value));
+
+const hasPlan = (plan) => Boolean(plan) && (
+  ['shortTermGoals', 'longTermGoals', 'recommendedTreatments'].some((list) => plan[list] && plan[list].length > 0) ||
+  Boolean(plan.recommendedFrequency || plan.estimatedDuration)
+);
+
+/**
+ * Treatment plan goals and recommendations
+ * @param {Object} doc - PDF document
+ * @param {Object} plan - treatmentPlan of a clinical record
+ */
+const treatmentPlanSection = (doc, plan) => {
+  if (!hasPlan(plan)) return;
+
+  section(doc, 'Objetivos y plan de tratamiento');
+  bullets(doc, 'Objetivos a corto plazo', plan.shortTermGoals);
+  bullets(doc, 'Objetivos a largo plazo', plan.longTermGoals);
+  bullets(doc, 'Tratamientos indicados', plan.recommendedTreatments);
+  field(doc, 'Frecuencia', plan.recommendedFrequency);
+  field(doc, 'Duración estimada', plan.estimatedDuration);
+};
+
+/**
+ * Home exercise program as a table
+ * @param {Object} doc - PDF document
+ * @param {Object[]} exercises - homeExercises of a clinical record
+ */
+const homeExercisesSection = (doc, exercises) => {
+  if (!exercises || exercises.length === 0) return;
+
+  section(doc, 'Ejercicios para la casa');
+  table(doc, [
+    { header: 'Ejercicio', width: 0.25 },
+    { header: 'Series x reps.', width: 0.15, align: 'center' },
+    { header: 'Frecuencia', width: 0.2 },
+    { header: 'Indicaciones', width: 0.4 }
+  ], exercises.map((exercise) => [
+    orDash(exercise.name),
+    exercise.sets || exercise.reps ? `${orDash(exercise.sets)} x ${orDash(exercise.reps)}` : '—',
+    orDash(exercise.frequency),
+    orDash(exercise.description)
+  ]));
+};
+
+/**
+ * Techniques used across several sessions, most used first
+ * @param {Object} doc - PDF document
+ * @param {Object[]} records - Clinical records
+ */
+const techniquesSummarySection = (doc, records) => {
+  const counts = new Map();
+  for (const record of records) {
+    for (const name of new Set((record.techniques || []).map((technique) => technique.name).filter(Boolean))) {
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }
+  }
+  if (counts.size === 0) return;
+
+  section(doc, 'Técnicas utilizadas');
+  table(doc, [
+    { header: 'Técnica', width: 0.7 },
+    { header: 'Sesiones', width: 0.3, align: 'center' }
+  ], [...counts].sort((a, b) => b[1] - a[1]).map(([name, sessions]) => [name, String(sessions)]));
+};
+
+/**
+ * Pain across visits: chart, per-visit table and overall change
+ * @param {Object} doc - PDF document
+ * @param {Object} pain - { timeline, course, mcid } from the pain service
+ */
+const painEvolutionSection = (doc, pain) => {
+  if (!pain || pain.timeline.length === 0) return;
+
+  // Keep the heading on the page of the chart
+  section(doc, 'Evolución del dolor (escala numérica 0-10)', 150);
+  painChart(doc, pain.timeline.map((point) => ({
+    visitDate: point.visitDate,
+    before: point.pain,
+    after: point.painAfterTreatment
+  })));
+
+  table(doc, [
+    { header: 'Fecha', width: 0.25 },
+    { header: 'Al inicio', width: 0.25, align: 'center' },
+    { header: 'Al término', width: 0.25, align: 'center' },
+    { header: 'Alivio en la sesión', width: 0.25, align: 'center' }
+  ], pain.timeline.map((point) => [
+    formatDate(point.visitDate),
+    orDash(point.pain),
+    orDash(point.painAfterTreatment),
+    point.sessionEffect ? `${point.sessionEffect.points} pts` : '—'
+  ]));
+
+  const { course } = pain;
+  if (course && course.changeFromBaseline !== null) {
+    field(doc, 'Dolor inicial', course.baseline);
+    field(doc, 'Dolor actual', course.latest);
+    field(doc, 'Cambio', `${signed(course.changeFromBaseline)} pts${course.percentChange !== null ? ` (${signed(course.percentChange)}%)` : ''}, ${CHANGE_LABELS[course.status]}`);
+    field(doc, 'Alivio promedio por sesión', course.meanSessionEffect !== null ? `${course.meanSessionEffect} pts` : null);
+    note(doc, `Cambio clínicamente importante: ${pain.mcid.points} puntos o ${pain.mcid.percent}% respecto del inicio.`);
+  }
+};
+
+/**
+ * First and last score of each questionnaire
+ * @param {Object} doc - PDF document
+ * @param {Object[]} outcomes - Summary from the outcome service
+ */
+const outcomesSection = (doc, outcomes) => {
+  if (!outcomes || outcomes.length === 0) return;
+
+  section(doc, 'Cuestionarios de resultado');
+  table(doc, [
+    { header: 'Cuestionario', width: 0.3 },
+    { header: 'Inicial', width: 0.15, align: 'center' },
+    { header: 'Final', width: 0.15, align: 'center' },
+    { header: 'Cambio', width: 0.4 }
+  ], outcomes.map((outcome) => [
+    outcome.name,
+    `${outcome.first.score} (${formatDate(clinicDate(outcome.first.administeredAt))})`,
+    outcome.count > 1 ? `${outcome.last.score} (${formatDate(clinicDate(outcome.last.administeredAt))})` : '—',
+    outcome.change === null ? 'Una sola medición' : `${signed(outcome.change)}, ${CHANGE_LABELS[outcome.status]}`
+  ]));
+};
+
+/**
+ * Dated progress notes of several sessions
+ * @param {Object} doc - PDF document
+ * @param {Object[]} records - Clinical records
+ */
+const progressNotesSection = (doc, records) => {
+  const notes = records.filter((record) => record.progressNotes);
+  if (notes.length === 0) return;
+
+  section(doc, 'Notas de evolución');
+  for (const record of notes) {
+    field(doc, formatDate(record.visitDate), record.progressNotes);
+  }
+};
+
+/**
+ * Diagnoses over several sessions, most recent last
+ * @param {Object[]} records - Clinical records
+ * @returns {string[]}
+ */
+const diagnosesOf = (records) => [...new Set(records.map((record) => record.diagnosis).filter(Boolean))];
+
+const lastWith = (records, predicate) => [...records].reverse().find(predicate);
+
+/**
+ * Render the report of a single session
+ * @param {Object} data - { patient, record } from the report service
+ * @returns {Object} - Finished PDF document (a readable stream)
+ */
+const renderSessionReport = ({ patient, record }) => {
+  const doc = createReport({
+    title: 'Informe de sesión kinésica',
+    subtitle: `Sesión del ${formatDate(record.visitDate)}`,
+    patient
+  });
+
+  section(doc, 'Atención');
+  field(doc, 'Fecha', formatDate(record.visitDate));
+  field(doc, 'Profesional', fullName(record.practitioner));
+  field(doc, 'Motivo de consulta', record.chiefComplaint);
+
+  const assessment = record.physicalAssessment || {};
+  const painAssessment = assessment.painAssessment || {};
+  section(doc, 'Evaluación');
+  field(doc, 'Dolor', [
+    painAssessment.intensity !== undefined && painAssessment.intensity !== null && `${painAssessment.intensity}/10`,
+    painAssessment.location,
+    painAssessment.description
+  ].filter(Boolean).join(', '));
+  field(doc, 'Postura', assessment.bodyPosture);
+  field(doc, 'Rango de movimiento', assessment.rangeOfMotion);
+  field(doc, 'Fuerza muscular', assessment.muscleStrength);
+  field(doc, 'Limitaciones funcionales', assessment.functionalLimitations);
+
+  section(doc, 'Diagnóstico');
+  doc.text(record.diagnosis);
+
+  treatmentPlanSection(doc, record.treatmentPlan);
+
+  section(doc, 'Tratamiento realizado');
+  doc.text(record.treatmentProvided);
+  doc.moveDown(0.3);
+  if (record.techniques && record.techniques.length > 0) {
+    table(doc, [
+      { header: 'Técnica', width: 0.3 },
+      { header: 'Detalle', width: 0.55 },
+      { header: 'Duración', width: 0.15, align: 'center' }
+    ], record.techniques.map((technique) => [
+      orDash(technique.name),
+      orDash(technique.description),
+      technique.duration ? `${technique.duration} min` : '—'
+    ]));
+  }
+
+  const hasPain = (value) => value !== undefined && value !== null;
+  if (hasPain(record.painBeforeTreatment) || hasPain(record.painAfterTreatment)) {
+    section(doc, 'Dolor en la sesión (escala numérica 0-10)');
+    field(doc, 'Al inicio', orDash(record.painBeforeTreatment));
+    field(doc, 'Al término', orDash(record.painAfterTreatment));
+    if (hasPain(record.painBeforeTreatment) && hasPain(record.painAfterTreatment)) {
+      field(doc, 'Alivio', `${record.painBeforeTreatment - record.painAfterTreatment} pts`);
+    }
+  }
+
+  homeExercisesSection(doc, record.homeExercises);
+
+  if (record.progressNotes || record.functionalImprovements || record.nextVisitRecommendation) {
+    section(doc, 'Evolución');
+    field(doc, 'Notas', record.progressNotes);
+    field(doc, 'Mejoras funcionales', record.functionalImprovements);
+    field(doc, 'Próximo control', formatDate(record.nextVisitRecommendation));
+  }
+
+  signatureBlock(doc, record.signedBy || record.practitioner, {
+    signedAt: record.signedAt,
+    draft: record.status !== 'Signed'
+  });
+
+  finishReport(doc);
+  return doc;
+};
+
+/**
+ * Render a progress report over a period
+ * @param {Object} data - { patient, records, from, to, pain, outcomes, signer } from the report service
+ * @returns {Object} - Finished PDF document (a readable stream)
+ */
+const renderProgressReport = ({ patient, records, from, to, pain, outcomes, signer }) => {
+  const doc = createReport({
+    title: 'Informe de evolución kinésica',
+    subtitle: `Periodo del ${formatDate(from)} al ${formatDate(to)}`,
+    patient
+  });
+
+  section(doc, 'Resumen');
+  field(doc, 'Sesiones en el periodo', records.length);
+  field(doc, 'Primera sesión', formatDate(records[0].visitDate));
+  field(doc, 'Última sesión', formatDate(records[records.length - 1].visitDate));
+  field(doc, 'Profesionales tratantes', [...new Set(records.map((record) => fullName(record.practitioner)).filter(Boolean))].join(', '));
+
+  section(doc, 'Diagnóstico');
+  const diagnoses = diagnosesOf(records);
+  doc.text(diagnoses[diagnoses.length - 1]);
+  if (diagnoses.length > 1) {
+    doc.moveDown(0.3);
+    bullets(doc, 'Diagnósticos previos en el periodo', diagnoses.slice(0, -1));
+  }
+
+  const latestPlan = lastWith(records, (record) => hasPlan(record.treatmentPlan));
+  if (latestPlan) treatmentPlanSection(doc, latestPlan.treatmentPlan);
+
+  techniquesSummarySection(doc, records);
+  painEvolutionSection(doc, pain);
+  outcomesSection(doc, outcomes);
+  progressNotesSection(doc, records);
+
+  const latestProgram = lastWith(records, (record) => record.homeExercises && record.homeExercises.length > 0);
+  if (latestProgram) homeExercisesSection(doc, latestProgram.homeExercises);
+
+  signatureBlock(doc, signer);
+
+  finishReport(doc);
+  return doc;
+};
+
+/**
+ * Render the discharge summary of an episode of care
+ * @param {Object} data - { patient, records, from, to, pain, outcomes, signer } from the report service
+ * @returns {Object} - Finished PDF document (a readable stream)
+ */
+const renderDischargeSummary = ({ patient, records, from, to, pain, outcomes, signer }) => {
+  const first = records[0];
+  const last = records[records.length - 1];
+
+  const doc = createReport({
+    title: 'Epicrisis kinésica',
+    subtitle: `Tratamiento del ${formatDate(from)} al ${formatDate(to)}`,
+    patient
+  });
+
+  section(doc, 'Ingreso');
+  field(doc, 'Fecha de ingreso', formatDate(first.visitDate));
+  field(doc, 'Motivo de consulta', first.chiefComplaint);
+  field(doc, 'Diagnóstico de ingreso', first.diagnosis);
+
+  section(doc, 'Egreso');
+  field(doc, 'Fecha de alta', formatDate(last.visitDate));
+  field(doc, 'Sesiones realizadas', records.length);
+  if (last.diagnosis !== first.diagnosis) {
+    field(doc, 'Diagnóstico de egreso', last.diagnosis);
+  }
+  field(doc, 'Mejoras funcionales', last.functionalImprovements);
+  field(doc, 'Estado al alta', last.progressNotes);
+
+  treatmentPlanSection(doc, first.treatmentPlan);
+
+  techniquesSummarySection(doc, records);
+  painEvolutionSection(doc, pain);
+  outcomesSection(doc, outcomes);
+
+  const program = lastWith(records, (record) => record.homeExercises && record.homeExercises.length > 0);
+  if (program) homeExercisesSection(doc, program.homeExercises);
+
+  signatureBlock(doc, signer);
+
+  finishReport(doc);
+  return doc;
+};
+
+module.exports = {
+  renderSessionReport,
+  renderProgressReport,
+  renderDischargeSummary
+};
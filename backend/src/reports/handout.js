@@ -0,0 +1,160 @@
+const { CLINIC } = require('../config/clinic');
+const {
+  formatDate,
+  fullName,
+  createReport,
+  section,
+  note,
+  mediaBlock,
+  signatureBlock,
+  finishReport
+} = require('./pdf');
+const { clinicDate } = require('../utils/time');
+
+// Handouts go home with the patient, so they are written in plain Spanish
+const TITLE = 'Programa de ejercicios para la casa';
+
+const INTRO = 'Realice estos ejercicios según lo indicado. Deténgase y avise a su kinesiólogo si el dolor aumenta ' +
+  'de forma importante durante o después de los ejercicios.';
+
+/**
+ * How much and how often to do an exercise, as short lines
+ * @param {Object} item - Entry of ClinicalRecord.homeExercises
+ * @returns {string[]}
+ */
+const dosage = (item) => {
+  const lines = [];
+
+  if (item.sets && item.reps) {
+    lines.push(`${item.sets} ${item.sets === 1 ? 'serie' : 'series'} de ${item.reps} repeticiones`);
+  } else if (item.sets) {
+    lines.push(`${item.sets} ${item.sets === 1 ? 'serie' : 'series'}`);
+  } else if (item.reps) {
+    lines.push(`${item.reps} repeticiones`);
+  }
+  if (item.frequency) lines.push(item.frequency);
+  if (item.timesPerWeek) lines.push(`${item.timesPerWeek} ${item.timesPerWeek === 1 ? 'vez' : 'veces'} por semana`);
+
+  return lines;
+};
+
+const imageOf = (images, item) => (item.exercise ? images.get(String(item.exercise)) : undefined);
+
+/**
+ * Render a home program handout as a PDF
+ * @param {Object} data - { patient, record, images, link } from homeProgramService.getHandout
+ * @returns {Object} - PDF document stream
+ */
+const renderHandoutPdf = ({ patient, record, images, link }) => {
+  const doc = createReport({
+    title: TITLE,
+    subtitle: `Indicado el ${formatDate(record.visitDate)}`,
+    patient
+  });
+
+  note(doc, INTRO);
+  section(doc, 'Ejercicios', 130);
+
+  record.homeExercises.forEach((item, i) => {
+    const image = imageOf(images, item);
+    mediaBlock(doc, {
+      image: image && image.data,
+      title: `${i + 1}. ${item.name}`,
+      lines: [dosage(item).join(' · ')],
+      body: item.description,
+      footnote: item.notes
+    });
+  });
+
+  if (link && link.url) {
+    section(doc, 'Registro de ejercicios');
+    doc.text('Anote cada día si hizo sus ejercicios en el siguiente enlace; su kinesiólogo revisará su registro en el próximo control:');
+    doc.moveDown(0.3).text(link.url, { link: link.url, underline: true });
+    doc.moveDown(0.3);
+    note(doc, `Enlace personal, válido hasta el ${formatDate(clinicDate(link.expiresAt))}. No lo comparta.`);
+  }
+
+  signatureBlock(doc, record.signedBy || record.practitioner);
+
+  finishReport(doc);
+  return doc;
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const paragraphs = (text) => escapeHtml(text).split(/\n+/).map((line) => `<p>${line}</p>`).join('');
+
+/**
+ * Render a home program handout as a standalone HTML page that reads well on
+ * a phone and prints on one sheet per few exercises. Images are embedded.
+ * @param {Object} data - { patient, record, images, link } from homeProgramService.getHandout
+ * @returns {string} - HTML document
+ */
+const renderHandoutHtml = ({ patient, record, images, link }) => {
+  const practitioner = record.signedBy || record.practitioner;
+
+  const exercises = record.homeExercises.map((item, i) => {
+    const image = imageOf(images, item);
+    return `
+    <article class="exercise">
+      ${image ? `<img src="data:${image.mimeType};base64,${image.data.toString('base64')}" alt="${escapeHtml(item.name)}">` : ''}
+      <div>
+        <h2>${i + 1}. ${escapeHtml(item.name)}</h2>
+        ${dosage(item).map((line) => `<p class="dosage">${escapeHtml(line)}</p>`).join('')}
+        ${item.description ? paragraphs(item.description) : ''}
+        ${item.notes ? `<p class="notes">${escapeHtml(item.notes)}</p>` : ''}
+      </div>
+    </article>`;
+  }).join('');
+
+  const adherence = link && link.url ? `
+    <section class="adherence">
+      <p>Anote cada día si hizo sus ejercicios en <a href="${escapeHtml(link.url)}">este enlace</a>; su kinesiólogo revisará su registro en el próximo control.</p>
+      <p class="muted">Enlace personal, válido hasta el ${formatDate(clinicDate(link.expiresAt))}. No lo comparta.</p>
+    </section>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(TITLE)} · ${escapeHtml(CLINIC.name)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 0 auto; max-width: 760px; padding: 16px; line-height: 1.4; }
+  header { border-bottom: 2px solid #1f5f8b; margin-bottom: 12px; }
+  header .clinic { color: #1f5f8b; font-weight: bold; font-size: 1.2em; }
+  h1 { font-size: 1.3em; margin: 12px 0 4px; }
+  h2 { font-size: 1.05em; margin: 0 0 4px; }
+  p { margin: 4px 0; }
+  .muted { color: #666; font-size: 0.85em; }
+  .exercise { display: flex; gap: 12px; border-bottom: 1px solid #c8c8c8; padding: 12px 0; break-inside: avoid; }
+  .exercise img { width: 140px; height: 140px; object-fit: contain; flex-shrink: 0; }
+  .dosage { color: #1f5f8b; font-weight: bold; }
+  .notes { background: #f2f5f8; padding: 6px 8px; }
+  .adherence { background: #f2f5f8; padding: 8px 12px; margin-top: 16px; }
+  @media (max-width: 480px) { .exercise { flex-direction: column; } .exercise img { width: 100%; height: auto; max-height: 240px; } }
+</style>
+</head>
+<body>
+  <header>
+    <p class="clinic">${escapeHtml(CLINIC.name)}</p>
+    <p class="muted">${[CLINIC.address, CLINIC.phone, CLINIC.email].filter(Boolean).map(escapeHtml).join(' · ')}</p>
+  </header>
+  <h1>${escapeHtml(TITLE)}</h1>
+  <p><strong>${escapeHtml(fullName(patient))}</strong> · Indicado el ${formatDate(record.visitDate)}${practitioner ? ` por ${escapeHtml(fullName(practitioner))}` : ''}</p>
+  <p class="muted">${escapeHtml(INTRO)}</p>
+  ${exercises}
+  ${adherence}
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  renderHandoutPdf,
+  renderHandoutHtml
+};
@@ -0,0 +1,405 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { CLINIC } = require('../config/clinic');
+const { formatRut } = require('../utils/rut');
+const { clinicDate } = require('../utils/time');
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+
+const COLORS = {
+  text: '#222222',
+  muted: '#666666',
+  accent: '#1f5f8b',
+  rule: '#c8c8c8',
+  fill: '#f2f5f8'
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a calendar day the way it is written in Chile (dd-mm-yyyy)
+ * Timestamps go through clinicDate() first so they print the clinic's day
+ * @param {Date|string} value - Date to format
+ * @returns {string} - Formatted date, or an empty string
+ */
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return `${pad(date.getUTCDate())}-${pad(date.getUTCMonth() + 1)}-${date.getUTCFullYear()}`;
+};
+
+const fullName = (person) => (person ? `${person.firstName} ${person.lastName}` : '');
+
+const bottomOf = (doc) => doc.page.height - doc.page.margins.bottom;
+
+/**
+ * Start a new page when the next block would not fit on this one
+ * @param {Object} doc - PDF document
+ * @param {number} height - Height the next block needs
+ */
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > bottomOf(doc)) {
+    doc.addPage();
+  }
+};
+
+/**
+ * Print the clinic letterhead at the top of the current page
+ * @param {Object} doc - PDF document
+ */
+const letterhead = (doc) => {
+  const top = doc.page.margins.top;
+  const hasLogo = Boolean(CLINIC.logoPath) && fs.existsSync(CLINIC.logoPath);
+  let textX = MARGIN;
+
+  if (hasLogo) {
+    doc.image(CLINIC.logoPath, MARGIN, top, { fit: [60, 60] });
+    textX += 72;
+  }
+
+  const contact = [CLINIC.address, CLINIC.phone, CLINIC.email, CLINIC.website].filter(Boolean).join(' · ');
+  const legal = [CLINIC.legalName, CLINIC.rut && `RUT ${formatRut(CLINIC.rut)}`].filter(Boolean).join(' · ');
+
+  doc.fillColor(COLORS.accent).font('Helvetica-Bold').fontSize(16).text(CLINIC.name, textX, top);
+  doc.fillColor(COLORS.muted).font('Helvetica').fontSize(8);
+  if (legal) doc.text(legal, textX);
+  if (contact) doc.text(contact, textX);
+
+  const ruleY = Math.max(doc.y, hasLogo ? top + 60 : 0) + 8;
+  doc.moveTo(MARGIN, ruleY).lineTo(doc.page.width - MARGIN, ruleY).lineWidth(1).strokeColor(COLORS.accent).stroke();
+
+  doc.x = MARGIN;
+  doc.y = ruleY + 14;
+  doc.fillColor(COLORS.text);
+};
+
+/**
+ * Create a report with the letterhead, title and patient identification
+ * @param {Object} options - Report options
+ * @param {string} options.title - Report title
+ * @param {string} options.subtitle - Optional line under the title (e.g. the period covered)
+ * @param {Object} options.patient - Patient the report is about
+ * @returns {Object} - PDF document; call finishReport when done
+ */
+const createReport = ({ title, subtitle, patient }) => {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margins: { top: MARGIN, bottom: MARGIN + FOOTER_HEIGHT, left: MARGIN, right: MARGIN },
+    bufferPages: true,
+    info: { Title: title, Author: CLINIC.name }
+  });
+  doc.$patient = patient;
+
+  letterhead(doc);
+
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.text).text(title, { align: 'center' });
+  if (subtitle) {
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text(subtitle, { align: 'center' });
+  }
+  doc.moveDown();
+
+  const boxY = doc.y;
+  const age = patient.dateOfBirth ? `${patient.age} años` : '';
+  doc.rect(MARGIN, boxY, doc.page.width - 2 * MARGIN, 40).fill(COLORS.fill);
+  doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(10)
+    .text(fullName(patient), MARGIN + 10, boxY + 8);
+  doc.font('Helvetica').fontSize(9)
+    .text([
+      patient.idNumber && `${patient.documentType === 'RUT' || !patient.documentType ? 'RUT' : patient.documentType} ${formatRut(patient.idNumber)}`,
+      patient.dateOfBirth && `Nacimiento ${formatDate(patient.dateOfBirth)}`,
+      age
+    ].filter(Boolean).join(' · '), MARGIN + 10);
+
+  doc.x = MARGIN;
+  doc.y = boxY + 52;
+
+  return doc;
+};
+
+/**
+ * Print a section heading, on a new page if its first block would not fit
+ * @param {Object} doc - PDF document
+ * @param {string} title - Heading
+ * @param {number} keepWith - Height of the content that must follow the heading
+ */
+const section = (doc, title, keepWith = 30) => {
+  ensureSpace(doc, keepWith + 20);
+  doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.accent).text(title.toUpperCase(), MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(MARGIN, y).lineTo(doc.page.width - MARGIN, y).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+  doc.y = y + 6;
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+};
+
+/**
+ * Print a labelled value; empty values are left out
+ * @param {Object} doc - PDF document
+ * @param {string} label - Field label
+ * @param {*} value - Text to print
+ */
+const field = (doc, label, value) => {
+  if (value === undefined || value === null || value === '') return;
+
+  ensureSpace(doc, 20);
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text).text(`${label}: `, MARGIN, doc.y, { continued: true })
+    .font('Helvetica').text(String(value));
+  doc.moveDown(0.2);
+};
+
+/**
+ * Print a bulleted list; nothing is printed for an empty list
+ * @param {Object} doc - PDF document
+ * @param {string} label - Optional label above the list
+ * @param {string[]} items - List items
+ */
+const bullets = (doc, label, items) => {
+  const values = (items || []).filter(Boolean);
+  if (values.length === 0) return;
+
+  if (label) {
+    ensureSpace(doc, 30);
+    doc.font('Helvetica-Bold').fontSize(10).text(label, MARGIN);
+  }
+  doc.font('Helvetica').fontSize(10);
+  for (const item of values) {
+    ensureSpace(doc, 16);
+    doc.text(`•  ${item}`, MARGIN + 10, doc.y, { width: doc.page.width - 2 * MARGIN - 10 });
+  }
+  doc.x = MARGIN;
+  doc.moveDown(0.3);
+};
+
+/**
+ * Print a small explanatory note
+ * @param {Object} doc - PDF document
+ * @param {string} text - Note text
+ */
+const note = (doc, text) => {
+  ensureSpace(doc, 14);
+  doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted).text(text, MARGIN);
+  doc.fontSize(10).fillColor(COLORS.text);
+};
+
+/**
+ * Print an image with a block of text beside it, kept together on one page
+ * (e.g. an exercise illustration and how to do it)
+ * @param {Object} doc - PDF document
+ * @param {Object} options - Block contents
+ * @param {Buffer} options.image - Optional PNG or JPEG data
+ * @param {string} options.title - Bold first line
+ * @param {string[]} options.lines - Lines under the title, printed in the accent colour
+ * @param {string} options.body - Main text
+ * @param {string} options.footnote - Optional smaller text at the end
+ */
+const mediaBlock = (doc, { image, title, lines = [], body, footnote }) => {
+  const imageSize = 110;
+  const textX = image ? MARGIN + imageSize + 12 : MARGIN;
+  const width = doc.page.width - MARGIN - textX;
+
+  doc.font('Helvetica').fontSize(10);
+  const textHeight = 20 + 14 * lines.filter(Boolean).length +
+    (body ? doc.heightOfString(body, { width }) : 0) +
+    (footnote ? doc.fontSize(9).heightOfString(footnote, { width }) + 6 : 0);
+  const height = Math.max(image ? imageSize : 0, textHeight) + 12;
+  ensureSpace(doc, height);
+
+  const top = doc.y;
+  if (image) {
+    try {
+      doc.image(image, MARGIN, top, { fit: [imageSize, imageSize], align: 'center', valign: 'center' });
+    } catch (error) {
+      // An unreadable image must not prevent the rest of the document from printing
+      doc.rect(MARGIN, top, imageSize, imageSize).fill(COLORS.fill);
+    }
+  }
+
+  doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(11).text(title, textX, top, { width });
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.accent);
+  lines.filter(Boolean).forEach((line) => doc.text(line, textX, doc.y, { width }));
+  doc.fillColor(COLORS.text);
+  if (body) doc.moveDown(0.3).text(body, textX, doc.y, { width });
+  if (footnote) doc.moveDown(0.3).fontSize(9).fillColor(COLORS.muted).text(footnote, textX, doc.y, { width });
+
+  const bottom = Math.max(doc.y, image ? top + imageSize : 0) + 8;
+  doc.moveTo(MARGIN, bottom).lineTo(doc.page.width - MARGIN, bottom).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+
+  doc.x = MARGIN;
+  doc.y = bottom + 8;
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+};
+
+/**
+ * Print a simple table, repeating the header after a page break
+ * @param {Object} doc - PDF document
+ * @param {Object[]} columns - [{ header, width (fraction of the line), align }]
+ * @param {Array<string[]>} rows - Cell texts
+ */
+const table = (doc, columns, rows) => {
+  if (rows.length === 0) return;
+
+  const lineWidth = doc.page.width - 2 * MARGIN;
+  const widths = columns.map((column) => column.width * lineWidth);
+
+  const printRow = (cells, { header = false } = {}) => {
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell), { width: widths[i] - 8 }))) + 8;
+
+    if (doc.y + height > bottomOf(doc)) {
+      doc.addPage();
+      if (!header) {
+        printRow(columns.map((column) => column.header), { header: true });
+        doc.font('Helvetica').fontSize(9);
+      }
+    }
+
+    const y = doc.y;
+    if (header) {
+      doc.rect(MARGIN, y, lineWidth, height).fill(COLORS.fill);
+    }
+
+    let x = MARGIN;
+    cells.forEach((cell, i) => {
+      doc.fillColor(COLORS.text).text(String(cell), x + 4, y + 4, { width: widths[i] - 8, align: columns[i].align || 'left' });
+      x += widths[i];
+    });
+
+    doc.moveTo(MARGIN, y + height).lineTo(MARGIN + lineWidth, y + height).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+    doc.x = MARGIN;
+    doc.y = y + height;
+  };
+
+  printRow(columns.map((column) => column.header), { header: true });
+  rows.forEach((row) => printRow(row));
+  doc.moveDown(0.5);
+};
+
+/**
+ * Draw pain (0-10) across visits as a line chart
+ * @param {Object} doc - PDF document
+ * @param {Object[]} points - [{ visitDate, before, after }]; after is drawn dashed
+ */
+const painChart = (doc, points) => {
+  const scored = points.filter((point) => point.before !== null || point.after !== null);
+  if (scored.length < 2) return;
+
+  const height = 120;
+  ensureSpace(doc, height + 30);
+
+  const left = MARGIN + 25;
+  const top = doc.y + 5;
+  const width = doc.page.width - MARGIN - left;
+  const xOf = (i) => left + (scored.length === 1 ? width / 2 : (i / (scored.length - 1)) * width);
+  const yOf = (pain) => top + height - (pain / 10) * height;
+
+  doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted);
+  for (const pain of [0, 5, 10]) {
+    doc.text(String(pain), MARGIN, yOf(pain) - 3, { width: 18, align: 'right' });
+    doc.moveTo(left, yOf(pain)).lineTo(left + width, yOf(pain)).lineWidth(0.3).strokeColor(COLORS.rule).stroke();
+  }
+
+  const line = (key, dashed) => {
+    const drawn = scored.map((point, i) => [i, point[key]]).filter(([, pain]) => pain !== null);
+    if (drawn.length === 0) return;
+
+    drawn.forEach(([i, pain], n) => (n === 0 ? doc.moveTo(xOf(i), yOf(pain)) : doc.lineTo(xOf(i), yOf(pain))));
+    if (dashed) doc.dash(3, { space: 2 });
+    doc.lineWidth(1.5).strokeColor(COLORS.accent).stroke();
+    doc.undash();
+    drawn.forEach(([i, pain]) => doc.circle(xOf(i), yOf(pain), 2).fill(COLORS.accent));
+  };
+  line('before', false);
+  line('after', true);
+
+  doc.fillColor(COLORS.muted).fontSize(7);
+  doc.text(formatDate(scored[0].visitDate), left, top + height + 4);
+  doc.text(formatDate(scored[scored.length - 1].visitDate), left, top + height + 4, { width, align: 'right' });
+  doc.text('Línea continua: dolor al inicio de la sesión · Línea punteada: dolor al término', left, top + height + 14, { width, align: 'center' });
+
+  doc.x = MARGIN;
+  doc.y = top + height + 30;
+  doc.fillColor(COLORS.text).fontSize(10);
+};
+
+/**
+ * Print the practitioner's signature block
+ * @param {Object} doc - PDF document
+ * @param {Object} professional - Practitioner signing the report
+ * @param {Object} options - Signature options
+ * @param {Date} options.signedAt - When the underlying record was signed electronically
+ * @param {boolean} options.draft - The record is an unsigned draft
+ */
+const signatureBlock = (doc, professional, { signedAt, draft = false } = {}) => {
+  if (!professional) return;
+
+  ensureSpace(doc, 110);
+  doc.moveDown(3);
+
+  const width = 220;
+  const x = doc.page.width - MARGIN - width;
+  const y = doc.y;
+
+  doc.moveTo(x, y).lineTo(x + width, y).lineWidth(0.8).strokeColor(COLORS.text).stroke();
+  doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(10).text(fullName(professional), x, y + 5, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(9);
+  doc.text(professional.especialty, x, doc.y, { width, align: 'center' });
+  if (professional.idNumber) {
+    doc.text(`RUT ${formatRut(professional.idNumber)}`, x, doc.y, { width, align: 'center' });
+  }
+  if (professional.registrationNumber) {
+    doc.text(`Registro Superintendencia de Salud N° ${professional.registrationNumber}`, x, doc.y, { width, align: 'center' });
+  }
+
+  doc.fillColor(COLORS.muted).fontSize(8);
+  if (signedAt) {
+    doc.text(`Ficha firmada electrónicamente el ${formatDate(clinicDate(signedAt))}`, x, doc.y + 2, { width, align: 'center' });
+  } else if (draft) {
+    doc.text('Borrador: la ficha de esta sesión aún no ha sido firmada', x, doc.y + 2, { width, align: 'center' });
+  }
+
+  doc.x = MARGIN;
+  doc.fillColor(COLORS.text);
+};
+
+/**
+ * Number the pages, add the confidentiality footer and close the document
+ * @param {Object} doc - PDF document
+ */
+const finishReport = (doc) => {
+  const range = doc.bufferedPageRange();
+  const issued = formatDate(clinicDate());
+
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+
+    // Writing inside the bottom margin would otherwise start a new page
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    const y = doc.page.height - MARGIN - 10;
+    doc.moveTo(MARGIN, y - 4).lineTo(doc.page.width - MARGIN, y - 4).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+    doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted)
+      .text(`Documento confidencial · ${fullName(doc.$patient)} · Emitido el ${issued}`, MARGIN, y, { lineBreak: false })
+      .text(`Página ${i - range.start + 1} de ${range.count}`, MARGIN, y, { width: doc.page.width - 2 * MARGIN, align: 'right', lineBreak: false });
+
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+};
+
+module.exports = {
+  formatDate,
+  fullName,
+  createReport,
+  section,
+  field,
+  bullets,
+  note,
+  mediaBlock,
+  table,
+  painChart,
+  signatureBlock,
+  finishReport
+};
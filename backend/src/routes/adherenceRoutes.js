@@ -0,0 +1,16 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { linkLimiter } = require('../middleware/rateLimit');
+const { getPatientProgram, logPatientAdherence } = require('../controllers/homeProgramController');
+const { patientProgramRules, patientLogRules } = require('../validators/homeProgramValidator');
+
+const router = express.Router();
+
+router.use(linkLimiter);
+
+// Opened by patients from their handout: the signed link is the only credential
+router.route('/:token')
+  .get(validate(patientProgramRules), getPatientProgram)
+  .post(validate(patientLogRules), logPatientAdherence);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { linkLimiter } = require('../middleware/rateLimit');
+const { getAppointmentLink, getAppointmentCalendar, useAppointmentLink } = require('../controllers/appointmentLinkController');
+const { getLinkRules, useLinkRules } = require('../validators/appointmentLinkValidator');
+
+const router = express.Router();
+
+router.use(linkLimiter);
+
+// Opened by patients from their reminders: the signed link is the only credential.
+// Opening it only shows the appointment, since mail scanners follow links on their
+// own; the patient's answer is the POST.
+router.route('/:token')
+  .get(validate(getLinkRules), getAppointmentLink)
+  .post(validate(useLinkRules), useAppointmentLink);
+
+router.get('/:token/calendar.ics', validate(getLinkRules), getAppointmentCalendar);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getAppointments,
+  getAppointment,
+  createAppointment,
+  updateAppointment,
+  confirmAppointment,
+  checkInAppointment,
+  completeAppointment,
+  cancelAppointment,
+  markNoShow,
+  rescheduleAppointment,
+  getAppointmentHistory,
+  getAppointmentReminders
+} = require('../controllers/appointmentController');
+const {
+  createAppointmentRules,
+  updateAppointmentRules,
+  getAppointmentRules,
+  listAppointmentsRules,
+  statusActionRules,
+  cancelAppointmentRules,
+  rescheduleAppointmentRules
+} = require('../validators/appointmentValidator');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('appointments:read'), validate(listAppointmentsRules), getAppointments)
+  .post(authorize('appointments:write'), validate(createAppointmentRules), createAppointment);
+
+router.route('/:id')
+  .get(authorize('appointments:read'), validate(getAppointmentRules), getAppointment)
+  .put(authorize('appointments:write'), validate(updateAppointmentRules), updateAppointment);
+
+router.get('/:id/history', authorize('appointments:read'), validate(getAppointmentRules), getAppointmentHistory);
+router.get('/:id/reminders', authorize('appointments:read'), validate(getAppointmentRules), getAppointmentReminders);
+
+// Lifecycle actions
+router.patch('/:id/confirm', authorize('appointments:write'), validate(statusActionRules), confirmAppointment);
+router.patch('/:id/check-in', authorize('appointments:write'), validate(statusActionRules), checkInAppointment);
+router.patch('/:id/complete', authorize('appointments:write'), validate(statusActionRules), completeAppointment);
+router.patch('/:id/cancel', authorize('appointments:write'), validate(cancelAppointmentRules), cancelAppointment);
+router.patch('/:id/no-show', authorize('appointments:write'), validate(statusActionRules), markNoShow);
+router.post('/:id/reschedule', authorize('appointments:write'), validate(rescheduleAppointmentRules), rescheduleAppointment);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getEntries,
+  getPatientEntries,
+  getUserEntries,
+  exportEntries
+} = require('../controllers/auditController');
+const {
+  listEntriesRules,
+  patientEntriesRules,
+  userEntriesRules,
+  exportEntriesRules
+} = require('../validators/auditValidator');
+
+const router = express.Router();
+
+router.use(protect, authorize('audit:read'));
+
+router.get('/', validate(listEntriesRules), getEntries);
+router.get('/export', validate(exportEntriesRules), exportEntries);
+router.get('/patients/:patientId', validate(patientEntriesRules), getPatientEntries);
+router.get('/users/:userId', validate(userEntriesRules), getUserEntries);
+
+module.exports = router;
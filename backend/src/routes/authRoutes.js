@@ -0,0 +1,24 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { protect } = require('../middleware/auth');
+const { loginLimiter } = require('../middleware/rateLimit');
+const {
+  login,
+  logout,
+  getMe,
+  changePassword
+} = require('../controllers/authController');
+const {
+  loginRules,
+  changePasswordRules
+} = require('../validators/authValidator');
+
+const router = express.Router();
+
+router.post('/login', loginLimiter, validate(loginRules), login);
+
+router.post('/logout', protect, logout);
+router.get('/me', protect, getMe);
+router.put('/password', protect, validate(changePasswordRules), changePassword);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getInvoices,
+  getInvoice,
+  createInvoice,
+  voidInvoice,
+  recordPayment,
+  recordRefund,
+  getCashClose,
+  getOutstanding
+} = require('../controllers/billingController');
+const {
+  createInvoiceRules,
+  getInvoiceRules,
+  listInvoicesRules,
+  voidInvoiceRules,
+  paymentRules,
+  cashCloseRules,
+  outstandingRules
+} = require('../validators/billingValidator');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Reports
+router.get('/cash-close', authorize('billing:read'), validate(cashCloseRules), getCashClose);
+router.get('/outstanding', authorize('billing:read'), validate(outstandingRules), getOutstanding);
+
+router.route('/invoices')
+  .get(authorize('billing:read'), validate(listInvoicesRules), getInvoices)
+  .post(authorize('billing:write'), validate(createInvoiceRules), createInvoice);
+
+router.get('/invoices/:id', authorize('billing:read'), validate(getInvoiceRules), getInvoice);
+router.post('/invoices/:id/payments', authorize('billing:write'), validate(paymentRules), recordPayment);
+router.post('/invoices/:id/refunds', authorize('billing:adjust'), validate(paymentRules), recordRefund);
+router.post('/invoices/:id/void', authorize('billing:adjust'), validate(voidInvoiceRules), voidInvoice);
+
+module.exports = router;
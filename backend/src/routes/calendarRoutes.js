@@ -0,0 +1,15 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { linkLimiter } = require('../middleware/rateLimit');
+const { getCalendarFeed } = require('../controllers/calendarController');
+const { getFeedRules } = require('../validators/calendarValidator');
+
+const router = express.Router();
+
+router.use(linkLimiter);
+
+// Fetched by calendar apps, which cannot log in: the secret token in the URL
+// is the only credential
+router.get('/feeds/:token.ics', validate(getFeedRules), getCalendarFeed);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { protect, authorize } = require('../middleware/auth');
+const { receiveFile } = require('../middleware/upload');
+const {
+  getExercises,
+  getExercise,
+  createExercise,
+  updateExercise,
+  deactivateExercise,
+  uploadImage,
+  getImage
+} = require('../controllers/exerciseController');
+const {
+  createExerciseRules,
+  updateExerciseRules,
+  getExerciseRules,
+  listExercisesRules
+} = require('../validators/exerciseValidator');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('records:read'), validate(listExercisesRules), getExercises)
+  .post(authorize('exercises:write'), validate(createExerciseRules), createExercise);
+
+router.route('/:id')
+  .get(authorize('records:read'), validate(getExerciseRules), getExercise)
+  .put(authorize('exercises:write'), validate(updateExerciseRules), updateExercise)
+  .delete(authorize('exercises:write'), validate(getExerciseRules), deactivateExercise);
+
+router.route('/:id/image')
+  .get(authorize('records:read'), validate(getExerciseRules), getImage)
+  .put(authorize('exercises:write'), validate(getExerciseRules), receiveFile('image'), uploadImage);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+module.exports = {
+  adherenceRoutes: require('./adherenceRoutes'),
+  appointmentLinkRoutes: require('./appointmentLinkRoutes'),
+  appointmentRoutes: require('./appointmentRoutes'),
+  auditRoutes: require('./auditRoutes'),
+  authRoutes: require('./authRoutes'),
+  billingRoutes: require('./billingRoutes'),
+  calendarRoutes: require('./calendarRoutes'),
+  exerciseRoutes: require('./exerciseRoutes'),
+  insuranceRoutes: require('./insuranceRoutes'),
+  outcomeRoutes: require('./outcomeRoutes'),
+  packageRoutes: require('./packageRoutes'),
+  patientRoutes: require('./patientRoutes'),
+  professionalRoutes: require('./professionalRoutes'),
+  recordRoutes: require('./recordRoutes'),
+  reportRoutes: require('./reportRoutes'),
+  seriesRoutes: require('./seriesRoutes'),
+  userRoutes: require('./userRoutes'),
+  waitlistOfferRoutes: require('./waitlistOfferRoutes'),
+  waitlistRoutes: require('./waitlistRoutes')
+};
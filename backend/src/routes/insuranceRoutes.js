@@ -0,0 +1,60 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getAuthorizations,
+  getAuthorization,
+  createAuthorization,
+  updateAuthorization,
+  deactivateAuthorization,
+  getClaimBatches,
+  getClaimBatch,
+  createClaimBatch,
+  deleteClaimBatch,
+  submitClaimBatch,
+  exportClaimBatch,
+  getClaims,
+  updateClaimStatus
+} = require('../controllers/insuranceController');
+const {
+  createAuthorizationRules,
+  updateAuthorizationRules,
+  getAuthorizationRules,
+  listAuthorizationsRules,
+  createBatchRules,
+  getBatchRules,
+  listBatchesRules,
+  listClaimsRules,
+  updateClaimRules
+} = require('../validators/insuranceValidator');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Authorizations
+router.route('/authorizations')
+  .get(authorize('insurance:read'), validate(listAuthorizationsRules), getAuthorizations)
+  .post(authorize('insurance:write'), validate(createAuthorizationRules), createAuthorization);
+
+router.route('/authorizations/:id')
+  .get(authorize('insurance:read'), validate(getAuthorizationRules), getAuthorization)
+  .put(authorize('insurance:write'), validate(updateAuthorizationRules), updateAuthorization)
+  .delete(authorize('insurance:write'), validate(getAuthorizationRules), deactivateAuthorization);
+
+// Claims to insurers
+router.route('/claim-batches')
+  .get(authorize('claims:manage'), validate(listBatchesRules), getClaimBatches)
+  .post(authorize('claims:manage'), validate(createBatchRules), createClaimBatch);
+
+router.route('/claim-batches/:id')
+  .get(authorize('claims:manage'), validate(getBatchRules), getClaimBatch)
+  .delete(authorize('claims:manage'), validate(getBatchRules), deleteClaimBatch);
+
+router.get('/claim-batches/:id/export', authorize('claims:manage'), validate(getBatchRules), exportClaimBatch);
+router.post('/claim-batches/:id/submit', authorize('claims:manage'), validate(getBatchRules), submitClaimBatch);
+
+router.get('/claims', authorize('claims:manage'), validate(listClaimsRules), getClaims);
+router.patch('/claims/:id', authorize('claims:manage'), validate(updateClaimRules), updateClaimStatus);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getQuestionnaires,
+  getQuestionnaire,
+  createMeasure,
+  getMeasure,
+  deleteMeasure,
+  getPatientMeasures,
+  getPatientTrend
+} = require('../controllers/outcomeController');
+const {
+  getQuestionnaireRules,
+  createMeasureRules,
+  getMeasureRules,
+  patientMeasuresRules,
+  patientTrendRules
+} = require('../validators/outcomeValidator');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/questionnaires', authorize('records:read'), getQuestionnaires);
+router.get('/questionnaires/:code', authorize('records:read'), validate(getQuestionnaireRules), getQuestionnaire);
+
+router.post('/', authorize('records:write'), validate(createMeasureRules), createMeasure);
+
+router.get('/patient/:patientId', authorize('records:read'), validate(patientMeasuresRules), getPatientMeasures);
+router.get('/patient/:patientId/trend', authorize('records:read'), validate(patientTrendRules), getPatientTrend);
+
+router.route('/:id')
+  .get(authorize('records:read'), validate(getMeasureRules), getMeasure)
+  .delete(authorize('records:write'), validate(getMeasureRules), deleteMeasure);
+
+module.exports = router;
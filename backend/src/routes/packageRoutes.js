@@ -0,0 +1,52 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getProducts,
+  createProduct,
+  updateProduct,
+  deactivateProduct,
+  getPackages,
+  getPackage,
+  sellPackage,
+  transferSessions,
+  extendPackage,
+  cancelPackage
+} = require('../controllers/packageController');
+const {
+  createProductRules,
+  updateProductRules,
+  getProductRules,
+  listProductsRules,
+  sellPackageRules,
+  listPackagesRules,
+  getPackageRules,
+  transferRules,
+  extendRules,
+  cancelRules
+} = require('../validators/packageValidator');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Catalog
+router.route('/products')
+  .get(authorize('packages:read'), validate(listProductsRules), getProducts)
+  .post(authorize('packages:manage'), validate(createProductRules), createProduct);
+
+router.route('/products/:id')
+  .put(authorize('packages:manage'), validate(updateProductRules), updateProduct)
+  .delete(authorize('packages:manage'), validate(getProductRules), deactivateProduct);
+
+// Packages sold to patients
+router.route('/')
+  .get(authorize('packages:read'), validate(listPackagesRules), getPackages)
+  .post(authorize('packages:write'), validate(sellPackageRules), sellPackage);
+
+router.get('/:id', authorize('packages:read'), validate(getPackageRules), getPackage);
+router.post('/:id/transfer', authorize('packages:write'), validate(transferRules), transferSessions);
+router.patch('/:id/extend', authorize('packages:manage'), validate(extendRules), extendPackage);
+router.patch('/:id/cancel', authorize('packages:manage'), validate(cancelRules), cancelPackage);
+
+module.exports = router;
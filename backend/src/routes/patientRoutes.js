@@ -0,0 +1,52 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getPatients,
+  searchPatients,
+  getPatient,
+  getPatientByIdNumber,
+  createPatient,
+  updatePatient,
+  deletePatient,
+  findDuplicates,
+  getPatientDuplicates,
+  mergePatient,
+  getPatientMerges
+} = require('../controllers/patientController');
+const {
+  createPatientRules,
+  updatePatientRules,
+  getPatientRules,
+  getPatientByIdNumberRules,
+  listPatientsRules,
+  searchPatientsRules,
+  findDuplicatesRules,
+  patientDuplicatesRules,
+  mergePatientRules
+} = require('../validators/patientValidator');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('patients:read'), validate(listPatientsRules), getPatients)
+  .post(authorize('patients:write'), validate(createPatientRules), createPatient);
+
+// Must be declared before '/:id' so "search" is not treated as an ID
+router.get('/search', authorize('patients:read'), validate(searchPatientsRules), searchPatients);
+router.get('/by-id-number/:idNumber', authorize('patients:read'), validate(getPatientByIdNumberRules), getPatientByIdNumber);
+router.get('/duplicates', authorize('patients:merge'), validate(findDuplicatesRules), findDuplicates);
+
+router.route('/:id')
+  .get(authorize('patients:read'), validate(getPatientRules), getPatient)
+  .put(authorize('patients:write'), validate(updatePatientRules), updatePatient)
+  .delete(authorize('patients:delete'), validate(getPatientRules), deletePatient);
+
+// Duplicate detection and merging
+router.get('/:id/duplicates', authorize('patients:merge'), validate(patientDuplicatesRules), getPatientDuplicates);
+router.post('/:id/merge', authorize('patients:merge'), validate(mergePatientRules), mergePatient);
+router.get('/:id/merges', authorize('audit:read'), validate(getPatientRules), getPatientMerges);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getProfessionals,
+  getAvailableSlots,
+  getProfessional,
+  createProfessional,
+  updateProfessional,
+  deleteProfessional,
+  setWorkingHours,
+  addTimeOff,
+  removeTimeOff,
+  getCalendarFeed,
+  issueCalendarFeed,
+  revokeCalendarFeed
+} = require('../controllers/professionalController');
+const {
+  createProfessionalRules,
+  updateProfessionalRules,
+  getProfessionalRules,
+  listProfessionalsRules,
+  workingHoursRules,
+  addTimeOffRules,
+  removeTimeOffRules,
+  availableSlotsRules
+} = require('../validators/professionalValidator');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('professionals:read'), validate(listProfessionalsRules), getProfessionals)
+  .post(authorize('professionals:write'), validate(createProfessionalRules), createProfessional);
+
+// Must be declared before '/:id' so "available-slots" is not treated as an ID
+router.get('/available-slots', authorize('appointments:read'), validate(availableSlotsRules), getAvailableSlots);
+
+router.route('/:id')
+  .get(authorize('professionals:read'), validate(getProfessionalRules), getProfessional)
+  .put(authorize('professionals:write'), validate(updateProfessionalRules), updateProfessional)
+  .delete(authorize('professionals:write'), validate(getProfessionalRules), deleteProfessional);
+
+// Schedule
+router.put('/:id/working-hours', authorize('schedules:write'), validate(workingHoursRules), setWorkingHours);
+router.post('/:id/time-off', authorize('schedules:write'), validate(addTimeOffRules), addTimeOff);
+router.delete('/:id/time-off/:timeOffId', authorize('schedules:write'), validate(removeTimeOffRules), removeTimeOff);
+
+// Calendar subscription; practitioners may only manage their own
+router.route('/:id/calendar-feed')
+  .get(authorize('calendar:feeds'), validate(getProfessionalRules), getCalendarFeed)
+  .post(authorize('calendar:feeds'), validate(getProfessionalRules), issueCalendarFeed)
+  .delete(authorize('calendar:feeds'), validate(getProfessionalRules), revokeCalendarFeed);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { protect, authorize } = require('../middleware/auth');
+const { receiveFile } = require('../middleware/upload');
+const {
+  getPatientRecords,
+  getRecord,
+  createRecord,
+  updateRecord,
+  deleteRecord,
+  signRecord,
+  amendRecord,
+  getMeasurementAnalysis,
+  getPatientMeasurements,
+  getPatientPain
+} = require('../controllers/clinicalRecordController');
+const {
+  createRecordRules,
+  updateRecordRules,
+  getRecordRules,
+  signRecordRules,
+  amendRecordRules,
+  patientRecordsRules,
+  measurementAnalysisRules,
+  patientMeasurementsRules,
+  patientPainRules
+} = require('../validators/clinicalRecordValidator');
+const {
+  uploadAttachment,
+  getRecordAttachments,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const {
+  uploadTargetRules,
+  uploadAttachmentRules,
+  listAttachmentsRules,
+  getAttachmentRules,
+  deleteAttachmentRules
+} = require('../validators/attachmentValidator');
+const {
+  prescribeExercises,
+  copyPreviousProgram,
+  getHandout,
+  createAdherenceLink,
+  getAdherence,
+  logAdherence
+} = require('../controllers/homeProgramController');
+const {
+  prescribeRules,
+  copyPreviousRules,
+  handoutRules,
+  programRules,
+  logAdherenceRules
+} = require('../validators/homeProgramValidator');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.post('/', authorize('records:write'), validate(createRecordRules), createRecord);
+
+router.get('/patient/:patientId', authorize('records:read'), validate(patientRecordsRules), getPatientRecords);
+router.get('/patient/:patientId/measurements', authorize('records:read'), validate(patientMeasurementsRules), getPatientMeasurements);
+router.get('/patient/:patientId/pain', authorize('records:read'), validate(patientPainRules), getPatientPain);
+
+router.route('/:id')
+  .get(authorize('records:read'), validate(getRecordRules), getRecord)
+  .put(authorize('records:write'), validate(updateRecordRules), updateRecord)
+  .delete(authorize('records:write'), validate(getRecordRules), deleteRecord);
+
+router.post('/:id/sign', authorize('records:sign'), validate(signRecordRules), signRecord);
+router.post('/:id/amendments', authorize('records:write'), validate(amendRecordRules), amendRecord);
+router.route('/:id/attachments')
+  .get(authorize('records:read'), validate(listAttachmentsRules), getRecordAttachments)
+  .post(authorize('records:write'), validate(uploadTargetRules), receiveFile('file'), validate(uploadAttachmentRules), uploadAttachment);
+router.get('/:id/attachments/:attachmentId/download', authorize('records:read'), validate(getAttachmentRules), downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', authorize('records:write'), validate(deleteAttachmentRules), deleteAttachment);
+
+router.post('/:id/home-exercises', authorize('records:write'), validate(prescribeRules), prescribeExercises);
+router.post('/:id/home-exercises/copy-previous', authorize('records:write'), validate(copyPreviousRules), copyPreviousProgram);
+router.get('/:id/home-exercises/handout', authorize('records:read'), validate(handoutRules), getHandout);
+router.post('/:id/home-exercises/adherence-link', authorize('records:read'), validate(programRules), createAdherenceLink);
+router.route('/:id/adherence')
+  .get(authorize('records:read'), validate(programRules), getAdherence)
+  .post(authorize('records:write'), validate(logAdherenceRules), logAdherence);
+
+router.get('/:id/measurements/analysis', authorize('records:read'), validate(measurementAnalysisRules), getMeasurementAnalysis);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getPainByDiagnosis,
+  getPainByTechnique,
+  getSessionReport,
+  getProgressReport,
+  getDischargeSummary
+} = require('../controllers/reportController');
+const {
+  painReportRules,
+  painByTechniqueRules,
+  sessionReportRules,
+  progressReportRules,
+  dischargeSummaryRules
+} = require('../validators/reportValidator');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/pain/by-diagnosis', authorize('reports:read'), validate(painReportRules), getPainByDiagnosis);
+router.get('/pain/by-technique', authorize('reports:read'), validate(painByTechniqueRules), getPainByTechnique);
+
+router.get('/records/:id/session', authorize('records:read'), validate(sessionReportRules), getSessionReport);
+router.get('/patients/:patientId/progress', authorize('records:read'), validate(progressReportRules), getProgressReport);
+router.get('/patients/:patientId/discharge', authorize('records:read'), validate(dischargeSummaryRules), getDischargeSummary);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  createSeries,
+  getSeries,
+  updateOccurrences,
+  cancelOccurrences
+} = require('../controllers/seriesController');
+const {
+  createSeriesRules,
+  getSeriesRules,
+  updateOccurrencesRules,
+  cancelOccurrencesRules
+} = require('../validators/seriesValidator');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.post('/', authorize('appointments:write'), validate(createSeriesRules), createSeries);
+
+router.get('/:id', authorize('appointments:read'), validate(getSeriesRules), getSeries);
+
+router.put('/:id/appointments/:appointmentId', authorize('appointments:write'), validate(updateOccurrencesRules), updateOccurrences);
+router.patch('/:id/appointments/:appointmentId/cancel', authorize('appointments:write'), validate(cancelOccurrencesRules), cancelOccurrences);
+
+module.exports = router;
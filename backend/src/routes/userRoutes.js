@@ -0,0 +1,25 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getUsers,
+  createUser,
+  updateUser
+} = require('../controllers/authController');
+const {
+  createUserRules,
+  updateUserRules,
+  listUsersRules
+} = require('../validators/authValidator');
+
+const router = express.Router();
+
+router.use(protect, authorize('users:manage'));
+
+router.route('/')
+  .get(validate(listUsersRules), getUsers)
+  .post(validate(createUserRules), createUser);
+
+router.put('/:id', validate(updateUserRules), updateUser);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { linkLimiter } = require('../middleware/rateLimit');
+const { getOfferLink, answerOfferLink } = require('../controllers/waitlistController');
+const { getOfferLinkRules, answerOfferLinkRules } = require('../validators/waitlistValidator');
+
+const router = express.Router();
+
+router.use(linkLimiter);
+
+// Opened by waitlisted patients from the offer they were sent. As with
+// reminder links, opening only shows the slot; the answer is the POST.
+router.route('/:token')
+  .get(validate(getOfferLinkRules), getOfferLink)
+  .post(validate(answerOfferLinkRules), answerOfferLink);
+
+module.exports = router;
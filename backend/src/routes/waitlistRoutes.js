@@ -0,0 +1,44 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getEntries,
+  getEntry,
+  createEntry,
+  updateEntry,
+  cancelEntry,
+  getOffers,
+  acceptOffer,
+  declineOffer
+} = require('../controllers/waitlistController');
+const {
+  createEntryRules,
+  updateEntryRules,
+  getEntryRules,
+  cancelEntryRules,
+  listEntriesRules,
+  listOffersRules,
+  offerActionRules
+} = require('../validators/waitlistValidator');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Offers of freed slots; answered here when the patient calls instead of using their link
+router.get('/offers', authorize('waitlist:read'), validate(listOffersRules), getOffers);
+router.post('/offers/:id/accept', authorize('waitlist:write'), validate(offerActionRules), acceptOffer);
+router.post('/offers/:id/decline', authorize('waitlist:write'), validate(offerActionRules), declineOffer);
+
+// Patients waiting for a slot
+router.route('/')
+  .get(authorize('waitlist:read'), validate(listEntriesRules), getEntries)
+  .post(authorize('waitlist:write'), validate(createEntryRules), createEntry);
+
+router.route('/:id')
+  .get(authorize('waitlist:read'), validate(getEntryRules), getEntry)
+  .put(authorize('waitlist:write'), validate(updateEntryRules), updateEntry);
+
+router.patch('/:id/cancel', authorize('waitlist:write'), validate(cancelEntryRules), cancelEntry);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+/**
+ * Create the first admin account, or reset the password of an existing one
+ *
+ * Usage: node src/scripts/createAdmin.js --email <email> --password <password> [--name <name>]
+ */
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+
+const readArg = (args, name) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const run = async ({ email, password, name }) => {
+  let user = await User.findOne({ email: email.toLowerCase() });
+
+  if (user) {
+    user.password = password;
+    user.role = 'admin';
+    user.isActive = true;
+  } else {
+    user = new User({ email, password, name, role: 'admin' });
+  }
+
+  await user.save();
+  console.log(`Admin account ready: ${user.email}`);
+};
+
+if (require.main === module) {
+  dotenv.config();
+
+  const args = process.argv.slice(2);
+  const options = {
+    email: readArg(args, 'email'),
+    password: readArg(args, 'password'),
+    name: readArg(args, 'name') || 'Administrator'
+  };
+
+  if (!options.email || !options.password) {
+    console.error('Usage: node src/scripts/createAdmin.js --email <email> --password <password> [--name <name>]');
+    process.exit(1);
+  }
+
+  connectDB()
+    .then(() => run(options))
+    .then(() => mongoose.disconnect())
+    .catch((error) => {
+      console.error(`Could not create admin: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
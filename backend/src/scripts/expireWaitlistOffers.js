@@ -0,0 +1,28 @@
+/**
+ * Expire unanswered waitlist offers once and offer their slots to the next
+ * candidates, for use from cron instead of the job started with the API.
+ * Offers are expired atomically, so both can run against the same database.
+ *
+ * Usage: node src/scripts/expireWaitlistOffers.js
+ */
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+if (require.main === module) {
+  dotenv.config();
+
+  // Loaded after the environment so hold and channel settings are picked up
+  const connectDB = require('../config/database');
+  const waitlistService = require('../services/waitlistService');
+
+  connectDB()
+    .then(() => waitlistService.expireOffers())
+    .then((results) => {
+      console.log(`Waitlist: ${results.expired} expired, ${results.offered} offered onwards`);
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error(`Could not expire waitlist offers: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,28 @@
+/**
+ * Run the appointment reminder dispatcher once, for use from cron instead of
+ * (or as well as) the dispatcher started with the API. Reminders are claimed
+ * atomically, so both can run against the same database.
+ *
+ * Usage: node src/scripts/sendReminders.js
+ */
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+if (require.main === module) {
+  dotenv.config();
+
+  // Loaded after the environment so channel settings are picked up
+  const connectDB = require('../config/database');
+  const reminderService = require('../services/reminderService');
+
+  connectDB()
+    .then(() => reminderService.dispatch())
+    .then((results) => {
+      console.log(`Reminders: ${Object.entries(results).map(([key, count]) => `${count} ${key}`).join(', ')}`);
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error(`Could not send reminders: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,213 @@
+const jwt = require('jsonwebtoken');
+const AppointmentLink = require('../models/AppointmentLink');
+const Appointment = require('../models/Appointment');
+const appointmentService = require('./appointmentService');
+const calendarService = require('./calendarService');
+const waitlistService = require('./waitlistService');
+const { atTime } = require('../utils/time');
+
+// Audience of appointment link tokens, so they can never pass as session or adherence tokens
+const LINK_AUDIENCE = 'appointment-link';
+
+// Status each link action leads to
+const ACTION_STATUS = {
+  confirm: 'Confirmed',
+  cancel: 'Cancelled'
+};
+
+const ACTION_PAST = {
+  confirm: 'confirmed',
+  cancel: 'cancelled'
+};
+
+/**
+ * Error for a link that cannot be used, without saying anything about the appointment
+ * @param {string} message - Message for the patient
+ * @param {number} statusCode - HTTP status
+ * @returns {Error}
+ */
+const linkError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * What the patient holding a link gets to see: the appointment itself and
+ * nothing about the patient or anyone else
+ * @param {Object} link - Appointment link document
+ * @param {Object} appointment - Appointment with the practitioner populated
+ * @returns {Object}
+ */
+const linkView = (link, appointment) => ({
+  action: link.action,
+  used: Boolean(link.usedAt),
+  expiresAt: link.expiresAt,
+  appointment: {
+    date: appointment.date,
+    startTime: appointment.startTime,
+    endTime: appointment.endTime,
+    type: appointment.type,
+    status: appointment.status,
+    practitioner: appointment.practitioner
+      ? `${appointment.practitioner.firstName} ${appointment.practitioner.lastName}`
+      : null
+  }
+});
+
+/**
+ * Service for the links patients use to confirm or cancel an appointment without an account
+ */
+class AppointmentLinkService {
+  /**
+   * Create the confirm and cancel links of an appointment. Each link works once
+   * and expires when the appointment starts. No links are created unless
+   * APP_URL is set, since there would be nowhere for them to point.
+   * @param {Object} appointment - Appointment document
+   * @param {Object} [options]
+   * @param {string} [options.reminder] - Reminder the links are sent in
+   * @returns {Promise<Object>} - { confirm, cancel } URLs; null when not offered
+   */
+  async issueLinks(appointment, { reminder } = {}) {
+    const urls = { confirm: null, cancel: null };
+    if (!process.env.APP_URL) return urls;
+
+    const expiresAt = atTime(appointment.date, appointment.startTime);
+    const base = process.env.APP_URL.replace(/\/+$/, '');
+
+    // An appointment that is already confirmed only needs the way out
+    const actions = appointment.status === 'Scheduled' ? ['confirm', 'cancel'] : ['cancel'];
+
+    for (const action of actions) {
+      const link = await AppointmentLink.create({ appointment: appointment._id, action, reminder, expiresAt });
+      const token = jwt.sign({ exp: Math.floor(expiresAt.getTime() / 1000) }, process.env.JWT_SECRET, {
+        audience: LINK_AUDIENCE,
+        jwtid: String(link._id)
+      });
+      urls[action] = `${base}/appointments/respond/${token}`;
+    }
+
+    return urls;
+  }
+
+  /**
+   * Resolve a link token to the link and its appointment
+   * @param {string} token - Token from the link
+   * @returns {Promise<Object>} - { link, appointment }
+   */
+  async openLink(token) {
+    try {
+      let payload;
+      try {
+        payload = jwt.verify(token, process.env.JWT_SECRET, { audience: LINK_AUDIENCE });
+      } catch (err) {
+        throw err.name === 'TokenExpiredError'
+          ? linkError('This link has expired', 410)
+          : linkError('Link not found', 404);
+      }
+
+      const link = await AppointmentLink.findById(payload.jti);
+      const appointment = link && await Appointment.findById(link.appointment)
+        .select('date startTime endTime type status practitioner createdAt updatedAt')
+        .populate({ path: 'practitioner', select: 'firstName lastName' });
+
+      if (!appointment) {
+        throw linkError('Link not found', 404);
+      }
+
+      return { link, appointment };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Show the appointment behind a link, without using it
+   * @param {string} token - Token from the link
+   * @returns {Promise<Object>} - Link view
+   */
+  async getLink(token) {
+    const { link, appointment } = await this.openLink(token);
+    return linkView(link, appointment);
+  }
+
+  /**
+   * The appointment behind a link as an .ics file, for the patient to add to
+   * their calendar. Works for as long as the link does, used or not.
+   * @param {string} token - Token from the link
+   * @returns {Promise<Object>} - { filename, content }
+   */
+  async getCalendar(token) {
+    const { appointment } = await this.openLink(token);
+    return calendarService.patientCalendar(appointment);
+  }
+
+  /**
+   * Confirm or cancel the appointment of a link, using the link up.
+   * Answering what the appointment already is (confirming a confirmed
+   * appointment) uses the link without changing anything.
+   * @param {string} token - Token from the link
+   * @param {Object} change - { changedBy, reason }
+   * @returns {Promise<Object>} - Link view after the change
+   */
+  async useLink(token, { changedBy, reason }) {
+    const { link, appointment } = await this.openLink(token);
+
+    try {
+      if (link.usedAt) {
+        throw linkError('This link has already been used', 410);
+      }
+
+      if (atTime(appointment.date, appointment.startTime) <= new Date()) {
+        throw linkError('This link has expired', 410);
+      }
+
+      const status = ACTION_STATUS[link.action];
+      if (appointment.status !== status && !Appointment.canTransition(appointment.status, status)) {
+        throw linkError(`This appointment can no longer be ${ACTION_PAST[link.action]}`, 409);
+      }
+
+      // Claimed atomically, so two clicks on the same link only act once
+      const claimed = await AppointmentLink.findOneAndUpdate(
+        { _id: link._id, usedAt: { $exists: false } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+      );
+      if (!claimed) {
+        throw linkError('This link has already been used', 410);
+      }
+
+      if (appointment.status === status) {
+        return linkView(claimed, appointment);
+      }
+
+      let updated;
+      try {
+        updated = link.action === 'confirm'
+          ? await appointmentService.confirmAppointment(appointment._id, { changedBy, reason })
+          : await appointmentService.cancelAppointment(appointment._id, { changedBy, reason });
+      } catch (error) {
+        // The appointment did not change, so the patient may try again
+        await AppointmentLink.updateOne({ _id: link._id }, { $unset: { usedAt: 1 } });
+        throw error;
+      }
+
+      // A slot the patient gave up can go to someone on the waitlist
+      if (updated.status === 'Cancelled') {
+        await waitlistService.offerFreedSlot(updated);
+      }
+
+      return linkView(claimed, updated);
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new AppointmentLinkService();
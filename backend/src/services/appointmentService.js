@@ -0,0 +1,567 @@
+const Appointment = require('../models/Appointment');
+const Patient = require('../models/Patient');
+const Professional = require('../models/Professional');
+const WaitlistOffer = require('../models/WaitlistOffer');
+const insuranceService = require('./insuranceService');
+const packageService = require('./packageService');
+const { clinicDate, dayRange, weekRange } = require('../utils/time');
+
+// Fields that decide whether an appointment can clash with another one
+const SCHEDULING_FIELDS = ['patient', 'practitioner', 'room', 'date', 'startTime', 'endTime'];
+
+// Fields that decide which prepaid package, if any, pays for an appointment
+const PACKAGE_FIELDS = ['patient', 'type', 'date', 'package', 'authorization'];
+
+// Patient and practitioner fields included when appointments are returned
+const PATIENT_SUMMARY = 'firstName lastName idNumber phone email';
+const PRACTITIONER_SUMMARY = 'firstName lastName especialty email phone';
+const APPOINTMENT_POPULATE = [
+  { path: 'patient', select: PATIENT_SUMMARY },
+  { path: 'practitioner', select: PRACTITIONER_SUMMARY }
+];
+
+/**
+ * Throw a 409 error describing the existing appointment that clashes with a slot
+ * @param {Object} slot - Slot to check (see Appointment.checkConflict)
+ * @param {string} [excludeId] - Appointment to ignore (the one being updated)
+ */
+const assertNoConflict = async (slot, excludeId = null) => {
+  const conflict = await Appointment.checkConflict(slot, excludeId);
+
+  if (!conflict) {
+    return;
+  }
+
+  const { resource, appointment } = conflict;
+  const day = appointment.date.toISOString().slice(0, 10);
+  const error = new Error(
+    `The ${resource} is already booked on ${day} from ${appointment.startTime} to ${appointment.endTime} ` +
+    `(appointment ${appointment._id})`
+  );
+  error.statusCode = 409;
+  error.details = {
+    resource,
+    conflictingAppointment: {
+      id: appointment._id,
+      patient: appointment.patient,
+      practitioner: appointment.practitioner,
+      room: appointment.room,
+      date: appointment.date,
+      startTime: appointment.startTime,
+      endTime: appointment.endTime,
+      status: appointment.status
+    }
+  };
+  throw error;
+};
+
+/**
+ * Throw a 409 error when a slot is held for a waitlisted patient who has not answered yet
+ * @param {Object} slot - Slot to check (practitioner, date, startTime, endTime)
+ */
+const assertNotHeld = async (slot) => {
+  const hold = await WaitlistOffer.findHold(slot);
+
+  if (hold) {
+    const error = new Error(
+      `This slot is held for a waitlisted patient until ${hold.expiresAt.toISOString()} (offer ${hold._id})`
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+/**
+ * The waitlist service, loaded on first use: it books accepted offers through
+ * this service, so requiring it at the top would be circular
+ * @returns {Object}
+ */
+const waitlist = () => require('./waitlistService');
+
+/**
+ * Load an appointment, apply a lifecycle action to it and save it. Completed
+ * and missed visits are charged to their package before the save, so the
+ * package and the appointment never disagree about a visit.
+ * @param {string} appointmentId - MongoDB ID of the appointment
+ * @param {string} status - Status after the action
+ * @param {Object} change - Action details (see Appointment#transitionTo)
+ * @param {Function} [prepare] - Extra checks or field updates to run before the transition
+ * @returns {Promise<Object>} - Updated appointment object
+ */
+const applyAction = async (appointmentId, status, change, prepare) => {
+  const appointment = await Appointment.findById(appointmentId);
+
+  if (!appointment) {
+    const error = new Error('Appointment not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (prepare) {
+    prepare(appointment);
+  }
+
+  appointment.transitionTo(status, change);
+
+  const charged = await packageService.recordVisit(appointment);
+
+  try {
+    await appointment.save();
+  } catch (error) {
+    if (charged) {
+      await packageService.releaseVisit(charged, appointment);
+    }
+    throw error;
+  }
+
+  return appointment.populate(APPOINTMENT_POPULATE);
+};
+
+/**
+ * Service to handle appointment booking operations
+ */
+class AppointmentService {
+  /**
+   * Book a new appointment
+   * @param {Object} appointmentData - Appointment data to create
+   * @param {Object} [options] - Booking options
+   * @param {string} [options.changedBy] - Who booked the appointment
+   * @returns {Promise<Object>} - Created appointment object
+   */
+  async createAppointment(appointmentData, { changedBy } = {}) {
+    try {
+      const patient = await Patient.findById(appointmentData.patient);
+
+      if (!patient || !patient.isActive) {
+        const error = new Error('Patient not found or inactive');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      await Professional.findBookable(appointmentData.practitioner);
+
+      const appointment = new Appointment(appointmentData);
+
+      if (appointment.authorization) {
+        const authorization = await insuranceService.resolveAuthorization(appointment.authorization, appointment.patient);
+        appointment.set({ ...insuranceService.appointmentFields(authorization), paymentStatus: 'Insurance Pending' });
+      }
+
+      await packageService.assignPackages(appointment);
+
+      appointment.statusHistory = [{ to: appointment.status, action: 'create', changedBy }];
+      // Run schema validation first so time format errors surface as 400s
+      await appointment.validate();
+
+      await assertNoConflict(appointment);
+      await assertNotHeld(appointment);
+
+      await appointment.save();
+      return appointment.populate(APPOINTMENT_POPULATE);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List appointments for a day or for the week containing a date
+   * @param {Object} options - Listing options
+   * @param {Date|string} options.date - Reference date (default: today)
+   * @param {string} options.view - 'day' or 'week' (default: 'day')
+   * @param {Object} options.filters - Optional practitioner, patient, room and status filters
+   * @returns {Promise<Object>} - Appointments and the date range covered
+   */
+  async getAppointments({ date = clinicDate(), view = 'day', filters = {} }) {
+    try {
+      const { start, end } = view === 'week' ? weekRange(date) : dayRange(date);
+
+      const query = { date: { $gte: start, $lte: end } };
+
+      for (const field of ['practitioner', 'patient', 'room', 'status']) {
+        if (filters[field]) {
+          query[field] = filters[field];
+        }
+      }
+
+      const appointments = await Appointment.find(query)
+        .populate(APPOINTMENT_POPULATE)
+        .sort({ date: 1, startTime: 1 });
+
+      return {
+        appointments,
+        range: { view, start, end }
+      };
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Get an appointment by ID
+   * @param {string} appointmentId - MongoDB ID of the appointment
+   * @returns {Promise<Object>} - Appointment object
+   */
+  async getAppointmentById(appointmentId) {
+    try {
+      const appointment = await Appointment.findById(appointmentId)
+        .populate(APPOINTMENT_POPULATE);
+
+      if (!appointment) {
+        const error = new Error('Appointment not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return appointment;
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update an appointment, re-checking conflicts when the slot changes
+   * @param {string} appointmentId - MongoDB ID of the appointment
+   * @param {Object} updateData - Updated appointment data
+   * @returns {Promise<Object>} - Updated appointment object
+   */
+  async updateAppointment(appointmentId, updateData) {
+    try {
+      const appointment = await Appointment.findById(appointmentId);
+
+      if (!appointment) {
+        const error = new Error('Appointment not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      if (Appointment.isFinalStatus(appointment.status)) {
+        const error = new Error(`Cannot update an appointment with status ${appointment.status}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (updateData.patient && String(updateData.patient) !== String(appointment.patient)) {
+        const patient = await Patient.findById(updateData.patient);
+
+        if (!patient || !patient.isActive) {
+          const error = new Error('Patient not found or inactive');
+          error.statusCode = 404;
+          throw error;
+        }
+      }
+
+      if (updateData.practitioner && String(updateData.practitioner) !== String(appointment.practitioner)) {
+        await Professional.findBookable(updateData.practitioner);
+      }
+
+      // Slot the appointment leaves if it is moved, for the waitlist
+      const previous = {
+        freedBy: appointment._id,
+        practitioner: appointment.practitioner,
+        room: appointment.room,
+        date: appointment.date,
+        startTime: appointment.startTime,
+        endTime: appointment.endTime
+      };
+
+      appointment.set(updateData);
+
+      // A new authorization, or a new patient, must still match up
+      if (appointment.authorization && (appointment.isModified('authorization') || appointment.isModified('patient'))) {
+        const authorization = await insuranceService.resolveAuthorization(appointment.authorization, appointment.patient);
+        appointment.set(insuranceService.appointmentFields(authorization));
+      }
+
+      if (PACKAGE_FIELDS.some((field) => appointment.isModified(field))) {
+        // A package chosen earlier may no longer fit, so pick again unless one was given
+        if (!updateData.package) {
+          appointment.package = undefined;
+        }
+        await packageService.assignPackages(appointment);
+      }
+
+      await appointment.validate();
+
+      // Only re-check the calendar when the slot itself moved
+      const moved = SCHEDULING_FIELDS.some((field) => appointment.isModified(field));
+      if (moved) {
+        await assertNoConflict(appointment, appointment._id);
+        await assertNotHeld(appointment);
+      }
+
+      await appointment.save();
+
+      // Offered only if nothing else still occupies the old slot (e.g. only the patient changed)
+      if (moved) {
+        await waitlist().offerReleasedSlot(previous);
+      }
+
+      return appointment.populate(APPOINTMENT_POPULATE);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm a scheduled appointment
+   * @param {string} appointmentId - MongoDB ID of the appointment
+   * @param {Object} change - Who confirmed it and an optional reason
+   * @returns {Promise<Object>} - Updated appointment object
+   */
+  async confirmAppointment(appointmentId, { changedBy, reason }) {
+    try {
+      return await applyAction(appointmentId, 'Confirmed', { action: 'confirm', changedBy, reason });
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check a patient in for their appointment, confirming it if still scheduled
+   * @param {string} appointmentId - MongoDB ID of the appointment
+   * @param {Object} change - Who checked the patient in
+   * @returns {Promise<Object>} - Updated appointment object
+   */
+  async checkInAppointment(appointmentId, { changedBy, reason }) {
+    try {
+      return await applyAction(
+        appointmentId,
+        'Confirmed',
+        { action: 'check-in', changedBy, reason },
+        (appointment) => {
+          if (appointment.checkedInAt) {
+            const error = new Error('Patient is already checked in');
+            error.statusCode = 400;
+            throw error;
+          }
+          appointment.checkedInAt = new Date();
+        }
+      );
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a confirmed appointment as completed
+   * @param {string} appointmentId - MongoDB ID of the appointment
+   * @param {Object} change - Who completed it and optional notes
+   * @returns {Promise<Object>} - Updated appointment object
+   */
+  async completeAppointment(appointmentId, { changedBy, reason }) {
+    try {
+      return await applyAction(
+        appointmentId,
+        'Completed',
+        { action: 'complete', changedBy, reason },
+        (appointment) => {
+          appointment.completedAt = new Date();
+        }
+      );
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an appointment
+   * @param {string} appointmentId - MongoDB ID of the appointment
+   * @param {Object} change - Who cancelled it and why
+   * @returns {Promise<Object>} - Cancelled appointment object
+   */
+  async cancelAppointment(appointmentId, { changedBy, reason }) {
+    try {
+      return await applyAction(appointmentId, 'Cancelled', { action: 'cancel', changedBy, reason });
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an appointment as a no-show
+   * @param {string} appointmentId - MongoDB ID of the appointment
+   * @param {Object} change - Who recorded the no-show and an optional reason
+   * @returns {Promise<Object>} - Updated appointment object
+   */
+  async markNoShow(appointmentId, { changedBy, reason }) {
+    try {
+      return await applyAction(
+        appointmentId,
+        'No-Show',
+        { action: 'no-show', changedBy, reason },
+        (appointment) => {
+          if (appointment.checkedInAt) {
+            const error = new Error('Cannot mark a checked-in patient as a no-show');
+            error.statusCode = 400;
+            throw error;
+          }
+        }
+      );
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Move an appointment to a new slot
+   * The original is closed as Rescheduled and a new appointment is booked, with
+   * rescheduledTo/rescheduledFrom linking the two
+   * @param {string} appointmentId - MongoDB ID of the appointment
+   * @param {Object} newSlot - date, startTime, endTime and optionally practitioner/room
+   * @param {Object} change - Who rescheduled it and why
+   * @returns {Promise<Object>} - { previous, appointment } with the old and the new appointment
+   */
+  async rescheduleAppointment(appointmentId, newSlot, { changedBy, reason }) {
+    try {
+      const previous = await Appointment.findById(appointmentId);
+
+      if (!previous) {
+        const error = new Error('Appointment not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      // Validate the transition before booking anything
+      if (!Appointment.canTransition(previous.status, 'Rescheduled')) {
+        const error = new Error(`Cannot reschedule an appointment with status ${previous.status}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      await Professional.findBookable(newSlot.practitioner || previous.practitioner);
+
+      const source = previous.toObject();
+      const appointment = new Appointment({
+        patient: source.patient,
+        clinicalRecord: source.clinicalRecord,
+        type: source.type,
+        practitioner: source.practitioner,
+        room: source.room,
+        insuranceUsed: source.insuranceUsed,
+        authorization: source.authorization,
+        insuranceDetails: source.insuranceDetails,
+        package: source.package,
+        noPackageCredit: source.noPackageCredit,
+        fee: source.fee,
+        appointmentNotes: source.appointmentNotes,
+        series: source.series,
+        ...newSlot,
+        rescheduledFrom: previous._id,
+        statusHistory: [{ to: 'Scheduled', action: 'reschedule', changedBy, reason }]
+      });
+      await appointment.validate();
+
+      // The old slot is being released, so it must not count as a clash
+      await assertNoConflict(appointment, previous._id);
+      await assertNotHeld(appointment);
+
+      await appointment.save();
+
+      try {
+        previous.transitionTo('Rescheduled', { action: 'reschedule', changedBy, reason });
+        previous.rescheduledTo = appointment._id;
+        await previous.save();
+      } catch (error) {
+        // Do not leave a second booking behind if the original could not be closed
+        await Appointment.deleteOne({ _id: appointment._id });
+        throw error;
+      }
+
+      await appointment.populate(APPOINTMENT_POPULATE);
+      return { previous, appointment };
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the status history of an appointment together with its reschedule chain
+   * @param {string} appointmentId - MongoDB ID of the appointment
+   * @returns {Promise<Object>} - { appointmentId, statusHistory, chain } where chain is ordered oldest first
+   */
+  async getAppointmentHistory(appointmentId) {
+    try {
+      const appointment = await Appointment.findById(appointmentId);
+
+      if (!appointment) {
+        const error = new Error('Appointment not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const fields = 'patient date startTime endTime practitioner room status statusHistory rescheduledFrom rescheduledTo';
+      const chain = [appointment];
+      const seen = new Set([String(appointment._id)]);
+
+      // Walk back to the first appointment of the chain
+      let current = appointment;
+      while (current.rescheduledFrom && !seen.has(String(current.rescheduledFrom))) {
+        current = await Appointment.findById(current.rescheduledFrom).select(fields);
+        if (!current) break;
+        seen.add(String(current._id));
+        chain.unshift(current);
+      }
+
+      // Then forward to the latest one
+      current = appointment;
+      while (current.rescheduledTo && !seen.has(String(current.rescheduledTo))) {
+        current = await Appointment.findById(current.rescheduledTo).select(fields);
+        if (!current) break;
+        seen.add(String(current._id));
+        chain.push(current);
+      }
+
+      await Appointment.populate(chain, { path: 'practitioner', select: PRACTITIONER_SUMMARY });
+
+      return {
+        appointmentId: appointment._id,
+        statusHistory: appointment.statusHistory,
+        chain
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new AppointmentService();
@@ -0,0 +1,237 @@
+const Attachment = require('../models/Attachment');
+const ClinicalRecord = require('../models/ClinicalRecord');
+const AuditLog = require('../models/AuditLog');
+const { getStorage } = require('../storage');
+const { ATTACHMENT_TYPES } = require('../config/attachments');
+
+const ACCEPTED_EXTENSIONS = Object.values(ATTACHMENT_TYPES).map((type) => type.extension.toUpperCase()).join(', ');
+
+/**
+ * Load the clinical record an attachment request is made through
+ * @param {string} recordId - MongoDB ID of the clinical record
+ * @returns {Promise<Object>} - Record with its patient and practitioner
+ */
+const findRecord = async (recordId) => {
+  const record = await ClinicalRecord.findById(recordId).select('patient practitioner');
+
+  if (!record) {
+    const error = new Error('Clinical record not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return record;
+};
+
+/**
+ * Load an attachment through its clinical record. An attachment ID only
+ * resolves under the record, and so the patient, it belongs to.
+ * @param {string} recordId - MongoDB ID of the clinical record
+ * @param {string} attachmentId - MongoDB ID of the attachment
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.withKey - Also load the storage key
+ * @returns {Promise<Object>} - Attachment document
+ */
+const findAttachment = async (recordId, attachmentId, { withKey = false } = {}) => {
+  const record = await findRecord(recordId);
+  const query = Attachment.findOne({ _id: attachmentId, clinicalRecord: record._id, patient: record.patient });
+  const attachment = await (withKey ? query.select('+storageKey') : query);
+
+  if (!attachment) {
+    const error = new Error('Attachment not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return attachment;
+};
+
+/**
+ * Service to store and serve files attached to clinical records
+ */
+class AttachmentService {
+  /**
+   * Register a file already streamed into storage by the upload middleware
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @param {Object} file - Stored file from the upload middleware
+   * @param {Object} details - Optional category and description
+   * @param {Object} uploadedBy - User uploading the file
+   * @returns {Promise<Object>} - Created attachment
+   */
+  async uploadAttachment(recordId, file, { category, description } = {}, uploadedBy) {
+    try {
+      const record = await findRecord(recordId);
+
+      if (!file) {
+        const error = new Error('A file is required');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // The declared type is ignored; only the contents decide what the file is
+      if (!file.detectedType) {
+        const error = new Error(`File type not accepted; upload one of: ${ACCEPTED_EXTENSIONS}`);
+        error.statusCode = 415;
+        throw error;
+      }
+
+      const existing = await Attachment.findOne({ clinicalRecord: record._id, sha256: file.sha256, deletedAt: null });
+
+      if (existing) {
+        const error = new Error(`This file is already attached to the record as ${existing.name}`);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const attachment = await Attachment.create({
+        patient: record.patient,
+        clinicalRecord: record._id,
+        category,
+        name: file.originalname,
+        description,
+        mimeType: file.detectedType,
+        size: file.size,
+        sha256: file.sha256,
+        storage: file.storage,
+        storageKey: file.storageKey,
+        uploadedBy: uploadedBy._id,
+        uploadedByName: uploadedBy.name
+      });
+
+      // The storage key is only needed internally
+      attachment.storageKey = undefined;
+      return attachment;
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the attachments of a clinical record in upload order
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @param {Object} options - Optional includeDeleted to list tombstones too
+   * @returns {Promise<Object[]>} - Attachments
+   */
+  async getRecordAttachments(recordId, { includeDeleted = false } = {}) {
+    try {
+      const record = await findRecord(recordId);
+      const query = { clinicalRecord: record._id, patient: record.patient };
+
+      if (!includeDeleted) {
+        query.deletedAt = null;
+      }
+
+      return await Attachment.find(query).sort({ uploadedAt: 1 });
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Open an attachment's file for download
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @param {string} attachmentId - MongoDB ID of the attachment
+   * @returns {Promise<Object>} - { attachment, stream }
+   */
+  async openAttachment(recordId, attachmentId) {
+    try {
+      const attachment = await findAttachment(recordId, attachmentId, { withKey: true });
+
+      if (attachment.deletedAt) {
+        const error = new Error('Attachment was deleted');
+        error.statusCode = 410;
+        throw error;
+      }
+
+      let stream;
+      try {
+        stream = await getStorage(attachment.storage).read(attachment.storageKey);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+
+        const error = new Error('Attachment file is missing from storage');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      attachment.storageKey = undefined;
+      return { attachment, stream };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an attachment's file, keeping a tombstone with its name, hash and
+   * who deleted it and why; only whoever uploaded it may do so
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @param {string} attachmentId - MongoDB ID of the attachment
+   * @param {Object} details - Deletion details
+   * @param {string} details.reason - Why the file is removed
+   * @param {Object} details.deletedBy - User deleting the file
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async deleteAttachment(recordId, attachmentId, { reason, deletedBy }) {
+    try {
+      const attachment = await findAttachment(recordId, attachmentId, { withKey: true });
+
+      if (attachment.deletedAt) {
+        const error = new Error('Attachment was already deleted');
+        error.statusCode = 410;
+        throw error;
+      }
+
+      if (String(attachment.uploadedBy) !== String(deletedBy._id)) {
+        const error = new Error('Only the user who uploaded this attachment can delete it');
+        error.statusCode = 403;
+        throw error;
+      }
+
+      const tombstone = {
+        deletedAt: new Date(),
+        deletedBy: deletedBy._id,
+        deletedByName: deletedBy.name,
+        deletionReason: reason
+      };
+
+      // Written as a bulk update so the audit trail shows one delete, not an edit
+      await Attachment.updateOne({ _id: attachment._id }, { $set: tombstone, $unset: { storageKey: 1 } });
+      await AuditLog.record({
+        action: 'delete',
+        resourceType: 'Attachment',
+        resourceId: attachment._id,
+        patient: attachment.patient,
+        changes: Object.entries(tombstone).map(([field, after]) => ({ field, before: null, after }))
+      });
+
+      // The tombstone is written first: a file left behind by a failed removal
+      // is unreachable, while a missing file under a live attachment is not
+      try {
+        await getStorage(attachment.storage).remove(attachment.storageKey);
+      } catch (error) {
+        console.error(`Could not remove file of deleted attachment ${attachment._id}: ${error.message}`);
+      }
+
+      return { success: true, message: 'Attachment deleted successfully' };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new AttachmentService();
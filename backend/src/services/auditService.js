@@ -0,0 +1,158 @@
+const AuditLog = require('../models/AuditLog');
+const { toCsv } = require('../utils/csv');
+
+// Largest number of entries a single export may contain
+const MAX_EXPORT_ENTRIES = 50000;
+
+const EXPORT_COLUMNS = [
+  { key: 'timestamp', header: 'Timestamp' },
+  { key: 'actorName', header: 'Actor' },
+  { key: 'actorRole', header: 'Role' },
+  { key: 'actor', header: 'Actor ID' },
+  { key: 'action', header: 'Action' },
+  { key: 'resourceType', header: 'Resource' },
+  { key: 'resourceId', header: 'Resource ID' },
+  { key: 'patient', header: 'Patient ID' },
+  { key: 'changedFields', header: 'Changed fields' },
+  { key: 'changes', header: 'Changes' },
+  { key: 'ip', header: 'IP' },
+  { key: 'method', header: 'Method' },
+  { key: 'path', header: 'Path' }
+];
+
+/**
+ * Build the query for a set of audit filters
+ * @param {Object} filters - patient, actor, resourceType, resourceId, action, from, to
+ * @returns {Object} - MongoDB query
+ */
+const buildQuery = ({ patient, actor, resourceType, resourceId, action, from, to }) => {
+  const query = {};
+
+  if (patient) query.patient = patient;
+  if (actor) query.actor = actor;
+  if (resourceType) query.resourceType = resourceType;
+  if (resourceId) query.resourceId = resourceId;
+  if (action) query.action = action;
+
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = from;
+    if (to) query.timestamp.$lte = to;
+  }
+
+  return query;
+};
+
+/**
+ * Service to record and query access to patient health data
+ */
+class AuditService {
+  /**
+   * Record that the current user viewed one or more documents
+   * @param {string} resourceType - 'Patient', 'ClinicalRecord', 'Appointment', 'OutcomeMeasure', 'Attachment' or 'AdherenceLog'
+   * @param {Object|Object[]} docs - Documents returned to the user
+   * @returns {Promise<void>}
+   */
+  async logRead(resourceType, docs) {
+    const entries = [].concat(docs).filter(Boolean).map((doc) => {
+      const patient = resourceType === 'Patient' ? doc._id : doc.patient;
+      return {
+        action: 'read',
+        resourceType,
+        resourceId: doc._id,
+        patient: (patient && patient._id) || patient
+      };
+    });
+
+    await AuditLog.record(entries);
+  }
+
+  /**
+   * Query the audit log, newest first
+   * @param {Object} filters - patient, actor, resourceType, resourceId, action, from, to
+   * @param {number} page - Page number (default: 1)
+   * @param {number} limit - Results per page (default: 50)
+   * @returns {Promise<Object>} - Entries and pagination metadata
+   */
+  async getEntries(filters = {}, page = 1, limit = 50) {
+    try {
+      page = Math.max(1, parseInt(page));
+      limit = Math.min(500, Math.max(1, parseInt(limit)));
+
+      const query = buildQuery(filters);
+      const skip = (page - 1) * limit;
+
+      const entries = await AuditLog.find(query)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await AuditLog.countDocuments(query);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        entries,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      };
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Export matching entries, oldest first, for an inspection
+   * @param {Object} filters - patient, actor, resourceType, resourceId, action, from, to
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Promise<Object>} - { contentType, filename, body }
+   */
+  async exportEntries(filters = {}, format = 'csv') {
+    try {
+      const query = buildQuery(filters);
+      const total = await AuditLog.countDocuments(query);
+
+      if (total > MAX_EXPORT_ENTRIES) {
+        const error = new Error(`Export would contain ${total} entries; narrow the filters to at most ${MAX_EXPORT_ENTRIES}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const entries = await AuditLog.find(query).sort({ timestamp: 1 }).lean();
+      const stamp = new Date().toISOString().slice(0, 10);
+
+      if (format === 'json') {
+        return {
+          contentType: 'application/json',
+          filename: `audit-log-${stamp}.json`,
+          body: JSON.stringify({ exportedAt: new Date(), filters, entries }, null, 2)
+        };
+      }
+
+      const rows = entries.map((entry) => ({
+        ...entry,
+        changedFields: entry.changes.map((change) => change.field).join(' '),
+        changes: entry.changes.length > 0 ? entry.changes : ''
+      }));
+
+      return {
+        contentType: 'text/csv; charset=utf-8',
+        filename: `audit-log-${stamp}.csv`,
+        body: toCsv(EXPORT_COLUMNS, rows)
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new AuditService();
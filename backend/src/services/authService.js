@@ -0,0 +1,89 @@
+const User = require('../models/User');
+
+/**
+ * Service to handle staff login and sessions
+ */
+class AuthService {
+  /**
+   * Check credentials and open a session
+   * @param {string} email - Account email
+   * @param {string} password - Plain text password
+   * @returns {Promise<Object>} - { token, user }
+   */
+  async login(email, password) {
+    try {
+      const user = await User.findOne({ email: String(email).toLowerCase() }).select('+password');
+
+      // Same message, and the same hashing time, for unknown email and wrong
+      // password so accounts cannot be probed
+      const matches = user ? await user.matchPassword(password) : await User.matchNoPassword(password);
+      if (!user || !user.isActive || !matches) {
+        const error = new Error('Invalid credentials');
+        error.statusCode = 401;
+        throw error;
+      }
+
+      user.lastLoginAt = new Date();
+      await user.save();
+
+      const token = user.getSignedJwtToken();
+      return { token, user };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * End every open session of a user
+   * @param {string} userId - MongoDB ID of the user
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async logout(userId) {
+    try {
+      await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } });
+
+      return { success: true, message: 'Logged out successfully' };
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Change a user's own password; existing sessions are closed and a new token issued
+   * @param {string} userId - MongoDB ID of the user
+   * @param {string} currentPassword - Password in use
+   * @param {string} newPassword - Replacement password
+   * @returns {Promise<Object>} - { token, user }
+   */
+  async changePassword(userId, currentPassword, newPassword) {
+    try {
+      const user = await User.findById(userId).select('+password');
+
+      if (!user || !(await user.matchPassword(currentPassword))) {
+        const error = new Error('Current password is incorrect');
+        error.statusCode = 401;
+        throw error;
+      }
+
+      user.password = newPassword;
+      await user.save();
+
+      const token = user.getSignedJwtToken();
+      return { token, user };
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,526 @@
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Counter = require('../models/Counter');
+const Appointment = require('../models/Appointment');
+const Patient = require('../models/Patient');
+const Professional = require('../models/Professional');
+const { clinicDate, clinicDayRange, dayRange } = require('../utils/time');
+
+// Appointments that can be invoiced: booked ahead (prepaid) or already attended
+const BILLABLE_STATUSES = ['Scheduled', 'Confirmed', 'Completed', 'No-Show'];
+
+// Appointments that count as owed until invoiced
+const OWED_STATUSES = ['Completed'];
+
+const PATIENT_SUMMARY = 'firstName lastName idNumber';
+
+const INVOICE_POPULATE = [
+  { path: 'patient', select: PATIENT_SUMMARY },
+  { path: 'items.practitioner', select: 'firstName lastName' }
+];
+
+/**
+ * Build an error carrying an HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Split a stretch of the amount paid over the items of an invoice. Payments
+ * cover items in order, so the stretch from `from` to `to` falls on the items
+ * whose share of the total lies within it.
+ * @param {Object[]} items - Invoice items, in order
+ * @param {number} from - Amount paid before
+ * @param {number} to - Amount paid after
+ * @returns {number[]} - Amount covered of each item
+ */
+const coverage = (items, from, to) => {
+  let start = 0;
+  return items.map((item) => {
+    const end = start + item.amount;
+    const covered = Math.max(0, Math.min(end, to) - Math.max(start, from));
+    start = end;
+    return covered;
+  });
+};
+
+/**
+ * Payment status of an appointment, from what was paid of its invoice item.
+ * Visits taken from a prepaid package were paid with the package.
+ * @param {Object} appointment - Appointment with insuranceUsed, package and status
+ * @param {Object} [item] - Invoice item, when the appointment is on an issued invoice
+ * @param {number} [covered] - Amount paid of the item
+ * @returns {string}
+ */
+const paymentStatusOf = (appointment, item, covered = 0) => {
+  if (appointment.package && Appointment.isPackageVisit(appointment.status)) return 'Paid';
+  if (item && item.amount === 0) return 'Waived';
+  if (item && covered >= item.amount) return 'Paid';
+  if (covered > 0) return 'Partially Paid';
+  return appointment.insuranceUsed ? 'Insurance Pending' : 'Pending';
+};
+
+/**
+ * Bring Appointment.paymentStatus of the appointments of an invoice in line with it
+ * @param {Object} invoice - Invoice document
+ */
+const syncPaymentStatus = async (invoice) => {
+  const issued = invoice.status === 'Issued';
+  const covered = coverage(invoice.items, 0, issued ? invoice.amountPaid : 0);
+
+  const appointments = new Map((await Appointment.find({ _id: { $in: invoice.items.map((item) => item.appointment) } })
+    .select('paymentStatus insuranceUsed package status'))
+    .map((appointment) => [String(appointment._id), appointment]));
+
+  for (const [index, item] of invoice.items.entries()) {
+    const appointment = appointments.get(String(item.appointment));
+    if (!appointment) continue;
+
+    const status = issued ? paymentStatusOf(appointment, item, covered[index]) : paymentStatusOf(appointment);
+    if (appointment.paymentStatus !== status) {
+      await Appointment.findOneAndUpdate({ _id: appointment._id }, { $set: { paymentStatus: status } });
+    }
+  }
+};
+
+/**
+ * Service for invoices, payments and the reports built on them
+ */
+class BillingService {
+  /**
+   * Payment status of an appointment that is not on an issued invoice
+   * @param {Object} appointment - Appointment with insuranceUsed, package and status
+   * @returns {string}
+   */
+  paymentStatusFor(appointment) {
+    return paymentStatusOf(appointment);
+  }
+
+  /**
+   * Invoice appointments of a patient. Each appointment is billed at its fee
+   * unless another amount is given, and can be on one issued invoice only.
+   * @param {Object} invoiceData - { appointments: [{ appointment, amount }], notes }
+   * @param {string} userId - User issuing the invoice
+   * @returns {Promise<Object>} - Created invoice
+   */
+  async createInvoice({ appointments: entries, notes }, userId) {
+    try {
+      const ids = entries.map((entry) => String(entry.appointment));
+      if (new Set(ids).size !== ids.length) {
+        throw httpError('An appointment appears more than once', 400);
+      }
+
+      const appointments = await Appointment.find({ _id: { $in: ids } })
+        .select('patient practitioner date startTime type status fee package');
+      const byId = new Map(appointments.map((appointment) => [String(appointment._id), appointment]));
+
+      const missing = ids.find((id) => !byId.has(id));
+      if (missing) {
+        throw httpError(`Appointment ${missing} not found`, 404);
+      }
+
+      if (new Set(appointments.map((appointment) => String(appointment.patient))).size > 1) {
+        throw httpError('All appointments of an invoice must belong to the same patient', 400);
+      }
+
+      const unbillable = appointments.find((appointment) => !BILLABLE_STATUSES.includes(appointment.status));
+      if (unbillable) {
+        throw httpError(`Cannot invoice an appointment with status ${unbillable.status}`, 400);
+      }
+
+      const prepaid = appointments.find((appointment) => appointment.package);
+      if (prepaid) {
+        throw httpError(`Appointment ${prepaid._id} is paid by a prepaid package`, 400);
+      }
+
+      const billed = await Invoice.findOne({ status: 'Issued', 'items.appointment': { $in: ids } }).select('number items.appointment');
+      if (billed) {
+        const appointment = billed.items.find((item) => ids.includes(String(item.appointment))).appointment;
+        throw httpError(`Appointment ${appointment} is already on invoice ${billed.number}`, 409);
+      }
+
+      const items = entries.map((entry) => {
+        const appointment = byId.get(String(entry.appointment));
+        const amount = entry.amount !== undefined ? entry.amount : appointment.fee;
+
+        if (amount === undefined || amount === null) {
+          throw httpError(`Appointment ${appointment._id} has no fee; give the amount to invoice`, 400);
+        }
+
+        return {
+          appointment: appointment._id,
+          date: appointment.date,
+          startTime: appointment.startTime,
+          practitioner: appointment.practitioner,
+          description: appointment.type,
+          amount: Math.round(amount)
+        };
+      });
+
+      items.sort((a, b) => a.date - b.date || a.startTime.localeCompare(b.startTime));
+
+      const invoice = new Invoice({
+        number: await Counter.next('invoice'),
+        patient: appointments[0].patient,
+        items,
+        notes,
+        issuedBy: userId
+      });
+
+      try {
+        await invoice.save();
+      } catch (error) {
+        // Another invoice took one of the appointments in the meantime
+        if (error.code === 11000) {
+          throw httpError('An appointment of this invoice was invoiced in the meantime', 409);
+        }
+        throw error;
+      }
+
+      await syncPaymentStatus(invoice);
+      return invoice.populate(INVOICE_POPULATE);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List invoices, newest first
+   * @param {Object} filters - patient, status, from, to (issue date)
+   * @returns {Promise<Object[]>}
+   */
+  async getInvoices({ patient, status, from, to } = {}) {
+    try {
+      const query = {};
+      if (patient) query.patient = patient;
+      if (status) query.status = status;
+      if (from || to) {
+        query.issuedAt = {};
+        if (from) query.issuedAt.$gte = clinicDayRange(from).start;
+        if (to) query.issuedAt.$lte = clinicDayRange(to).end;
+      }
+
+      return await Invoice.find(query).populate(INVOICE_POPULATE).sort({ issuedAt: -1 });
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Get an invoice with its payments and refunds
+   * @param {string} invoiceId - MongoDB ID of the invoice
+   * @returns {Promise<Object>} - { invoice, payments }
+   */
+  async getInvoiceById(invoiceId) {
+    try {
+      const invoice = await Invoice.findById(invoiceId).populate(INVOICE_POPULATE);
+
+      if (!invoice) {
+        throw httpError('Invoice not found', 404);
+      }
+
+      const payments = await Payment.find({ invoice: invoice._id })
+        .populate({ path: 'recordedBy', select: 'name' })
+        .sort({ receivedAt: 1 });
+
+      return { invoice, payments };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Void an invoice so its appointments can be billed again. Whatever was
+   * paid must be refunded first.
+   * @param {string} invoiceId - MongoDB ID of the invoice
+   * @param {Object} change - { changedBy, reason }
+   * @returns {Promise<Object>} - Void invoice
+   */
+  async voidInvoice(invoiceId, { changedBy, reason }) {
+    try {
+      // Only while nothing is paid, checked in the same write as the change
+      const invoice = await Invoice.findOneAndUpdate(
+        { _id: invoiceId, status: 'Issued', amountPaid: 0 },
+        { $set: { status: 'Void', voidedAt: new Date(), voidedBy: changedBy, voidReason: reason } },
+        { new: true }
+      );
+
+      if (!invoice) {
+        const current = await Invoice.findById(invoiceId).select('status');
+        if (!current) {
+          throw httpError('Invoice not found', 404);
+        }
+        throw current.status === 'Void'
+          ? httpError('Invoice is already void', 400)
+          : httpError('Refund the payments of an invoice before voiding it', 409);
+      }
+
+      await syncPaymentStatus(invoice);
+      return invoice.populate(INVOICE_POPULATE);
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record a payment towards an invoice, or a refund of what was paid.
+   * Payments cannot exceed the balance and refunds cannot exceed what was paid.
+   * @param {string} invoiceId - MongoDB ID of the invoice
+   * @param {Object} paymentData - { kind, method, amount, reference, receivedAt, notes }
+   * @param {string} userId - User recording it
+   * @returns {Promise<Object>} - { payment, invoice }
+   */
+  async recordPayment(invoiceId, { kind = 'Payment', method, amount, reference, receivedAt, notes }, userId) {
+    try {
+      const isRefund = kind === 'Refund';
+      const delta = isRefund ? -amount : amount;
+
+      // The limit is checked in the same write that moves the amount paid, so
+      // two payments taken at once cannot go over it together
+      const invoice = await Invoice.findOneAndUpdate(
+        {
+          _id: invoiceId,
+          status: 'Issued',
+          ...(isRefund
+            ? { amountPaid: { $gte: amount } }
+            : { $expr: { $lte: [{ $add: ['$amountPaid', amount] }, '$total'] } })
+        },
+        { $inc: { amountPaid: delta } },
+        { new: true }
+      );
+
+      if (!invoice) {
+        const current = await Invoice.findById(invoiceId).select('status total amountPaid');
+        if (!current) {
+          throw httpError('Invoice not found', 404);
+        }
+        if (current.status === 'Void') {
+          throw httpError('Cannot record payments on a void invoice', 409);
+        }
+        throw isRefund
+          ? httpError(`Refund exceeds the ${current.amountPaid} paid on the invoice`, 400)
+          : httpError(`Payment exceeds the balance of ${current.balance}`, 400);
+      }
+
+      const after = invoice.amountPaid;
+      const before = after - delta;
+      const shares = isRefund
+        ? coverage(invoice.items, after, before).map((share) => -share)
+        : coverage(invoice.items, before, after);
+
+      let payment;
+      try {
+        payment = await Payment.create({
+          invoice: invoice._id,
+          patient: invoice.patient,
+          kind,
+          method,
+          amount,
+          reference,
+          receivedAt,
+          notes,
+          recordedBy: userId,
+          allocations: invoice.items
+            .map((item, index) => ({ appointment: item.appointment, practitioner: item.practitioner, amount: shares[index] }))
+            .filter((allocation) => allocation.amount !== 0)
+        });
+      } catch (error) {
+        await Invoice.findOneAndUpdate({ _id: invoice._id }, { $inc: { amountPaid: -delta } });
+        throw error;
+      }
+
+      await syncPaymentStatus(invoice);
+      return { payment, invoice: await invoice.populate(INVOICE_POPULATE) };
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Cash close of a day: what each practitioner's appointments brought in, by
+   * payment method, net of refunds given that day
+   * @param {Object} options - { date, practitioner }
+   * @returns {Promise<Object>} - { date, practitioners, totals }
+   */
+  async getCashClose({ date = clinicDate(), practitioner } = {}) {
+    try {
+      const day = dayRange(date).start;
+      const { start, end } = clinicDayRange(day);
+
+      const payments = await Payment.find({
+        receivedAt: { $gte: start, $lte: end },
+        ...(practitioner && { 'allocations.practitioner': practitioner })
+      })
+        .populate({ path: 'patient', select: PATIENT_SUMMARY })
+        .populate({ path: 'invoice', select: 'number' })
+        .sort({ receivedAt: 1 });
+
+      const emptyTotals = () => ({ collected: 0, refunded: 0, net: 0, byMethod: {} });
+      const addTo = (totals, method, amount) => {
+        if (amount > 0) totals.collected += amount;
+        else totals.refunded -= amount;
+        totals.net += amount;
+        totals.byMethod[method] = (totals.byMethod[method] || 0) + amount;
+      };
+
+      const closes = new Map();
+      const totals = emptyTotals();
+
+      for (const payment of payments) {
+        for (const allocation of payment.allocations) {
+          const key = String(allocation.practitioner);
+          if (practitioner && key !== String(practitioner)) continue;
+
+          if (!closes.has(key)) {
+            closes.set(key, { practitioner: allocation.practitioner, ...emptyTotals(), entries: [] });
+          }
+          const close = closes.get(key);
+
+          addTo(close, payment.method, allocation.amount);
+          addTo(totals, payment.method, allocation.amount);
+          close.entries.push({
+            payment: payment._id,
+            receivedAt: payment.receivedAt,
+            kind: payment.kind,
+            method: payment.method,
+            reference: payment.reference,
+            invoice: payment.invoice,
+            patient: payment.patient,
+            appointment: allocation.appointment,
+            amount: allocation.amount
+          });
+        }
+      }
+
+      const professionals = new Map((await Professional.find({ _id: { $in: [...closes.keys()] } })
+        .select('firstName lastName'))
+        .map((professional) => [String(professional._id), professional]));
+
+      const practitioners = [...closes.values()]
+        .map((close) => ({ ...close, practitioner: professionals.get(String(close.practitioner)) || close.practitioner }))
+        .sort((a, b) => b.net - a.net);
+
+      return { date: day, practitioners, totals };
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * What patients owe: unpaid balances of issued invoices, plus attended
+   * appointments that were never invoiced
+   * @param {Object} options - { patient }
+   * @returns {Promise<Object>} - { patients, totals }, largest balance first
+   */
+  async getOutstanding({ patient } = {}) {
+    try {
+      const scope = patient ? { patient } : {};
+
+      const invoices = await Invoice.find({
+        ...scope,
+        status: 'Issued',
+        $expr: { $gt: ['$total', '$amountPaid'] }
+      })
+        .select('number patient total amountPaid issuedAt')
+        .sort({ issuedAt: 1 });
+
+      const invoiced = await Invoice.distinct('items.appointment', { ...scope, status: 'Issued' });
+      const uninvoiced = await Appointment.find({
+        ...scope,
+        _id: { $nin: invoiced },
+        status: { $in: OWED_STATUSES },
+        package: { $exists: false },
+        fee: { $gt: 0 }
+      })
+        .select('patient practitioner date startTime type fee')
+        .sort({ date: 1, startTime: 1 });
+
+      const balances = new Map();
+      const balanceOf = (patientId) => {
+        const key = String(patientId);
+        if (!balances.has(key)) {
+          balances.set(key, { patient: patientId, invoices: [], uninvoiced: [], invoiced: 0, notInvoiced: 0, balance: 0 });
+        }
+        return balances.get(key);
+      };
+
+      for (const invoice of invoices) {
+        const entry = balanceOf(invoice.patient);
+        entry.invoices.push({
+          _id: invoice._id,
+          number: invoice.number,
+          issuedAt: invoice.issuedAt,
+          total: invoice.total,
+          amountPaid: invoice.amountPaid,
+          balance: invoice.balance
+        });
+        entry.invoiced += invoice.balance;
+        entry.balance += invoice.balance;
+      }
+
+      for (const appointment of uninvoiced) {
+        const entry = balanceOf(appointment.patient);
+        const fee = Math.round(appointment.fee);
+        entry.uninvoiced.push({
+          _id: appointment._id,
+          date: appointment.date,
+          startTime: appointment.startTime,
+          type: appointment.type,
+          practitioner: appointment.practitioner,
+          fee
+        });
+        entry.notInvoiced += fee;
+        entry.balance += fee;
+      }
+
+      const patients = new Map((await Patient.find({ _id: { $in: [...balances.keys()] } })
+        .select(PATIENT_SUMMARY))
+        .map((found) => [String(found._id), found]));
+
+      const rows = [...balances.values()]
+        .map((entry) => ({ ...entry, patient: patients.get(String(entry.patient)) || entry.patient }))
+        .sort((a, b) => b.balance - a.balance);
+
+      return {
+        patients: rows,
+        totals: {
+          patients: rows.length,
+          invoiced: rows.reduce((sum, row) => sum + row.invoiced, 0),
+          notInvoiced: rows.reduce((sum, row) => sum + row.notInvoiced, 0),
+          balance: rows.reduce((sum, row) => sum + row.balance, 0)
+        }
+      };
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+}
+
+module.exports = new BillingService();
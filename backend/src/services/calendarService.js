@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const CalendarFeed = require('../models/CalendarFeed');
+const Appointment = require('../models/Appointment');
+const Professional = require('../models/Professional');
+const { CLINIC } = require('../config/clinic');
+const { APPOINTMENT_TYPES } = require('../notifications/templates');
+const { atTime } = require('../utils/time');
+const { toCalendar } = require('../utils/ical');
+
+// Feeds cover the recent past and the months ahead; older entries stay on
+// the subscriber's calendar, they just stop being refreshed
+const FEED_PAST_DAYS = parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 30;
+const FEED_FUTURE_DAYS = parseInt(process.env.CALENDAR_FEED_FUTURE_DAYS, 10) || 180;
+
+// Suggested to calendar apps; most poll less often whatever is asked
+const FEED_REFRESH_MINUTES = 15;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How each appointment status shows on a calendar. Appointments that were
+// cancelled or moved stay in the feed so subscribers drop them.
+const EVENT_STATUS = {
+  Scheduled: 'TENTATIVE',
+  Confirmed: 'CONFIRMED',
+  Completed: 'CONFIRMED',
+  'No-Show': 'CONFIRMED',
+  Cancelled: 'CANCELLED',
+  Rescheduled: 'CANCELLED'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Domain that makes event UIDs globally unique. Taken from APP_URL, so the
+ * UID of an appointment stays the same across fetches and deployments.
+ * @returns {string}
+ */
+const uidDomain = () => {
+  try {
+    return new URL(process.env.APP_URL).hostname;
+  } catch {
+    return 'localhost';
+  }
+};
+
+/**
+ * Calendar event for an appointment. The UID only depends on the appointment,
+ * so a changed or cancelled appointment replaces its earlier entry.
+ * @param {Object} appointment - Appointment document
+ * @param {Object} text - summary, location and description to show
+ * @returns {Object} - Event (see utils/ical)
+ */
+const appointmentEvent = (appointment, { summary, location, description }) => ({
+  uid: `${appointment._id}@${uidDomain()}`,
+  stamp: new Date(),
+  start: atTime(appointment.date, appointment.startTime),
+  end: atTime(appointment.date, appointment.endTime),
+  // Later versions of an event must carry a higher sequence
+  sequence: Math.floor((appointment.updatedAt || appointment.createdAt || new Date()).getTime() / 1000),
+  lastModified: appointment.updatedAt,
+  status: EVENT_STATUS[appointment.status] || 'CONFIRMED',
+  summary,
+  location,
+  description
+});
+
+/**
+ * How a patient is named on a practitioner's calendar: first name and
+ * initial only, since phone calendars are synced to outside services
+ * @param {Object} patient - Patient with firstName and lastName
+ * @returns {string}
+ */
+const patientLabel = (patient) => {
+  if (!patient) return 'Paciente';
+  return `${patient.firstName} ${patient.lastName ? `${patient.lastName.charAt(0)}.` : ''}`.trim();
+};
+
+/**
+ * Service for iCalendar subscriptions of professionals and .ics files for patients
+ */
+class CalendarService {
+  /**
+   * Check that a user may manage the feed of a professional: admins any of
+   * them, practitioners only their own
+   * @param {string} professionalId - MongoDB ID of the professional
+   * @param {Object} user - User asking
+   */
+  assertCanManageFeed(professionalId, user) {
+    if (user.role !== 'admin' && String(user.professional) !== String(professionalId)) {
+      const error = new Error('You can only manage your own calendar feed');
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  /**
+   * Describe the feed of a professional, without its token
+   * @param {string} professionalId - MongoDB ID of the professional
+   * @param {Object} user - User asking
+   * @returns {Promise<Object|null>} - Feed, or null when none is set up
+   */
+  async getFeed(professionalId, user) {
+    try {
+      this.assertCanManageFeed(professionalId, user);
+      return await CalendarFeed.findOne({ professional: professionalId });
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create the secret feed token of a professional, replacing any earlier one.
+   * The token is only returned here; it is not stored.
+   * @param {string} professionalId - MongoDB ID of the professional
+   * @param {Object} user - User asking
+   * @returns {Promise<Object>} - { feed, token }
+   */
+  async issueFeed(professionalId, user) {
+    try {
+      this.assertCanManageFeed(professionalId, user);
+
+      const professional = await Professional.findById(professionalId).select('_id');
+      if (!professional) {
+        const error = new Error('Professional not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      const feed = await CalendarFeed.findOneAndUpdate(
+        { professional: professional._id },
+        { $set: { tokenHash: hashToken(token), issuedBy: user._id }, $unset: { lastFetchedAt: 1 } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+
+      return { feed, token };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Turn off the feed of a professional; subscribed calendars stop updating
+   * @param {string} professionalId - MongoDB ID of the professional
+   * @param {Object} user - User asking
+   * @returns {Promise<boolean>} - Whether there was a feed to turn off
+   */
+  async revokeFeed(professionalId, user) {
+    try {
+      this.assertCanManageFeed(professionalId, user);
+
+      const { deletedCount } = await CalendarFeed.deleteOne({ professional: professionalId });
+      return deletedCount > 0;
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build the calendar behind a feed token. Events name the patient by first
+   * name and initial and say nothing of their condition.
+   * @param {string} token - Token from the feed URL
+   * @param {Date} [now] - Current time
+   * @returns {Promise<string>} - iCalendar text
+   */
+  async renderFeed(token, now = new Date()) {
+    try {
+      const feed = await CalendarFeed.findOne({ tokenHash: hashToken(token) });
+
+      if (!feed) {
+        const error = new Error('Calendar feed not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const professional = await Professional.findById(feed.professional).select('firstName lastName');
+      if (!professional) {
+        const error = new Error('Calendar feed not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const appointments = await Appointment.find({
+        practitioner: professional._id,
+        date: { $gte: new Date(now - FEED_PAST_DAYS * DAY_MS), $lte: new Date(now.getTime() + FEED_FUTURE_DAYS * DAY_MS) }
+      })
+        .select('patient date startTime endTime type status room createdAt updatedAt')
+        .populate({ path: 'patient', select: 'firstName lastName' })
+        .sort({ date: 1, startTime: 1 });
+
+      await CalendarFeed.updateOne({ _id: feed._id }, { $set: { lastFetchedAt: now } });
+
+      return toCalendar({
+        name: `${CLINIC.name} - ${professional.firstName} ${professional.lastName}`,
+        refreshMinutes: FEED_REFRESH_MINUTES,
+        events: appointments.map((appointment) => appointmentEvent(appointment, {
+          summary: `${appointment.type}: ${patientLabel(appointment.patient)}`,
+          location: appointment.room
+        }))
+      });
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build the .ics file a patient adds their own appointment to their calendar with
+   * @param {Object} appointment - Appointment with the practitioner populated
+   * @returns {Object} - { filename, content }
+   */
+  patientCalendar(appointment) {
+    const type = APPOINTMENT_TYPES[appointment.type] || APPOINTMENT_TYPES.Other;
+    const practitioner = appointment.practitioner && appointment.practitioner.firstName
+      ? `${appointment.practitioner.firstName} ${appointment.practitioner.lastName}`
+      : null;
+
+    const description = [
+      practitioner ? `Profesional: ${practitioner}` : null,
+      CLINIC.phone ? `Si no puede asistir, avísenos al ${CLINIC.phone}.` : null
+    ].filter(Boolean).join('\n');
+
+    const content = toCalendar({
+      events: [appointmentEvent(appointment, {
+        summary: `${type.charAt(0).toUpperCase()}${type.slice(1)} - ${CLINIC.name}`,
+        location: CLINIC.address,
+        description
+      })]
+    });
+
+    return { filename: `cita-${appointment.date.toISOString().slice(0, 10)}.ics`, content };
+  }
+}
+
+module.exports = new CalendarService();
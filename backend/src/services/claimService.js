@@ -0,0 +1,422 @@
+const ClaimBatch = require('../models/ClaimBatch');
+const InsuranceClaim = require('../models/InsuranceClaim');
+const InsuranceAuthorization = require('../models/InsuranceAuthorization');
+const Appointment = require('../models/Appointment');
+const Counter = require('../models/Counter');
+const { dayRange } = require('../utils/time');
+const { toCsv } = require('../utils/csv');
+
+// Claims the insurer has finished with
+const SETTLED_STATUSES = InsuranceClaim.schema.path('status').enumValues.filter((status) => InsuranceClaim.isSettled(status));
+
+// Layout of the file sent to insurers with a batch
+const EXPORT_COLUMNS = [
+  { key: 'batch', header: 'Lote' },
+  { key: 'claim', header: 'ID reclamo' },
+  { key: 'date', header: 'Fecha atención' },
+  { key: 'patientIdNumber', header: 'RUT paciente' },
+  { key: 'patientName', header: 'Nombre paciente' },
+  { key: 'insurerType', header: 'Previsión' },
+  { key: 'provider', header: 'Institución' },
+  { key: 'policyNumber', header: 'N° póliza' },
+  { key: 'authorizationCode', header: 'Código autorización' },
+  { key: 'diagnosis', header: 'Diagnóstico' },
+  { key: 'service', header: 'Prestación' },
+  { key: 'practitionerName', header: 'Profesional' },
+  { key: 'practitionerIdNumber', header: 'RUT profesional' },
+  { key: 'registrationNumber', header: 'Registro SIS' },
+  { key: 'amount', header: 'Monto' }
+];
+
+/**
+ * Build an error carrying an HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Load a claim batch
+ * @param {string} batchId - MongoDB ID of the batch
+ * @returns {Promise<Object>} - Batch document
+ */
+const findBatch = async (batchId) => {
+  const batch = await ClaimBatch.findById(batchId);
+
+  if (!batch) {
+    throw httpError('Claim batch not found', 404);
+  }
+
+  return batch;
+};
+
+/**
+ * Which attended sessions an authorization actually covers: those within its
+ * validity, up to the number of sessions authorized, oldest first
+ * @param {Object} authorization - Authorization document
+ * @param {Object[]} attended - Completed appointments booked against it
+ * @returns {Set<string>} - IDs of the covered appointments
+ */
+const coveredSessions = (authorization, attended) => new Set(attended
+  .filter((appointment) => authorization.coversDate(appointment.date))
+  .sort((a, b) => a.date - b.date || a.startTime.localeCompare(b.startTime))
+  .slice(0, authorization.sessionsAuthorized)
+  .map((appointment) => String(appointment._id)));
+
+/**
+ * Service for claim batches sent to insurers and the claims in them
+ */
+class ClaimService {
+  /**
+   * Gather the insured sessions of a provider attended in a period into a new
+   * batch of claims. Sessions already claimed (and not rejected) are left out,
+   * as are sessions their authorization does not cover.
+   * @param {Object} options - { provider, from, to }
+   * @param {Object} user - User creating the batch ({ _id, name })
+   * @returns {Promise<Object>} - { batch, claims, skipped }
+   */
+  async createBatch({ provider, from, to }, user) {
+    try {
+      const periodFrom = dayRange(from).start;
+      const periodTo = dayRange(to).end;
+
+      const authorizations = await InsuranceAuthorization.find({ provider })
+        .collation({ locale: 'es', strength: 1 });
+      if (authorizations.length === 0) {
+        throw httpError(`No authorizations found for ${provider}`, 404);
+      }
+
+      // Every attended session of the authorizations, to tell which ones they cover
+      const attended = await Appointment.find({
+        authorization: { $in: authorizations.map((authorization) => authorization._id) },
+        status: 'Completed'
+      }).select('patient authorization date startTime fee');
+
+      const claimed = new Set((await InsuranceClaim.distinct('appointment', {
+        appointment: { $in: attended.map((appointment) => appointment._id) },
+        status: { $ne: 'Rejected' }
+      })).map(String));
+
+      const claims = [];
+      const skipped = [];
+
+      for (const authorization of authorizations) {
+        const sessions = attended.filter((appointment) => String(appointment.authorization) === String(authorization._id));
+        const covered = coveredSessions(authorization, sessions);
+
+        for (const appointment of sessions) {
+          if (appointment.date < periodFrom || appointment.date > periodTo) continue;
+          if (claimed.has(String(appointment._id))) continue;
+
+          if (!covered.has(String(appointment._id))) {
+            skipped.push({
+              appointment: appointment._id,
+              reason: authorization.coversDate(appointment.date)
+                ? `Beyond the ${authorization.sessionsAuthorized} sessions authorized`
+                : 'Outside the validity of the authorization'
+            });
+            continue;
+          }
+
+          const amount = authorization.amountPerSession !== undefined
+            ? authorization.amountPerSession
+            : appointment.fee;
+
+          if (amount === undefined || amount === null) {
+            skipped.push({ appointment: appointment._id, reason: 'No fee and no amount per session on the authorization' });
+            continue;
+          }
+
+          claims.push({
+            appointment: appointment._id,
+            authorization: authorization._id,
+            patient: appointment.patient,
+            provider: authorization.provider,
+            date: appointment.date,
+            amountClaimed: Math.round(amount),
+            statusHistory: [{ to: 'Pending', changedBy: user.name }]
+          });
+        }
+      }
+
+      if (claims.length === 0) {
+        const error = httpError(`No unclaimed sessions of ${provider} were attended in this period`, 400);
+        if (skipped.length > 0) {
+          error.details = { skipped };
+        }
+        throw error;
+      }
+
+      claims.sort((a, b) => a.date - b.date);
+
+      const batch = new ClaimBatch({
+        number: await Counter.next('claim-batch'),
+        provider: authorizations[0].provider,
+        periodFrom,
+        periodTo,
+        claimCount: claims.length,
+        totalClaimed: claims.reduce((sum, claim) => sum + claim.amountClaimed, 0),
+        createdBy: user._id
+      });
+      await batch.save();
+
+      let created;
+      try {
+        created = await InsuranceClaim.insertMany(claims.map((claim) => ({ ...claim, batch: batch._id })));
+      } catch (error) {
+        // Undo the part of the batch written before the failure
+        for (const claim of await InsuranceClaim.find({ batch: batch._id })) {
+          await claim.deleteOne();
+        }
+        await batch.deleteOne();
+
+        // Another batch claimed one of the sessions in the meantime
+        if (error.code === 11000) {
+          throw httpError('A session of this batch was claimed in the meantime', 409);
+        }
+        throw error;
+      }
+
+      return { batch, claims: created, skipped };
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List claim batches, newest first
+   * @param {Object} filters - provider, status
+   * @returns {Promise<Object[]>}
+   */
+  async getBatches({ provider, status } = {}) {
+    try {
+      const query = {};
+      if (provider) query.provider = provider;
+      if (status) query.status = status;
+
+      return await ClaimBatch.find(query).collation({ locale: 'es', strength: 1 }).sort({ number: -1 });
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Get a batch with its claims
+   * @param {string} batchId - MongoDB ID of the batch
+   * @returns {Promise<Object>} - { batch, claims }
+   */
+  async getBatchById(batchId) {
+    try {
+      const batch = await findBatch(batchId);
+      const claims = await InsuranceClaim.find({ batch: batch._id })
+        .populate({ path: 'patient', select: 'firstName lastName idNumber' })
+        .sort({ date: 1 });
+
+      return { batch, claims };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Discard a batch that was never submitted, freeing its sessions for another one
+   * @param {string} batchId - MongoDB ID of the batch
+   */
+  async deleteBatch(batchId) {
+    try {
+      const batch = await findBatch(batchId);
+
+      if (batch.status !== 'Draft') {
+        throw httpError('Only draft batches can be discarded', 409);
+      }
+
+      for (const claim of await InsuranceClaim.find({ batch: batch._id })) {
+        await claim.deleteOne();
+      }
+      await batch.deleteOne();
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a draft batch and its claims as submitted to the insurer
+   * @param {string} batchId - MongoDB ID of the batch
+   * @param {Object} change - { changedBy }
+   * @returns {Promise<Object>} - Submitted batch
+   */
+  async submitBatch(batchId, { changedBy }) {
+    try {
+      const batch = await findBatch(batchId);
+
+      if (batch.status !== 'Draft') {
+        throw httpError('This batch was already submitted', 409);
+      }
+
+      for (const claim of await InsuranceClaim.find({ batch: batch._id, status: 'Pending' })) {
+        claim.transitionTo('Submitted', { changedBy });
+        await claim.save();
+      }
+
+      batch.set({ status: 'Submitted', submittedAt: new Date(), submittedBy: changedBy });
+      await batch.save();
+
+      return batch;
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Export the claims of a batch as CSV, in the layout sent to the insurer
+   * @param {string} batchId - MongoDB ID of the batch
+   * @returns {Promise<Object>} - { contentType, filename, body }
+   */
+  async exportBatch(batchId) {
+    try {
+      const batch = await findBatch(batchId);
+      const claims = await InsuranceClaim.find({ batch: batch._id })
+        .populate({ path: 'patient', select: 'firstName lastName idNumber' })
+        .populate({ path: 'authorization', select: 'insurerType provider policyNumber authorizationCode diagnosis' })
+        .populate({
+          path: 'appointment',
+          select: 'type practitioner',
+          populate: { path: 'practitioner', select: 'firstName lastName idNumber registrationNumber' }
+        })
+        .sort({ date: 1 });
+
+      const rows = claims.map((claim) => {
+        const practitioner = (claim.appointment && claim.appointment.practitioner) || {};
+        return {
+          batch: batch.number,
+          claim: claim._id,
+          date: claim.date.toISOString().slice(0, 10),
+          patientIdNumber: claim.patient.idNumber,
+          patientName: `${claim.patient.firstName} ${claim.patient.lastName}`,
+          insurerType: claim.authorization.insurerType,
+          provider: claim.provider,
+          policyNumber: claim.authorization.policyNumber,
+          authorizationCode: claim.authorization.authorizationCode,
+          diagnosis: claim.authorization.diagnosis,
+          service: claim.appointment && claim.appointment.type,
+          practitionerName: practitioner.firstName && `${practitioner.firstName} ${practitioner.lastName}`,
+          practitionerIdNumber: practitioner.idNumber,
+          registrationNumber: practitioner.registrationNumber,
+          amount: claim.amountClaimed
+        };
+      });
+
+      const provider = batch.provider.replace(/[^\w-]+/g, '-').toLowerCase();
+
+      return {
+        contentType: 'text/csv; charset=utf-8',
+        filename: `reclamos-${provider}-lote-${batch.number}.csv`,
+        body: toCsv(EXPORT_COLUMNS, rows)
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List claims, oldest session first
+   * @param {Object} filters - status, provider, batch, patient
+   * @returns {Promise<Object[]>}
+   */
+  async getClaims({ status, provider, batch, patient } = {}) {
+    try {
+      const query = {};
+      if (status) query.status = status;
+      if (provider) query.provider = provider;
+      if (batch) query.batch = batch;
+      if (patient) query.patient = patient;
+
+      return await InsuranceClaim.find(query)
+        .collation({ locale: 'es', strength: 1 })
+        .populate({ path: 'patient', select: 'firstName lastName idNumber' })
+        .populate({ path: 'batch', select: 'number status' })
+        .sort({ date: 1 });
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Record the insurer's answer on a claim: approved, rejected or paid. The
+   * batch closes once every claim in it is settled.
+   * @param {string} claimId - MongoDB ID of the claim
+   * @param {Object} update - { status, amountApproved, amountPaid, paidAt, reference, reason }
+   * @param {Object} change - { changedBy }
+   * @returns {Promise<Object>} - Updated claim
+   */
+  async updateClaimStatus(claimId, { status, amountApproved, amountPaid, paidAt, reference, reason }, { changedBy }) {
+    try {
+      const claim = await InsuranceClaim.findById(claimId);
+
+      if (!claim) {
+        throw httpError('Claim not found', 404);
+      }
+
+      claim.transitionTo(status, { changedBy, reason });
+
+      if (reference) claim.reference = reference;
+
+      if (status === 'Approved') {
+        claim.amountApproved = amountApproved !== undefined ? amountApproved : claim.amountClaimed;
+      } else if (status === 'Paid') {
+        const expected = claim.amountApproved !== undefined ? claim.amountApproved : claim.amountClaimed;
+        claim.amountPaid = amountPaid !== undefined ? amountPaid : expected;
+        claim.paidAt = paidAt || new Date();
+      } else if (status === 'Rejected') {
+        claim.rejectionReason = reason;
+      }
+
+      await claim.save();
+
+      const open = await InsuranceClaim.exists({ batch: claim.batch, status: { $nin: SETTLED_STATUSES } });
+      if (!open) {
+        await ClaimBatch.findOneAndUpdate(
+          { _id: claim.batch, status: 'Submitted' },
+          { $set: { status: 'Closed', closedAt: new Date() } }
+        );
+      }
+
+      return claim;
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new ClaimService();
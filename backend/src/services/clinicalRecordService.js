@@ -0,0 +1,277 @@
+const ClinicalRecord = require('../models/ClinicalRecord');
+const Patient = require('../models/Patient');
+const Professional = require('../models/Professional');
+const Attachment = require('../models/Attachment');
+const { dayRange } = require('../utils/time');
+
+// Related fields included when records are returned
+const RECORD_POPULATE = [
+  { path: 'patient', select: 'firstName lastName idNumber dateOfBirth' },
+  { path: 'practitioner', select: 'firstName lastName especialty' },
+  { path: 'signedBy', select: 'firstName lastName especialty' },
+  { path: 'amendments.amendedBy', select: 'firstName lastName especialty' }
+];
+
+/**
+ * Load a record written by the given practitioner
+ * @param {string} recordId - MongoDB ID of the clinical record
+ * @param {string} professionalId - Practitioner acting on the record
+ * @returns {Promise<Object>} - Clinical record document
+ */
+const findOwnRecord = async (recordId, professionalId) => {
+  const record = await ClinicalRecord.findById(recordId);
+
+  if (!record) {
+    const error = new Error('Clinical record not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (String(record.practitioner) !== String(professionalId)) {
+    const error = new Error('Only the treating practitioner can change this record');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return record;
+};
+
+/**
+ * Load a record written by the given practitioner and make sure it is still a draft
+ * @param {string} recordId - MongoDB ID of the clinical record
+ * @param {string} professionalId - Practitioner acting on the record
+ * @returns {Promise<Object>} - Clinical record document
+ */
+const findDraft = async (recordId, professionalId) => {
+  const record = await findOwnRecord(recordId, professionalId);
+
+  if (record.status !== 'Draft') {
+    const error = new Error('Signed records cannot be edited; add an amendment instead');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return record;
+};
+
+/**
+ * Service to handle clinical record operations
+ */
+class ClinicalRecordService {
+  /**
+   * Create a draft clinical record
+   * @param {Object} recordData - Clinical record data to create, including its practitioner
+   * @returns {Promise<Object>} - Created clinical record object
+   */
+  async createRecord(recordData) {
+    try {
+      const patient = await Patient.findById(recordData.patient);
+
+      if (!patient) {
+        const error = new Error('Patient not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const practitioner = await Professional.findById(recordData.practitioner);
+
+      if (!practitioner) {
+        const error = new Error('Professional not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const record = await ClinicalRecord.create({ ...recordData, status: 'Draft' });
+      return record.populate(RECORD_POPULATE);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a clinical record by ID, including its amendment trail
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @returns {Promise<Object>} - Clinical record object
+   */
+  async getRecordById(recordId) {
+    try {
+      const record = await ClinicalRecord.findById(recordId).populate(RECORD_POPULATE);
+
+      if (!record) {
+        const error = new Error('Clinical record not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return record;
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a draft clinical record
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @param {Object} updateData - Updated clinical record data
+   * @param {string} professionalId - Practitioner editing the draft
+   * @returns {Promise<Object>} - Updated clinical record object
+   */
+  async updateDraft(recordId, updateData, professionalId) {
+    try {
+      const record = await findDraft(recordId, professionalId);
+
+      if (updateData.patient && String(updateData.patient) !== String(record.patient)) {
+        const error = new Error('A clinical record cannot be moved to another patient');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      record.set(updateData);
+      await record.save();
+
+      return record.populate(RECORD_POPULATE);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a draft clinical record; signed records can never be deleted
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @param {string} professionalId - Practitioner deleting the draft
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async deleteDraft(recordId, professionalId) {
+    try {
+      const record = await findDraft(recordId, professionalId);
+
+      // Files go through their own deletion so each leaves a tombstone
+      if (await Attachment.exists({ clinicalRecord: record._id, deletedAt: null })) {
+        const error = new Error('Delete the attachments of this draft before deleting it');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      await record.deleteOne();
+
+      return { success: true, message: 'Draft clinical record deleted successfully' };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Sign a draft record; only its own practitioner may sign it
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @param {string} professionalId - Professional signing the record
+   * @returns {Promise<Object>} - Signed clinical record object
+   */
+  async signRecord(recordId, professionalId) {
+    try {
+      const record = await findDraft(recordId, professionalId);
+
+      record.sign(professionalId);
+      await record.save();
+
+      return record.populate(RECORD_POPULATE);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Amend a field of a signed record; only its own practitioner may amend it
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @param {Object} amendment - { field, value, reason }
+   * @param {string} professionalId - Practitioner making the amendment
+   * @returns {Promise<Object>} - Amended clinical record object
+   */
+  async amendRecord(recordId, amendment, professionalId) {
+    try {
+      const record = await findOwnRecord(recordId, professionalId);
+
+      record.amend({ ...amendment, amendedBy: professionalId });
+      await record.save();
+
+      return record.populate(RECORD_POPULATE);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List a patient's records oldest first, each with its amendment trail
+   * @param {string} patientId - MongoDB ID of the patient
+   * @param {Object} options - Listing options
+   * @param {Date} [options.from] - Earliest visit date
+   * @param {Date} [options.to] - Latest visit date
+   * @param {string} [options.status] - Only Draft or only Signed records
+   * @returns {Promise<Object[]>} - Clinical records in visit order
+   */
+  async getPatientRecords(patientId, { from, to, status } = {}) {
+    try {
+      const patient = await Patient.findById(patientId);
+
+      if (!patient) {
+        const error = new Error('Patient not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const query = { patient: patientId };
+
+      if (from || to) {
+        query.visitDate = {};
+        if (from) query.visitDate.$gte = dayRange(from).start;
+        if (to) query.visitDate.$lte = dayRange(to).end;
+      }
+
+      if (status) {
+        query.status = status;
+      }
+
+      const records = await ClinicalRecord.find(query)
+        .populate(RECORD_POPULATE)
+        .sort({ visitDate: 1, createdAt: 1 });
+
+      return records;
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new ClinicalRecordService();
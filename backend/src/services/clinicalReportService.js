@@ -0,0 +1,184 @@
+const ClinicalRecord = require('../models/ClinicalRecord');
+const Patient = require('../models/Patient');
+const Professional = require('../models/Professional');
+const painService = require('./painService');
+const outcomeService = require('./outcomeService');
+const { splitEpisodes } = require('../utils/episodes');
+const { dayRange } = require('../utils/time');
+
+// Practitioner details printed in the signature block
+const SIGNATURE_FIELDS = 'firstName lastName idNumber especialty registrationNumber';
+
+const RECORD_POPULATE = [
+  { path: 'practitioner', select: SIGNATURE_FIELDS },
+  { path: 'signedBy', select: SIGNATURE_FIELDS }
+];
+
+/**
+ * Load the patient a report is about
+ * @param {string} patientId - MongoDB ID of the patient
+ * @returns {Promise<Object>} - Patient document
+ */
+const findPatient = async (patientId) => {
+  const patient = await Patient.findById(patientId);
+
+  if (!patient) {
+    const error = new Error('Patient not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return patient;
+};
+
+/**
+ * Practitioner who signs a report covering several visits: whoever issues it
+ * when they are a practitioner, otherwise the one who saw the patient last
+ * @param {string} issuerId - Professional linked to the requesting user, if any
+ * @param {Object[]} records - Records covered, in visit order
+ * @returns {Promise<Object|null>} - Professional
+ */
+const findSigner = async (issuerId, records) => {
+  if (issuerId) {
+    const issuer = await Professional.findById(issuerId).select(SIGNATURE_FIELDS);
+    if (issuer) return issuer;
+  }
+
+  return records.length > 0 ? records[records.length - 1].practitioner : null;
+};
+
+/**
+ * Service to gather the data printed on clinical reports
+ */
+class ClinicalReportService {
+  /**
+   * Data for the report of a single session
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @returns {Promise<Object>} - { patient, record }
+   */
+  async getSessionReport(recordId) {
+    try {
+      const record = await ClinicalRecord.findById(recordId).populate(RECORD_POPULATE);
+
+      if (!record) {
+        const error = new Error('Clinical record not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const patient = await findPatient(record.patient);
+
+      return { patient, record };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Data for a progress report over a period
+   * @param {string} patientId - MongoDB ID of the patient
+   * @param {Object} period - Optional from and to
+   * @param {string} issuerId - Professional linked to the requesting user, if any
+   * @returns {Promise<Object>} - { patient, records, from, to, pain, outcomes, signer }
+   */
+  async getProgressReport(patientId, { from, to } = {}, issuerId) {
+    try {
+      const patient = await findPatient(patientId);
+      const query = { patient: patient._id };
+
+      // Whole days, so sessions on the last day of the period are included
+      const period = {
+        from: from ? dayRange(from).start : undefined,
+        to: to ? dayRange(to).end : undefined
+      };
+
+      if (from || to) {
+        query.visitDate = {};
+        if (from) query.visitDate.$gte = period.from;
+        if (to) query.visitDate.$lte = period.to;
+      }
+
+      const records = await ClinicalRecord.find(query)
+        .populate(RECORD_POPULATE)
+        .sort({ visitDate: 1 });
+
+      if (records.length === 0) {
+        const error = new Error('The patient has no clinical records in this period');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const pain = await painService.getPatientCourse(patient._id, period);
+      const outcomes = await outcomeService.getRangeSummary(patient._id, period);
+
+      return {
+        patient,
+        records,
+        from: from || records[0].visitDate,
+        to: to || records[records.length - 1].visitDate,
+        pain,
+        outcomes,
+        signer: await findSigner(issuerId, records)
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Data for the discharge summary of an episode of care
+   * @param {string} patientId - MongoDB ID of the patient
+   * @param {Object} options - Optional record identifying the episode; the latest episode otherwise
+   * @param {string} issuerId - Professional linked to the requesting user, if any
+   * @returns {Promise<Object>} - { patient, records, from, to, pain, outcomes, signer }
+   */
+  async getDischargeSummary(patientId, { record: recordId } = {}, issuerId) {
+    try {
+      const patient = await findPatient(patientId);
+      const visits = await ClinicalRecord.find({ patient: patient._id }).select('visitDate').sort({ visitDate: 1 });
+      const episodes = splitEpisodes(visits);
+
+      const episode = recordId
+        ? episodes.find((candidate) => candidate.some((visit) => String(visit._id) === String(recordId)))
+        : episodes[episodes.length - 1];
+
+      if (!episode) {
+        const error = new Error(recordId ? 'Clinical record not found for this patient' : 'The patient has no clinical records');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const records = await ClinicalRecord.find({ _id: { $in: episode.map((visit) => visit._id) } })
+        .populate(RECORD_POPULATE)
+        .sort({ visitDate: 1 });
+
+      // Questionnaires are often filled in after the last session of the day
+      const period = { from: dayRange(records[0].visitDate).start, to: dayRange(records[records.length - 1].visitDate).end };
+      const pain = await painService.getPatientCourse(patient._id, period);
+      const outcomes = await outcomeService.getRangeSummary(patient._id, period);
+
+      return {
+        patient,
+        records,
+        from: records[0].visitDate,
+        to: records[records.length - 1].visitDate,
+        pain,
+        outcomes,
+        signer: await findSigner(issuerId, records)
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new ClinicalReportService();
@@ -0,0 +1,398 @@
+const Patient = require('../models/Patient');
+const PatientMerge = require('../models/PatientMerge');
+const ClinicalRecord = require('../models/ClinicalRecord');
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const OutcomeMeasure = require('../models/OutcomeMeasure');
+const Attachment = require('../models/Attachment');
+const AdherenceLog = require('../models/AdherenceLog');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const InsuranceAuthorization = require('../models/InsuranceAuthorization');
+const InsuranceClaim = require('../models/InsuranceClaim');
+const PatientPackage = require('../models/PatientPackage');
+const Reminder = require('../models/Reminder');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const WaitlistOffer = require('../models/WaitlistOffer');
+const AuditLog = require('../models/AuditLog');
+const { prefixRegex, nameTokens, phoneticKey, digitsOf, editDistance, nameSimilarity } = require('../utils/search');
+const { foldText } = require('../utils/text');
+
+// Weight of each matching signal in the duplicate score
+const SIGNAL_WEIGHTS = {
+  name: 0.4,
+  idNumber: 0.3,
+  dateOfBirth: 0.25,
+  phone: 0.2,
+  email: 0.15
+};
+
+// Pairs scoring below this are not reported
+const DEFAULT_MIN_SCORE = 0.5;
+
+// Most candidates compared against a single patient
+const MAX_CANDIDATES = 500;
+
+// Groups larger than this (e.g. a very common name) are too vague to compare pair by pair
+const MAX_BLOCK_SIZE = 200;
+
+// Fields needed to compare two patients
+const COMPARE_FIELDS = 'firstName lastName idNumber dateOfBirth phone email';
+
+// Fields whose value may be taken from the duplicate. The ID number is not among
+// them: keep the patient with the correct RUT as the survivor instead
+const MERGEABLE_FIELDS = [
+  'firstName', 'lastName', 'dateOfBirth', 'gender', 'email', 'phone', 'address',
+  'emergencyContact', 'bloodType', 'occupation', 'referredBy', 'notes'
+];
+
+// Documents that point at a patient and follow it into the survivor; the
+// resource type is set for those written to the audit log
+const REFERENCING_MODELS = [
+  { model: ClinicalRecord, resourceType: 'ClinicalRecord' },
+  { model: Appointment, resourceType: 'Appointment' },
+  { model: AppointmentSeries, resourceType: 'AppointmentSeries', audited: false },
+  { model: OutcomeMeasure, resourceType: 'OutcomeMeasure' },
+  { model: Attachment, resourceType: 'Attachment' },
+  { model: AdherenceLog, resourceType: 'AdherenceLog' },
+  { model: Invoice, resourceType: 'Invoice' },
+  { model: Payment, resourceType: 'Payment' },
+  { model: InsuranceAuthorization, resourceType: 'InsuranceAuthorization' },
+  { model: InsuranceClaim, resourceType: 'InsuranceClaim' },
+  { model: PatientPackage, resourceType: 'PatientPackage' },
+  { model: Reminder, resourceType: 'Reminder', audited: false },
+  { model: WaitlistEntry, resourceType: 'WaitlistEntry' },
+  { model: WaitlistOffer, resourceType: 'WaitlistOffer', audited: false }
+];
+
+/**
+ * Keys that put patients likely to be the same person into the same group
+ * @param {Object} patient - Patient with the COMPARE_FIELDS
+ * @returns {string[]}
+ */
+const blockingKeys = (patient) => {
+  const keys = [];
+  const first = nameTokens(patient.firstName)[0];
+  const last = nameTokens(patient.lastName)[0];
+  const id = digitsOf(patient.idNumber);
+  const phone = digitsOf(patient.phone).replace(/K/g, '').slice(-9);
+
+  if (patient.dateOfBirth) keys.push(`dob:${new Date(patient.dateOfBirth).toISOString().slice(0, 10)}`);
+  if (first && last) keys.push(`name:${phoneticKey(first)} ${phoneticKey(last)}`);
+  if (id.length >= 7) keys.push(`id:${id.slice(0, 6)}`);
+  if (phone.length >= 8) keys.push(`phone:${phone}`);
+
+  return keys;
+};
+
+/**
+ * Compare two patients and explain why they may be the same person
+ * @param {Object} a - Patient with the COMPARE_FIELDS
+ * @param {Object} b - Patient with the COMPARE_FIELDS
+ * @returns {Object|null} - { score, reasons }, or null when they look unrelated
+ */
+const comparePatients = (a, b) => {
+  const reasons = [];
+  let score = 0;
+
+  const name = nameSimilarity(nameTokens(a.firstName, a.lastName), nameTokens(b.firstName, b.lastName));
+  score += SIGNAL_WEIGHTS.name * name;
+  if (name >= 0.75) reasons.push('name');
+
+  // Same RUT body with another check digit, or one mistyped or swapped digit
+  const idA = digitsOf(a.idNumber);
+  const idB = digitsOf(b.idNumber);
+  if (idA && idB && (idA.slice(0, -1) === idB.slice(0, -1) || editDistance(idA, idB) <= 1)) {
+    score += SIGNAL_WEIGHTS.idNumber;
+    reasons.push('idNumber');
+  }
+
+  if (a.dateOfBirth && b.dateOfBirth &&
+    new Date(a.dateOfBirth).toISOString().slice(0, 10) === new Date(b.dateOfBirth).toISOString().slice(0, 10)) {
+    score += SIGNAL_WEIGHTS.dateOfBirth;
+    reasons.push('dateOfBirth');
+  }
+
+  const phoneA = digitsOf(a.phone).replace(/K/g, '').slice(-9);
+  if (phoneA.length >= 8 && phoneA === digitsOf(b.phone).replace(/K/g, '').slice(-9)) {
+    score += SIGNAL_WEIGHTS.phone;
+    reasons.push('phone');
+  }
+
+  if (a.email && b.email && a.email.toLowerCase() === b.email.toLowerCase()) {
+    score += SIGNAL_WEIGHTS.email;
+    reasons.push('email');
+  }
+
+  // Different names only count when the ID and birth date both point to one person
+  if (name < 0.5 && !(reasons.includes('idNumber') && reasons.includes('dateOfBirth'))) {
+    return null;
+  }
+
+  return { score: Math.min(1, Math.round(score * 100) / 100), reasons };
+};
+
+/**
+ * Add the entries of a list field of the duplicate that the survivor lacks
+ * @param {Object[]|string[]} target - Survivor's list
+ * @param {Object[]|string[]} source - Duplicate's list
+ * @param {Function} keyOf - Value used to spot the same entry
+ * @returns {Array} - Combined list
+ */
+const unionBy = (target, source, keyOf) => {
+  const seen = new Set(target.map(keyOf));
+  return [...target, ...source.filter((item) => !seen.has(keyOf(item)))];
+};
+
+const notFound = () => {
+  const error = new Error('Patient not found');
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * Service to find duplicate patients and merge them
+ */
+class DuplicateService {
+  /**
+   * Find patients that look like the same person as the given one
+   * @param {string} patientId - MongoDB ID of the patient
+   * @param {Object} options - Search options
+   * @param {number} options.minScore - Lowest score reported (default: 0.5)
+   * @returns {Promise<Object[]>} - [{ patient, score, reasons }], best match first
+   */
+  async findDuplicatesOf(patientId, { minScore = DEFAULT_MIN_SCORE } = {}) {
+    try {
+      const patient = await Patient.findById(patientId).select(COMPARE_FIELDS).lean();
+
+      if (!patient) {
+        throw notFound();
+      }
+
+      const keys = Patient.buildSearchKeys(patient);
+      const day = new Date(patient.dateOfBirth);
+      const nextDay = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+      const first = nameTokens(patient.firstName)[0];
+      const last = nameTokens(patient.lastName)[0];
+
+      // Same candidates the clinic-wide scan would group this patient with
+      const conditions = [
+        { dateOfBirth: { $gte: day, $lt: nextDay } },
+        { 'searchKeys.phoneDigits': keys.phoneDigits[keys.phoneDigits.length - 1] }
+      ];
+      if (keys.idDigits.length >= 7) {
+        conditions.push({ 'searchKeys.idDigits': prefixRegex(keys.idDigits.slice(0, 6)) });
+      }
+      if (first && last) {
+        conditions.push({ 'searchKeys.phoneticTokens': { $all: [phoneticKey(first), phoneticKey(last)] } });
+      }
+
+      const candidates = await Patient.find({ _id: { $ne: patient._id }, isActive: true, $or: conditions })
+        .select(COMPARE_FIELDS)
+        .limit(MAX_CANDIDATES)
+        .lean();
+
+      return candidates
+        .map((candidate) => ({ patient: candidate, ...comparePatients(patient, candidate) }))
+        .filter((match) => match.score >= minScore)
+        .sort((a, b) => b.score - a.score);
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Scan all active patients for likely duplicate pairs
+   * @param {Object} options - Scan options
+   * @param {number} options.minScore - Lowest score reported (default: 0.5)
+   * @param {number} options.limit - Most pairs returned (default: 100)
+   * @returns {Promise<Object[]>} - [{ patients: [a, b], score, reasons }], best match first
+   */
+  async findAllDuplicates({ minScore = DEFAULT_MIN_SCORE, limit = 100 } = {}) {
+    try {
+      const patients = await Patient.find({ isActive: true }).select(COMPARE_FIELDS).lean();
+
+      // Only compare patients sharing a birth date, phone, RUT prefix or name sound
+      const blocks = new Map();
+      for (const patient of patients) {
+        for (const key of blockingKeys(patient)) {
+          if (!blocks.has(key)) blocks.set(key, []);
+          blocks.get(key).push(patient);
+        }
+      }
+
+      const pairs = new Map();
+      for (const block of blocks.values()) {
+        if (block.length < 2 || block.length > MAX_BLOCK_SIZE) continue;
+
+        for (let i = 0; i < block.length; i++) {
+          for (let j = i + 1; j < block.length; j++) {
+            const pairKey = [String(block[i]._id), String(block[j]._id)].sort().join(':');
+            if (pairs.has(pairKey)) continue;
+
+            const match = comparePatients(block[i], block[j]);
+            pairs.set(pairKey, match && match.score >= minScore
+              ? { patients: [block[i], block[j]], ...match }
+              : null);
+          }
+        }
+      }
+
+      return [...pairs.values()]
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Merge a duplicate into the surviving patient
+   * Clinical records, appointments, series and outcome measures move to the survivor, list fields
+   * (allergies, conditions, medications) are combined, the chosen fields are
+   * copied over and the duplicate is deactivated. Signed clinical records are
+   * re-pointed as they are; their content is not touched.
+   * @param {string} survivorId - MongoDB ID of the patient to keep
+   * @param {string} duplicateId - MongoDB ID of the patient to fold in
+   * @param {Object} options - Merge options
+   * @param {string[]} options.take - Fields whose value comes from the duplicate
+   * @param {string} options.reason - Why the patients were merged
+   * @param {Object} options.mergedBy - User performing the merge
+   * @returns {Promise<Object>} - { patient, merge }
+   */
+  async mergePatients(survivorId, duplicateId, { take = [], reason, mergedBy } = {}) {
+    try {
+      if (String(survivorId) === String(duplicateId)) {
+        const error = new Error('A patient cannot be merged with itself');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const [survivor, duplicate] = await Promise.all([
+        Patient.findById(survivorId),
+        Patient.findById(duplicateId)
+      ]);
+
+      if (!survivor || !duplicate) {
+        throw notFound();
+      }
+
+      for (const patient of [survivor, duplicate]) {
+        if (patient.mergedInto) {
+          const error = new Error(`${patient.fullName} was already merged into another patient`);
+          error.statusCode = 409;
+          throw error;
+        }
+      }
+
+      if (!survivor.isActive) {
+        const error = new Error('The surviving patient is inactive');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const invalid = take.filter((field) => !MERGEABLE_FIELDS.includes(field));
+      if (invalid.length > 0) {
+        const error = new Error(`These fields cannot be taken from the duplicate: ${invalid.join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const survivorBefore = survivor.toObject({ depopulate: true, virtuals: false });
+      const duplicateBefore = duplicate.toObject({ depopulate: true, virtuals: false });
+
+      take.forEach((field) => survivor.set(field, duplicateBefore[field]));
+      survivor.allergies = unionBy(survivor.allergies, duplicate.allergies, foldText);
+      survivor.medicalConditions = unionBy(survivor.medicalConditions, duplicate.medicalConditions, foldText);
+      survivor.medications = unionBy(
+        survivorBefore.medications,
+        duplicateBefore.medications.map(({ _id, ...medication }) => medication),
+        (medication) => foldText(medication.name)
+      );
+
+      // Validate before moving anything, so a bad field value leaves both patients untouched
+      await survivor.validate();
+
+      const moved = [];
+      for (const { model, resourceType, audited = true } of REFERENCING_MODELS) {
+        const ids = await model.find({ patient: duplicate._id }).distinct('_id');
+        if (ids.length === 0) continue;
+
+        // A bulk update, so signed clinical records are re-pointed without reopening them
+        await model.updateMany({ _id: { $in: ids } }, { $set: { patient: survivor._id } });
+        moved.push({ resourceType, ids });
+
+        if (audited) {
+          await AuditLog.record(ids.map((id) => ({
+            action: 'update',
+            resourceType,
+            resourceId: id,
+            patient: survivor._id,
+            changes: [{ field: 'patient', before: duplicate._id, after: survivor._id }]
+          })));
+        }
+      }
+
+      await survivor.save();
+
+      duplicate.isActive = false;
+      duplicate.mergedInto = survivor._id;
+      await duplicate.save();
+
+      const merge = await PatientMerge.create({
+        survivor: survivor._id,
+        merged: duplicate._id,
+        fieldsTaken: take,
+        survivorBefore,
+        mergedBefore: duplicateBefore,
+        moved,
+        reason,
+        mergedBy: mergedBy && mergedBy._id,
+        mergedByName: mergedBy && mergedBy.name
+      });
+
+      // One entry on each chart, both reading "duplicate -> survivor"
+      await AuditLog.record([survivor, duplicate].map((patient) => ({
+        action: 'merge',
+        resourceType: 'Patient',
+        resourceId: patient._id,
+        patient: patient._id,
+        changes: [{ field: 'merge', before: duplicate._id, after: survivor._id }]
+      })));
+
+      return { patient: survivor, merge };
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the merges a patient took part in, newest first
+   * @param {string} patientId - MongoDB ID of the patient
+   * @returns {Promise<Object[]>} - Merge records
+   */
+  async getMerges(patientId) {
+    try {
+      return await PatientMerge.find({ $or: [{ survivor: patientId }, { merged: patientId }] })
+        .populate('survivor', 'firstName lastName idNumber')
+        .populate('merged', 'firstName lastName idNumber')
+        .sort({ mergedAt: -1 });
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+}
+
+module.exports = new DuplicateService();
@@ -0,0 +1,280 @@
+const Exercise = require('../models/Exercise');
+const { getStorage } = require('../storage');
+const { escapeRegex } = require('../utils/search');
+
+// Case and accent insensitive comparison for exercise names
+const NAME_COLLATION = { locale: 'es', strength: 1 };
+
+// Handouts embed the image in the PDF, which only takes these formats
+const IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+/**
+ * Load a catalog exercise
+ * @param {string} exerciseId - MongoDB ID of the exercise
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.withImageKey - Also load the image storage key
+ * @returns {Promise<Object>} - Exercise document
+ */
+const findExercise = async (exerciseId, { withImageKey = false } = {}) => {
+  const query = Exercise.findById(exerciseId);
+  const exercise = await (withImageKey ? query.select('+image.key') : query);
+
+  if (!exercise) {
+    const error = new Error('Exercise not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return exercise;
+};
+
+/**
+ * Reject a name already used by another exercise
+ * @param {string} name - Exercise name
+ * @param {string} exceptId - Exercise being updated, if any
+ */
+const checkNameIsFree = async (name, exceptId) => {
+  const query = { name };
+  if (exceptId) query._id = { $ne: exceptId };
+
+  if (await Exercise.findOne(query).collation(NAME_COLLATION)) {
+    const error = new Error('An exercise with this name already exists');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Remove a file from storage, logging rather than failing when it cannot be removed
+ * @param {Object} image - Stored image ({ storage, key })
+ */
+const removeImage = async (image) => {
+  try {
+    await getStorage(image.storage).remove(image.key);
+  } catch (error) {
+    console.error(`Could not remove exercise image ${image.key}: ${error.message}`);
+  }
+};
+
+/**
+ * Service to manage the catalog of exercises prescribed as home programs
+ */
+class ExerciseService {
+  /**
+   * List catalog exercises by name
+   * @param {Object} filters - Optional bodyRegion, search text and includeInactive
+   * @returns {Promise<Object[]>} - Exercises
+   */
+  async getExercises({ bodyRegion, search, includeInactive = false } = {}) {
+    try {
+      const query = {};
+
+      if (!includeInactive) query.isActive = true;
+      if (bodyRegion) query.bodyRegion = bodyRegion;
+      if (search) query.name = new RegExp(escapeRegex(search), 'i');
+
+      return await Exercise.find(query).collation(NAME_COLLATION).sort({ name: 1 });
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single catalog exercise
+   * @param {string} exerciseId - MongoDB ID of the exercise
+   * @returns {Promise<Object>} - Exercise
+   */
+  async getExerciseById(exerciseId) {
+    try {
+      return await findExercise(exerciseId);
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add an exercise to the catalog
+   * @param {Object} exerciseData - Exercise data
+   * @param {string} userId - User creating it
+   * @returns {Promise<Object>} - Created exercise
+   */
+  async createExercise(exerciseData, userId) {
+    try {
+      await checkNameIsFree(exerciseData.name);
+
+      return await Exercise.create({ ...exerciseData, createdBy: userId });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a catalog exercise. Programs already prescribed keep the values
+   * they were prescribed with.
+   * @param {string} exerciseId - MongoDB ID of the exercise
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} - Updated exercise
+   */
+  async updateExercise(exerciseId, updateData) {
+    try {
+      const exercise = await findExercise(exerciseId);
+
+      if (updateData.name) {
+        await checkNameIsFree(updateData.name, exercise._id);
+      }
+
+      exercise.set(updateData);
+      return await exercise.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw an exercise from the catalog. It stays readable for the
+   * programs that were prescribed from it.
+   * @param {string} exerciseId - MongoDB ID of the exercise
+   * @returns {Promise<Object>} - Deactivated exercise
+   */
+  async deactivateExercise(exerciseId) {
+    try {
+      const exercise = await findExercise(exerciseId);
+
+      exercise.isActive = false;
+      return await exercise.save();
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Set the illustration of an exercise from a file already streamed into
+   * storage by the upload middleware, replacing any previous one
+   * @param {string} exerciseId - MongoDB ID of the exercise
+   * @param {Object} file - Stored file from the upload middleware
+   * @returns {Promise<Object>} - Updated exercise
+   */
+  async setImage(exerciseId, file) {
+    try {
+      const exercise = await findExercise(exerciseId, { withImageKey: true });
+
+      if (!file) {
+        const error = new Error('An image is required');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (!IMAGE_TYPES.includes(file.detectedType)) {
+        const error = new Error('Image type not accepted; upload a JPG or PNG');
+        error.statusCode = 415;
+        throw error;
+      }
+
+      const previous = exercise.image && exercise.image.key
+        ? { storage: exercise.image.storage, key: exercise.image.key }
+        : null;
+
+      exercise.image = {
+        storage: file.storage,
+        key: file.storageKey,
+        mimeType: file.detectedType,
+        size: file.size
+      };
+      await exercise.save();
+
+      if (previous) {
+        await removeImage(previous);
+      }
+
+      exercise.image.key = undefined;
+      return exercise;
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Open the illustration of an exercise
+   * @param {string} exerciseId - MongoDB ID of the exercise
+   * @returns {Promise<Object>} - { image, stream }
+   */
+  async openImage(exerciseId) {
+    try {
+      const exercise = await findExercise(exerciseId, { withImageKey: true });
+
+      if (!exercise.image || !exercise.image.key) {
+        const error = new Error('This exercise has no image');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      let stream;
+      try {
+        stream = await getStorage(exercise.image.storage).read(exercise.image.key);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+
+        const error = new Error('Exercise image is missing from storage');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return { image: { mimeType: exercise.image.mimeType, size: exercise.image.size }, stream };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read the illustrations of several exercises into memory, for handouts.
+   * Exercises without an image, or whose file is missing, are left out.
+   * @param {string[]} exerciseIds - MongoDB IDs of the exercises
+   * @returns {Promise<Map<string, Object>>} - { mimeType, data } keyed by exercise ID
+   */
+  async loadImages(exerciseIds) {
+    const images = new Map();
+    const exercises = await Exercise.find({ _id: { $in: exerciseIds }, 'image.key': { $exists: true } })
+      .select('+image.key');
+
+    for (const exercise of exercises) {
+      try {
+        const chunks = [];
+        for await (const chunk of await getStorage(exercise.image.storage).read(exercise.image.key)) {
+          chunks.push(chunk);
+        }
+        images.set(String(exercise._id), { mimeType: exercise.image.mimeType, data: Buffer.concat(chunks) });
+      } catch (error) {
+        console.error(`Could not read image of exercise ${exercise._id}: ${error.message}`);
+      }
+    }
+
+    return images;
+  }
+}
+
+module.exports = new ExerciseService();
@@ -0,0 +1,535 @@
+const jwt = require('jsonwebtoken');
+const ClinicalRecord = require('../models/ClinicalRecord');
+const Exercise = require('../models/Exercise');
+const Patient = require('../models/Patient');
+const AdherenceLog = require('../models/AdherenceLog');
+const clinicalRecordService = require('./clinicalRecordService');
+const exerciseService = require('./exerciseService');
+const { addDays, clinicDate, dayRange } = require('../utils/time');
+const { round, mean } = require('../utils/stats');
+
+// Adherence links are printed on the handout and stay valid for this many days
+const ADHERENCE_LINK_DAYS = parseInt(process.env.ADHERENCE_LINK_DAYS, 10) || 90;
+
+// Audience of adherence tokens, so they can never pass as session tokens or vice versa
+const ADHERENCE_AUDIENCE = 'adherence';
+
+// Days of past logs shown to the patient next to the program
+const RECENT_LOG_DAYS = 28;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRACTITIONER_FIELDS = 'firstName lastName idNumber especialty registrationNumber';
+
+// Values a prescription may set on top of what the catalog suggests
+const PRESCRIPTION_FIELDS = ['sets', 'reps', 'frequency', 'timesPerWeek', 'notes'];
+
+/**
+ * Load a clinical record with the fields a home program needs
+ * @param {string} recordId - MongoDB ID of the clinical record
+ * @returns {Promise<Object>} - Clinical record document
+ */
+const findRecord = async (recordId) => {
+  const record = await ClinicalRecord.findById(recordId).select('patient practitioner visitDate status homeExercises');
+
+  if (!record) {
+    const error = new Error('Clinical record not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return record;
+};
+
+/**
+ * Load the catalog exercises referenced by a set of prescriptions
+ * @param {Object[]} prescriptions - [{ exercise }]
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.activeOnly - Reject exercises withdrawn from the catalog
+ * @returns {Promise<Map<string, Object>>} - Exercises keyed by ID
+ */
+const loadExercises = async (prescriptions, { activeOnly = true } = {}) => {
+  const ids = [...new Set(prescriptions.map((prescription) => String(prescription.exercise)))];
+  if (ids.length === 0) return new Map();
+
+  const exercises = await Exercise.find({ _id: { $in: ids } });
+  const byId = new Map(exercises.map((exercise) => [String(exercise._id), exercise]));
+
+  const missing = ids.filter((id) => !byId.has(id));
+  if (missing.length > 0) {
+    const error = new Error(`Exercise not found: ${missing.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const inactive = activeOnly ? exercises.filter((exercise) => !exercise.isActive) : [];
+  if (inactive.length > 0) {
+    const error = new Error(`No longer in the exercise catalog: ${inactive.map((exercise) => exercise.name).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return byId;
+};
+
+/**
+ * Turn a catalog exercise into a home exercise entry of a record
+ * @param {Object} exercise - Catalog exercise
+ * @param {Object} prescription - Optional level, sets, reps, frequency, timesPerWeek and notes
+ * @returns {Object} - Entry of ClinicalRecord.homeExercises
+ */
+const prescribeFrom = (exercise, prescription) => {
+  const values = exercise.atLevel(prescription.level);
+  const item = {
+    exercise: exercise._id,
+    level: prescription.level,
+    name: values.levelName ? `${exercise.name} (${values.levelName})` : exercise.name,
+    description: values.instructions,
+    sets: values.sets,
+    reps: values.reps,
+    frequency: values.frequency,
+    timesPerWeek: exercise.defaultTimesPerWeek
+  };
+
+  for (const field of PRESCRIPTION_FIELDS) {
+    if (prescription[field] !== undefined) item[field] = prescription[field];
+  }
+
+  return item;
+};
+
+/**
+ * Home exercise entry as a plain object without its ID, ready to be copied
+ * @param {Object} item - Entry of ClinicalRecord.homeExercises
+ * @returns {Object}
+ */
+const copyOf = (item) => {
+  const { _id, ...copy } = item.toObject ? item.toObject() : item;
+  return copy;
+};
+
+/**
+ * Check that a record has a home program to hand out or log against
+ * @param {Object} record - Clinical record
+ */
+const requireProgram = (record) => {
+  if (!record.homeExercises || record.homeExercises.length === 0) {
+    const error = new Error('This record has no home exercises');
+    error.statusCode = 404;
+    throw error;
+  }
+};
+
+/**
+ * Days on which a program was meant to be followed: from the visit where it
+ * was prescribed until a later visit prescribes another, or today
+ * @param {Object} record - Clinical record holding the program
+ * @returns {Promise<Object>} - { from, to, days, replacedBy }
+ */
+const programPeriod = async (record) => {
+  const next = await ClinicalRecord.findOne({
+    patient: record.patient,
+    visitDate: { $gt: record.visitDate },
+    'homeExercises.0': { $exists: true }
+  }).select('visitDate').sort({ visitDate: 1 });
+
+  // The day of the next prescription belongs to the new program
+  const from = dayRange(record.visitDate).start;
+  const to = next ? dayRange(next.visitDate).start : dayRange(clinicDate()).end;
+
+  return {
+    from,
+    to,
+    days: Math.max(1, Math.round((to - from) / DAY_MS)),
+    replacedBy: next ? next._id : null
+  };
+};
+
+/**
+ * Service to prescribe home exercise programs and follow how patients keep up with them
+ */
+class HomeProgramService {
+  /**
+   * Prescribe catalog exercises into a draft record, after any exercises it
+   * already has or in their place
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @param {Object[]} prescriptions - [{ exercise, level, sets, reps, frequency, timesPerWeek, notes }]
+   * @param {string} professionalId - Practitioner prescribing
+   * @param {Object} options - Optional replace to drop the exercises already prescribed
+   * @returns {Promise<Object>} - Updated clinical record
+   */
+  async prescribe(recordId, prescriptions, professionalId, { replace = false } = {}) {
+    try {
+      const record = await findRecord(recordId);
+      const exercises = await loadExercises(prescriptions);
+
+      const added = prescriptions.map((prescription) => prescribeFrom(exercises.get(String(prescription.exercise)), prescription));
+      const homeExercises = replace ? added : [...record.homeExercises.map((item) => item.toObject()), ...added];
+
+      // Ownership and draft checks happen there
+      return await clinicalRecordService.updateDraft(recordId, { homeExercises }, professionalId);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Copy the program of the patient's previous visit into a draft record,
+   * dropping, changing or adding exercises on the way
+   * @param {string} recordId - MongoDB ID of the clinical record receiving the program
+   * @param {Object} changes - What to do with the copied program
+   * @param {string[]} changes.remove - Entries of the previous program to leave out
+   * @param {Object[]} changes.modify - [{ homeExercise, level, sets, reps, frequency, timesPerWeek, notes }]
+   * @param {Object[]} changes.add - New prescriptions from the catalog
+   * @param {boolean} changes.replace - Overwrite exercises the record already has
+   * @param {string} professionalId - Practitioner prescribing
+   * @returns {Promise<Object>} - { record, copiedFrom }
+   */
+  async copyPrevious(recordId, { remove = [], modify = [], add = [], replace = false } = {}, professionalId) {
+    try {
+      const record = await findRecord(recordId);
+
+      if (record.homeExercises.length > 0 && !replace) {
+        const error = new Error('This record already has home exercises; send replace to overwrite them');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const previous = await ClinicalRecord.findOne({
+        patient: record.patient,
+        visitDate: { $lt: record.visitDate },
+        'homeExercises.0': { $exists: true }
+      }).select('visitDate homeExercises').sort({ visitDate: -1 });
+
+      if (!previous) {
+        const error = new Error('No earlier visit of this patient has home exercises');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const known = new Set(previous.homeExercises.map((item) => String(item._id)));
+      const unknown = [...remove, ...modify.map((change) => change.homeExercise)]
+        .filter((id) => !known.has(String(id)));
+
+      if (unknown.length > 0) {
+        const error = new Error(`Not part of the previous program: ${unknown.join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // A new level takes the catalog values of that level, even for withdrawn exercises
+      const leveled = modify.filter((change) => change.level !== undefined);
+      const catalog = await loadExercises(leveled.map((change) => ({
+        exercise: previous.homeExercises.id(change.homeExercise).exercise
+      })).filter((entry) => entry.exercise), { activeOnly: false });
+
+      const removed = new Set(remove.map(String));
+      const copied = previous.homeExercises
+        .filter((item) => !removed.has(String(item._id)))
+        .map((item) => {
+          const change = modify.find((candidate) => String(candidate.homeExercise) === String(item._id));
+          if (!change) return copyOf(item);
+
+          if (change.level !== undefined) {
+            if (!item.exercise) {
+              const error = new Error(`${item.name} was not prescribed from the catalog and has no levels`);
+              error.statusCode = 400;
+              throw error;
+            }
+            // What the practitioner set for this patient carries over unless changed too
+            return prescribeFrom(catalog.get(String(item.exercise)), {
+              timesPerWeek: item.timesPerWeek,
+              notes: item.notes,
+              ...change
+            });
+          }
+
+          const updated = copyOf(item);
+          for (const field of PRESCRIPTION_FIELDS) {
+            if (change[field] !== undefined) updated[field] = change[field];
+          }
+          return updated;
+        });
+
+      const exercises = await loadExercises(add);
+      const added = add.map((prescription) => prescribeFrom(exercises.get(String(prescription.exercise)), prescription));
+
+      const updated = await clinicalRecordService.updateDraft(recordId, { homeExercises: [...copied, ...added] }, professionalId);
+
+      return { record: updated, copiedFrom: previous._id };
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Data printed on the patient's home program handout
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @returns {Promise<Object>} - { patient, record, images, link }
+   */
+  async getHandout(recordId) {
+    try {
+      const record = await ClinicalRecord.findById(recordId)
+        .select('patient practitioner signedBy visitDate status homeExercises')
+        .populate([
+          { path: 'practitioner', select: PRACTITIONER_FIELDS },
+          { path: 'signedBy', select: PRACTITIONER_FIELDS }
+        ]);
+
+      if (!record) {
+        const error = new Error('Clinical record not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      requireProgram(record);
+
+      const patient = await Patient.findById(record.patient);
+      const images = await exerciseService.loadImages(record.homeExercises.map((item) => item.exercise).filter(Boolean));
+
+      return { patient, record, images, link: this.createAdherenceLink(record._id) };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a link to log the home program of a record
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @returns {Promise<Object>} - { token, url, expiresAt }
+   */
+  async issueAdherenceLink(recordId) {
+    try {
+      const record = await findRecord(recordId);
+      requireProgram(record);
+
+      return this.createAdherenceLink(record._id);
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create the link patients use to log their exercises without an account.
+   * It only gives access to the program of this record.
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @returns {Object} - { token, url, expiresAt }; url is null unless APP_URL is set
+   */
+  createAdherenceLink(recordId) {
+    const token = jwt.sign({ record: String(recordId) }, process.env.JWT_SECRET, {
+      audience: ADHERENCE_AUDIENCE,
+      expiresIn: `${ADHERENCE_LINK_DAYS}d`
+    });
+
+    return {
+      token,
+      url: process.env.APP_URL ? `${process.env.APP_URL.replace(/\/+$/, '')}/adherence/${token}` : null,
+      expiresAt: new Date(jwt.decode(token).exp * 1000)
+    };
+  }
+
+  /**
+   * Resolve an adherence link to its clinical record
+   * @param {string} token - Token from the link
+   * @returns {Promise<Object>} - Clinical record document
+   */
+  async openAdherenceLink(token) {
+    try {
+      let payload;
+      try {
+        payload = jwt.verify(token, process.env.JWT_SECRET, { audience: ADHERENCE_AUDIENCE });
+      } catch (err) {
+        const error = new Error(err.name === 'TokenExpiredError'
+          ? 'This link has expired; ask your practitioner for a new one'
+          : 'Link not found');
+        error.statusCode = err.name === 'TokenExpiredError' ? 410 : 404;
+        throw error;
+      }
+
+      const record = await ClinicalRecord.findById(payload.record).select('patient practitioner visitDate homeExercises');
+
+      if (!record || record.homeExercises.length === 0) {
+        const error = new Error('Link not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return record;
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * What a patient sees through an adherence link: the program and their
+   * recent logs, with no other data from the record
+   * @param {Object} record - Clinical record resolved from the link
+   * @returns {Promise<Object>} - { firstName, prescribedOn, exercises, logs }
+   */
+  async getPatientView(record) {
+    try {
+      const patient = await Patient.findById(record.patient).select('firstName');
+      const logs = await AdherenceLog.find({
+        clinicalRecord: record._id,
+        date: { $gte: addDays(clinicDate(), -RECENT_LOG_DAYS) }
+      }).select('homeExercise date completed setsCompleted painDuring notes').sort({ date: -1 });
+
+      return {
+        firstName: patient ? patient.firstName : undefined,
+        prescribedOn: record.visitDate,
+        exercises: record.homeExercises.map((item) => ({
+          _id: item._id,
+          name: item.name,
+          description: item.description,
+          sets: item.sets,
+          reps: item.reps,
+          frequency: item.frequency,
+          timesPerWeek: item.timesPerWeek,
+          notes: item.notes
+        })),
+        logs
+      };
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Log whether home exercises were done on a day. Logging the same exercise
+   * and day again corrects the earlier entry.
+   * @param {string|Object} recordOrId - Clinical record, or its MongoDB ID
+   * @param {Object[]} entries - [{ homeExercise, date, completed, setsCompleted, painDuring, notes }]
+   * @param {Object} options - Who logs
+   * @param {string} options.source - 'Patient' or 'Staff'
+   * @param {string} options.recordedBy - User logging on the patient's behalf
+   * @returns {Promise<Object[]>} - Stored logs
+   */
+  async logAdherence(recordOrId, entries, { source, recordedBy } = {}) {
+    try {
+      const record = recordOrId._id ? recordOrId : await findRecord(recordOrId);
+      requireProgram(record);
+
+      const firstDay = dayRange(record.visitDate).start;
+      const today = dayRange(clinicDate()).end;
+
+      const logs = [];
+      for (const entry of entries) {
+        const item = record.homeExercises.id(entry.homeExercise);
+
+        if (!item) {
+          const error = new Error(`Not part of this program: ${entry.homeExercise}`);
+          error.statusCode = 400;
+          throw error;
+        }
+
+        const date = dayRange(entry.date || clinicDate()).start;
+        if (date < firstDay || date > today) {
+          const error = new Error('Exercises can only be logged between the day they were prescribed and today');
+          error.statusCode = 400;
+          throw error;
+        }
+
+        const key = { clinicalRecord: record._id, homeExercise: item._id, date };
+        const log = await AdherenceLog.findOne(key) || new AdherenceLog({ ...key, patient: record.patient });
+
+        log.set({
+          exerciseName: item.name,
+          completed: entry.completed,
+          setsCompleted: entry.setsCompleted,
+          painDuring: entry.painDuring,
+          notes: entry.notes,
+          source,
+          recordedBy
+        });
+        logs.push(await log.save());
+      }
+
+      return logs;
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * How well a patient kept up with the program of a record: sessions done
+   * against those expected from times per week, while the program was current
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @returns {Promise<Object>} - { record, period, exercises, overall, logs }
+   */
+  async getAdherence(recordId) {
+    try {
+      const record = await findRecord(recordId);
+      requireProgram(record);
+
+      const period = await programPeriod(record);
+      const logs = await AdherenceLog.find({ clinicalRecord: record._id }).sort({ date: 1 });
+
+      const exercises = record.homeExercises.map((item) => {
+        const own = logs.filter((log) => String(log.homeExercise) === String(item._id));
+        const completed = own.filter((log) => log.completed && log.date >= period.from && log.date < period.to).length;
+        const expected = item.timesPerWeek ? Math.max(1, Math.round((item.timesPerWeek * period.days) / 7)) : null;
+        const pain = own.map((log) => log.painDuring).filter((value) => value !== undefined && value !== null);
+
+        return {
+          homeExercise: item._id,
+          name: item.name,
+          timesPerWeek: item.timesPerWeek,
+          daysLogged: own.length,
+          completed,
+          expected,
+          percent: expected ? Math.min(100, round((completed / expected) * 100)) : null,
+          meanPainDuring: pain.length > 0 ? round(mean(pain)) : null,
+          lastLogged: own.length > 0 ? own[own.length - 1].date : null
+        };
+      });
+
+      // Exercises without times per week cannot be measured and are left out of the total
+      const measured = exercises.filter((exercise) => exercise.expected);
+      const expected = measured.reduce((sum, exercise) => sum + exercise.expected, 0);
+      const completed = measured.reduce((sum, exercise) => sum + Math.min(exercise.completed, exercise.expected), 0);
+
+      return {
+        record,
+        period,
+        exercises,
+        overall: expected > 0 ? round((completed / expected) * 100) : null,
+        logs
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new HomeProgramService();
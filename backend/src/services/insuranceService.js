@@ -0,0 +1,272 @@
+const InsuranceAuthorization = require('../models/InsuranceAuthorization');
+const Appointment = require('../models/Appointment');
+const Patient = require('../models/Patient');
+const { clinicDate } = require('../utils/time');
+
+// Bookings warn when an authorization expires within this many days with sessions unbooked
+const EXPIRY_WARNING_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Count the sessions booked against each authorization. Cancelled, rescheduled
+ * and missed appointments give their session back.
+ * @param {Array} authorizationIds - MongoDB IDs of the authorizations
+ * @returns {Promise<Map<string, number>>}
+ */
+const sessionsUsed = async (authorizationIds) => {
+  const counts = await Appointment.aggregate([
+    { $match: { authorization: { $in: authorizationIds }, status: Appointment.occupyingStatusFilter() } },
+    { $group: { _id: '$authorization', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+/**
+ * An authorization with how many of its sessions are booked
+ * @param {Object} authorization - Authorization document
+ * @param {number} used - Sessions booked against it
+ * @returns {Object}
+ */
+const withUsage = (authorization, used) => ({
+  ...authorization.toObject(),
+  sessionsUsed: used,
+  sessionsRemaining: Math.max(0, authorization.sessionsAuthorized - used)
+});
+
+/**
+ * Service for the insurance authorizations sessions are booked against
+ */
+class InsuranceService {
+  /**
+   * Record an authorization for a patient
+   * @param {Object} authorizationData - Authorization data
+   * @param {string} userId - User recording it
+   * @returns {Promise<Object>} - Created authorization
+   */
+  async createAuthorization(authorizationData, userId) {
+    try {
+      const patient = await Patient.findById(authorizationData.patient);
+
+      if (!patient || !patient.isActive) {
+        const error = new Error('Patient not found or inactive');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const authorization = new InsuranceAuthorization({ ...authorizationData, createdBy: userId });
+      await authorization.save();
+
+      return withUsage(authorization, 0);
+    } catch (error) {
+      if (error.code === 11000) {
+        error.message = 'This provider already has an authorization with that code';
+        error.statusCode = 409;
+      }
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List authorizations with their usage, latest expiry first
+   * @param {Object} filters - patient, provider, active (valid today and not withdrawn)
+   * @returns {Promise<Object[]>}
+   */
+  async getAuthorizations({ patient, provider, active } = {}) {
+    try {
+      const query = {};
+      if (patient) query.patient = patient;
+      if (provider) query.provider = provider;
+      if (active) {
+        const today = clinicDate();
+        Object.assign(query, { isActive: true, validFrom: { $lte: today }, validUntil: { $gte: today } });
+      }
+
+      const authorizations = await InsuranceAuthorization.find(query)
+        .collation({ locale: 'es', strength: 1 })
+        .populate({ path: 'patient', select: 'firstName lastName idNumber' })
+        .sort({ validUntil: -1 });
+
+      const used = await sessionsUsed(authorizations.map((authorization) => authorization._id));
+
+      return authorizations.map((authorization) => withUsage(authorization, used.get(String(authorization._id)) || 0));
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Get an authorization with its usage and the appointments booked against it
+   * @param {string} authorizationId - MongoDB ID of the authorization
+   * @returns {Promise<Object>} - { authorization, appointments }
+   */
+  async getAuthorizationById(authorizationId) {
+    try {
+      const authorization = await InsuranceAuthorization.findById(authorizationId)
+        .populate({ path: 'patient', select: 'firstName lastName idNumber' });
+
+      if (!authorization) {
+        const error = new Error('Insurance authorization not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const appointments = await Appointment.find({ authorization: authorization._id })
+        .select('date startTime endTime type status practitioner')
+        .populate({ path: 'practitioner', select: 'firstName lastName' })
+        .sort({ date: 1, startTime: 1 });
+
+      const used = (await sessionsUsed([authorization._id])).get(String(authorization._id)) || 0;
+
+      return { authorization: withUsage(authorization, used), appointments };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update an authorization, e.g. when the insurer extends it
+   * @param {string} authorizationId - MongoDB ID of the authorization
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} - Updated authorization
+   */
+  async updateAuthorization(authorizationId, updateData) {
+    try {
+      const authorization = await InsuranceAuthorization.findById(authorizationId);
+
+      if (!authorization) {
+        const error = new Error('Insurance authorization not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      authorization.set(updateData);
+      await authorization.save();
+
+      const used = (await sessionsUsed([authorization._id])).get(String(authorization._id)) || 0;
+      return withUsage(authorization, used);
+    } catch (error) {
+      if (error.code === 11000) {
+        error.message = 'This provider already has an authorization with that code';
+        error.statusCode = 409;
+      }
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw an authorization. Sessions already booked keep it.
+   * @param {string} authorizationId - MongoDB ID of the authorization
+   * @returns {Promise<Object>} - Withdrawn authorization
+   */
+  async deactivateAuthorization(authorizationId) {
+    return this.updateAuthorization(authorizationId, { isActive: false });
+  }
+
+  /**
+   * Load the authorization an appointment is being booked against
+   * @param {string} authorizationId - MongoDB ID of the authorization
+   * @param {string} patientId - Patient of the appointment
+   * @returns {Promise<Object>} - Authorization document
+   */
+  async resolveAuthorization(authorizationId, patientId) {
+    const authorization = await InsuranceAuthorization.findOne({ _id: authorizationId, patient: patientId });
+
+    if (!authorization) {
+      const error = new Error('Insurance authorization not found for this patient');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!authorization.isActive) {
+      const error = new Error('Insurance authorization has been withdrawn');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return authorization;
+  }
+
+  /**
+   * Appointment fields that record an authorization
+   * @param {Object} authorization - Authorization document
+   * @returns {Object} - { authorization, insuranceUsed, insuranceDetails }
+   */
+  appointmentFields(authorization) {
+    return {
+      authorization: authorization._id,
+      insuranceUsed: true,
+      insuranceDetails: {
+        provider: authorization.provider,
+        policyNumber: authorization.policyNumber,
+        authorizationCode: authorization.authorizationCode
+      }
+    };
+  }
+
+  /**
+   * Warnings for appointments just booked against authorizations: sessions
+   * running out or exceeded, and sessions outside or near the end of the
+   * validity. Bookings go ahead regardless; uncovered sessions are paid by the patient.
+   * @param {Object|Object[]} appointments - Appointments booked
+   * @returns {Promise<string[]>}
+   */
+  async bookingWarnings(appointments) {
+    const booked = [].concat(appointments).filter((appointment) => appointment.authorization);
+    if (booked.length === 0) return [];
+
+    const ids = [...new Set(booked.map((appointment) => String(appointment.authorization._id || appointment.authorization)))];
+    const authorizations = await InsuranceAuthorization.find({ _id: { $in: ids } });
+    const used = await sessionsUsed(authorizations.map((authorization) => authorization._id));
+    const today = clinicDate();
+
+    const warnings = [];
+    for (const authorization of authorizations) {
+      const label = `${authorization.provider} authorization ${authorization.authorizationCode}`;
+      const count = used.get(String(authorization._id)) || 0;
+      const authorized = authorization.sessionsAuthorized;
+      const dates = booked
+        .filter((appointment) => String(appointment.authorization._id || appointment.authorization) === String(authorization._id))
+        .map((appointment) => appointment.date);
+
+      if (count > authorized) {
+        warnings.push(`${label} covers ${authorized} sessions and ${count} are booked; ${count - authorized} will not be covered`);
+      } else if (count === authorized) {
+        warnings.push(`${label} has no sessions left`);
+      }
+
+      const outside = dates.filter((date) => !authorization.coversDate(date)).length;
+      if (outside > 0) {
+        warnings.push(
+          `${outside} session(s) fall outside ${label}, valid from ` +
+          `${formatDay(authorization.validFrom)} to ${formatDay(authorization.validUntil)}`
+        );
+      } else if (count < authorized && authorization.validUntil - today <= EXPIRY_WARNING_DAYS * DAY_MS) {
+        warnings.push(`${label} expires on ${formatDay(authorization.validUntil)} with ${authorized - count} session(s) unbooked`);
+      }
+    }
+
+    return warnings;
+  }
+}
+
+module.exports = new InsuranceService();
@@ -0,0 +1,229 @@
+const ClinicalRecord = require('../models/ClinicalRecord');
+const { dayRange } = require('../utils/time');
+const { LSI_THRESHOLD, normalRange } = require('../config/normativeRanges');
+
+// Reading used for each measurement type, in order of preference
+const METRICS = {
+  'Range of Motion': ['activeDegrees', 'passiveDegrees'],
+  Strength: ['dynamometerKg', 'mmtGrade']
+};
+
+const UNITS = {
+  activeDegrees: 'degrees',
+  passiveDegrees: 'degrees',
+  dynamometerKg: 'kg',
+  mmtGrade: 'MMT grade'
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const hasValue = (measurement, metric) => measurement && measurement[metric] !== undefined && measurement[metric] !== null;
+
+/**
+ * Group a record's measurements by type, joint and movement, keeping the last
+ * reading taken on each side
+ * @param {Object[]} measurements - Measurements of one record
+ * @returns {Object[]} - [{ type, joint, movement, sides: { Left, Right, Midline } }]
+ */
+const groupBySide = (measurements) => {
+  const groups = new Map();
+
+  for (const measurement of measurements) {
+    const key = `${measurement.type}|${measurement.joint}|${measurement.movement}`;
+    if (!groups.has(key)) {
+      groups.set(key, { type: measurement.type, joint: measurement.joint, movement: measurement.movement, sides: {} });
+    }
+    groups.get(key).sides[measurement.side] = measurement;
+  }
+
+  return [...groups.values()];
+};
+
+/**
+ * Range of motion deficit of one side against the normal range
+ * @param {Object} group - Grouped measurement
+ * @param {Object} measurement - Reading of one side
+ * @returns {Object|null} - { degrees, percentOfNormal }, or null when it does not apply
+ */
+const deficitOf = (group, measurement) => {
+  const normal = normalRange(group.joint, group.movement);
+  const metric = METRICS[group.type].find((candidate) => hasValue(measurement, candidate));
+  if (group.type !== 'Range of Motion' || normal === null || !metric) return null;
+
+  const value = measurement[metric];
+  return {
+    degrees: round(Math.max(0, normal - value)),
+    // Movements whose normal end range is 0 (e.g. knee extension) only have a deficit in degrees
+    percentOfNormal: normal > 0 ? round((value / normal) * 100) : null
+  };
+};
+
+/**
+ * Compare left and right for one movement
+ * @param {Object} group - Grouped measurement with both sides
+ * @param {string} involvedSide - 'Left' or 'Right'; the weaker side when not given
+ * @returns {Object|null} - Symmetry figures, or null when both sides lack a common reading
+ */
+const symmetryOf = (group, involvedSide) => {
+  const { Left: left, Right: right } = group.sides;
+  const metric = METRICS[group.type].find((candidate) => hasValue(left, candidate) && hasValue(right, candidate));
+  if (!metric) return null;
+
+  const involved = involvedSide || (left[metric] <= right[metric] ? 'Left' : 'Right');
+  const involvedValue = group.sides[involved][metric];
+  const uninvolvedValue = group.sides[involved === 'Left' ? 'Right' : 'Left'][metric];
+  const lsi = uninvolvedValue > 0 ? round((involvedValue / uninvolvedValue) * 100) : null;
+
+  return {
+    metric,
+    unit: UNITS[metric],
+    involvedSide: involved,
+    lsi,
+    sideDifference: round(uninvolvedValue - involvedValue),
+    asymmetric: lsi !== null && lsi < LSI_THRESHOLD
+  };
+};
+
+/**
+ * Analyse the measurements of one record
+ * @param {Object} record - Clinical record with physicalAssessment.measurements
+ * @param {string} involvedSide - Optional involved side
+ * @returns {Object[]} - One comparison per type, joint and movement
+ */
+const analyze = (record, involvedSide) => groupBySide(record.physicalAssessment.measurements || [])
+  .map((group) => ({
+    type: group.type,
+    joint: group.joint,
+    movement: group.movement,
+    normalDegrees: group.type === 'Range of Motion' ? normalRange(group.joint, group.movement) : null,
+    sides: Object.fromEntries(Object.entries(group.sides).map(([side, measurement]) => [side, {
+      activeDegrees: measurement.activeDegrees,
+      passiveDegrees: measurement.passiveDegrees,
+      mmtGrade: measurement.mmtGrade,
+      dynamometerKg: measurement.dynamometerKg,
+      testName: measurement.testName,
+      deficit: deficitOf(group, measurement)
+    }])),
+    symmetry: group.sides.Left && group.sides.Right ? symmetryOf(group, involvedSide) : null
+  }));
+
+/**
+ * Service to analyse structured range of motion and strength measurements
+ */
+class MeasurementService {
+  /**
+   * Limb symmetry and normative deficits for one record
+   * @param {string} recordId - MongoDB ID of the clinical record
+   * @param {Object} options - Analysis options
+   * @param {string} options.involvedSide - 'Left' or 'Right'; the weaker side is used when omitted
+   * @returns {Promise<Object>} - { record, patient, visitDate, lsiThreshold, comparisons }
+   */
+  async analyzeRecord(recordId, { involvedSide } = {}) {
+    try {
+      const record = await ClinicalRecord.findById(recordId).select('patient visitDate physicalAssessment.measurements');
+
+      if (!record) {
+        const error = new Error('Clinical record not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return {
+        record: record._id,
+        patient: record.patient,
+        visitDate: record.visitDate,
+        lsiThreshold: LSI_THRESHOLD,
+        comparisons: analyze(record, involvedSide)
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change in each measured joint movement across a patient's visits
+   * @param {string} patientId - MongoDB ID of the patient
+   * @param {Object} filters - Optional joint, from, to and involvedSide
+   * @returns {Promise<Object>} - { records, series, symmetry }
+   */
+  async getPatientProgress(patientId, { joint, from, to, involvedSide } = {}) {
+    try {
+      const query = { patient: patientId, 'physicalAssessment.measurements.0': { $exists: true } };
+
+      if (from || to) {
+        query.visitDate = {};
+        if (from) query.visitDate.$gte = dayRange(from).start;
+        if (to) query.visitDate.$lte = dayRange(to).end;
+      }
+
+      const records = await ClinicalRecord.find(query)
+        .select('patient visitDate physicalAssessment.measurements')
+        .sort({ visitDate: 1 });
+
+      // One series per movement, side and reading, e.g. active knee flexion on the left
+      const series = new Map();
+      const symmetry = new Map();
+
+      for (const record of records) {
+        for (const comparison of analyze(record, involvedSide)) {
+          if (joint && comparison.joint !== joint) continue;
+
+          for (const [side, reading] of Object.entries(comparison.sides)) {
+            for (const metric of METRICS[comparison.type].filter((candidate) => hasValue(reading, candidate))) {
+              const key = [comparison.type, comparison.joint, comparison.movement, side, metric].join('|');
+              if (!series.has(key)) {
+                series.set(key, {
+                  type: comparison.type,
+                  joint: comparison.joint,
+                  movement: comparison.movement,
+                  side,
+                  metric,
+                  unit: UNITS[metric],
+                  normalDegrees: comparison.normalDegrees,
+                  points: []
+                });
+              }
+
+              const points = series.get(key).points;
+              const value = reading[metric];
+              points.push({
+                record: record._id,
+                visitDate: record.visitDate,
+                value,
+                changeFromPrevious: points.length > 0 ? round(value - points[points.length - 1].value) : null,
+                changeFromBaseline: points.length > 0 ? round(value - points[0].value) : null
+              });
+            }
+          }
+
+          if (comparison.symmetry) {
+            const key = [comparison.type, comparison.joint, comparison.movement].join('|');
+            if (!symmetry.has(key)) {
+              symmetry.set(key, { type: comparison.type, joint: comparison.joint, movement: comparison.movement, points: [] });
+            }
+            symmetry.get(key).points.push({ record: record._id, visitDate: record.visitDate, ...comparison.symmetry });
+          }
+        }
+      }
+
+      const byJoint = (a, b) => a.joint.localeCompare(b.joint) ||
+        a.movement.localeCompare(b.movement) ||
+        a.type.localeCompare(b.type) ||
+        (a.side || '').localeCompare(b.side || '');
+
+      return {
+        records,
+        series: [...series.values()].sort(byJoint),
+        symmetry: [...symmetry.values()].sort(byJoint)
+      };
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+}
+
+module.exports = new MeasurementService();
@@ -0,0 +1,312 @@
+const OutcomeMeasure = require('../models/OutcomeMeasure');
+const ClinicalRecord = require('../models/ClinicalRecord');
+const Patient = require('../models/Patient');
+const { clinicDayRange } = require('../utils/time');
+const { QUESTIONNAIRES, getQuestionnaire, describe, interpret } = require('../questionnaires');
+const { round } = require('../questionnaires/scoring');
+
+// Related fields included when measures are returned
+const MEASURE_POPULATE = [
+  { path: 'clinicalRecord', select: 'visitDate diagnosis' },
+  { path: 'recordedBy', select: 'firstName lastName especialty' }
+];
+
+/**
+ * Classify a change in score against the questionnaire's MCID
+ * @param {Object} questionnaire - Questionnaire definition
+ * @param {number|null} change - Later score minus earlier score
+ * @returns {string|null} - 'improved', 'worsened' or 'no important change'
+ */
+const classifyChange = (questionnaire, change) => {
+  if (change === null) return null;
+  if (Math.abs(change) < questionnaire.mcid) return 'no important change';
+
+  const better = questionnaire.higherIsBetter ? change > 0 : change < 0;
+  return better ? 'improved' : 'worsened';
+};
+
+/**
+ * Follow one score across a patient's measures, comparing each with the
+ * baseline (first) and previous measure
+ * @param {Object} questionnaire - Questionnaire definition
+ * @param {Object[]} measures - Measures in date order
+ * @param {Function} valueOf - Reads the score to follow from a measure
+ * @returns {Object[]} - One point per measure with a score
+ */
+const trendOf = (questionnaire, measures, valueOf) => {
+  const points = [];
+
+  for (const measure of measures) {
+    const value = valueOf(measure);
+    if (value === null || value === undefined) continue;
+
+    const baseline = points.length > 0 ? points[0].score : null;
+    const previous = points.length > 0 ? points[points.length - 1].score : null;
+    const fromBaseline = baseline === null ? null : round(value - baseline);
+    const fromPrevious = previous === null ? null : round(value - previous);
+
+    points.push({
+      measure: measure._id,
+      administeredAt: measure.administeredAt,
+      clinicalRecord: measure.clinicalRecord,
+      score: value,
+      band: interpret(questionnaire, value),
+      changeFromBaseline: fromBaseline,
+      changeFromPrevious: fromPrevious,
+      // Flags are set once the change reaches the minimal clinically important difference
+      vsBaseline: classifyChange(questionnaire, fromBaseline),
+      vsPrevious: classifyChange(questionnaire, fromPrevious)
+    });
+  }
+
+  return points;
+};
+
+/**
+ * Service to record and analyse standardized outcome measures
+ */
+class OutcomeService {
+  /**
+   * List the available questionnaires
+   * @returns {Object[]} - Questionnaire descriptions
+   */
+  listQuestionnaires() {
+    return Object.values(QUESTIONNAIRES).map(describe);
+  }
+
+  /**
+   * Get one questionnaire with its items and bands
+   * @param {string} code - Questionnaire code
+   * @returns {Object} - Questionnaire description
+   */
+  getQuestionnaire(code) {
+    const questionnaire = getQuestionnaire(code);
+
+    if (!questionnaire) {
+      const error = new Error('Questionnaire not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return describe(questionnaire);
+  }
+
+  /**
+   * Record and score a completed questionnaire
+   * @param {Object} measureData - patient, questionnaire, answers and optionally clinicalRecord, administeredAt, notes
+   * @param {string} recordedBy - Professional who administered it
+   * @returns {Promise<Object>} - Created measure with its score
+   */
+  async createMeasure(measureData, recordedBy) {
+    try {
+      const patient = await Patient.findById(measureData.patient);
+
+      if (!patient) {
+        const error = new Error('Patient not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      if (measureData.clinicalRecord) {
+        const record = await ClinicalRecord.findById(measureData.clinicalRecord);
+
+        if (!record) {
+          const error = new Error('Clinical record not found');
+          error.statusCode = 404;
+          throw error;
+        }
+
+        if (String(record.patient) !== String(patient._id)) {
+          const error = new Error('Clinical record belongs to another patient');
+          error.statusCode = 400;
+          throw error;
+        }
+      }
+
+      const measure = await OutcomeMeasure.create({ ...measureData, recordedBy });
+      return await measure.populate(MEASURE_POPULATE);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single measure
+   * @param {string} measureId - MongoDB ID of the measure
+   * @returns {Promise<Object>} - Measure object
+   */
+  async getMeasureById(measureId) {
+    try {
+      const measure = await OutcomeMeasure.findById(measureId).populate(MEASURE_POPULATE);
+
+      if (!measure) {
+        const error = new Error('Outcome measure not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return measure;
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a measure entered by mistake; only whoever recorded it may do so
+   * @param {string} measureId - MongoDB ID of the measure
+   * @param {string} professionalId - Practitioner asking for the deletion
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async deleteMeasure(measureId, professionalId) {
+    try {
+      const measure = await this.getMeasureById(measureId);
+      const recordedBy = measure.recordedBy && (measure.recordedBy._id || measure.recordedBy);
+
+      // Refused when either side is unknown: a deleted recorder or a user with no practitioner profile
+      if (!recordedBy || !professionalId || !recordedBy.equals(professionalId)) {
+        const error = new Error('Only the practitioner who recorded this measure can delete it');
+        error.statusCode = 403;
+        throw error;
+      }
+
+      await measure.deleteOne();
+
+      return { success: true, message: 'Outcome measure deleted successfully' };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List a patient's measures in date order
+   * @param {string} patientId - MongoDB ID of the patient
+   * @param {Object} filters - Optional questionnaire, from and to
+   * @returns {Promise<Object[]>} - Measures
+   */
+  async getPatientMeasures(patientId, { questionnaire, from, to } = {}) {
+    try {
+      const query = { patient: patientId };
+
+      if (questionnaire) {
+        query.questionnaire = questionnaire;
+      }
+
+      if (from || to) {
+        query.administeredAt = {};
+        if (from) query.administeredAt.$gte = clinicDayRange(from).start;
+        if (to) query.administeredAt.$lte = clinicDayRange(to).end;
+      }
+
+      return await OutcomeMeasure.find(query)
+        .populate(MEASURE_POPULATE)
+        .sort({ administeredAt: 1 });
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Score trend per questionnaire, with changes flagged against the MCID
+   * @param {string} patientId - MongoDB ID of the patient
+   * @param {Object} filters - Optional questionnaire
+   * @returns {Promise<Object>} - { trend: [{ questionnaire, name, higherIsBetter, mcid, total, subscales }], measures }
+   */
+  async getPatientTrend(patientId, { questionnaire } = {}) {
+    try {
+      const query = { patient: patientId };
+      if (questionnaire) {
+        query.questionnaire = questionnaire;
+      }
+
+      const measures = await OutcomeMeasure.find(query)
+        .select('patient questionnaire administeredAt clinicalRecord score')
+        .sort({ administeredAt: 1 });
+
+      const byQuestionnaire = new Map();
+      for (const measure of measures) {
+        if (!byQuestionnaire.has(measure.questionnaire)) byQuestionnaire.set(measure.questionnaire, []);
+        byQuestionnaire.get(measure.questionnaire).push(measure);
+      }
+
+      const trend = [...byQuestionnaire].map(([code, list]) => {
+        const definition = getQuestionnaire(code);
+
+        return {
+          questionnaire: code,
+          name: definition.name,
+          higherIsBetter: definition.higherIsBetter,
+          mcid: definition.mcid,
+          total: trendOf(definition, list, (measure) => measure.score.total),
+          subscales: Object.fromEntries((definition.subscales || []).map((subscale) => [
+            subscale.code,
+            trendOf(definition, list, (measure) => measure.score.subscales && measure.score.subscales.get(subscale.code))
+          ]))
+        };
+      });
+
+      return { trend, measures };
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * First and last total score per questionnaire within a period, with the
+   * change classified against the MCID
+   * @param {string} patientId - MongoDB ID of the patient
+   * @param {Object} period - Optional from and to
+   * @returns {Promise<Object[]>} - [{ questionnaire, name, unit, first, last, change, status }]
+   */
+  async getRangeSummary(patientId, { from, to } = {}) {
+    try {
+      const measures = await this.getPatientMeasures(patientId, { from, to });
+
+      const byQuestionnaire = new Map();
+      for (const measure of measures) {
+        if (!byQuestionnaire.has(measure.questionnaire)) byQuestionnaire.set(measure.questionnaire, []);
+        byQuestionnaire.get(measure.questionnaire).push(measure);
+      }
+
+      return [...byQuestionnaire].map(([code, list]) => {
+        const definition = getQuestionnaire(code);
+        // Measures without a total (e.g. a KOOS with unanswered items) cannot be compared
+        const scored = list.filter((measure) => measure.score.total !== null && measure.score.total !== undefined);
+        const first = scored[0] || list[0];
+        const last = scored[scored.length - 1] || list[list.length - 1];
+        const change = scored.length > 1 ? round(last.score.total - first.score.total) : null;
+
+        return {
+          questionnaire: code,
+          name: definition.name,
+          unit: definition.unit,
+          higherIsBetter: definition.higherIsBetter,
+          mcid: definition.mcid,
+          count: list.length,
+          first: { administeredAt: first.administeredAt, score: first.score.total, band: first.score.band },
+          last: { administeredAt: last.administeredAt, score: last.score.total, band: last.score.band },
+          change,
+          status: classifyChange(definition, change)
+        };
+      });
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+}
+
+module.exports = new OutcomeService();
@@ -0,0 +1,582 @@
+const PackageProduct = require('../models/PackageProduct');
+const PatientPackage = require('../models/PatientPackage');
+const Appointment = require('../models/Appointment');
+const Patient = require('../models/Patient');
+const billingService = require('./billingService');
+const { addDays, clinicDate, dayRange } = require('../utils/time');
+
+// Upcoming appointments hold a session of their package until they are attended or released
+const RESERVING_STATUSES = ['Scheduled', 'Confirmed'];
+
+const PATIENT_SUMMARY = 'firstName lastName idNumber';
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Build an error carrying an HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Count the upcoming appointments holding a session of each package
+ * @param {Array} packageIds - MongoDB IDs of the packages
+ * @param {Array} [excludeIds] - Appointments to leave out (the ones being booked)
+ * @returns {Promise<Map<string, number>>}
+ */
+const sessionsReserved = async (packageIds, excludeIds = []) => {
+  const counts = await Appointment.aggregate([
+    { $match: { package: { $in: packageIds }, status: { $in: RESERVING_STATUSES }, _id: { $nin: excludeIds } } },
+    { $group: { _id: '$package', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+/**
+ * A package with its balance: sessions left, held by upcoming appointments and free to book
+ * @param {Object} patientPackage - Package document
+ * @param {number} reserved - Upcoming appointments holding a session
+ * @returns {Object}
+ */
+const withBalance = (patientPackage, reserved) => ({
+  ...patientPackage.toObject(),
+  sessionsReserved: reserved,
+  sessionsAvailable: Math.max(0, patientPackage.sessionsRemaining - reserved)
+});
+
+/**
+ * Load a package with its balance, or throw a 404
+ * @param {string} packageId - MongoDB ID of the package
+ * @returns {Promise<Object>} - { patientPackage, available }
+ */
+const findWithBalance = async (packageId) => {
+  const patientPackage = await PatientPackage.findById(packageId);
+
+  if (!patientPackage) {
+    throw httpError('Package not found', 404);
+  }
+
+  const reserved = (await sessionsReserved([patientPackage._id])).get(String(patientPackage._id)) || 0;
+  return { patientPackage, available: patientPackage.sessionsRemaining - reserved };
+};
+
+/**
+ * Service for prepaid session packages: the catalog, sales, and the sessions
+ * appointments take from them
+ */
+class PackageService {
+  /**
+   * List the packages on sale
+   * @param {Object} filters - active (only those still sold)
+   * @returns {Promise<Object[]>}
+   */
+  async getProducts({ active } = {}) {
+    try {
+      const query = active ? { isActive: true } : {};
+      return await PackageProduct.find(query)
+        .collation({ locale: 'es', strength: 1 })
+        .sort({ name: 1 });
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Add a package to the catalog
+   * @param {Object} productData - Product data
+   * @returns {Promise<Object>} - Created product
+   */
+  async createProduct(productData) {
+    try {
+      const product = new PackageProduct(productData);
+      await product.save();
+      return product;
+    } catch (error) {
+      if (error.code === 11000) {
+        error.message = 'A package with this name already exists';
+        error.statusCode = 409;
+      }
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change a package in the catalog. Packages already sold keep their terms.
+   * @param {string} productId - MongoDB ID of the product
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} - Updated product
+   */
+  async updateProduct(productId, updateData) {
+    try {
+      const product = await PackageProduct.findById(productId);
+
+      if (!product) {
+        throw httpError('Package product not found', 404);
+      }
+
+      product.set(updateData);
+      await product.save();
+      return product;
+    } catch (error) {
+      if (error.code === 11000) {
+        error.message = 'A package with this name already exists';
+        error.statusCode = 409;
+      }
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Take a package off sale
+   * @param {string} productId - MongoDB ID of the product
+   * @returns {Promise<Object>} - Updated product
+   */
+  async deactivateProduct(productId) {
+    return this.updateProduct(productId, { isActive: false });
+  }
+
+  /**
+   * Sell a package to a patient. Its sessions can be used until the end of
+   * the last day of the product's validity.
+   * @param {Object} saleData - patient, product, paymentMethod, paymentReference, price, notes
+   * @param {string} userId - User making the sale
+   * @returns {Promise<Object>} - Package sold, with its balance
+   */
+  async sellPackage({ patient: patientId, product: productId, price, ...saleData }, userId) {
+    try {
+      const patient = await Patient.findById(patientId);
+
+      if (!patient || !patient.isActive) {
+        throw httpError('Patient not found or inactive', 404);
+      }
+
+      const product = await PackageProduct.findById(productId);
+
+      if (!product || !product.isActive) {
+        throw httpError('Package product not found or no longer sold', 404);
+      }
+
+      const purchasedAt = new Date();
+      const patientPackage = new PatientPackage({
+        ...saleData,
+        patient: patient._id,
+        product: product._id,
+        name: product.name,
+        sessionsTotal: product.sessions,
+        appointmentTypes: product.appointmentTypes,
+        noShowPolicy: product.noShowPolicy,
+        transferable: product.transferable,
+        price: price !== undefined ? price : product.price,
+        purchasedAt,
+        expiresAt: dayRange(addDays(clinicDate(purchasedAt), product.validityDays)).end,
+        soldBy: userId
+      });
+      await patientPackage.save();
+
+      return withBalance(patientPackage, 0);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List packages sold with their balance, soonest expiry first
+   * @param {Object} filters - patient, state (Active, Exhausted, Expired or Cancelled)
+   * @returns {Promise<Object[]>}
+   */
+  async getPackages({ patient, state } = {}) {
+    try {
+      const query = {};
+      if (patient) query.patient = patient;
+
+      const packages = (await PatientPackage.find(query)
+        .populate({ path: 'patient', select: PATIENT_SUMMARY })
+        .sort({ expiresAt: 1 }))
+        .filter((patientPackage) => !state || patientPackage.state === state);
+
+      const reserved = await sessionsReserved(packages.map((patientPackage) => patientPackage._id));
+
+      return packages.map((patientPackage) => withBalance(patientPackage, reserved.get(String(patientPackage._id)) || 0));
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Get a package with its balance and the appointments taking its sessions
+   * @param {string} packageId - MongoDB ID of the package
+   * @returns {Promise<Object>} - { package, appointments }
+   */
+  async getPackageById(packageId) {
+    try {
+      const patientPackage = await PatientPackage.findById(packageId)
+        .populate({ path: 'patient', select: PATIENT_SUMMARY })
+        .populate({ path: 'transferredFrom', select: 'patient name' })
+        .populate({ path: 'transfers.to', select: 'patient name' });
+
+      if (!patientPackage) {
+        throw httpError('Package not found', 404);
+      }
+
+      const appointments = await Appointment.find({ package: patientPackage._id })
+        .select('date startTime endTime type status practitioner')
+        .populate({ path: 'practitioner', select: 'firstName lastName' })
+        .sort({ date: 1, startTime: 1 });
+
+      const reserved = (await sessionsReserved([patientPackage._id])).get(String(patientPackage._id)) || 0;
+
+      return { package: withBalance(patientPackage, reserved), appointments };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Pick the package each appointment being booked takes its session from.
+   * A package given by hand must belong to the patient, cover the appointment
+   * and have a session free. Otherwise the one expiring soonest is used; when
+   * the patient buys packages for this kind of visit but has nothing left, the
+   * appointment is booked anyway and flagged with noPackageCredit.
+   * Appointments billed to insurance are left alone.
+   * @param {Object|Object[]} appointments - Appointment documents or booking data, updated in place
+   */
+  async assignPackages(appointments) {
+    const booking = [].concat(appointments).filter((appointment) => !appointment.authorization);
+    if (booking.length === 0) return;
+
+    const patients = [...new Set(booking.map((appointment) => String(appointment.patient)))];
+    const packages = await PatientPackage.find({ patient: { $in: patients }, cancelledAt: { $exists: false } })
+      .sort({ expiresAt: 1 });
+
+    const reserved = await sessionsReserved(
+      packages.map((patientPackage) => patientPackage._id),
+      booking.filter((appointment) => appointment._id).map((appointment) => appointment._id)
+    );
+    const available = new Map(packages.map((patientPackage) => [
+      String(patientPackage._id),
+      patientPackage.sessionsRemaining - (reserved.get(String(patientPackage._id)) || 0)
+    ]));
+
+    for (const appointment of booking) {
+      const own = packages.filter((patientPackage) => String(patientPackage.patient) === String(appointment.patient));
+      let chosen;
+
+      if (appointment.package) {
+        chosen = own.find((patientPackage) => String(patientPackage._id) === String(appointment.package));
+
+        if (!chosen) {
+          throw httpError('Package not found for this patient', 404);
+        }
+        if (!chosen.covers(appointment)) {
+          throw httpError(`Package ${chosen.name} does not cover a ${appointment.type} on ${formatDay(appointment.date)}`, 400);
+        }
+        if (available.get(String(chosen._id)) <= 0) {
+          throw httpError(`Package ${chosen.name} has no sessions left`, 400);
+        }
+      } else {
+        chosen = own.find((patientPackage) => patientPackage.covers(appointment) && available.get(String(patientPackage._id)) > 0);
+      }
+
+      if (chosen) {
+        available.set(String(chosen._id), available.get(String(chosen._id)) - 1);
+      }
+
+      appointment.package = chosen ? chosen._id : undefined;
+      appointment.noPackageCredit = !chosen && own.some((patientPackage) =>
+        patientPackage.appointmentTypes.length === 0 || patientPackage.appointmentTypes.includes(appointment.type));
+    }
+  }
+
+  /**
+   * Take the session of an attended or missed appointment from its package.
+   * Missed appointments only use a session when the package says so; otherwise
+   * they are released from it. If the package can no longer pay for the visit
+   * (expired, cancelled or used up meanwhile) the appointment is released and flagged.
+   * The appointment is updated but not saved: it is saved with its new status,
+   * and the charge released with releaseVisit if that save fails.
+   * @param {Object} appointment - Appointment document, just completed or marked as a no-show
+   * @returns {Promise<Object|null>} - Package charged by this call, or null
+   */
+  async recordVisit(appointment) {
+    if (!appointment.package || !Appointment.isPackageVisit(appointment.status)) {
+      return null;
+    }
+
+    const patientPackage = await PatientPackage.findById(appointment.package).select('noShowPolicy');
+
+    if (appointment.status === 'No-Show' && patientPackage && patientPackage.noShowPolicy === 'Keep') {
+      appointment.package = undefined;
+      appointment.paymentStatus = billingService.paymentStatusFor(appointment);
+      return null;
+    }
+
+    // Claimed in one step so two visits cannot take the last session
+    const charged = await PatientPackage.findOneAndUpdate(
+      {
+        _id: appointment.package,
+        cancelledAt: { $exists: false },
+        expiresAt: { $gte: appointment.date },
+        'usage.appointment': { $ne: appointment._id },
+        $expr: { $lt: ['$sessionsUsed', '$sessionsTotal'] }
+      },
+      {
+        $push: { usage: { appointment: appointment._id, date: appointment.date, outcome: appointment.status } },
+        $inc: { sessionsUsed: 1 }
+      },
+      { new: true }
+    );
+
+    if (!charged && !await PatientPackage.exists({ _id: appointment.package, 'usage.appointment': appointment._id })) {
+      appointment.package = undefined;
+      appointment.noPackageCredit = true;
+    }
+
+    appointment.paymentStatus = billingService.paymentStatusFor(appointment);
+    return charged;
+  }
+
+  /**
+   * Give back the session recordVisit took for an appointment whose new
+   * status could not be saved
+   * @param {Object} patientPackage - Package returned by recordVisit
+   * @param {Object} appointment - Appointment the session was taken for
+   */
+  async releaseVisit(patientPackage, appointment) {
+    await PatientPackage.findOneAndUpdate(
+      { _id: patientPackage._id, 'usage.appointment': appointment._id },
+      { $pull: { usage: { appointment: appointment._id } }, $inc: { sessionsUsed: -1 } }
+    );
+  }
+
+  /**
+   * Pass unused sessions to another patient, e.g. a family member. The new
+   * package keeps the terms and expiry of the original.
+   * @param {string} packageId - MongoDB ID of the package giving the sessions
+   * @param {Object} transfer - patient receiving them, sessions, reason
+   * @param {Object} user - User making the transfer
+   * @returns {Promise<Object>} - { from, to } with both packages and their balance
+   */
+  async transferSessions(packageId, { patient: patientId, sessions, reason }, user) {
+    try {
+      const { patientPackage: source, available } = await findWithBalance(packageId);
+
+      if (!source.transferable) {
+        throw httpError(`Package ${source.name} cannot be transferred`, 400);
+      }
+      if (source.state === 'Cancelled' || source.state === 'Expired') {
+        throw httpError(`Cannot transfer sessions from a package that is ${source.state.toLowerCase()}`, 400);
+      }
+      if (sessions > available) {
+        throw httpError(`Only ${Math.max(0, available)} session(s) of this package are free to transfer`, 400);
+      }
+      if (String(source.patient) === String(patientId)) {
+        throw httpError('Sessions must be transferred to a different patient', 400);
+      }
+
+      const patient = await Patient.findById(patientId);
+
+      if (!patient || !patient.isActive) {
+        throw httpError('Patient not found or inactive', 404);
+      }
+
+      const target = new PatientPackage({
+        patient: patient._id,
+        product: source.product,
+        name: source.name,
+        sessionsTotal: sessions,
+        appointmentTypes: source.appointmentTypes,
+        noShowPolicy: source.noShowPolicy,
+        transferable: false,
+        purchasedAt: new Date(),
+        expiresAt: source.expiresAt,
+        transferredFrom: source._id,
+        notes: reason
+      });
+      await target.validate();
+
+      // Take the sessions off the source only while they are still free
+      const updated = await PatientPackage.findOneAndUpdate(
+        { _id: source._id, $expr: { $lte: [{ $add: ['$sessionsUsed', sessions] }, '$sessionsTotal'] } },
+        {
+          $inc: { sessionsTotal: -sessions },
+          $push: { transfers: { to: target._id, sessions, reason, transferredBy: user.name } }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        throw httpError('The package no longer has enough sessions to transfer', 409);
+      }
+
+      try {
+        await target.save();
+      } catch (error) {
+        await PatientPackage.findOneAndUpdate(
+          { _id: source._id },
+          { $inc: { sessionsTotal: sessions }, $pull: { transfers: { to: target._id } } }
+        );
+        throw error;
+      }
+
+      return {
+        from: withBalance(updated, updated.sessionsRemaining - available + sessions),
+        to: withBalance(target, 0)
+      };
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Move the expiry of a package, e.g. after an injury pauses treatment
+   * @param {string} packageId - MongoDB ID of the package
+   * @param {Object} extension - expiresAt (new last day) and reason
+   * @param {Object} user - User extending it
+   * @returns {Promise<Object>} - Updated package with its balance
+   */
+  async extendPackage(packageId, { expiresAt, reason }, user) {
+    try {
+      const { patientPackage, available } = await findWithBalance(packageId);
+
+      if (patientPackage.cancelledAt) {
+        throw httpError('Cannot extend a cancelled package', 400);
+      }
+
+      const newExpiry = dayRange(expiresAt).end;
+      if (newExpiry < clinicDate(patientPackage.purchasedAt)) {
+        throw httpError('A package cannot expire before it was sold', 400);
+      }
+
+      const note = `Expiry moved from ${formatDay(patientPackage.expiresAt)} to ${formatDay(newExpiry)} by ${user.name}` +
+        (reason ? `: ${reason}` : '');
+      patientPackage.expiresAt = newExpiry;
+      patientPackage.notes = patientPackage.notes ? `${patientPackage.notes}\n${note}` : note;
+      await patientPackage.save();
+
+      return withBalance(patientPackage, patientPackage.sessionsRemaining - available);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a package, e.g. when it is refunded. Upcoming appointments booked
+   * against it are released and flagged, as they are no longer prepaid.
+   * @param {string} packageId - MongoDB ID of the package
+   * @param {Object} cancellation - reason
+   * @returns {Promise<Object>} - { package, released } with the number of appointments released
+   */
+  async cancelPackage(packageId, { reason }) {
+    try {
+      const patientPackage = await PatientPackage.findById(packageId);
+
+      if (!patientPackage) {
+        throw httpError('Package not found', 404);
+      }
+
+      if (patientPackage.cancelledAt) {
+        throw httpError('Package is already cancelled', 409);
+      }
+
+      patientPackage.cancelledAt = new Date();
+      patientPackage.cancellationReason = reason;
+      await patientPackage.save();
+
+      const upcoming = await Appointment.find({ package: patientPackage._id, status: { $in: RESERVING_STATUSES } });
+      for (const appointment of upcoming) {
+        appointment.package = undefined;
+        appointment.noPackageCredit = true;
+        await appointment.save();
+      }
+
+      return { package: withBalance(patientPackage, 0), released: upcoming.length };
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Warnings for appointments just booked: packages down to their last
+   * session, and bookings made with no credit left
+   * @param {Object|Object[]} appointments - Appointments booked
+   * @returns {Promise<string[]>}
+   */
+  async bookingWarnings(appointments) {
+    const booked = [].concat(appointments);
+    const warnings = [];
+
+    const uncovered = booked.filter((appointment) => appointment.noPackageCredit).length;
+    if (uncovered > 0) {
+      warnings.push(`The patient has no package sessions left for ${uncovered} appointment(s); they will be charged per visit`);
+    }
+
+    const ids = [...new Set(booked
+      .filter((appointment) => appointment.package)
+      .map((appointment) => String(appointment.package._id || appointment.package)))];
+    if (ids.length === 0) return warnings;
+
+    const packages = await PatientPackage.find({ _id: { $in: ids } });
+    const reserved = await sessionsReserved(packages.map((patientPackage) => patientPackage._id));
+
+    for (const patientPackage of packages) {
+      const left = patientPackage.sessionsRemaining - (reserved.get(String(patientPackage._id)) || 0);
+      if (left <= 0) {
+        warnings.push(`Package ${patientPackage.name} has every session booked`);
+      } else if (left === 1) {
+        warnings.push(`Package ${patientPackage.name} has one session left to book`);
+      }
+    }
+
+    return warnings;
+  }
+}
+
+module.exports = new PackageService();
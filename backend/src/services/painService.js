@@ -0,0 +1,309 @@
+const ClinicalRecord = require('../models/ClinicalRecord');
+const { foldText } = require('../utils/text');
+const { round, mean, summarize, slope } = require('../utils/stats');
+const { EPISODE_GAP_DAYS, splitEpisodes } = require('../utils/episodes');
+const { dayRange } = require('../utils/time');
+
+// Minimal clinically important change on the 0-10 numeric pain rating scale:
+// 2 points or 30% of the baseline (Farrar et al., 2001)
+const PAIN_MCID_POINTS = 2;
+const PAIN_MCID_PERCENT = 30;
+
+// Groups with fewer sessions than this are left out of clinic reports by default
+const DEFAULT_MIN_SESSIONS = 5;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const PAIN_FIELDS = 'patient visitDate diagnosis techniques.name painBeforeTreatment painAfterTreatment physicalAssessment.painAssessment';
+
+const hasValue = (value) => value !== undefined && value !== null;
+
+/**
+ * Pain reported at the start of a visit: the score before treatment, or the
+ * assessment intensity when the former was not taken
+ * @param {Object} record - Clinical record
+ * @returns {number|null}
+ */
+const painAtVisit = (record) => {
+  if (hasValue(record.painBeforeTreatment)) return record.painBeforeTreatment;
+  const assessment = record.physicalAssessment && record.physicalAssessment.painAssessment;
+  return assessment && hasValue(assessment.intensity) ? assessment.intensity : null;
+};
+
+/**
+ * Relief within one session (before minus after, so positive means less pain)
+ * @param {Object} record - Clinical record
+ * @returns {Object|null} - { points, percent }, or null unless both scores were taken
+ */
+const sessionEffect = (record) => {
+  if (!hasValue(record.painBeforeTreatment) || !hasValue(record.painAfterTreatment)) return null;
+
+  const points = record.painBeforeTreatment - record.painAfterTreatment;
+  return {
+    points,
+    percent: record.painBeforeTreatment > 0 ? round((points / record.painBeforeTreatment) * 100) : null
+  };
+};
+
+/**
+ * Whether a reduction in pain reaches the minimal clinically important change
+ * @param {number} reduction - Points of pain less than the baseline
+ * @param {number} baseline - Baseline pain
+ * @returns {boolean}
+ */
+const isImportantReduction = (reduction, baseline) => reduction >= PAIN_MCID_POINTS ||
+  (baseline > 0 && (reduction / baseline) * 100 >= PAIN_MCID_PERCENT);
+
+/**
+ * Summarize the pain course of one episode of care
+ * @param {Object[]} points - Timeline points of the episode, oldest first
+ * @returns {Object} - Baseline, latest, change and weekly slope
+ */
+const episodeTrend = (points) => {
+  const scored = points.filter((point) => point.pain !== null);
+  const effects = points.filter((point) => point.sessionEffect).map((point) => point.sessionEffect.points);
+
+  const trend = {
+    start: points[0].visitDate,
+    end: points[points.length - 1].visitDate,
+    visits: points.length,
+    baseline: scored.length > 0 ? scored[0].pain : null,
+    latest: scored.length > 0 ? scored[scored.length - 1].pain : null,
+    changeFromBaseline: null,
+    percentChange: null,
+    slopePerWeek: null,
+    meanSessionEffect: effects.length > 0 ? round(mean(effects)) : null,
+    status: null
+  };
+
+  if (scored.length < 2) return trend;
+
+  const first = new Date(scored[0].visitDate).getTime();
+  const weekly = slope(scored.map((point) => [(new Date(point.visitDate).getTime() - first) / WEEK_MS, point.pain]));
+  const reduction = trend.baseline - trend.latest;
+
+  trend.changeFromBaseline = trend.latest - trend.baseline;
+  trend.percentChange = trend.baseline > 0 ? round((trend.changeFromBaseline / trend.baseline) * 100) : null;
+  trend.slopePerWeek = weekly === null ? null : round(weekly, 2);
+
+  if (isImportantReduction(reduction, trend.baseline)) {
+    trend.status = 'improved';
+  } else if (isImportantReduction(-reduction, trend.baseline)) {
+    trend.status = 'worsened';
+  } else {
+    trend.status = 'no important change';
+  }
+
+  return trend;
+};
+
+/**
+ * Collect sessions into report groups keyed by folded text, labelled with the
+ * spelling used most often
+ * @param {Map} groups - Groups being built
+ * @param {string} label - Diagnosis or technique as written
+ * @param {Object} record - Clinical record of the session
+ * @param {Object} effect - Session effect
+ */
+const addToGroup = (groups, label, record, effect) => {
+  const key = foldText(label);
+  if (!key) return;
+
+  if (!groups.has(key)) {
+    groups.set(key, { labels: new Map(), points: [], percents: [], patients: new Set(), firstByPatient: new Map(), lastByPatient: new Map() });
+  }
+
+  const group = groups.get(key);
+  group.labels.set(label, (group.labels.get(label) || 0) + 1);
+  group.points.push(effect.points);
+  if (effect.percent !== null) group.percents.push(effect.percent);
+
+  const patient = String(record.patient);
+  group.patients.add(patient);
+  if (!group.firstByPatient.has(patient)) group.firstByPatient.set(patient, record.painBeforeTreatment);
+  group.lastByPatient.set(patient, record.painBeforeTreatment);
+};
+
+/**
+ * Turn report groups into rows sorted by mean relief
+ * @param {Map} groups - Groups built with addToGroup
+ * @param {number} minSessions - Smallest group reported
+ * @returns {Object[]}
+ */
+const toReportRows = (groups, minSessions) => [...groups.values()]
+  .filter((group) => group.points.length >= minSessions)
+  .map((group) => {
+    const courses = [...group.firstByPatient].map(([patient, first]) => first - group.lastByPatient.get(patient));
+
+    return {
+      name: [...group.labels].sort((a, b) => b[1] - a[1])[0][0],
+      sessions: group.points.length,
+      patients: group.patients.size,
+      sessionReduction: summarize(group.points),
+      sessionReductionPercent: group.percents.length > 0 ? round(mean(group.percents)) : null,
+      // Pain before treatment on each patient's first and last session in the group
+      courseReduction: summarize(courses)
+    };
+  })
+  .sort((a, b) => b.sessionReduction.mean - a.sessionReduction.mean);
+
+/**
+ * Service to follow pain scores across visits and compare them clinic-wide
+ */
+class PainService {
+  /**
+   * Pain at each visit of a patient, with the relief of every session and the
+   * trend over each episode of care
+   * @param {string} patientId - MongoDB ID of the patient
+   * @param {Object} filters - Optional from and to
+   * @returns {Promise<Object>} - { records, mcid, timeline, episodes }
+   */
+  async getPatientTimeline(patientId, { from, to } = {}) {
+    try {
+      const query = {
+        patient: patientId,
+        $or: [
+          { painBeforeTreatment: { $ne: null } },
+          { painAfterTreatment: { $ne: null } },
+          { 'physicalAssessment.painAssessment.intensity': { $ne: null } }
+        ]
+      };
+
+      if (from || to) {
+        query.visitDate = {};
+        if (from) query.visitDate.$gte = dayRange(from).start;
+        if (to) query.visitDate.$lte = dayRange(to).end;
+      }
+
+      const records = await ClinicalRecord.find(query)
+        .select(PAIN_FIELDS)
+        .sort({ visitDate: 1 });
+
+      const timeline = records.map((record) => {
+        const assessment = record.physicalAssessment && record.physicalAssessment.painAssessment;
+
+        return {
+          record: record._id,
+          visitDate: record.visitDate,
+          diagnosis: record.diagnosis,
+          painBeforeTreatment: hasValue(record.painBeforeTreatment) ? record.painBeforeTreatment : null,
+          painAfterTreatment: hasValue(record.painAfterTreatment) ? record.painAfterTreatment : null,
+          assessedIntensity: assessment && hasValue(assessment.intensity) ? assessment.intensity : null,
+          location: assessment ? assessment.location : undefined,
+          pain: painAtVisit(record),
+          sessionEffect: sessionEffect(record)
+        };
+      });
+
+      return {
+        records,
+        mcid: { points: PAIN_MCID_POINTS, percent: PAIN_MCID_PERCENT },
+        timeline,
+        episodes: splitEpisodes(timeline, EPISODE_GAP_DAYS).map(episodeTrend)
+      };
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Pain at each visit within a period, summarized as a single course
+   * regardless of breaks between visits (for reports over a chosen period)
+   * @param {string} patientId - MongoDB ID of the patient
+   * @param {Object} period - Optional from and to
+   * @returns {Promise<Object>} - { records, mcid, timeline, course }
+   */
+  async getPatientCourse(patientId, { from, to } = {}) {
+    const { records, mcid, timeline } = await this.getPatientTimeline(patientId, { from, to });
+
+    return {
+      records,
+      mcid,
+      timeline,
+      course: timeline.length > 0 ? episodeTrend(timeline) : null
+    };
+  }
+
+  /**
+   * Average pain relief per diagnosis across the clinic
+   * @param {Object} filters - Optional from, to, practitioner and minSessions
+   * @returns {Promise<Object[]>} - One row per diagnosis, most relief first
+   */
+  async getReportByDiagnosis(filters = {}) {
+    try {
+      const groups = new Map();
+
+      for await (const record of this.scoredSessions(filters)) {
+        addToGroup(groups, record.diagnosis, record, sessionEffect(record));
+      }
+
+      return toReportRows(groups, filters.minSessions || DEFAULT_MIN_SESSIONS);
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Average pain relief in sessions that used each technique. Sessions usually
+   * combine several techniques, so figures describe association, not effect
+   * @param {Object} filters - Optional from, to, practitioner, diagnosis and minSessions
+   * @returns {Promise<Object[]>} - One row per technique, most relief first
+   */
+  async getReportByTechnique(filters = {}) {
+    try {
+      const groups = new Map();
+      const diagnosis = filters.diagnosis ? foldText(filters.diagnosis) : null;
+
+      for await (const record of this.scoredSessions(filters)) {
+        if (diagnosis && !foldText(record.diagnosis).includes(diagnosis)) continue;
+
+        const effect = sessionEffect(record);
+        // A technique listed twice in one session still counts once
+        const names = new Map();
+        for (const technique of record.techniques || []) {
+          if (!names.has(foldText(technique.name))) names.set(foldText(technique.name), technique.name);
+        }
+        for (const name of names.values()) {
+          addToGroup(groups, name, record, effect);
+        }
+      }
+
+      return toReportRows(groups, filters.minSessions || DEFAULT_MIN_SESSIONS);
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Stream the sessions with pain scored before and after treatment
+   * @param {Object} filters - Optional from, to and practitioner
+   * @returns {AsyncIterable<Object>} - Lean clinical records in patient and visit order
+   */
+  scoredSessions({ from, to, practitioner } = {}) {
+    const query = {
+      painBeforeTreatment: { $ne: null },
+      painAfterTreatment: { $ne: null }
+    };
+
+    if (practitioner) {
+      query.practitioner = practitioner;
+    }
+
+    if (from || to) {
+      query.visitDate = {};
+      if (from) query.visitDate.$gte = dayRange(from).start;
+      if (to) query.visitDate.$lte = dayRange(to).end;
+    }
+
+    return ClinicalRecord.find(query)
+      .select(PAIN_FIELDS)
+      .sort({ patient: 1, visitDate: 1 })
+      .lean()
+      .cursor();
+  }
+}
+
+module.exports = new PainService();
@@ -1,4 +1,71 @@
 const Patient = require('../models/Patient');
+const { isValidRut } = require('../utils/rut');
+const { escapeRegex, prefixRegex, nameTokens, phoneticKey, digitsOf, editDistance } = require('../utils/search');
+const { foldText } = require('../utils/text');
+const { clinicDate } = require('../utils/time');
+
+// Most candidates a free-text search ranks in memory
+const MAX_CANDIDATES = 500;
+
+// Fields a candidate needs to be ranked
+const RANK_FIELDS = 'firstName lastName idNumber phone';
+
+// Queries made only of digits and RUT/phone punctuation search ID numbers and phones
+const NUMERIC_QUERY = /^[\d\s.+\-()]+[kK]?$/;
+
+/**
+ * Score how well one typed word matches a patient's name words
+ * @param {string} token - Folded query word
+ * @param {string[]} words - Folded name words of the patient
+ * @returns {number} - 0 (no match) to 1 (exact word)
+ */
+const scoreToken = (token, words) => {
+  const key = phoneticKey(token);
+  // Longer words tolerate more typos; very short ones must match as typed
+  const allowedTypos = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+
+  return Math.max(0, ...words.map((word) => {
+    if (word === token) return 1;
+    if (word.startsWith(token)) return 0.8;
+
+    const wordKey = phoneticKey(word);
+    if (wordKey === key) return 0.7;
+    if (key && wordKey.startsWith(key)) return 0.6;
+
+    const typos = Math.min(editDistance(token, word), editDistance(token, word.slice(0, token.length)));
+    return typos <= allowedTypos ? 0.5 - typos * 0.1 : 0;
+  }));
+};
+
+/**
+ * Score a patient against a name query; every typed word must match something
+ * @param {string[]} tokens - Folded query words
+ * @param {Object} patient - Candidate with firstName and lastName
+ * @returns {number} - 0 (no match) and up
+ */
+const scoreName = (tokens, patient) => {
+  const words = nameTokens(patient.firstName, patient.lastName);
+  const scores = tokens.map((token) => scoreToken(token, words));
+  if (scores.some((score) => score === 0)) return 0;
+
+  // Typing the name in order ("ana perez") beats the same words shuffled
+  const inOrder = words.join(' ').startsWith(tokens.join(' ')) ? 0.2 : 0;
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length + inOrder;
+};
+
+/**
+ * Score a patient against a RUT or phone prefix
+ * @param {string} digits - Digits typed
+ * @param {Object} keys - Search keys of the candidate
+ * @returns {number} - 0 (no match) to 1 (exact RUT)
+ */
+const scoreDigits = (digits, keys) => {
+  if (keys.idDigits === digits) return 1;
+  if (keys.idDigits.startsWith(digits)) return 0.6 + 0.3 * (digits.length / keys.idDigits.length);
+
+  const phone = keys.phoneDigits.find((value) => value.startsWith(digits));
+  return phone ? 0.5 + 0.3 * (digits.length / phone.length) : 0;
+};
 
 /**
  * Service to handle patient-related operations
@@ -11,6 +78,12 @@ class PatientService {
    */
   async createPatient(patientData) {
     try {
+      // Store ID numbers in one canonical form so "12.345.678-5" and "123456785" match
+      patientData = {
+        ...patientData,
+        idNumber: Patient.normalizeIdNumber(patientData.idNumber, patientData.documentType)
+      };
+
       // Check if patient with same ID already exists
       const existingPatient = await Patient.findOne({ idNumber: patientData.idNumber });
       if (existingPatient) {
@@ -105,6 +178,37 @@ class PatientService {
     }
   }
 
+  /**
+   * Get a patient by ID number, in any formatting
+   * @param {string} idNumber - RUT, passport or foreign ID as typed
+   * @returns {Promise<Object>} - Patient object
+   */
+  async getPatientByIdNumber(idNumber) {
+    try {
+      const patient = await Patient.findOne({
+        idNumber: {
+          $in: [
+            Patient.normalizeIdNumber(idNumber, 'RUT'),
+            Patient.normalizeIdNumber(idNumber, 'Passport')
+          ]
+        }
+      });
+
+      if (!patient) {
+        const error = new Error('Patient not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return patient;
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
   /**
    * Update a patient by ID
    * @param {string} patientId - MongoDB ID of the patient
@@ -122,6 +226,20 @@ class PatientService {
         throw error;
       }
       
+      // Normalize the ID number against the (possibly new) document type
+      if (updateData.idNumber || updateData.documentType) {
+        const documentType = updateData.documentType || patient.documentType;
+        const idNumber = Patient.normalizeIdNumber(updateData.idNumber || patient.idNumber, documentType);
+        
+        if (documentType === 'RUT' && !isValidRut(idNumber)) {
+          const error = new Error('RUT is not valid (check digit does not match)');
+          error.statusCode = 400;
+          throw error;
+        }
+        
+        updateData = { ...updateData, idNumber };
+      }
+      
       // If ID number is being updated, check if it would conflict with another patient
       if (updateData.idNumber && updateData.idNumber !== patient.idNumber) {
         const existingPatient = await Patient.findOne({ 
@@ -186,6 +304,7 @@ class PatientService {
 
   /**
    * Search patients by various criteria
+   * With a free-text `q`, results are ranked by relevance instead of by name
    * @param {Object} searchParams - Search parameters
    * @param {number} page - Page number (default: 1)
    * @param {number} limit - Results per page (default: 10)
@@ -202,24 +321,29 @@ class PatientService {
       
       // Process search parameters
       if (searchParams.name) {
-        // Search in both first name and last name with case insensitivity
-        const nameQuery = new RegExp(searchParams.name, 'i');
-        query.$or = [
-          { firstName: nameQuery },
-          { lastName: nameQuery }
-        ];
+        // Every typed word must start a word of the first or last name, accents ignored
+        const tokens = nameTokens(searchParams.name);
+        if (tokens.length > 0) {
+          query['searchKeys.nameTokens'] = { $all: tokens.map(prefixRegex) };
+        }
       }
       
       if (searchParams.idNumber) {
-        query.idNumber = searchParams.idNumber;
+        // Accept any formatting: match both the RUT form and the plain document form
+        query.idNumber = {
+          $in: [
+            Patient.normalizeIdNumber(searchParams.idNumber, 'RUT'),
+            Patient.normalizeIdNumber(searchParams.idNumber, 'Passport')
+          ]
+        };
       }
       
       if (searchParams.email) {
-        query.email = new RegExp(searchParams.email, 'i');
+        query.email = new RegExp(escapeRegex(searchParams.email), 'i');
       }
       
       if (searchParams.phone) {
-        query.phone = new RegExp(searchParams.phone, 'i');
+        query['searchKeys.phoneDigits'] = prefixRegex(digitsOf(searchParams.phone).replace(/K/g, ''));
       }
       
       if (searchParams.gender) {
@@ -228,26 +352,30 @@ class PatientService {
       
       if (searchParams.minAge || searchParams.maxAge) {
         // Calculate date range based on age
-        const now = new Date();
-        const yearNow = now.getFullYear();
+        const now = clinicDate();
+        const yearNow = now.getUTCFullYear();
         
         query.dateOfBirth = {};
         
         if (searchParams.minAge) {
           // Someone with minAge would be born before (current year - minAge)
           const maxBirthYear = yearNow - parseInt(searchParams.minAge);
-          const maxBirthDate = new Date(maxBirthYear, now.getMonth(), now.getDate());
+          const maxBirthDate = new Date(Date.UTC(maxBirthYear, now.getUTCMonth(), now.getUTCDate()));
           query.dateOfBirth.$lte = maxBirthDate;
         }
         
         if (searchParams.maxAge) {
           // Someone with maxAge would be born after (current year - maxAge - 1)
           const minBirthYear = yearNow - parseInt(searchParams.maxAge) - 1;
-          const minBirthDate = new Date(minBirthYear, now.getMonth(), now.getDate());
+          const minBirthDate = new Date(Date.UTC(minBirthYear, now.getUTCMonth(), now.getUTCDate()));
           query.dateOfBirth.$gte = minBirthDate;
         }
       }
       
+      if (searchParams.q) {
+        return await this.rankedSearch(searchParams.q, query, page, limit);
+      }
+      
       // Calculate skip value for pagination
       const skip = (page - 1) * limit;
       
@@ -279,6 +407,83 @@ class PatientService {
       throw error;
     }
   }
+
+  /**
+   * Free-text search over name, RUT and phone, ranked by relevance
+   * Names match word prefixes, sound-alike spellings and small typos, accents
+   * ignored; digit-only queries match RUT and phone prefixes
+   * @param {string} text - Text as typed ("ana perez", "munoz", "12.345", "9 8765")
+   * @param {Object} filters - Other search filters to apply
+   * @param {number} page - Page number
+   * @param {number} limit - Results per page
+   * @returns {Promise<Object>} - Ranked results and pagination metadata
+   */
+  async rankedSearch(text, filters, page, limit) {
+    const candidates = new Map();
+    const collect = async (condition) => {
+      const found = await Patient.find({ ...filters, ...condition, _id: { $nin: [...candidates.keys()] } })
+        .select(RANK_FIELDS)
+        .limit(MAX_CANDIDATES)
+        .lean();
+      found.forEach((patient) => candidates.set(patient._id, patient));
+    };
+
+    let score;
+    if (NUMERIC_QUERY.test(text) && digitsOf(text).length >= 3) {
+      const digits = digitsOf(text);
+      await collect({
+        $or: [
+          { 'searchKeys.idDigits': prefixRegex(digits) },
+          { 'searchKeys.phoneDigits': prefixRegex(digits.replace(/K/g, '')) }
+        ]
+      });
+      score = (patient) => scoreDigits(digits, Patient.buildSearchKeys(patient));
+    } else {
+      const tokens = nameTokens(text);
+
+      // Word prefixes as typed, or as they sound
+      if (tokens.length > 0) {
+        await collect({
+          $or: [
+            { 'searchKeys.nameTokens': { $all: tokens.map(prefixRegex) } },
+            { 'searchKeys.phoneticTokens': { $all: tokens.map((token) => prefixRegex(phoneticKey(token))) } }
+          ]
+        });
+      }
+
+      // Too few hits: widen to names sharing a first sound and let the typo check decide
+      const stems = tokens.filter((token) => token.length >= 4).map((token) => prefixRegex(phoneticKey(token).slice(0, 2)));
+      if (candidates.size < page * limit && stems.length > 0) {
+        await collect({ 'searchKeys.phoneticTokens': { $in: stems } });
+      }
+      score = (patient) => scoreName(tokens, patient);
+    }
+
+    const ranked = [...candidates.values()]
+      .map((patient) => ({ patient, score: score(patient) }))
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score ||
+        foldText(`${a.patient.lastName} ${a.patient.firstName}`)
+          .localeCompare(foldText(`${b.patient.lastName} ${b.patient.firstName}`)));
+
+    const pageIds = ranked.slice((page - 1) * limit, page * limit).map((result) => String(result.patient._id));
+    const found = await Patient.find({ _id: { $in: pageIds } });
+    const patients = pageIds.map((id) => found.find((patient) => String(patient._id) === id)).filter(Boolean);
+
+    const totalPages = Math.ceil(ranked.length / limit);
+
+    return {
+      patients,
+      pagination: {
+        total: ranked.length,
+        page,
+        limit,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
 }
 
 module.exports = new PatientService();
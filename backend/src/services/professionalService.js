@@ -0,0 +1,422 @@
+const Professional = require('../models/Professional');
+const Appointment = require('../models/Appointment');
+const WaitlistOffer = require('../models/WaitlistOffer');
+const { toMinutes, fromMinutes, subtractIntervals, dayRange, addDays, dayOfWeek, dayKey, atTime } = require('../utils/time');
+
+// Case and accent insensitive comparison for specialties ("kinesiología" == "Kinesiologia")
+const SPECIALTY_COLLATION = { locale: 'es', strength: 1 };
+
+// Longest window the slot finder will scan in one request
+const MAX_SEARCH_DAYS = 31;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convert the part of an instant range that falls within a day into minutes since midnight
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {Date} dayStart - Midnight of the day at the clinic
+ * @returns {Array<number>|null} - [start, end) in minutes, or null if the range misses the day
+ */
+const clipToDay = (start, end, dayStart) => {
+  const from = (start - dayStart) / 60000;
+  const to = (end - dayStart) / 60000;
+
+  if (to <= 0 || from >= MINUTES_PER_DAY) {
+    return null;
+  }
+  return [Math.max(0, from), Math.min(MINUTES_PER_DAY, to)];
+};
+
+/**
+ * Group appointments by day and by a key field
+ * @param {Object[]} appointments - Appointments to group
+ * @param {string} field - Field to group by (practitioner or room)
+ * @returns {Map<string, Array<[number, number]>>} - Busy intervals keyed by "day|value"
+ */
+const busyByDay = (appointments, field) => {
+  const busy = new Map();
+
+  for (const app of appointments) {
+    if (!app[field]) continue;
+    const key = `${dayKey(app.date)}|${app[field]}`;
+    if (!busy.has(key)) busy.set(key, []);
+    busy.get(key).push([toMinutes(app.startTime), toMinutes(app.endTime)]);
+  }
+
+  return busy;
+};
+
+/**
+ * Service to handle professional and schedule related operations
+ */
+class ProfessionalService {
+  /**
+   * Create a new professional
+   * @param {Object} professionalData - Professional data to create
+   * @returns {Promise<Object>} - Created professional object
+   */
+  async createProfessional(professionalData) {
+    try {
+      // Store ID numbers in one canonical form so "12.345.678-5" and "123456785" match
+      professionalData = {
+        ...professionalData,
+        idNumber: Professional.normalizeIdNumber(professionalData.idNumber, professionalData.documentType)
+      };
+
+      // Check if professional with same ID already exists
+      const existingProfessional = await Professional.findOne({ idNumber: professionalData.idNumber });
+      if (existingProfessional) {
+        const error = new Error('Professional with this ID number already exists');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const professional = await Professional.create(professionalData);
+      return professional;
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get all professionals, optionally filtered by specialty
+   * @param {Object} filters - Optional especialty and isActive filters
+   * @returns {Promise<Object[]>} - Professionals sorted by name
+   */
+  async getAllProfessionals(filters = {}) {
+    try {
+      const query = { isActive: filters.isActive !== undefined ? filters.isActive : true };
+
+      if (filters.especialty) {
+        query.especialty = filters.especialty;
+      }
+
+      const professionals = await Professional.find(query)
+        .collation(SPECIALTY_COLLATION)
+        .sort({ lastName: 1, firstName: 1 });
+
+      return professionals;
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Get a professional by ID
+   * @param {string} professionalId - MongoDB ID of the professional
+   * @returns {Promise<Object>} - Professional object
+   */
+  async getProfessionalById(professionalId) {
+    try {
+      const professional = await Professional.findById(professionalId);
+
+      if (!professional) {
+        const error = new Error('Professional not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return professional;
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a professional by ID
+   * @param {string} professionalId - MongoDB ID of the professional
+   * @param {Object} updateData - Updated professional data
+   * @returns {Promise<Object>} - Updated professional object
+   */
+  async updateProfessional(professionalId, updateData) {
+    try {
+      const professional = await this.getProfessionalById(professionalId);
+
+      // Normalize the ID number against the (possibly new) document type
+      if (updateData.idNumber || updateData.documentType) {
+        updateData = {
+          ...updateData,
+          idNumber: Professional.normalizeIdNumber(
+            updateData.idNumber || professional.idNumber,
+            updateData.documentType || professional.documentType
+          )
+        };
+      }
+
+      // If ID number is being updated, check if it would conflict with another professional
+      if (updateData.idNumber && updateData.idNumber !== professional.idNumber) {
+        const existingProfessional = await Professional.findOne({
+          idNumber: updateData.idNumber,
+          _id: { $ne: professionalId }
+        });
+
+        if (existingProfessional) {
+          const error = new Error('Another professional with this ID number already exists');
+          error.statusCode = 400;
+          throw error;
+        }
+      }
+
+      professional.set(updateData);
+      await professional.save();
+
+      return professional;
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Soft delete a professional (mark as inactive)
+   * @param {string} professionalId - MongoDB ID of the professional
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async deleteProfessional(professionalId) {
+    try {
+      const professional = await this.getProfessionalById(professionalId);
+
+      professional.isActive = false;
+      await professional.save();
+
+      return { success: true, message: 'Professional deactivated successfully', professional };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a professional's weekly working hours
+   * @param {string} professionalId - MongoDB ID of the professional
+   * @param {Object[]} workingHours - Blocks of { dayOfWeek, startTime, endTime, breaks }
+   * @returns {Promise<Object>} - Updated professional object
+   */
+  async setWorkingHours(professionalId, workingHours) {
+    try {
+      const professional = await this.getProfessionalById(professionalId);
+
+      // Blocks on the same day must not overlap each other
+      const byDay = {};
+      for (const block of workingHours) {
+        (byDay[block.dayOfWeek] = byDay[block.dayOfWeek] || []).push(block);
+      }
+      for (const blocks of Object.values(byDay)) {
+        const sorted = blocks
+          .map((block) => [toMinutes(block.startTime), toMinutes(block.endTime)])
+          .sort((a, b) => a[0] - b[0]);
+        for (let i = 1; i < sorted.length; i++) {
+          if (sorted[i][0] < sorted[i - 1][1]) {
+            const error = new Error('Working hour blocks on the same day cannot overlap');
+            error.statusCode = 400;
+            throw error;
+          }
+        }
+      }
+
+      professional.workingHours = workingHours;
+      await professional.save();
+
+      return professional;
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Register a period of leave for a professional
+   * @param {string} professionalId - MongoDB ID of the professional
+   * @param {Object} timeOff - { type, startDate, endDate, reason }
+   * @returns {Promise<Object>} - Updated professional object
+   */
+  async addTimeOff(professionalId, timeOff) {
+    try {
+      const professional = await this.getProfessionalById(professionalId);
+
+      professional.timeOff.push(timeOff);
+      await professional.save();
+
+      return professional;
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a period of leave from a professional
+   * @param {string} professionalId - MongoDB ID of the professional
+   * @param {string} timeOffId - ID of the time-off entry
+   * @returns {Promise<Object>} - Updated professional object
+   */
+  async removeTimeOff(professionalId, timeOffId) {
+    try {
+      const professional = await this.getProfessionalById(professionalId);
+
+      const entry = professional.timeOff.id(timeOffId);
+      if (!entry) {
+        const error = new Error('Time-off entry not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      entry.deleteOne();
+      await professional.save();
+
+      return professional;
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find bookable slots for professionals of a specialty
+   * Free time is the weekly working hours minus breaks, time-off, any
+   * appointment that still occupies its slot, slots held for the waitlist
+   * (and the room's bookings, if a room is given)
+   * @param {Object} criteria - Search criteria
+   * @param {string} [criteria.especialty] - Specialty of the professional
+   * @param {string} [criteria.professional] - Restrict to one professional
+   * @param {number} criteria.duration - Slot length in minutes
+   * @param {Date} criteria.from - First day to search
+   * @param {Date} criteria.to - Last day to search
+   * @param {string} [criteria.room] - Room that must also be free
+   * @param {number} [criteria.step] - Minutes between candidate start times (default: 15)
+   * @param {number} [criteria.limit] - Maximum number of slots returned (default: 50)
+   * @returns {Promise<Object[]>} - Slots ordered by date and time
+   */
+  async findAvailableSlots({ especialty, professional, duration, from, to, room, step = 15, limit = 50 }) {
+    try {
+      const { start } = dayRange(from);
+      const { end } = dayRange(to);
+
+      if (end < start) {
+        const error = new Error('The end of the search range must be after its start');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if ((end - start) / (MINUTES_PER_DAY * 60000) > MAX_SEARCH_DAYS) {
+        const error = new Error(`Search range cannot exceed ${MAX_SEARCH_DAYS} days`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const query = { isActive: true };
+      if (especialty) query.especialty = especialty;
+      if (professional) query._id = professional;
+
+      const professionals = await Professional.find(query).collation(SPECIALTY_COLLATION);
+
+      if (professionals.length === 0) {
+        return [];
+      }
+
+      const resources = [{ practitioner: { $in: professionals.map((prof) => prof._id) } }];
+      if (room) resources.push({ room });
+
+      const appointments = await Appointment.find({
+        date: { $gte: start, $lte: end },
+        status: Appointment.occupyingStatusFilter(),
+        $or: resources
+      }).select('date startTime endTime practitioner room');
+
+      // Slots held for a waitlisted patient cannot be booked until the hold ends
+      const holds = await WaitlistOffer.find({
+        practitioner: { $in: professionals.map((prof) => prof._id) },
+        date: { $gte: start, $lte: end },
+        status: 'Pending',
+        expiresAt: { $gt: new Date() }
+      }).select('date startTime endTime practitioner');
+
+      const practitionerBusy = busyByDay([...appointments, ...holds], 'practitioner');
+      const roomBusy = busyByDay(appointments, 'room');
+
+      const now = new Date();
+      const slots = [];
+
+      for (let day = start; day <= end; day = addDays(day, 1)) {
+        const key = dayKey(day);
+        // Time off and the current time are instants; clip them from the clinic's midnight
+        const midnight = atTime(day, '00:00');
+
+        for (const prof of professionals) {
+          const blocks = prof.workingHours.filter((block) => block.dayOfWeek === dayOfWeek(day));
+          if (blocks.length === 0) continue;
+
+          const busy = [
+            ...blocks.flatMap((block) => block.breaks.map((pause) => [toMinutes(pause.startTime), toMinutes(pause.endTime)])),
+            ...prof.timeOff
+              .map((leave) => clipToDay(leave.startDate, leave.endDate, midnight))
+              .filter(Boolean),
+            ...(practitionerBusy.get(`${key}|${prof._id}`) || []),
+            ...(room ? roomBusy.get(`${key}|${room}`) || [] : [])
+          ];
+
+          // Never offer a slot that has already started
+          const elapsed = clipToDay(new Date(0), now, midnight);
+          if (elapsed) busy.push(elapsed);
+
+          const free = subtractIntervals(
+            blocks.map((block) => [toMinutes(block.startTime), toMinutes(block.endTime)]),
+            busy
+          );
+
+          for (const [freeStart, freeEnd] of free) {
+            for (let t = Math.ceil(freeStart / step) * step; t + duration <= freeEnd; t += step) {
+              slots.push({
+                professional: { _id: prof._id, fullName: prof.fullName, especialty: prof.especialty },
+                date: new Date(day),
+                startTime: fromMinutes(t),
+                endTime: fromMinutes(t + duration),
+                room
+              });
+            }
+          }
+        }
+      }
+
+      slots.sort((a, b) => a.date - b.date || a.startTime.localeCompare(b.startTime));
+      return slots.slice(0, limit);
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new ProfessionalService();
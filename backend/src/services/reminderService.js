@@ -0,0 +1,263 @@
+const Reminder = require('../models/Reminder');
+const Appointment = require('../models/Appointment');
+const Patient = require('../models/Patient');
+const { REMINDERS } = require('../config/reminders');
+const appointmentLinkService = require('./appointmentLinkService');
+const calendarService = require('./calendarService');
+const { getChannel } = require('../notifications');
+const { renderReminder } = require('../notifications/templates');
+const { atTime, clinicDate, dayRange } = require('../utils/time');
+
+// Appointments that still expect the patient
+const REMINDED_STATUSES = ['Scheduled', 'Confirmed'];
+
+const MINUTE_MS = 60 * 1000;
+
+const CONTACT_FIELDS = 'firstName lastName email phone';
+
+/**
+ * Window a reminder is due in: the narrowest one the appointment already falls
+ * inside. Wider windows that were missed are not sent late.
+ * @param {number} minutesLeft - Minutes until the appointment starts
+ * @param {number[]} windows - Windows in minutes, widest first
+ * @returns {number|null}
+ */
+const dueWindow = (minutesLeft, windows) => {
+  const inside = windows.filter((window) => minutesLeft <= window);
+  return inside.length > 0 ? inside[inside.length - 1] : null;
+};
+
+/**
+ * When to try a failed reminder again: after the next configured delay, as
+ * long as retrying can help and there is still time before the appointment
+ * @param {Object} reminder - Reminder that failed, with the failed attempt recorded
+ * @param {Error} error - Send error
+ * @param {Date} start - Start of the appointment
+ * @returns {Date|null} - Time of the next attempt, or null to give up
+ */
+const nextAttempt = (reminder, error, start) => {
+  const delay = REMINDERS.retryDelaysMinutes[reminder.attempts.length - 1];
+  if (error.permanent || delay === undefined) return null;
+
+  const retryAt = new Date(reminder.attempts[reminder.attempts.length - 1].at.getTime() + delay * MINUTE_MS);
+  return retryAt < start ? retryAt : null;
+};
+
+/**
+ * Service to send appointment reminders through the configured channels
+ */
+class ReminderService {
+  /**
+   * Run one dispatcher pass: queue the reminders now due, then send them
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { queued, sent, failed, retrying, cancelled }
+   */
+  async dispatch(now = new Date()) {
+    const queued = await this.queueDue(now);
+    const results = await this.sendPending(now);
+
+    return { queued, ...results };
+  }
+
+  /**
+   * Create the reminders of upcoming appointments that entered a window.
+   * Existing reminders are left alone, so running this again never queues a
+   * second reminder for the same appointment, window and channel.
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} - Reminders created
+   */
+  async queueDue(now = new Date()) {
+    const widest = REMINDERS.windows[0];
+    if (!widest) return 0;
+
+    const appointments = await Appointment.find({
+      status: { $in: REMINDED_STATUSES },
+      date: { $gte: clinicDate(now), $lte: dayRange(clinicDate(new Date(now.getTime() + widest * MINUTE_MS))).end }
+    }).select('patient date startTime createdAt');
+
+    const due = [];
+    for (const appointment of appointments) {
+      const start = atTime(appointment.date, appointment.startTime);
+      const minutesLeft = (start - now) / MINUTE_MS;
+      const window = minutesLeft > 0 ? dueWindow(minutesLeft, REMINDERS.windows) : null;
+
+      // Booked inside the window: the patient has just been told when to come
+      if (window !== null && appointment.createdAt < new Date(start.getTime() - window * MINUTE_MS)) {
+        due.push({ appointment, window });
+      }
+    }
+
+    if (due.length === 0) return 0;
+
+    const existing = new Set((await Reminder.find({ appointment: { $in: due.map(({ appointment }) => appointment._id) } })
+      .select('appointment window channel'))
+      .map((reminder) => `${reminder.appointment}|${reminder.window}|${reminder.channel}`));
+
+    const patients = new Map((await Patient.find({ _id: { $in: due.map(({ appointment }) => appointment.patient) } })
+      .select(CONTACT_FIELDS))
+      .map((patient) => [String(patient._id), patient]));
+
+    const reminders = [];
+    for (const { appointment, window } of due) {
+      const patient = patients.get(String(appointment.patient));
+      if (!patient) continue;
+
+      for (const channelName of REMINDERS.channels) {
+        if (existing.has(`${appointment._id}|${window}|${channelName}`)) continue;
+
+        const recipient = getChannel(channelName).recipientFor(patient);
+        reminders.push({
+          appointment: appointment._id,
+          patient: patient._id,
+          window,
+          channel: channelName,
+          recipient,
+          status: recipient ? 'Pending' : 'Skipped',
+          reason: recipient ? undefined : `Patient has no contact for ${channelName}`,
+          nextAttemptAt: now
+        });
+      }
+    }
+
+    if (reminders.length === 0) return 0;
+
+    try {
+      const created = await Reminder.insertMany(reminders, { ordered: false });
+      return created.length;
+    } catch (error) {
+      // Another dispatcher queued some of them first; the unique index kept them single
+      const writeErrors = error.writeErrors || (error.code === 11000 ? [error] : []);
+      if (writeErrors.length === 0 || writeErrors.some((writeError) => writeError.code !== 11000)) {
+        throw error;
+      }
+      return reminders.length - writeErrors.length;
+    }
+  }
+
+  /**
+   * Send the reminders whose next attempt is due, one at a time. Each is
+   * claimed atomically first, so concurrent dispatchers never send it twice.
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { sent, failed, retrying, cancelled }
+   */
+  async sendPending(now = new Date()) {
+    const results = { sent: 0, failed: 0, retrying: 0, cancelled: 0 };
+
+    // A send cut short by a crash may or may not have reached the patient:
+    // it is given up on rather than risk a duplicate
+    await Reminder.updateMany(
+      { status: 'Sending', claimedAt: { $lt: new Date(now.getTime() - REMINDERS.sendingTimeoutMinutes * MINUTE_MS) } },
+      { $set: { status: 'Failed', reason: 'Interrupted while sending; not retried to avoid a duplicate' } }
+    );
+
+    for (let i = 0; i < REMINDERS.batchSize; i++) {
+      const reminder = await Reminder.findOneAndUpdate(
+        { status: 'Pending', nextAttemptAt: { $lte: now } },
+        { $set: { status: 'Sending', claimedAt: new Date() } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+      );
+      if (!reminder) break;
+
+      const outcome = await this.send(reminder, now);
+      results[outcome] += 1;
+    }
+
+    return results;
+  }
+
+  /**
+   * Send one claimed reminder and record the outcome
+   * @param {Object} reminder - Reminder in Sending status
+   * @param {Date} now - Current time
+   * @returns {Promise<string>} - 'sent', 'failed', 'retrying' or 'cancelled'
+   */
+  async send(reminder, now = new Date()) {
+    const appointment = await Appointment.findById(reminder.appointment)
+      .select('patient practitioner date startTime endTime type status createdAt updatedAt')
+      .populate({ path: 'practitioner', select: 'firstName lastName' });
+    const start = appointment ? atTime(appointment.date, appointment.startTime) : null;
+
+    // The appointment may have been cancelled or moved since the reminder was queued
+    let cancelReason = null;
+    if (!appointment) {
+      cancelReason = 'Appointment was deleted';
+    } else if (!REMINDED_STATUSES.includes(appointment.status)) {
+      cancelReason = `Appointment is ${appointment.status}`;
+    } else if (start <= now) {
+      cancelReason = 'Appointment has already started';
+    }
+
+    if (cancelReason) {
+      reminder.set({ status: 'Cancelled', reason: cancelReason });
+      await reminder.save();
+      return 'cancelled';
+    }
+
+    const attemptAt = new Date();
+    try {
+      const channel = getChannel(reminder.channel);
+      const patient = await Patient.findById(reminder.patient).select(CONTACT_FIELDS);
+      const links = await appointmentLinkService.issueLinks(appointment, { reminder: reminder._id });
+      const message = renderReminder(channel.format, {
+        patient,
+        practitioner: appointment.practitioner,
+        appointment,
+        start,
+        now,
+        links
+      });
+
+      // Emails carry the appointment as an .ics file the patient can add to their calendar
+      const attachments = channel.format === 'email' ? [calendarService.patientCalendar(appointment)] : [];
+
+      const { id } = await channel.send({ to: reminder.recipient, ...message, attachments });
+
+      reminder.set({ status: 'Sent', sentAt: attemptAt, reason: undefined, subject: message.subject, text: message.text });
+      reminder.attempts.push({ at: attemptAt, outcome: 'Sent', providerMessageId: id });
+      await reminder.save();
+
+      await Appointment.updateOne({ _id: appointment._id }, { $set: { reminderSent: true, reminderSentAt: attemptAt } });
+      return 'sent';
+    } catch (error) {
+      reminder.attempts.push({ at: attemptAt, outcome: 'Failed', error: error.message });
+
+      const retryAt = nextAttempt(reminder, error, start);
+
+      if (retryAt) {
+        reminder.set({ status: 'Pending', nextAttemptAt: retryAt, reason: error.message });
+        await reminder.save();
+        return 'retrying';
+      }
+
+      reminder.set({ status: 'Failed', reason: error.message });
+      await reminder.save();
+      return 'failed';
+    }
+  }
+
+  /**
+   * List the reminders of an appointment with their delivery history
+   * @param {string} appointmentId - MongoDB ID of the appointment
+   * @returns {Promise<Object[]>} - Reminders, widest window first
+   */
+  async getAppointmentReminders(appointmentId) {
+    try {
+      const appointment = await Appointment.exists({ _id: appointmentId });
+
+      if (!appointment) {
+        const error = new Error('Appointment not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return await Reminder.find({ appointment: appointmentId }).sort({ window: -1, channel: 1 });
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,451 @@
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const ClinicalRecord = require('../models/ClinicalRecord');
+const Patient = require('../models/Patient');
+const Professional = require('../models/Professional');
+const WaitlistOffer = require('../models/WaitlistOffer');
+const appointmentService = require('./appointmentService');
+const insuranceService = require('./insuranceService');
+const packageService = require('./packageService');
+const waitlistService = require('./waitlistService');
+const { addDays, dayOfWeek, dayRange } = require('../utils/time');
+
+// Hard stop for generation so a bad pattern cannot loop for years
+const MAX_SERIES_WEEKS = 52;
+
+// Weekdays used when a plan only says "N times per week" (1 = Monday)
+const DEFAULT_WEEKDAYS = {
+  1: [2],
+  2: [2, 4],
+  3: [1, 3, 5],
+  4: [1, 2, 4, 5],
+  5: [1, 2, 3, 4, 5]
+};
+
+// Fields that may be changed on several occurrences at once
+const SERIES_EDITABLE_FIELDS = ['startTime', 'endTime', 'practitioner', 'room', 'fee', 'appointmentNotes'];
+
+/**
+ * Read a weekly session count from a free-text frequency such as
+ * "2 times per week", "3x/semana" or "daily"
+ * @param {string} frequency - ClinicalRecord.treatmentPlan.recommendedFrequency
+ * @returns {number|null} - Sessions per week, or null when it cannot be read
+ */
+const parseWeeklyFrequency = (frequency) => {
+  if (!frequency) return null;
+  const text = frequency.toLowerCase();
+
+  if (/daily|diari[oa]/.test(text)) return 5;
+  if (/^\s*(weekly|semanal)/.test(text)) return 1;
+
+  const match = text.match(/(\d+)\s*(?:x|times?|veces|sesiones|sessions?)?\s*(?:\/|per|a la|por|each|every)?\s*(?:week|semana)/);
+  return match ? Math.min(5, parseInt(match[1], 10)) : null;
+};
+
+/**
+ * Read the length of a treatment from a free-text duration such as
+ * "6 weeks", "2 meses" or "10 sessions"
+ * @param {string} duration - ClinicalRecord.treatmentPlan.estimatedDuration
+ * @returns {Object} - { weeks } or { sessions }, empty when it cannot be read
+ */
+const parseDuration = (duration) => {
+  if (!duration) return {};
+  const text = duration.toLowerCase();
+
+  let match = text.match(/(\d+)\s*(?:weeks?|semanas?)/);
+  if (match) return { weeks: parseInt(match[1], 10) };
+
+  match = text.match(/(\d+)\s*(?:months?|mes(?:es)?)/);
+  if (match) return { weeks: parseInt(match[1], 10) * 4 };
+
+  match = text.match(/(\d+)\s*(?:sessions?|sesi[oó]n(?:es)?)/);
+  if (match) return { sessions: parseInt(match[1], 10) };
+
+  return {};
+};
+
+/**
+ * List the dates a series falls on
+ * With `sessions` the list is open ended (up to MAX_SERIES_WEEKS) so skipped
+ * slots can be made up later; with `weeks` it stops after that many weeks
+ * @param {Object} pattern - startDate, daysOfWeek and weeks
+ * @returns {Date[]} - Candidate dates in order
+ */
+const generateDates = ({ startDate, daysOfWeek, weeks }) => {
+  const dates = [];
+  const last = addDays(startDate, Math.min(weeks || MAX_SERIES_WEEKS, MAX_SERIES_WEEKS) * 7);
+
+  for (let cursor = dayRange(startDate).start; cursor < last; cursor = addDays(cursor, 1)) {
+    if (daysOfWeek.includes(dayOfWeek(cursor))) {
+      dates.push(cursor);
+    }
+  }
+
+  return dates;
+};
+
+/**
+ * Load a series and one of its appointments, checking they belong together
+ * @param {string} seriesId - MongoDB ID of the series
+ * @param {string} appointmentId - MongoDB ID of an appointment in the series
+ * @returns {Promise<Object>} - { series, appointment }
+ */
+const loadOccurrence = async (seriesId, appointmentId) => {
+  const series = await AppointmentSeries.findById(seriesId);
+
+  if (!series) {
+    const error = new Error('Appointment series not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const appointment = await Appointment.findOne({ _id: appointmentId, series: series._id });
+
+  if (!appointment) {
+    const error = new Error('Appointment not found in this series');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return { series, appointment };
+};
+
+/**
+ * Select the open appointments an edit or cancellation applies to
+ * @param {Object} series - Series document
+ * @param {Object} appointment - Appointment the user acted on
+ * @param {string} scope - 'this', 'following' or 'all'
+ * @returns {Promise<Object[]>} - Appointments in date order
+ */
+const findTargets = async (series, appointment, scope) => {
+  if (scope === 'this') {
+    return [appointment];
+  }
+
+  const query = { series: series._id };
+  if (scope === 'following') {
+    query.date = { $gte: appointment.date };
+  }
+
+  const appointments = await Appointment.find(query).sort({ date: 1, startTime: 1 });
+  return appointments.filter((app) => !Appointment.isFinalStatus(app.status));
+};
+
+/**
+ * Service to handle recurring appointment series
+ */
+class SeriesService {
+  /**
+   * Create a recurring series and book every slot that does not clash
+   * Missing pattern fields are filled from the clinical record's treatment plan
+   * @param {Object} seriesData - Patient, practitioner, times and recurrence pattern
+   * @param {Object} [options] - Booking options
+   * @param {string} [options.changedBy] - Who created the series
+   * @param {boolean} [options.allOrNothing] - Book nothing if any slot clashes
+   * @returns {Promise<Object>} - { series, appointments, conflicts }
+   */
+  async createSeries(seriesData, { changedBy, allOrNothing = false } = {}) {
+    try {
+      const patient = await Patient.findById(seriesData.patient);
+
+      if (!patient || !patient.isActive) {
+        const error = new Error('Patient not found or inactive');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      await Professional.findBookable(seriesData.practitioner);
+
+      const pattern = { ...seriesData };
+
+      if (seriesData.clinicalRecord) {
+        const record = await ClinicalRecord.findOne({
+          _id: seriesData.clinicalRecord,
+          patient: seriesData.patient
+        });
+
+        if (!record) {
+          const error = new Error('Clinical record not found for this patient');
+          error.statusCode = 404;
+          throw error;
+        }
+
+        const plan = record.treatmentPlan || {};
+        const perWeek = parseWeeklyFrequency(plan.recommendedFrequency);
+        const length = parseDuration(plan.estimatedDuration);
+
+        if (!pattern.daysOfWeek && perWeek) {
+          pattern.daysOfWeek = DEFAULT_WEEKDAYS[perWeek];
+        }
+        if (!pattern.weeks && !pattern.sessions) {
+          Object.assign(pattern, length);
+        }
+      }
+
+      if (!pattern.daysOfWeek || pattern.daysOfWeek.length === 0) {
+        const error = new Error('Days of week are required when the treatment plan does not define a frequency');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const series = new AppointmentSeries({ ...pattern, createdBy: changedBy });
+      await series.validate();
+
+      // Every session is booked against the same authorization
+      let insurance = {};
+      if (series.authorization) {
+        const authorization = await insuranceService.resolveAuthorization(series.authorization, series.patient);
+        insurance = { ...insuranceService.appointmentFields(authorization), paymentStatus: 'Insurance Pending' };
+      }
+
+      // Check every candidate slot before booking anything
+      const planned = [];
+      const conflicts = [];
+
+      for (const date of generateDates(series)) {
+        if (series.sessions && planned.length >= series.sessions) {
+          break;
+        }
+
+        const slot = {
+          patient: series.patient,
+          practitioner: series.practitioner,
+          room: series.room,
+          date,
+          startTime: series.startTime,
+          endTime: series.endTime
+        };
+
+        const conflict = await Appointment.checkConflict(slot);
+        // A slot held for a waitlisted patient is theirs until they answer
+        const hold = conflict ? null : await WaitlistOffer.findHold(slot);
+
+        if (conflict) {
+          conflicts.push({
+            date,
+            resource: conflict.resource,
+            conflictingAppointment: conflict.appointment._id
+          });
+        } else if (hold) {
+          conflicts.push({ date, resource: 'waitlist', waitlistOffer: hold._id });
+        } else {
+          planned.push(slot);
+        }
+      }
+
+      if (planned.length === 0 || (allOrNothing && conflicts.length > 0)) {
+        const error = new Error(
+          planned.length === 0
+            ? 'None of the slots in this series could be booked'
+            : `${conflicts.length} slot(s) in this series clash with existing appointments or slots held for the waitlist`
+        );
+        error.statusCode = 409;
+        error.details = { conflicts };
+        throw error;
+      }
+
+      const sessions = planned.map((slot) => ({
+        ...slot,
+        clinicalRecord: series.clinicalRecord,
+        type: series.type,
+        fee: series.fee,
+        ...insurance,
+        series: series._id,
+        statusHistory: [{ to: 'Scheduled', action: 'create', changedBy, reason: 'Recurring series' }]
+      }));
+
+      // Sessions not billed to insurance take their credit from the patient's packages
+      await packageService.assignPackages(sessions);
+
+      series.conflicts = conflicts;
+      await series.save();
+
+      const appointments = await Appointment.insertMany(sessions);
+
+      return { series, appointments, conflicts };
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a series with all of its appointments
+   * @param {string} seriesId - MongoDB ID of the series
+   * @returns {Promise<Object>} - { series, appointments }
+   */
+  async getSeriesById(seriesId) {
+    try {
+      const series = await AppointmentSeries.findById(seriesId)
+        .populate('patient', 'firstName lastName idNumber phone')
+        .populate('practitioner', 'firstName lastName especialty');
+
+      if (!series) {
+        const error = new Error('Appointment series not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const appointments = await Appointment.find({ series: series._id })
+        .populate('practitioner', 'firstName lastName especialty')
+        .sort({ date: 1, startTime: 1 });
+
+      return { series, appointments };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Edit one occurrence, it and the following ones, or the whole series
+   * Multi-occurrence edits are all-or-nothing: if any changed slot clashes, none is applied
+   * @param {string} seriesId - MongoDB ID of the series
+   * @param {string} appointmentId - Occurrence the edit starts from
+   * @param {string} scope - 'this', 'following' or 'all'
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object[]>} - Updated appointments
+   */
+  async updateOccurrences(seriesId, appointmentId, scope, changes) {
+    try {
+      const { series, appointment } = await loadOccurrence(seriesId, appointmentId);
+
+      if (scope === 'this') {
+        return [await appointmentService.updateAppointment(appointment._id, changes)];
+      }
+
+      const invalidFields = Object.keys(changes).filter((field) => !SERIES_EDITABLE_FIELDS.includes(field));
+      if (invalidFields.length > 0) {
+        const error = new Error(`Only ${SERIES_EDITABLE_FIELDS.join(', ')} can be changed on several occurrences`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (changes.practitioner) {
+        await Professional.findBookable(changes.practitioner);
+      }
+
+      const targets = await findTargets(series, appointment, scope);
+      const conflicts = [];
+
+      // Slots the occurrences leave, for the waitlist
+      const previous = targets.map((target) => ({
+        freedBy: target._id,
+        practitioner: target.practitioner,
+        room: target.room,
+        date: target.date,
+        startTime: target.startTime,
+        endTime: target.endTime
+      }));
+
+      for (const target of targets) {
+        target.set(changes);
+        await target.validate();
+
+        const conflict = await Appointment.checkConflict(target, target._id);
+        // Occurrences of the same series are being moved together and cannot block each other
+        if (conflict && String(conflict.appointment.series) !== String(series._id)) {
+          conflicts.push({
+            appointment: target._id,
+            date: target.date,
+            resource: conflict.resource,
+            conflictingAppointment: conflict.appointment._id
+          });
+          continue;
+        }
+
+        const moved = ['startTime', 'endTime', 'practitioner'].some((field) => target.isModified(field));
+        const hold = moved ? await WaitlistOffer.findHold(target) : null;
+        if (hold) {
+          conflicts.push({
+            appointment: target._id,
+            date: target.date,
+            resource: 'waitlist',
+            waitlistOffer: hold._id
+          });
+        }
+      }
+
+      if (conflicts.length > 0) {
+        const error = new Error(`${conflicts.length} occurrence(s) would clash with existing appointments or slots held for the waitlist`);
+        error.statusCode = 409;
+        error.details = { conflicts };
+        throw error;
+      }
+
+      for (const target of targets) {
+        await target.save();
+      }
+
+      for (const slot of previous) {
+        await waitlistService.offerReleasedSlot(slot);
+      }
+
+      // Keep the series defaults in line when every remaining occurrence changed
+      if (scope === 'all') {
+        series.set(Object.fromEntries(
+          Object.entries(changes).filter(([field]) => field !== 'appointmentNotes')
+        ));
+        await series.save();
+      }
+
+      return targets;
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel one occurrence, it and the following ones, or the whole series
+   * @param {string} seriesId - MongoDB ID of the series
+   * @param {string} appointmentId - Occurrence the cancellation starts from
+   * @param {string} scope - 'this', 'following' or 'all'
+   * @param {Object} change - Who cancelled and why
+   * @returns {Promise<Object[]>} - Cancelled appointments
+   */
+  async cancelOccurrences(seriesId, appointmentId, scope, { changedBy, reason }) {
+    try {
+      const { series, appointment } = await loadOccurrence(seriesId, appointmentId);
+
+      if (scope === 'this' && Appointment.isFinalStatus(appointment.status)) {
+        const error = new Error(`Cannot cancel an appointment with status ${appointment.status}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const targets = await findTargets(series, appointment, scope);
+
+      for (const target of targets) {
+        target.transitionTo('Cancelled', { action: 'cancel', changedBy, reason });
+        await target.save();
+      }
+
+      if (scope === 'all') {
+        series.status = 'Cancelled';
+        await series.save();
+      }
+
+      return targets;
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new SeriesService();
@@ -0,0 +1,132 @@
+const User = require('../models/User');
+const Professional = require('../models/Professional');
+
+/**
+ * Make sure a professional exists and is not linked to another account
+ * @param {string} professionalId - MongoDB ID of the professional
+ * @param {string} [excludeUserId] - Account being updated
+ */
+const assertProfessionalAvailable = async (professionalId, excludeUserId = null) => {
+  const professional = await Professional.findById(professionalId);
+
+  if (!professional) {
+    const error = new Error('Professional not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const query = { professional: professionalId };
+  if (excludeUserId) {
+    query._id = { $ne: excludeUserId };
+  }
+
+  if (await User.exists(query)) {
+    const error = new Error('This professional is already linked to another account');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Service to handle staff account administration
+ */
+class UserService {
+  /**
+   * Create a staff account
+   * @param {Object} userData - Name, email, password, role and optional professional
+   * @returns {Promise<Object>} - Created user object (without password)
+   */
+  async createUser(userData) {
+    try {
+      if (await User.exists({ email: String(userData.email).toLowerCase() })) {
+        const error = new Error('A user with this email already exists');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (userData.professional) {
+        await assertProfessionalAvailable(userData.professional);
+      }
+
+      const user = await User.create(userData);
+
+      return user;
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get all staff accounts
+   * @param {Object} filters - Optional role and isActive filters
+   * @returns {Promise<Object[]>} - Users sorted by name
+   */
+  async getAllUsers(filters = {}) {
+    try {
+      const users = await User.find(filters)
+        .populate('professional', 'firstName lastName especialty')
+        .sort({ name: 1 });
+
+      return users;
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Update a staff account (role, professional link, status or password reset)
+   * @param {string} userId - MongoDB ID of the user
+   * @param {Object} updateData - Updated user data
+   * @returns {Promise<Object>} - Updated user object (without password)
+   */
+  async updateUser(userId, updateData) {
+    try {
+      const user = await User.findById(userId);
+
+      if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      if (updateData.email && updateData.email.toLowerCase() !== user.email &&
+          await User.exists({ email: updateData.email.toLowerCase(), _id: { $ne: userId } })) {
+        const error = new Error('A user with this email already exists');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (updateData.professional && String(updateData.professional) !== String(user.professional)) {
+        await assertProfessionalAvailable(updateData.professional, userId);
+      }
+
+      const closesSessions = updateData.isActive === false || (updateData.role && updateData.role !== user.role);
+
+      user.set(updateData);
+      // Password changes bump tokenVersion in the model; role changes and deactivation do it here
+      if (closesSessions && !user.isModified('password')) {
+        user.tokenVersion += 1;
+      }
+      await user.save();
+
+      return user;
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,660 @@
+const jwt = require('jsonwebtoken');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const WaitlistOffer = require('../models/WaitlistOffer');
+const Appointment = require('../models/Appointment');
+const Patient = require('../models/Patient');
+const Professional = require('../models/Professional');
+const appointmentService = require('./appointmentService');
+const { WAITLIST } = require('../config/waitlist');
+const { getChannel } = require('../notifications');
+const { renderWaitlistOffer } = require('../notifications/templates');
+const { atTime } = require('../utils/time');
+
+// Audience of offer link tokens, so they can never pass as any other kind of token
+const OFFER_AUDIENCE = 'waitlist-offer';
+
+// Appointment statuses that give their slot back
+const RELEASING_STATUSES = ['Cancelled', 'No-Show', 'Rescheduled'];
+
+// Specialties match regardless of case and accents
+const SPECIALTY_COLLATION = { locale: 'es', strength: 1 };
+
+const MINUTE_MS = 60 * 1000;
+
+const CONTACT_FIELDS = 'firstName lastName email phone';
+
+const ENTRY_POPULATE = [
+  { path: 'patient', select: 'firstName lastName idNumber phone email' },
+  { path: 'practitioner', select: 'firstName lastName especialty' }
+];
+
+/**
+ * Build an error carrying an HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * The slot an offer is for, as needed to offer it again
+ * @param {Object} offer - Offer document
+ * @returns {Object}
+ */
+const slotOf = (offer) => ({
+  freedBy: offer.freedBy,
+  practitioner: offer.practitioner,
+  room: offer.room,
+  date: offer.date,
+  startTime: offer.startTime,
+  endTime: offer.endTime
+});
+
+/**
+ * The slot an appointment occupies, as offered to the waitlist once released
+ * @param {Object} appointment - Appointment document
+ * @returns {Object}
+ */
+const slotOfAppointment = (appointment) => ({
+  freedBy: appointment._id,
+  practitioner: appointment.practitioner._id || appointment.practitioner,
+  room: appointment.room,
+  date: appointment.date,
+  startTime: appointment.startTime,
+  endTime: appointment.endTime
+});
+
+/**
+ * Order candidates for a slot: most urgent first, then those who asked for
+ * this professional over those who only gave a specialty, then longest waiting
+ * @param {Object} a - Waitlist entry
+ * @param {Object} b - Waitlist entry
+ * @returns {number}
+ */
+const byPriority = (a, b) => (WaitlistEntry.URGENCY_RANK[b.urgency] - WaitlistEntry.URGENCY_RANK[a.urgency]) ||
+  (Number(Boolean(b.practitioner)) - Number(Boolean(a.practitioner))) ||
+  (a.createdAt - b.createdAt);
+
+/**
+ * What the patient holding an offer link gets to see: the slot and the hold
+ * @param {Object} offer - Offer with the practitioner populated
+ * @returns {Object}
+ */
+const offerView = (offer) => ({
+  status: offer.status,
+  expiresAt: offer.expiresAt,
+  slot: {
+    date: offer.date,
+    startTime: offer.startTime,
+    endTime: offer.endTime,
+    practitioner: offer.practitioner && offer.practitioner.firstName
+      ? `${offer.practitioner.firstName} ${offer.practitioner.lastName}`
+      : null
+  }
+});
+
+/**
+ * Service for the waitlist: patients waiting for an earlier appointment and
+ * the offers of slots freed by cancellations
+ */
+class WaitlistService {
+  /**
+   * Put a patient on the waitlist
+   * @param {Object} entryData - Entry data
+   * @param {string} userId - User adding the patient
+   * @returns {Promise<Object>} - Created entry
+   */
+  async createEntry(entryData, userId) {
+    try {
+      const patient = await Patient.findById(entryData.patient);
+
+      if (!patient || !patient.isActive) {
+        throw httpError('Patient not found or inactive', 404);
+      }
+
+      if (entryData.practitioner) {
+        await Professional.findBookable(entryData.practitioner);
+      }
+
+      if (entryData.expiresAt <= new Date()) {
+        throw httpError('The waitlist entry must expire in the future', 400);
+      }
+
+      const entry = new WaitlistEntry({ ...entryData, createdBy: userId });
+      await entry.save();
+
+      return entry.populate(ENTRY_POPULATE);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List waitlist entries, most urgent and longest waiting first
+   * @param {Object} filters - status, patient, practitioner, especialty, active (still waiting and not expired)
+   * @returns {Promise<Object[]>}
+   */
+  async getEntries({ status, patient, practitioner, especialty, active } = {}) {
+    try {
+      const query = {};
+      if (status) query.status = status;
+      if (patient) query.patient = patient;
+      if (practitioner) query.practitioner = practitioner;
+      if (especialty) query.especialty = especialty;
+      if (active) {
+        query.status = { $in: ['Waiting', 'Offered'] };
+        query.expiresAt = { $gt: new Date() };
+      }
+
+      const entries = await WaitlistEntry.find(query)
+        .collation(SPECIALTY_COLLATION)
+        .populate(ENTRY_POPULATE);
+
+      return entries.sort(byPriority);
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Get a waitlist entry with the offers made to it
+   * @param {string} entryId - MongoDB ID of the entry
+   * @returns {Promise<Object>} - { entry, offers }
+   */
+  async getEntryById(entryId) {
+    try {
+      const entry = await WaitlistEntry.findById(entryId).populate(ENTRY_POPULATE);
+
+      if (!entry) {
+        throw httpError('Waitlist entry not found', 404);
+      }
+
+      const offers = await WaitlistOffer.find({ entry: entry._id })
+        .select('-deliveries')
+        .populate({ path: 'practitioner', select: 'firstName lastName' })
+        .sort({ createdAt: -1 });
+
+      return { entry, offers };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change what a waiting patient is looking for
+   * @param {string} entryId - MongoDB ID of the entry
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} - Updated entry
+   */
+  async updateEntry(entryId, updateData) {
+    try {
+      const entry = await WaitlistEntry.findById(entryId);
+
+      if (!entry) {
+        throw httpError('Waitlist entry not found', 404);
+      }
+
+      if (!['Waiting', 'Offered'].includes(entry.status)) {
+        throw httpError(`Cannot update a waitlist entry that is ${entry.status.toLowerCase()}`, 400);
+      }
+
+      if (updateData.practitioner && String(updateData.practitioner) !== String(entry.practitioner)) {
+        await Professional.findBookable(updateData.practitioner);
+      }
+
+      entry.set(updateData);
+      await entry.save();
+
+      return entry.populate(ENTRY_POPULATE);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.statusCode = 400;
+      }
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Take a patient off the waitlist. A slot held for them goes to the next candidate.
+   * @param {string} entryId - MongoDB ID of the entry
+   * @param {Object} cancellation - reason
+   * @returns {Promise<Object>} - Cancelled entry
+   */
+  async cancelEntry(entryId, { reason }) {
+    try {
+      const entry = await WaitlistEntry.findById(entryId);
+
+      if (!entry) {
+        throw httpError('Waitlist entry not found', 404);
+      }
+
+      if (!['Waiting', 'Offered'].includes(entry.status)) {
+        throw httpError(`Waitlist entry is already ${entry.status.toLowerCase()}`, 409);
+      }
+
+      entry.set({ status: 'Cancelled', cancelledAt: new Date(), cancellationReason: reason });
+      await entry.save();
+
+      const held = await WaitlistOffer.findOneAndUpdate(
+        { entry: entry._id, status: 'Pending' },
+        { $set: { status: 'Withdrawn', reason: 'Patient left the waitlist' } },
+        { new: true }
+      );
+      if (held) {
+        await this.offerToNext(slotOf(held));
+      }
+
+      return entry.populate(ENTRY_POPULATE);
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Offer the slot of an appointment that was just cancelled, missed or moved
+   * to the waitlist. Never fails: the appointment change has already happened,
+   * so problems here are logged instead.
+   * @param {Object} appointment - Appointment that released its slot
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object|null>} - Offer made, or null
+   */
+  async offerFreedSlot(appointment, now = new Date()) {
+    if (!RELEASING_STATUSES.includes(appointment.status)) {
+      return null;
+    }
+
+    return this.offerReleasedSlot(slotOfAppointment(appointment), now);
+  }
+
+  /**
+   * Offer a slot an appointment no longer occupies, e.g. after it was moved
+   * to another time. Never fails, like offerFreedSlot; a slot still taken is
+   * not offered.
+   * @param {Object} slot - freedBy (the appointment), practitioner, room, date, startTime, endTime
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object|null>} - Offer made, or null
+   */
+  async offerReleasedSlot(slot, now = new Date()) {
+    try {
+      return await this.offerToNext(slot, now);
+    } catch (error) {
+      console.error(`Could not offer the slot of appointment ${slot.freedBy}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Hold a freed slot for the best ranked candidate who has not been offered
+   * it yet, and tell them. Nothing is offered once the slot is too close to
+   * start, has been booked, or no one left on the waitlist fits it.
+   * @param {Object} slot - freedBy, practitioner, room, date, startTime, endTime
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object|null>} - Offer made, or null
+   */
+  async offerToNext(slot, now = new Date()) {
+    const start = atTime(slot.date, slot.startTime);
+    if (start - now < WAITLIST.minimumNoticeMinutes * MINUTE_MS) {
+      return null;
+    }
+
+    // Someone may have booked the slot meanwhile
+    if (await Appointment.checkConflict(slot)) {
+      return null;
+    }
+
+    const practitioner = await Professional.findById(slot.practitioner).select('especialty isActive');
+    if (!practitioner || !practitioner.isActive) {
+      return null;
+    }
+
+    const offered = await WaitlistOffer.find({ freedBy: slot.freedBy }).distinct('entry');
+    const candidates = (await WaitlistEntry.find({
+      _id: { $nin: offered },
+      status: 'Waiting',
+      expiresAt: { $gt: now },
+      $or: [
+        { practitioner: practitioner._id },
+        { practitioner: { $exists: false }, especialty: practitioner.especialty }
+      ]
+    }).collation(SPECIALTY_COLLATION))
+      .filter((entry) => entry.acceptsTime(slot))
+      .sort(byPriority);
+
+    for (const candidate of candidates) {
+      // Patients already booked at that time would only have to decline
+      if (await Appointment.checkConflict({ patient: candidate.patient, date: slot.date, startTime: slot.startTime, endTime: slot.endTime })) {
+        continue;
+      }
+
+      const entry = await WaitlistEntry.findOneAndUpdate(
+        { _id: candidate._id, status: 'Waiting' },
+        { $set: { status: 'Offered' } },
+        { new: true }
+      );
+      if (!entry) continue;
+
+      let offer;
+      try {
+        offer = await WaitlistOffer.create({
+          ...slot,
+          entry: entry._id,
+          patient: entry.patient,
+          rank: offered.length + 1,
+          expiresAt: new Date(now.getTime() + WAITLIST.holdMinutes * MINUTE_MS)
+        });
+      } catch (error) {
+        await WaitlistEntry.updateOne({ _id: entry._id, status: 'Offered' }, { $set: { status: 'Waiting' } });
+        // Another process is already holding this slot for someone
+        if (error.code === 11000) return null;
+        throw error;
+      }
+
+      await this.deliver(offer, now);
+      return offer;
+    }
+
+    return null;
+  }
+
+  /**
+   * Send an offer to the patient through every waitlist channel they can be
+   * reached on. Not retried: the hold is over before a retry would help.
+   * @param {Object} offer - Offer document
+   * @param {Date} now - Current time
+   */
+  async deliver(offer, now) {
+    const patient = await Patient.findById(offer.patient).select(CONTACT_FIELDS);
+    const practitioner = await Professional.findById(offer.practitioner).select('firstName lastName');
+    const entry = await WaitlistEntry.findById(offer.entry).select('type');
+
+    let url = null;
+    if (process.env.APP_URL) {
+      const token = jwt.sign({ exp: Math.floor(offer.expiresAt.getTime() / 1000) }, process.env.JWT_SECRET, {
+        audience: OFFER_AUDIENCE,
+        jwtid: String(offer._id)
+      });
+      url = `${process.env.APP_URL.replace(/\/+$/, '')}/waitlist/offers/${token}`;
+    }
+
+    for (const name of WAITLIST.channels) {
+      try {
+        const channel = getChannel(name);
+        const recipient = channel.recipientFor(patient);
+
+        if (!recipient) {
+          offer.deliveries.push({ channel: name, outcome: 'Skipped', error: 'No address for this channel' });
+          continue;
+        }
+
+        const message = renderWaitlistOffer(channel.format, {
+          patient,
+          practitioner,
+          appointment: { type: entry.type, startTime: offer.startTime },
+          start: atTime(offer.date, offer.startTime),
+          now,
+          holdUntil: offer.expiresAt,
+          url
+        });
+        const { id } = await channel.send({ to: recipient, ...message });
+
+        offer.deliveries.push({ channel: name, recipient, outcome: 'Sent', providerMessageId: id });
+      } catch (error) {
+        offer.deliveries.push({ channel: name, outcome: 'Failed', error: error.message });
+      }
+    }
+
+    await offer.save();
+  }
+
+  /**
+   * List offers, newest first
+   * @param {Object} filters - status, practitioner, patient
+   * @returns {Promise<Object[]>}
+   */
+  async getOffers({ status, practitioner, patient } = {}) {
+    try {
+      const query = {};
+      if (status) query.status = status;
+      if (practitioner) query.practitioner = practitioner;
+      if (patient) query.patient = patient;
+
+      return await WaitlistOffer.find(query)
+        .populate([
+          { path: 'patient', select: 'firstName lastName idNumber phone' },
+          { path: 'practitioner', select: 'firstName lastName' }
+        ])
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Load an offer that is still open, expiring it (and passing the slot on)
+   * if its hold ran out before anyone noticed
+   * @param {string} offerId - MongoDB ID of the offer
+   * @returns {Promise<Object>} - Pending offer
+   */
+  async openOffer(offerId) {
+    const offer = await WaitlistOffer.findById(offerId);
+
+    if (!offer) {
+      throw httpError('Offer not found', 404);
+    }
+
+    if (offer.status === 'Pending' && offer.expiresAt <= new Date()) {
+      await this.expireOffer(offer);
+      throw httpError('This offer has expired', 410);
+    }
+
+    if (offer.status !== 'Pending') {
+      throw httpError(`This offer is no longer open (${offer.status.toLowerCase()})`, 409);
+    }
+
+    return offer;
+  }
+
+  /**
+   * Accept an offer: the slot is booked for the patient and they leave the
+   * waitlist. If it can no longer be booked the slot goes to the next candidate.
+   * @param {string} offerId - MongoDB ID of the offer
+   * @param {Object} change - Who accepted it
+   * @returns {Promise<Object>} - { offer, appointment }
+   */
+  async acceptOffer(offerId, { changedBy }) {
+    try {
+      const open = await this.openOffer(offerId);
+
+      // Claimed atomically, so a double click books once; the hold ends here
+      const offer = await WaitlistOffer.findOneAndUpdate(
+        { _id: open._id, status: 'Pending' },
+        { $set: { status: 'Accepted', respondedAt: new Date(), respondedBy: changedBy } },
+        { new: true }
+      );
+      if (!offer) {
+        throw httpError('This offer is no longer open', 409);
+      }
+
+      const entry = await WaitlistEntry.findById(offer.entry);
+
+      let appointment;
+      try {
+        appointment = await appointmentService.createAppointment({
+          patient: offer.patient,
+          practitioner: offer.practitioner,
+          room: offer.room,
+          date: offer.date,
+          startTime: offer.startTime,
+          endTime: offer.endTime,
+          type: entry.type,
+          appointmentNotes: 'Booked from the waitlist'
+        }, { changedBy });
+      } catch (error) {
+        offer.set({ status: 'Withdrawn', reason: `Could not be booked: ${error.message}` });
+        await offer.save();
+        await WaitlistEntry.updateOne({ _id: entry._id, status: 'Offered' }, { $set: { status: 'Waiting' } });
+        await this.offerToNext(slotOf(offer));
+
+        throw httpError(`The slot could not be booked: ${error.message}`, 409);
+      }
+
+      offer.appointment = appointment._id;
+      await offer.save();
+
+      entry.set({ status: 'Booked', appointment: appointment._id });
+      await entry.save();
+
+      return { offer, appointment };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Decline an offer. The patient stays on the waitlist for other slots and
+   * this one goes to the next candidate.
+   * @param {string} offerId - MongoDB ID of the offer
+   * @param {Object} change - Who declined it
+   * @returns {Promise<Object>} - { offer, next } with the offer made to the next candidate, if any
+   */
+  async declineOffer(offerId, { changedBy }) {
+    try {
+      const open = await this.openOffer(offerId);
+
+      const offer = await WaitlistOffer.findOneAndUpdate(
+        { _id: open._id, status: 'Pending' },
+        { $set: { status: 'Declined', respondedAt: new Date(), respondedBy: changedBy } },
+        { new: true }
+      );
+      if (!offer) {
+        throw httpError('This offer is no longer open', 409);
+      }
+
+      await WaitlistEntry.updateOne({ _id: offer.entry, status: 'Offered' }, { $set: { status: 'Waiting' } });
+      const next = await this.offerToNext(slotOf(offer));
+
+      return { offer, next };
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Close an offer whose hold ran out and pass the slot to the next candidate
+   * @param {Object} offer - Offer document
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object|null>} - Offer made to the next candidate, or null
+   */
+  async expireOffer(offer, now = new Date()) {
+    const expired = await WaitlistOffer.findOneAndUpdate(
+      { _id: offer._id, status: 'Pending', expiresAt: { $lte: now } },
+      { $set: { status: 'Expired' } },
+      { new: true }
+    );
+    if (!expired) return null;
+
+    await WaitlistEntry.updateOne({ _id: expired.entry, status: 'Offered' }, { $set: { status: 'Waiting' } });
+    return this.offerToNext(slotOf(expired), now);
+  }
+
+  /**
+   * Expire every offer whose hold has run out, offering each slot onwards
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} - Counts: { expired, offered }
+   */
+  async expireOffers(now = new Date()) {
+    const results = { expired: 0, offered: 0 };
+    const due = await WaitlistOffer.find({ status: 'Pending', expiresAt: { $lte: now } }).select('_id');
+
+    for (const offer of due) {
+      const next = await this.expireOffer(offer, now);
+      results.expired += 1;
+      if (next) results.offered += 1;
+    }
+
+    return results;
+  }
+
+  /**
+   * Resolve an offer link token to its offer
+   * @param {string} token - Token from the link
+   * @returns {string} - MongoDB ID of the offer
+   */
+  offerIdFromToken(token) {
+    try {
+      return jwt.verify(token, process.env.JWT_SECRET, { audience: OFFER_AUDIENCE }).jti;
+    } catch (err) {
+      throw err.name === 'TokenExpiredError'
+        ? httpError('This offer has expired', 410)
+        : httpError('Offer not found', 404);
+    }
+  }
+
+  /**
+   * Show the slot behind an offer link
+   * @param {string} token - Token from the link
+   * @returns {Promise<Object>} - Offer view
+   */
+  async getOfferByToken(token) {
+    try {
+      const offer = await WaitlistOffer.findById(this.offerIdFromToken(token))
+        .populate({ path: 'practitioner', select: 'firstName lastName' });
+
+      if (!offer) {
+        throw httpError('Offer not found', 404);
+      }
+
+      return offerView(offer);
+    } catch (error) {
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Accept or decline the offer of a link, as the patient
+   * @param {string} token - Token from the link
+   * @param {Object} answer - { accept, changedBy }
+   * @returns {Promise<Object>} - Offer view after the answer
+   */
+  async answerByToken(token, { accept, changedBy }) {
+    const offerId = this.offerIdFromToken(token);
+    const { offer } = accept
+      ? await this.acceptOffer(offerId, { changedBy })
+      : await this.declineOffer(offerId, { changedBy });
+
+    await offer.populate({ path: 'practitioner', select: 'firstName lastName' });
+    return offerView(offer);
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,47 @@
+const path = require('path');
+const LocalStorage = require('./localStorage');
+
+// Where the local driver keeps files when ATTACHMENTS_DIR is not set
+const DEFAULT_LOCAL_DIR = path.join(__dirname, '../../storage/attachments');
+
+// Storage backends by name. Each creates an object with:
+//   write(stream) -> Promise<key>
+//   read(key)     -> Promise<Readable>, rejecting with code ENOENT for a missing file
+//   remove(key)   -> Promise<void>
+const DRIVERS = {
+  local: () => new LocalStorage(process.env.ATTACHMENTS_DIR || DEFAULT_LOCAL_DIR)
+};
+
+const instances = new Map();
+
+/**
+ * Make another storage backend available (e.g. object storage)
+ * @param {string} name - Name used in ATTACHMENT_STORAGE and stored on each attachment
+ * @param {Function} factory - Returns the backend
+ */
+const registerDriver = (name, factory) => {
+  DRIVERS[name] = factory;
+  instances.delete(name);
+};
+
+/**
+ * Get a storage backend; files are always read back from the backend that stored them
+ * @param {string} name - Driver name, ATTACHMENT_STORAGE (default 'local') when omitted
+ * @returns {Object} - Storage backend
+ */
+const getStorage = (name = process.env.ATTACHMENT_STORAGE || 'local') => {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown attachment storage driver: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, DRIVERS[name]());
+  }
+
+  return instances.get(name);
+};
+
+module.exports = {
+  registerDriver,
+  getStorage
+};
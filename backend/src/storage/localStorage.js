@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Keeps attachment files on the server's disk, under one root directory that
+ * is never served statically; files are only read back through the API
+ */
+class LocalStorage {
+  /**
+   * @param {string} root - Directory holding the files
+   */
+  constructor(root) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Absolute path of a stored file, refusing keys that point outside the root
+   * @param {string} key - Storage key
+   * @returns {string}
+   */
+  pathOf(key) {
+    const file = path.resolve(this.root, key);
+
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return file;
+  }
+
+  /**
+   * Store a stream under a new random key
+   * @param {Readable} stream - File contents
+   * @returns {Promise<string>} - Storage key
+   */
+  async write(stream) {
+    const now = new Date();
+    const key = [now.getFullYear(), String(now.getMonth() + 1).padStart(2, '0'), crypto.randomUUID()].join('/');
+    const file = this.pathOf(key);
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    try {
+      await pipeline(stream, fs.createWriteStream(file, { flags: 'wx', mode: 0o600 }));
+    } catch (error) {
+      await fs.promises.rm(file, { force: true });
+      throw error;
+    }
+
+    return key;
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable>} - Rejects with code ENOENT when the file is missing
+   */
+  async read(key) {
+    const file = this.pathOf(key);
+    await fs.promises.access(file, fs.constants.R_OK);
+    return fs.createReadStream(file);
+  }
+
+  /**
+   * Delete a stored file; removing a missing file is not an error
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await fs.promises.rm(this.pathOf(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,39 @@
+/**
+ * Quote a value for a CSV cell (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const toCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  // Stop spreadsheets from evaluating cells as formulas
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document from rows of objects
+ * @param {Array<{ key: string, header: string }>} columns - Columns in output order
+ * @param {Object[]} rows - Rows to write
+ * @returns {string} - CSV text with a header line
+ */
+const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => toCell(column.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map((column) => toCell(row[column.key])).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  toCsv
+};
@@ -0,0 +1,31 @@
+// A gap between visits longer than this starts a new episode of care
+const EPISODE_GAP_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Split a patient's visits into episodes of care; a new episode starts after a
+ * break of more than `gapDays` without visits
+ * @param {Object[]} records - Clinical records sorted by visitDate
+ * @param {number} gapDays - Longest break within one episode
+ * @returns {Object[][]} - Records grouped by episode, oldest first
+ */
+const splitEpisodes = (records, gapDays = EPISODE_GAP_DAYS) => {
+  const episodes = [];
+  let previous = null;
+
+  for (const record of records) {
+    if (!previous || new Date(record.visitDate) - new Date(previous.visitDate) > gapDays * DAY_MS) {
+      episodes.push([]);
+    }
+    episodes[episodes.length - 1].push(record);
+    previous = record;
+  }
+
+  return episodes;
+};
+
+module.exports = {
+  EPISODE_GAP_DAYS,
+  splitEpisodes
+};
@@ -0,0 +1,104 @@
+// Content lines are folded at 75 octets (RFC 5545, 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const PRODUCT_ID = '-//Kinesiology Sports Center//Agenda//ES';
+
+/**
+ * Escape a TEXT value (RFC 5545, 3.3.11)
+ * @param {*} value - Text to escape
+ * @returns {string}
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format an instant as a UTC DATE-TIME ("20261022T133000Z")
+ * @param {Date} date - Instant to format
+ * @returns {string}
+ */
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Split a content line into folded lines of at most 75 octets, never
+ * breaking a multi-byte character
+ * @param {string} line - Unfolded content line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Content lines of one event. Optional properties left empty are skipped.
+ * @param {Object} event - uid, stamp, start, end, sequence, status, summary, location, description, lastModified
+ * @returns {string[]}
+ */
+const eventLines = (event) => [
+  'BEGIN:VEVENT',
+  `UID:${event.uid}`,
+  `DTSTAMP:${formatDateTime(event.stamp)}`,
+  `DTSTART:${formatDateTime(event.start)}`,
+  `DTEND:${formatDateTime(event.end)}`,
+  `SEQUENCE:${event.sequence || 0}`,
+  `STATUS:${event.status}`,
+  `SUMMARY:${escapeText(event.summary)}`,
+  event.location ? `LOCATION:${escapeText(event.location)}` : null,
+  event.description ? `DESCRIPTION:${escapeText(event.description)}` : null,
+  event.lastModified ? `LAST-MODIFIED:${formatDateTime(event.lastModified)}` : null,
+  // Cancelled events no longer block time on the calendar
+  `TRANSP:${event.status === 'CANCELLED' ? 'TRANSPARENT' : 'OPAQUE'}`,
+  'END:VEVENT'
+].filter((line) => line !== null);
+
+/**
+ * Build an iCalendar (RFC 5545) document
+ * @param {Object} calendar - Calendar contents
+ * @param {string} [calendar.name] - Name shown by calendar apps for a subscription
+ * @param {number} [calendar.refreshMinutes] - How often subscribers should fetch it again
+ * @param {Object[]} calendar.events - Events (see eventLines)
+ * @returns {string} - Calendar text with CRLF line endings
+ */
+const toCalendar = ({ name, refreshMinutes, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+    // Standard refresh property (RFC 7986) and the one older clients read
+    refreshMinutes ? `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M` : null,
+    refreshMinutes ? `X-PUBLISHED-TTL:PT${refreshMinutes}M` : null,
+    ...events.flatMap(eventLines),
+    'END:VCALENDAR'
+  ].filter((line) => line !== null);
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  toCalendar
+};
@@ -0,0 +1,30 @@
+const { digitsOf } = require('./search');
+
+// Country calling code assumed for numbers typed without one
+const DEFAULT_COUNTRY_CODE = '56';
+
+/**
+ * Write a phone number in international E.164 form, as SMS and WhatsApp
+ * providers expect ("9 8765 4321" -> "+56987654321")
+ * @param {string} phone - Phone number as typed
+ * @returns {string|null} - Number with a leading +, or null when it cannot be read
+ */
+const toE164 = (phone) => {
+  const typed = String(phone || '').trim();
+  const digits = digitsOf(typed).replace(/K/g, '');
+
+  if (typed.startsWith('+') || typed.startsWith('00')) {
+    const international = typed.startsWith('00') ? digits.slice(2) : digits;
+    return international.length >= 8 && international.length <= 15 ? `+${international}` : null;
+  }
+
+  // Chilean numbers: 9 digits (mobile 9XXXXXXXX, landline with area code), optionally with the country code
+  if (digits.length === 11 && digits.startsWith(DEFAULT_COUNTRY_CODE)) return `+${digits}`;
+  if (digits.length === 9) return `+${DEFAULT_COUNTRY_CODE}${digits}`;
+
+  return null;
+};
+
+module.exports = {
+  toE164
+};
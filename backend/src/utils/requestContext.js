@@ -0,0 +1,40 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Carries the acting user and client details through every async call made while
+// handling a request, so model hooks can tell who triggered a change
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware opening a context for the current request
+ */
+const requestContext = (req, res, next) => {
+  storage.run({
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    method: req.method,
+    path: req.originalUrl
+  }, next);
+};
+
+/**
+ * Get the context of the request being handled
+ * @returns {Object|undefined} - { ip, userAgent, method, path, actor } or undefined outside a request
+ */
+const getContext = () => storage.getStore();
+
+/**
+ * Record the authenticated user in the current request context
+ * @param {Object} user - User document
+ */
+const setActor = (user) => {
+  const context = storage.getStore();
+  if (context) {
+    context.actor = { _id: user._id, name: user.name, role: user.role };
+  }
+};
+
+module.exports = {
+  requestContext,
+  getContext,
+  setActor
+};
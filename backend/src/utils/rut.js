@@ -0,0 +1,78 @@
+/**
+ * Strip formatting and leading zeros from a Chilean RUT ("012.345.678-k" -> "12345678K")
+ * @param {string} value - RUT in any format
+ * @returns {string} - Digits followed by the check digit, uppercased
+ */
+const cleanRut = (value) => String(value || '')
+  .replace(/[^0-9kK]/g, '')
+  .replace(/^0+/, '')
+  .toUpperCase();
+
+/**
+ * Compute the módulo 11 check digit for a RUT body
+ * @param {string} body - RUT digits without the check digit
+ * @returns {string} - '0'-'9' or 'K'
+ */
+const computeCheckDigit = (body) => {
+  let sum = 0;
+  let multiplier = 2;
+
+  for (let i = body.length - 1; i >= 0; i--) {
+    sum += parseInt(body[i], 10) * multiplier;
+    multiplier = multiplier === 7 ? 2 : multiplier + 1;
+  }
+
+  const digit = 11 - (sum % 11);
+  if (digit === 11) return '0';
+  if (digit === 10) return 'K';
+  return String(digit);
+};
+
+/**
+ * Check whether a RUT, in any format, has a valid check digit
+ * @param {string} value - RUT to check
+ * @returns {boolean}
+ */
+const isValidRut = (value) => {
+  const clean = cleanRut(value);
+  // 'K' may only appear as the check digit
+  if (!/^\d{1,8}[0-9K]$/.test(clean)) {
+    return false;
+  }
+  return computeCheckDigit(clean.slice(0, -1)) === clean.slice(-1);
+};
+
+/**
+ * Convert a RUT to the canonical stored form "12345678-5"
+ * Invalid values are returned untouched
+ * @param {string} value - RUT in any format
+ * @returns {string}
+ */
+const normalizeRut = (value) => {
+  if (!isValidRut(value)) {
+    return value;
+  }
+  const clean = cleanRut(value);
+  return `${clean.slice(0, -1)}-${clean.slice(-1)}`;
+};
+
+/**
+ * Format a RUT for display ("12345678-5" -> "12.345.678-5")
+ * @param {string} value - RUT in any format
+ * @returns {string}
+ */
+const formatRut = (value) => {
+  if (!isValidRut(value)) {
+    return value;
+  }
+  const [body, checkDigit] = normalizeRut(value).split('-');
+  return `${body.replace(/\B(?=(\d{3})+(?!\d))/g, '.')}-${checkDigit}`;
+};
+
+module.exports = {
+  cleanRut,
+  computeCheckDigit,
+  isValidRut,
+  normalizeRut,
+  formatRut
+};
@@ -0,0 +1,109 @@
+const { foldText } = require('./text');
+
+/**
+ * Escape a string so it matches literally inside a RegExp
+ * @param {string} value - User input
+ * @returns {string}
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Anchored, literal prefix pattern; MongoDB can answer these from an index
+ * @param {string} value - Prefix to look for
+ * @returns {RegExp}
+ */
+const prefixRegex = (value) => new RegExp(`^${escapeRegex(value)}`);
+
+/**
+ * Split names into folded words ("María José", "Muñoz-Pérez" -> ['maria', 'jose', 'munoz', 'perez'])
+ * @param {...string} values - Names or free text
+ * @returns {string[]}
+ */
+const nameTokens = (...values) => foldText(values.join(' '))
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+/**
+ * Rough Spanish phonetic key, so letters that sound alike compare equal
+ * ("Vásquez" and "Basques" -> "baskes", "Hernández" and "Ernandes" -> "ernandes")
+ * @param {string} token - Folded word
+ * @returns {string}
+ */
+const phoneticKey = (token) => foldText(token)
+  .replace(/[^a-z]/g, '')
+  .replace(/ch/g, 'x')
+  .replace(/qu/g, 'k')
+  .replace(/g(?=[ei])/g, 'j')
+  .replace(/gu(?=[ei])/g, 'g')
+  .replace(/c(?=[ei])/g, 's')
+  .replace(/c/g, 'k')
+  .replace(/z/g, 's')
+  .replace(/[vw]/g, 'b')
+  .replace(/ll/g, 'y')
+  .replace(/h/g, '')
+  .replace(/y$/, 'i')
+  .replace(/(.)\1+/g, '$1');
+
+/**
+ * Keep only the digits of a phone number or RUT; a RUT check digit 'K' is kept
+ * @param {string} value - Phone number or RUT as typed
+ * @returns {string}
+ */
+const digitsOf = (value) => String(value || '').toUpperCase().replace(/[^0-9K]/g, '').replace(/K(?=.)/g, '');
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * adjacent letters as one edit each ("rodirguez" -> "rodriguez" = 1)
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+/**
+ * How alike two names are, word by word, forgiving accents, sound-alike
+ * spellings and small typos; extra words on the longer name are ignored
+ * ("Ana Perez" vs "Ana María Pérez" = 1)
+ * @param {string[]} a - Folded words of one name
+ * @param {string[]} b - Folded words of the other name
+ * @returns {number} - 0 (nothing in common) to 1 (same words)
+ */
+const nameSimilarity = (a, b) => {
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  if (shorter.length === 0) return 0;
+
+  const total = shorter.reduce((sum, word) => sum + Math.max(0, ...longer.map((other) => {
+    if (word === other) return 1;
+    if (phoneticKey(word) === phoneticKey(other)) return 0.9;
+    const distance = editDistance(word, other);
+    return distance <= 2 ? 1 - distance / Math.max(word.length, other.length) : 0;
+  })), 0);
+
+  return total / shorter.length;
+};
+
+module.exports = {
+  escapeRegex,
+  prefixRegex,
+  nameTokens,
+  phoneticKey,
+  digitsOf,
+  editDistance,
+  nameSimilarity
+};
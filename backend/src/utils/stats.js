@@ -0,0 +1,66 @@
+/**
+ * Small descriptive statistics helpers for clinic reports
+ */
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Arithmetic mean
+ * @param {number[]} values
+ * @returns {number|null} - null for an empty list
+ */
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Sample standard deviation
+ * @param {number[]} values
+ * @returns {number|null} - null with fewer than two values
+ */
+const standardDeviation = (values) => {
+  if (values.length < 2) return null;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+};
+
+/**
+ * Mean with its 95% confidence interval (normal approximation)
+ * @param {number[]} values
+ * @returns {Object} - { n, mean, sd, ci95: [low, high] }
+ */
+const summarize = (values) => {
+  const average = mean(values);
+  const sd = standardDeviation(values);
+  const margin = sd === null ? null : 1.96 * sd / Math.sqrt(values.length);
+
+  return {
+    n: values.length,
+    mean: average === null ? null : round(average, 2),
+    sd: sd === null ? null : round(sd, 2),
+    ci95: margin === null ? null : [round(average - margin, 2), round(average + margin, 2)]
+  };
+};
+
+/**
+ * Least-squares slope of y over x
+ * @param {Array<[number, number]>} points - [x, y] pairs
+ * @returns {number|null} - null with fewer than two distinct x values
+ */
+const slope = (points) => {
+  if (points.length < 2) return null;
+  const meanX = mean(points.map(([x]) => x));
+  const meanY = mean(points.map(([, y]) => y));
+  const sxx = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+  if (sxx === 0) return null;
+  return points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0) / sxx;
+};
+
+module.exports = {
+  round,
+  mean,
+  standardDeviation,
+  summarize,
+  slope
+};
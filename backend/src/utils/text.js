@@ -0,0 +1,16 @@
+/**
+ * Lowercase a string, strip accents and collapse whitespace
+ * ("  José  Muñoz " -> "jose munoz")
+ * @param {string} value - Text to fold
+ * @returns {string}
+ */
+const foldText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+module.exports = {
+  foldText
+};
@@ -0,0 +1,205 @@
+const { CLINIC_TIMEZONE } = require('../config/clinic');
+
+// Accepts "9:00", "09:00" and "21:30"; rejects anything outside 00:00-23:59
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Check whether a value is a valid HH:MM time of day
+ * @param {string} value - Time to check
+ * @returns {boolean}
+ */
+const isValidTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value.trim());
+
+/**
+ * Convert an HH:MM time of day into minutes since midnight
+ * @param {string} value - Time in HH:MM format
+ * @returns {number} - Minutes since midnight, or NaN if the value is not a valid time
+ */
+const toMinutes = (value) => {
+  const match = typeof value === 'string' && value.trim().match(TIME_PATTERN);
+  if (!match) {
+    return NaN;
+  }
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+/**
+ * Convert minutes since midnight into a zero padded HH:MM string
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} - Time in HH:MM format
+ */
+const fromMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+};
+
+/**
+ * Normalize a time of day to zero padded HH:MM ("9:00" -> "09:00")
+ * Invalid values are returned untouched so schema validation can reject them
+ * @param {string} value - Time to normalize
+ * @returns {string}
+ */
+const normalizeTime = (value) => (isValidTime(value) ? fromMinutes(toMinutes(value)) : value);
+
+/**
+ * Check whether two half-open [start, end) intervals overlap
+ * @param {number} startA - Start of the first interval
+ * @param {number} endA - End of the first interval
+ * @param {number} startB - Start of the second interval
+ * @param {number} endB - End of the second interval
+ * @returns {boolean}
+ */
+const intervalsOverlap = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+/**
+ * Remove busy intervals from a list of free intervals
+ * @param {Array<[number, number]>} free - Free [start, end) intervals in minutes
+ * @param {Array<[number, number]>} busy - Busy [start, end) intervals in minutes
+ * @returns {Array<[number, number]>} - Remaining free intervals, sorted by start
+ */
+const subtractIntervals = (free, busy) => {
+  let remaining = [...free].sort((a, b) => a[0] - b[0]);
+
+  for (const [busyStart, busyEnd] of busy) {
+    remaining = remaining.flatMap(([start, end]) => {
+      if (!intervalsOverlap(start, end, busyStart, busyEnd)) {
+        return [[start, end]];
+      }
+      const pieces = [];
+      if (start < busyStart) pieces.push([start, busyStart]);
+      if (busyEnd < end) pieces.push([busyEnd, end]);
+      return pieces;
+    });
+  }
+
+  return remaining;
+};
+
+/**
+ * Get the first and last instant of the calendar day that contains a date
+ * Calendar days are UTC: a date-only value such as "2026-10-20" parses to
+ * midnight UTC, and every date-only field is stored that way
+ * @param {Date|string} date - Any instant within the day
+ * @returns {{ start: Date, end: Date }}
+ */
+const dayRange = (date) => {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+
+  const end = new Date(date);
+  end.setUTCHours(23, 59, 59, 999);
+
+  return { start, end };
+};
+
+/**
+ * Move a calendar day forwards or backwards by whole days
+ * @param {Date|string} date - Any instant within the day
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {Date} - Midnight UTC of the resulting day
+ */
+const addDays = (date, days) => {
+  const day = dayRange(date).start;
+  day.setUTCDate(day.getUTCDate() + days);
+  return day;
+};
+
+/**
+ * Get the day of the week of a calendar day
+ * @param {Date|string} date - Any instant within the day
+ * @returns {number} - 0 for Sunday through 6 for Saturday
+ */
+const dayOfWeek = (date) => new Date(date).getUTCDay();
+
+/**
+ * Get a key identifying a calendar day ("2026-10-20")
+ * @param {Date|string} date - Any instant within the day
+ * @returns {string}
+ */
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Offset of the clinic time zone from UTC at an instant, in milliseconds
+const zoneOffset = (instant) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: CLINIC_TIMEZONE,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(instant).map(({ type, value }) => [type, value])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the calendar day an instant falls on at the clinic
+ * Use it to turn "now" into today's date before comparing with date-only values
+ * @param {Date|string} [instant] - Instant to look up, defaults to now
+ * @returns {Date} - Midnight UTC of that day
+ */
+const clinicDate = (instant = new Date()) => {
+  const at = new Date(instant);
+  return dayRange(at.getTime() + zoneOffset(at)).start;
+};
+
+/**
+ * Combine a calendar day and an HH:MM clinic wall clock time into an instant
+ * @param {Date|string} date - Any instant within the day
+ * @param {string} time - Time of day in HH:MM format, in CLINIC_TIMEZONE
+ * @returns {Date}
+ */
+const atTime = (date, time) => {
+  const wallClock = dayRange(date).start.getTime() + toMinutes(time) * 60 * 1000;
+  // Guess with the offset at the wall clock time, then correct it in case a
+  // daylight saving change falls between the guess and the real instant
+  const guess = new Date(wallClock - zoneOffset(new Date(wallClock)));
+  return new Date(wallClock - zoneOffset(guess));
+};
+
+/**
+ * Get the first and last instant of a calendar day at the clinic
+ * Use it to filter timestamps (issuedAt, receivedAt...) by day; date-only
+ * fields are filtered with dayRange
+ * @param {Date|string} date - Any instant within the day
+ * @returns {{ start: Date, end: Date }}
+ */
+const clinicDayRange = (date) => ({
+  start: atTime(date, '00:00'),
+  end: new Date(atTime(addDays(date, 1), '00:00').getTime() - 1)
+});
+
+/**
+ * Get the Monday-to-Sunday week that contains a calendar day
+ * @param {Date|string} date - Any instant within the week
+ * @returns {{ start: Date, end: Date }}
+ */
+const weekRange = (date) => {
+  // dayOfWeek() is 0 for Sunday; shift so the week starts on Monday
+  const start = addDays(date, -((dayOfWeek(date) + 6) % 7));
+  const end = dayRange(addDays(start, 6)).end;
+
+  return { start, end };
+};
+
+module.exports = {
+  isValidTime,
+  toMinutes,
+  fromMinutes,
+  normalizeTime,
+  intervalsOverlap,
+  subtractIntervals,
+  dayRange,
+  addDays,
+  dayOfWeek,
+  dayKey,
+  clinicDate,
+  atTime,
+  clinicDayRange,
+  weekRange
+};
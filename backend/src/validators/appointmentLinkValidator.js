@@ -0,0 +1,20 @@
+const { body, param } = require('express-validator');
+
+const tokenRule = param('token').isJWT().withMessage('Link not found');
+
+const getLinkRules = [tokenRule];
+
+// Patients may say why they cancel, but do not have to
+const useLinkRules = [
+  tokenRule,
+  body('reason')
+    .optional()
+    .isString().withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+module.exports = {
+  getLinkRules,
+  useLinkRules
+};
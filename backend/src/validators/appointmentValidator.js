@@ -0,0 +1,111 @@
+const { body, param, query } = require('express-validator');
+const Appointment = require('../models/Appointment');
+const { isValidTime } = require('../utils/time');
+
+// Keep enum checks in sync with the schema
+const TYPES = Appointment.schema.path('type').enumValues;
+const STATUSES = Appointment.schema.path('status').enumValues;
+
+/**
+ * Build the body rules for an appointment payload
+ * @param {boolean} isUpdate - When true, required fields become optional
+ * @returns {Array} - Validation chains
+ */
+const appointmentBodyRules = (isUpdate = false) => {
+  // Fields the schema requires must be present on create, but may be omitted on update
+  const required = (field, message) => {
+    const chain = body(field);
+    return isUpdate
+      ? chain.optional()
+      : chain.exists({ values: 'falsy' }).withMessage(message).bail();
+  };
+
+  return [
+    required('patient', 'Patient reference is required')
+      .isMongoId().withMessage('Invalid patient ID'),
+    required('date', 'Appointment date is required')
+      .isISO8601().withMessage('Appointment date must be a valid date')
+      .toDate(),
+    required('startTime', 'Start time is required')
+      .custom(isValidTime).withMessage('Start time must be in HH:MM format'),
+    required('endTime', 'End time is required')
+      .custom(isValidTime).withMessage('End time must be in HH:MM format'),
+    required('type', 'Appointment type is required')
+      .isIn(TYPES).withMessage(`Type must be one of: ${TYPES.join(', ')}`),
+    required('practitioner', 'Practitioner is required')
+      .isMongoId().withMessage('Invalid practitioner ID'),
+    body('room').optional().isString().withMessage('Room must be a string').trim(),
+    body('clinicalRecord').optional().isMongoId().withMessage('Invalid clinical record ID'),
+
+    // Payment and Insurance
+    body('authorization').optional().isMongoId().withMessage('Invalid insurance authorization ID'),
+    body('package').optional().isMongoId().withMessage('Invalid package ID'),
+    body('insuranceUsed').optional().isBoolean().withMessage('insuranceUsed must be a boolean').toBoolean(),
+    body('insuranceDetails').optional().isObject().withMessage('Insurance details must be an object'),
+    body(['insuranceDetails.provider', 'insuranceDetails.policyNumber', 'insuranceDetails.authorizationCode'])
+      .optional()
+      .isString().withMessage('Insurance fields must be strings')
+      .trim(),
+    body('fee').optional().isFloat({ min: 0 }).withMessage('Fee must be a positive number').toFloat(),
+
+    // Notes
+    body('appointmentNotes').optional().isString().withMessage('Notes must be a string').trim(),
+    body('followUpNeeded').optional().isBoolean().withMessage('followUpNeeded must be a boolean').toBoolean()
+  ];
+};
+
+const appointmentIdRule = param('id').isMongoId().withMessage('Invalid appointment ID');
+
+const createAppointmentRules = appointmentBodyRules(false);
+
+const updateAppointmentRules = [appointmentIdRule, ...appointmentBodyRules(true)];
+
+const getAppointmentRules = [appointmentIdRule];
+
+const listAppointmentsRules = [
+  query('date').optional().isISO8601().withMessage('Date must be a valid date').toDate(),
+  query('view').optional().isIn(['day', 'week']).withMessage('View must be either day or week'),
+  query('patient').optional().isMongoId().withMessage('Invalid patient ID'),
+  query('practitioner').optional().isMongoId().withMessage('Invalid practitioner ID'),
+  query('room').optional().isString().trim(),
+  query('status').optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`)
+];
+
+const statusActionRules = [
+  appointmentIdRule,
+  body('reason').optional().isString().withMessage('Reason must be a string').trim()
+];
+
+const cancelAppointmentRules = [
+  appointmentIdRule,
+  body('reason')
+    .exists({ values: 'falsy' }).withMessage('Cancellation reason is required').bail()
+    .isString().trim()
+];
+
+const rescheduleAppointmentRules = [
+  appointmentIdRule,
+  body('reason').optional().isString().withMessage('Reason must be a string').trim(),
+  body('date')
+    .exists({ values: 'falsy' }).withMessage('New appointment date is required').bail()
+    .isISO8601().withMessage('Appointment date must be a valid date')
+    .toDate(),
+  body('startTime')
+    .exists({ values: 'falsy' }).withMessage('New start time is required').bail()
+    .custom(isValidTime).withMessage('Start time must be in HH:MM format'),
+  body('endTime')
+    .exists({ values: 'falsy' }).withMessage('New end time is required').bail()
+    .custom(isValidTime).withMessage('End time must be in HH:MM format'),
+  body('practitioner').optional().isMongoId().withMessage('Invalid practitioner ID'),
+  body('room').optional().isString().withMessage('Room must be a string').trim()
+];
+
+module.exports = {
+  createAppointmentRules,
+  updateAppointmentRules,
+  getAppointmentRules,
+  listAppointmentsRules,
+  statusActionRules,
+  cancelAppointmentRules,
+  rescheduleAppointmentRules
+};
@@ -0,0 +1,46 @@
+const { body, param, query } = require('express-validator');
+const { ATTACHMENT_CATEGORIES } = require('../config/attachments');
+
+const recordIdRule = param('id').isMongoId().withMessage('Invalid clinical record ID');
+
+const attachmentIdRules = [
+  recordIdRule,
+  param('attachmentId').isMongoId().withMessage('Invalid attachment ID')
+];
+
+// Checked before the file is accepted, so a bad URL never stores anything
+const uploadTargetRules = [recordIdRule];
+
+// Form fields sent alongside the file
+const uploadAttachmentRules = [
+  body('category')
+    .optional()
+    .isIn(ATTACHMENT_CATEGORIES).withMessage(`Category must be one of: ${ATTACHMENT_CATEGORIES.join(', ')}`),
+  body('description')
+    .optional()
+    .isString().withMessage('Description must be a string')
+    .trim()
+    .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters')
+];
+
+const listAttachmentsRules = [
+  recordIdRule,
+  query('includeDeleted').optional().isBoolean().withMessage('includeDeleted must be true or false').toBoolean()
+];
+
+const getAttachmentRules = attachmentIdRules;
+
+const deleteAttachmentRules = [
+  ...attachmentIdRules,
+  body('reason')
+    .exists({ values: 'falsy' }).withMessage('Deletion reason is required').bail()
+    .isString().trim().notEmpty().withMessage('Deletion reason cannot be empty')
+];
+
+module.exports = {
+  uploadTargetRules,
+  uploadAttachmentRules,
+  listAttachmentsRules,
+  getAttachmentRules,
+  deleteAttachmentRules
+};
@@ -0,0 +1,48 @@
+const { param, query } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+
+// Keep enum checks in sync with the schema
+const ACTIONS = AuditLog.schema.path('action').enumValues;
+const RESOURCE_TYPES = AuditLog.schema.path('resourceType').enumValues;
+
+const filterRules = [
+  query(['patient', 'actor', 'resourceId']).optional().isMongoId().withMessage('Invalid ID'),
+  query('resourceType')
+    .optional()
+    .isIn(RESOURCE_TYPES).withMessage(`Resource type must be one of: ${RESOURCE_TYPES.join(', ')}`),
+  query('action')
+    .optional()
+    .isIn(ACTIONS).withMessage(`Action must be one of: ${ACTIONS.join(', ')}`),
+  query(['from', 'to']).optional().isISO8601().withMessage('Must be a valid date').toDate()
+];
+
+const paginationRules = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500').toInt()
+];
+
+const listEntriesRules = [...filterRules, ...paginationRules];
+
+const patientEntriesRules = [
+  param('patientId').isMongoId().withMessage('Invalid patient ID'),
+  ...filterRules,
+  ...paginationRules
+];
+
+const userEntriesRules = [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  ...filterRules,
+  ...paginationRules
+];
+
+const exportEntriesRules = [
+  ...filterRules,
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+];
+
+module.exports = {
+  listEntriesRules,
+  patientEntriesRules,
+  userEntriesRules,
+  exportEntriesRules
+};
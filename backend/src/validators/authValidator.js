@@ -0,0 +1,66 @@
+const { body, param, query } = require('express-validator');
+const User = require('../models/User');
+
+// Keep enum checks in sync with the schema
+const ROLES = User.schema.path('role').enumValues;
+
+const passwordRule = (field) => body(field)
+  .isString().withMessage('Password must be a string')
+  .isLength({ min: 8 }).withMessage('Password must be at least 8 characters');
+
+const loginRules = [
+  body('email')
+    .exists({ values: 'falsy' }).withMessage('Email is required').bail()
+    .isEmail().withMessage('Please add a valid email')
+    .normalizeEmail(),
+  body('password')
+    .exists({ values: 'falsy' }).withMessage('Password is required')
+];
+
+const changePasswordRules = [
+  body('currentPassword')
+    .exists({ values: 'falsy' }).withMessage('Current password is required'),
+  passwordRule('newPassword')
+];
+
+const userIdRule = param('id').isMongoId().withMessage('Invalid user ID');
+
+const createUserRules = [
+  body('name')
+    .exists({ values: 'falsy' }).withMessage('Name is required').bail()
+    .isString().trim(),
+  body('email')
+    .exists({ values: 'falsy' }).withMessage('Email is required').bail()
+    .isEmail().withMessage('Please add a valid email')
+    .normalizeEmail(),
+  passwordRule('password'),
+  body('role')
+    .isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  body('professional')
+    .if(body('role').equals('practitioner'))
+    .exists({ values: 'falsy' }).withMessage('Practitioner accounts must be linked to a professional'),
+  body('professional').optional().isMongoId().withMessage('Invalid professional ID')
+];
+
+const updateUserRules = [
+  userIdRule,
+  body('name').optional().isString().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('email').optional().isEmail().withMessage('Please add a valid email').normalizeEmail(),
+  body('password').optional().isString().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  body('professional').optional().isMongoId().withMessage('Invalid professional ID'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+];
+
+const listUsersRules = [
+  query('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  query('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+];
+
+module.exports = {
+  loginRules,
+  changePasswordRules,
+  createUserRules,
+  updateUserRules,
+  listUsersRules
+};
@@ -0,0 +1,78 @@
+const { body, param, query } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const { clinicDate, clinicDayRange } = require('../utils/time');
+
+// Keep enum checks in sync with the schema
+const INVOICE_STATUSES = Invoice.schema.path('status').enumValues;
+const PAYMENT_METHODS = Payment.schema.path('method').enumValues;
+
+const invoiceIdRule = param('id').isMongoId().withMessage('Invalid invoice ID');
+
+const createInvoiceRules = [
+  body('appointments')
+    .isArray({ min: 1, max: 50 }).withMessage('Appointments must be a list of 1 to 50 appointments'),
+  body('appointments.*.appointment').isMongoId().withMessage('Invalid appointment ID'),
+  body('appointments.*.amount')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Amount must be a whole number of pesos')
+    .toInt(),
+  body('notes')
+    .optional()
+    .isString().withMessage('Notes must be a string')
+    .trim()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+const getInvoiceRules = [invoiceIdRule];
+
+const listInvoicesRules = [
+  query('patient').optional().isMongoId().withMessage('Invalid patient ID'),
+  query('status').optional().isIn(INVOICE_STATUSES).withMessage(`Status must be one of: ${INVOICE_STATUSES.join(', ')}`),
+  query(['from', 'to']).optional().isISO8601().withMessage('Must be a valid date').toDate()
+];
+
+const voidInvoiceRules = [
+  invoiceIdRule,
+  body('reason')
+    .exists({ values: 'falsy' }).withMessage('Void reason is required').bail()
+    .isString().trim()
+];
+
+// Payments and refunds take the same details
+const paymentRules = [
+  invoiceIdRule,
+  body('method')
+    .exists({ values: 'falsy' }).withMessage('Payment method is required').bail()
+    .isIn(PAYMENT_METHODS).withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('amount')
+    .exists().withMessage('Amount is required').bail()
+    .isInt({ min: 1 }).withMessage('Amount must be a positive whole number of pesos')
+    .toInt(),
+  body('reference').optional().isString().withMessage('Reference must be a string').trim(),
+  body('receivedAt')
+    .optional()
+    .isISO8601().withMessage('Received date must be a valid date')
+    .toDate()
+    .custom((receivedAt) => receivedAt <= clinicDayRange(clinicDate()).end).withMessage('Received date cannot be in the future'),
+  body('notes').optional().isString().withMessage('Notes must be a string').trim()
+];
+
+const cashCloseRules = [
+  query('date').optional().isISO8601().withMessage('Date must be a valid date').toDate(),
+  query('practitioner').optional().isMongoId().withMessage('Invalid practitioner ID')
+];
+
+const outstandingRules = [
+  query('patient').optional().isMongoId().withMessage('Invalid patient ID')
+];
+
+module.exports = {
+  createInvoiceRules,
+  getInvoiceRules,
+  listInvoicesRules,
+  voidInvoiceRules,
+  paymentRules,
+  cashCloseRules,
+  outstandingRules
+};
@@ -0,0 +1,10 @@
+const { param } = require('express-validator');
+
+// Feed tokens are 32 random bytes in base64url
+const getFeedRules = [
+  param('token').matches(/^[A-Za-z0-9_-]{43}$/).withMessage('Calendar feed not found')
+];
+
+module.exports = {
+  getFeedRules
+};
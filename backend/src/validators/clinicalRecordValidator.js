@@ -0,0 +1,174 @@
+const { body, param, query } = require('express-validator');
+const ClinicalRecord = require('../models/ClinicalRecord');
+const { JOINTS, isJointMovement } = require('../config/normativeRanges');
+
+// Keep enum checks in sync with the schema
+const MEASUREMENT_SCHEMA = ClinicalRecord.schema.path('physicalAssessment.measurements').schema;
+const MEASUREMENT_TYPES = MEASUREMENT_SCHEMA.path('type').enumValues;
+const SIDES = MEASUREMENT_SCHEMA.path('side').enumValues;
+
+/**
+ * Build the body rules for a clinical record payload
+ * @param {boolean} isUpdate - When true, required fields become optional
+ * @returns {Array} - Validation chains
+ */
+const recordBodyRules = (isUpdate = false) => {
+  // Fields the schema requires must be present on create, but may be omitted on update
+  const required = (field, message) => {
+    const chain = body(field);
+    return isUpdate
+      ? chain.optional()
+      : chain.exists({ values: 'falsy' }).withMessage(message).bail();
+  };
+
+  const painScale = (field) => body(field)
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 10 }).withMessage('Pain must be between 0 and 10')
+    .toFloat();
+
+  const optionalText = (fields) => body(fields)
+    .optional()
+    .isString().withMessage('Must be a string')
+    .trim();
+
+  return [
+    required('patient', 'Patient reference is required')
+      .isMongoId().withMessage('Invalid patient ID'),
+    body('visitDate').optional().isISO8601().withMessage('Visit date must be a valid date').toDate(),
+
+    // Clinical Assessment
+    required('chiefComplaint', 'Chief complaint is required')
+      .isString().trim().notEmpty().withMessage('Chief complaint cannot be empty'),
+    body('physicalAssessment').optional().isObject().withMessage('Physical assessment must be an object'),
+    optionalText([
+      'physicalAssessment.bodyPosture',
+      'physicalAssessment.rangeOfMotion',
+      'physicalAssessment.muscleStrength',
+      'physicalAssessment.painAssessment.location',
+      'physicalAssessment.painAssessment.description',
+      'physicalAssessment.functionalLimitations'
+    ]),
+    painScale('physicalAssessment.painAssessment.intensity'),
+    body('physicalAssessment.measurements')
+      .optional()
+      .isArray().withMessage('Measurements must be an array'),
+    body('physicalAssessment.measurements.*.type')
+      .isIn(MEASUREMENT_TYPES).withMessage(`Measurement type must be one of: ${MEASUREMENT_TYPES.join(', ')}`),
+    body('physicalAssessment.measurements.*.joint')
+      .isIn(JOINTS).withMessage(`Joint must be one of: ${JOINTS.join(', ')}`),
+    body('physicalAssessment.measurements.*.movement')
+      .custom((movement, { req, path }) => {
+        const index = path.match(/measurements\[(\d+)\]/)[1];
+        return isJointMovement(req.body.physicalAssessment.measurements[index].joint, movement);
+      })
+      .withMessage('Movement does not belong to this joint'),
+    body('physicalAssessment.measurements.*.side')
+      .isIn(SIDES).withMessage(`Side must be one of: ${SIDES.join(', ')}`),
+    body(['physicalAssessment.measurements.*.activeDegrees', 'physicalAssessment.measurements.*.passiveDegrees'])
+      .optional({ values: 'null' })
+      .isFloat({ min: -90, max: 360 }).withMessage('Degrees must be between -90 and 360')
+      .toFloat(),
+    body('physicalAssessment.measurements.*.mmtGrade')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0, max: 5 }).withMessage('MMT grade must be between 0 and 5')
+      .toFloat(),
+    body('physicalAssessment.measurements.*.dynamometerKg')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 }).withMessage('Dynamometer reading must be a positive number')
+      .toFloat(),
+    optionalText(['physicalAssessment.measurements.*.testName', 'physicalAssessment.measurements.*.notes']),
+
+    // Diagnosis and Plan
+    required('diagnosis', 'Diagnosis is required')
+      .isString().trim().notEmpty().withMessage('Diagnosis cannot be empty'),
+    body('treatmentPlan').optional().isObject().withMessage('Treatment plan must be an object'),
+    body(['treatmentPlan.shortTermGoals', 'treatmentPlan.longTermGoals', 'treatmentPlan.recommendedTreatments'])
+      .optional()
+      .isArray().withMessage('Must be an array of strings'),
+    body(['treatmentPlan.shortTermGoals.*', 'treatmentPlan.longTermGoals.*', 'treatmentPlan.recommendedTreatments.*'])
+      .isString().withMessage('Must be a string')
+      .trim(),
+    optionalText(['treatmentPlan.recommendedFrequency', 'treatmentPlan.estimatedDuration']),
+
+    // Treatment Session
+    required('treatmentProvided', 'Treatment provided is required')
+      .isString().trim().notEmpty().withMessage('Treatment provided cannot be empty'),
+    body('techniques').optional().isArray().withMessage('Techniques must be an array'),
+    optionalText(['techniques.*.name', 'techniques.*.description']),
+    body('techniques.*.duration').optional().isFloat({ min: 0 }).withMessage('Duration must be a positive number').toFloat(),
+    body('homeExercises').optional().isArray().withMessage('Home exercises must be an array'),
+    optionalText(['homeExercises.*.name', 'homeExercises.*.description', 'homeExercises.*.frequency', 'homeExercises.*.notes']),
+    body(['homeExercises.*.sets', 'homeExercises.*.reps'])
+      .optional()
+      .isInt({ min: 0 }).withMessage('Sets and reps must be positive integers')
+      .toInt(),
+    body('homeExercises.*.exercise').optional().isMongoId().withMessage('Invalid exercise ID'),
+    body('homeExercises.*.level').optional().isInt({ min: 1 }).withMessage('Level must be a positive integer').toInt(),
+    body('homeExercises.*.timesPerWeek')
+      .optional()
+      .isInt({ min: 1, max: 21 }).withMessage('Times per week must be between 1 and 21')
+      .toInt(),
+
+    // Progress Information
+    optionalText(['progressNotes', 'functionalImprovements', 'notes']),
+    painScale('painBeforeTreatment'),
+    painScale('painAfterTreatment'),
+    body('nextVisitRecommendation').optional().isISO8601().withMessage('Next visit must be a valid date').toDate()
+  ];
+};
+
+const recordIdRule = param('id').isMongoId().withMessage('Invalid clinical record ID');
+
+const createRecordRules = recordBodyRules(false);
+
+const updateRecordRules = [recordIdRule, ...recordBodyRules(true)];
+
+const getRecordRules = [recordIdRule];
+
+const signRecordRules = [recordIdRule];
+
+const amendRecordRules = [
+  recordIdRule,
+  body('field')
+    .exists({ values: 'falsy' }).withMessage('Field to amend is required').bail()
+    .custom((field) => ClinicalRecord.isAmendable(field)).withMessage('This field cannot be amended'),
+  body('value').exists().withMessage('Corrected value is required'),
+  body('reason')
+    .exists({ values: 'falsy' }).withMessage('Amendment reason is required').bail()
+    .isString().trim().notEmpty().withMessage('Amendment reason cannot be empty')
+];
+
+const patientRecordsRules = [
+  param('patientId').isMongoId().withMessage('Invalid patient ID'),
+  query(['from', 'to']).optional().isISO8601().withMessage('Must be a valid date').toDate(),
+  query('status').optional().isIn(['Draft', 'Signed']).withMessage('Status must be Draft or Signed')
+];
+
+const measurementAnalysisRules = [
+  recordIdRule,
+  query('involvedSide').optional().isIn(['Left', 'Right']).withMessage('Involved side must be Left or Right')
+];
+
+const patientMeasurementsRules = [
+  param('patientId').isMongoId().withMessage('Invalid patient ID'),
+  query('joint').optional().isIn(JOINTS).withMessage(`Joint must be one of: ${JOINTS.join(', ')}`),
+  query(['from', 'to']).optional().isISO8601().withMessage('Must be a valid date').toDate(),
+  query('involvedSide').optional().isIn(['Left', 'Right']).withMessage('Involved side must be Left or Right')
+];
+
+const patientPainRules = [
+  param('patientId').isMongoId().withMessage('Invalid patient ID'),
+  query(['from', 'to']).optional().isISO8601().withMessage('Must be a valid date').toDate()
+];
+
+module.exports = {
+  createRecordRules,
+  updateRecordRules,
+  getRecordRules,
+  signRecordRules,
+  amendRecordRules,
+  patientRecordsRules,
+  measurementAnalysisRules,
+  patientMeasurementsRules,
+  patientPainRules
+};
@@ -0,0 +1,78 @@
+const { body, param, query } = require('express-validator');
+const Exercise = require('../models/Exercise');
+
+// Keep enum checks in sync with the schema
+const BODY_REGIONS = Exercise.schema.path('bodyRegion').enumValues;
+
+/**
+ * Build the body rules for an exercise payload
+ * @param {boolean} isUpdate - When true, required fields become optional
+ * @returns {Array} - Validation chains
+ */
+const exerciseBodyRules = (isUpdate = false) => {
+  // Fields the schema requires must be present on create, but may be omitted on update
+  const required = (field, message) => {
+    const chain = body(field);
+    return isUpdate
+      ? chain.optional()
+      : chain.exists({ values: 'falsy' }).withMessage(message).bail();
+  };
+
+  const optionalText = (fields) => body(fields)
+    .optional()
+    .isString().withMessage('Must be a string')
+    .trim();
+
+  return [
+    required('name', 'Exercise name is required')
+      .isString().trim().notEmpty().withMessage('Exercise name cannot be empty')
+      .isLength({ max: 100 }).withMessage('Exercise name cannot exceed 100 characters'),
+    required('bodyRegion', 'Body region is required')
+      .isIn(BODY_REGIONS).withMessage(`Body region must be one of: ${BODY_REGIONS.join(', ')}`),
+    required('instructions', 'Instructions are required')
+      .isString().trim().notEmpty().withMessage('Instructions cannot be empty'),
+    body(['defaultSets', 'defaultReps'])
+      .optional()
+      .isInt({ min: 0 }).withMessage('Sets and reps must be positive integers')
+      .toInt(),
+    optionalText('defaultFrequency'),
+    body('defaultTimesPerWeek')
+      .optional()
+      .isInt({ min: 1, max: 21 }).withMessage('Times per week must be between 1 and 21')
+      .toInt(),
+    body('progressionLevels').optional().isArray().withMessage('Progression levels must be an array'),
+    body('progressionLevels.*.level')
+      .isInt({ min: 1 }).withMessage('Levels start at 1')
+      .toInt(),
+    body('progressionLevels.*.name')
+      .isString().trim().notEmpty().withMessage('Level name is required'),
+    optionalText(['progressionLevels.*.instructions', 'progressionLevels.*.frequency']),
+    body(['progressionLevels.*.sets', 'progressionLevels.*.reps'])
+      .optional()
+      .isInt({ min: 0 }).withMessage('Sets and reps must be positive integers')
+      .toInt()
+  ];
+};
+
+const exerciseIdRule = param('id').isMongoId().withMessage('Invalid exercise ID');
+
+const createExerciseRules = exerciseBodyRules(false);
+
+const updateExerciseRules = [exerciseIdRule, ...exerciseBodyRules(true)];
+
+const getExerciseRules = [exerciseIdRule];
+
+const listExercisesRules = [
+  query('bodyRegion')
+    .optional()
+    .isIn(BODY_REGIONS).withMessage(`Body region must be one of: ${BODY_REGIONS.join(', ')}`),
+  query('search').optional().isString().trim(),
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be true or false').toBoolean()
+];
+
+module.exports = {
+  createExerciseRules,
+  updateExerciseRules,
+  getExerciseRules,
+  listExercisesRules
+};
@@ -0,0 +1,101 @@
+const { body, param, query } = require('express-validator');
+
+const recordIdRule = param('id').isMongoId().withMessage('Invalid clinical record ID');
+
+const tokenRule = param('token').isJWT().withMessage('Link not found');
+
+/**
+ * Rules for the values a practitioner may set on a prescribed exercise
+ * @param {string} prefix - Path of the prescriptions (e.g. 'exercises.*')
+ * @returns {Array} - Validation chains
+ */
+const prescriptionRules = (prefix) => [
+  body(`${prefix}.level`).optional().isInt({ min: 1 }).withMessage('Level must be a positive integer').toInt(),
+  body([`${prefix}.sets`, `${prefix}.reps`])
+    .optional()
+    .isInt({ min: 0 }).withMessage('Sets and reps must be positive integers')
+    .toInt(),
+  body([`${prefix}.frequency`, `${prefix}.notes`])
+    .optional()
+    .isString().withMessage('Must be a string')
+    .trim(),
+  body(`${prefix}.timesPerWeek`)
+    .optional()
+    .isInt({ min: 1, max: 21 }).withMessage('Times per week must be between 1 and 21')
+    .toInt()
+];
+
+const replaceRule = body('replace').optional().isBoolean().withMessage('replace must be true or false').toBoolean();
+
+const prescribeRules = [
+  recordIdRule,
+  body('exercises')
+    .isArray({ min: 1, max: 30 }).withMessage('Exercises must be a list of 1 to 30 prescriptions'),
+  body('exercises.*.exercise').isMongoId().withMessage('Invalid exercise ID'),
+  ...prescriptionRules('exercises.*'),
+  replaceRule
+];
+
+const copyPreviousRules = [
+  recordIdRule,
+  body('remove').optional().isArray().withMessage('remove must be a list of home exercise IDs'),
+  body('remove.*').isMongoId().withMessage('Invalid home exercise ID'),
+  body('modify').optional().isArray().withMessage('modify must be a list of changes'),
+  body('modify.*.homeExercise').isMongoId().withMessage('Invalid home exercise ID'),
+  ...prescriptionRules('modify.*'),
+  body('add').optional().isArray({ max: 30 }).withMessage('add must be a list of up to 30 prescriptions'),
+  body('add.*.exercise').isMongoId().withMessage('Invalid exercise ID'),
+  ...prescriptionRules('add.*'),
+  replaceRule
+];
+
+const handoutRules = [
+  recordIdRule,
+  query('format').optional().isIn(['pdf', 'html']).withMessage('Format must be pdf or html')
+];
+
+const programRules = [recordIdRule];
+
+/**
+ * Rules for the days logged against a program
+ * @returns {Array} - Validation chains
+ */
+const entriesRules = () => [
+  body('entries')
+    .isArray({ min: 1, max: 100 }).withMessage('Entries must be a list of 1 to 100 days'),
+  body('entries.*.homeExercise').isMongoId().withMessage('Invalid home exercise ID'),
+  body('entries.*.date').optional().isISO8601().withMessage('Date must be a valid date').toDate(),
+  body('entries.*.completed')
+    .exists().withMessage('Say whether the exercise was done').bail()
+    .isBoolean().withMessage('completed must be true or false')
+    .toBoolean(),
+  body('entries.*.setsCompleted')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Sets completed must be a positive integer')
+    .toInt(),
+  body('entries.*.painDuring')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 10 }).withMessage('Pain must be between 0 and 10')
+    .toFloat(),
+  body('entries.*.notes')
+    .optional()
+    .isString().withMessage('Notes must be a string')
+    .trim()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+const logAdherenceRules = [recordIdRule, ...entriesRules()];
+
+const patientProgramRules = [tokenRule];
+
+const patientLogRules = [tokenRule, ...entriesRules()];
+
+module.exports = {
+  prescribeRules,
+  copyPreviousRules,
+  handoutRules,
+  programRules,
+  logAdherenceRules,
+  patientProgramRules,
+  patientLogRules
+};
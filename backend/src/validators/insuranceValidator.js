@@ -0,0 +1,135 @@
+const { body, param, query } = require('express-validator');
+const InsuranceAuthorization = require('../models/InsuranceAuthorization');
+const ClaimBatch = require('../models/ClaimBatch');
+const InsuranceClaim = require('../models/InsuranceClaim');
+
+// Keep enum checks in sync with the schema
+const INSURER_TYPES = InsuranceAuthorization.schema.path('insurerType').enumValues;
+const BATCH_STATUSES = ClaimBatch.schema.path('status').enumValues;
+const CLAIM_STATUSES = InsuranceClaim.schema.path('status').enumValues;
+
+// Statuses set from the insurer's answer; Submitted comes with the batch
+const ANSWER_STATUSES = ['Approved', 'Rejected', 'Paid'];
+
+const idRule = (message) => param('id').isMongoId().withMessage(message);
+
+/**
+ * Build the body rules for an authorization payload
+ * @param {boolean} isUpdate - When true, required fields become optional
+ * @returns {Array} - Validation chains
+ */
+const authorizationBodyRules = (isUpdate = false) => {
+  // Fields the schema requires must be present on create, but may be omitted on update
+  const required = (field, message) => {
+    const chain = body(field);
+    return isUpdate
+      ? chain.optional()
+      : chain.exists({ values: 'falsy' }).withMessage(message).bail();
+  };
+
+  return [
+    ...(isUpdate ? [] : [
+      body('patient')
+        .exists({ values: 'falsy' }).withMessage('Patient reference is required').bail()
+        .isMongoId().withMessage('Invalid patient ID')
+    ]),
+    required('insurerType', 'Insurer type is required')
+      .isIn(INSURER_TYPES).withMessage(`Insurer type must be one of: ${INSURER_TYPES.join(', ')}`),
+    body('provider')
+      .optional()
+      .isString().withMessage('Provider must be a string')
+      .trim()
+      .isLength({ min: 1, max: 100 }).withMessage('Provider must be between 1 and 100 characters'),
+    required('authorizationCode', 'Authorization code is required')
+      .isString().trim().notEmpty().withMessage('Authorization code cannot be empty'),
+    required('sessionsAuthorized', 'Number of authorized sessions is required')
+      .isInt({ min: 1, max: 200 }).withMessage('Authorized sessions must be between 1 and 200')
+      .toInt(),
+    required('validFrom', 'Start of validity is required')
+      .isISO8601().withMessage('Start of validity must be a valid date')
+      .toDate(),
+    required('validUntil', 'End of validity is required')
+      .isISO8601().withMessage('End of validity must be a valid date')
+      .toDate(),
+    body('amountPerSession')
+      .optional()
+      .isInt({ min: 0 }).withMessage('Amount per session must be a whole number of pesos')
+      .toInt(),
+    body(['policyNumber', 'diagnosis', 'notes'])
+      .optional()
+      .isString().withMessage('Must be a string')
+      .trim()
+  ];
+};
+
+const createAuthorizationRules = authorizationBodyRules(false);
+
+const updateAuthorizationRules = [
+  idRule('Invalid authorization ID'),
+  ...authorizationBodyRules(true)
+];
+
+const getAuthorizationRules = [idRule('Invalid authorization ID')];
+
+const listAuthorizationsRules = [
+  query('patient').optional().isMongoId().withMessage('Invalid patient ID'),
+  query('provider').optional().isString().trim(),
+  query('active').optional().isBoolean().withMessage('active must be a boolean').toBoolean()
+];
+
+const createBatchRules = [
+  body('provider')
+    .exists({ values: 'falsy' }).withMessage('Provider is required').bail()
+    .isString().trim(),
+  body(['from', 'to'])
+    .exists({ values: 'falsy' }).withMessage('Period start and end are required').bail()
+    .isISO8601().withMessage('Must be a valid date')
+    .toDate(),
+  body('to')
+    .custom((to, { req }) => new Date(req.body.from) <= to)
+    .withMessage('End date must be on or after start date')
+];
+
+const getBatchRules = [idRule('Invalid claim batch ID')];
+
+const listBatchesRules = [
+  query('provider').optional().isString().trim(),
+  query('status').optional().isIn(BATCH_STATUSES).withMessage(`Status must be one of: ${BATCH_STATUSES.join(', ')}`)
+];
+
+const listClaimsRules = [
+  query('status').optional().isIn(CLAIM_STATUSES).withMessage(`Status must be one of: ${CLAIM_STATUSES.join(', ')}`),
+  query('provider').optional().isString().trim(),
+  query('batch').optional().isMongoId().withMessage('Invalid claim batch ID'),
+  query('patient').optional().isMongoId().withMessage('Invalid patient ID')
+];
+
+const updateClaimRules = [
+  idRule('Invalid claim ID'),
+  body('status')
+    .exists({ values: 'falsy' }).withMessage('Status is required').bail()
+    .isIn(ANSWER_STATUSES).withMessage(`Status must be one of: ${ANSWER_STATUSES.join(', ')}`),
+  body(['amountApproved', 'amountPaid'])
+    .optional()
+    .isInt({ min: 0 }).withMessage('Amounts must be whole numbers of pesos')
+    .toInt(),
+  body('paidAt').optional().isISO8601().withMessage('Payment date must be a valid date').toDate(),
+  body('reference').optional().isString().withMessage('Reference must be a string').trim(),
+  body('reason')
+    .if(body('status').equals('Rejected'))
+    .exists({ values: 'falsy' }).withMessage('A rejection reason is required').bail()
+    .isString().trim(),
+  body('reason').optional().isString().withMessage('Reason must be a string').trim()
+];
+
+module.exports = {
+  createAuthorizationRules,
+  updateAuthorizationRules,
+  getAuthorizationRules,
+  listAuthorizationsRules,
+  createBatchRules,
+  getBatchRules,
+  listBatchesRules,
+  listClaimsRules,
+  updateClaimRules
+};
@@ -0,0 +1,58 @@
+const { body, param, query } = require('express-validator');
+const { QUESTIONNAIRE_CODES } = require('../questionnaires');
+const { clinicDate, clinicDayRange } = require('../utils/time');
+
+const questionnaireRule = (chain) => chain
+  .customSanitizer((value) => (typeof value === 'string' ? value.trim().toUpperCase() : value))
+  .isIn(QUESTIONNAIRE_CODES).withMessage(`Questionnaire must be one of: ${QUESTIONNAIRE_CODES.join(', ')}`);
+
+const measureIdRule = param('id').isMongoId().withMessage('Invalid outcome measure ID');
+
+const patientIdRule = param('patientId').isMongoId().withMessage('Invalid patient ID');
+
+const getQuestionnaireRules = [
+  questionnaireRule(param('code'))
+];
+
+const createMeasureRules = [
+  body('patient')
+    .exists({ values: 'falsy' }).withMessage('Patient reference is required').bail()
+    .isMongoId().withMessage('Invalid patient ID'),
+  body('clinicalRecord').optional().isMongoId().withMessage('Invalid clinical record ID'),
+  questionnaireRule(body('questionnaire').exists({ values: 'falsy' }).withMessage('Questionnaire is required').bail()),
+  body('answers')
+    .exists().withMessage('Answers are required').bail()
+    .isObject().withMessage('Answers must be an object of item IDs to responses'),
+  // Item IDs and ranges are checked against the questionnaire when scoring
+  body('answers.*')
+    .optional({ values: 'null' })
+    .isInt().withMessage('Each answer must be a whole number')
+    .toInt(),
+  body('administeredAt')
+    .optional()
+    .isISO8601().withMessage('Administered date must be a valid date')
+    .custom((value) => new Date(value) <= clinicDayRange(clinicDate()).end).withMessage('Administered date cannot be in the future')
+    .toDate(),
+  body('notes').optional().isString().withMessage('Notes must be a string').trim()
+];
+
+const getMeasureRules = [measureIdRule];
+
+const patientMeasuresRules = [
+  patientIdRule,
+  questionnaireRule(query('questionnaire').optional()),
+  query(['from', 'to']).optional().isISO8601().withMessage('Must be a valid date').toDate()
+];
+
+const patientTrendRules = [
+  patientIdRule,
+  questionnaireRule(query('questionnaire').optional())
+];
+
+module.exports = {
+  getQuestionnaireRules,
+  createMeasureRules,
+  getMeasureRules,
+  patientMeasuresRules,
+  patientTrendRules
+};
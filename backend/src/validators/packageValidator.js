@@ -0,0 +1,129 @@
+const { body, param, query } = require('express-validator');
+const PackageProduct = require('../models/PackageProduct');
+const PatientPackage = require('../models/PatientPackage');
+const Appointment = require('../models/Appointment');
+
+// Keep enum checks in sync with the schema
+const NO_SHOW_POLICIES = PackageProduct.schema.path('noShowPolicy').enumValues;
+const APPOINTMENT_TYPES = Appointment.schema.path('type').enumValues;
+const PAYMENT_METHODS = PatientPackage.schema.path('paymentMethod').enumValues;
+const PACKAGE_STATES = ['Active', 'Exhausted', 'Expired', 'Cancelled'];
+
+const idRule = (message) => param('id').isMongoId().withMessage(message);
+
+/**
+ * Build the body rules for a package product payload
+ * @param {boolean} isUpdate - When true, required fields become optional
+ * @returns {Array} - Validation chains
+ */
+const productBodyRules = (isUpdate = false) => {
+  // Fields the schema requires must be present on create, but may be omitted on update
+  const required = (field, message) => {
+    const chain = body(field);
+    return isUpdate
+      ? chain.optional()
+      : chain.exists({ values: 'null' }).withMessage(message).bail();
+  };
+
+  return [
+    required('name', 'Package name is required')
+      .isString().withMessage('Name must be a string')
+      .trim()
+      .isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('description').optional().isString().withMessage('Description must be a string').trim(),
+    required('sessions', 'Number of sessions is required')
+      .isInt({ min: 1, max: 200 }).withMessage('Sessions must be between 1 and 200')
+      .toInt(),
+    required('validityDays', 'Validity is required')
+      .isInt({ min: 1, max: 730 }).withMessage('Validity must be between 1 and 730 days')
+      .toInt(),
+    required('price', 'Price is required')
+      .isInt({ min: 0 }).withMessage('Price must be a whole number of pesos')
+      .toInt(),
+    body('appointmentTypes').optional().isArray().withMessage('Appointment types must be an array'),
+    body('appointmentTypes.*')
+      .isIn(APPOINTMENT_TYPES).withMessage(`Appointment types must be among: ${APPOINTMENT_TYPES.join(', ')}`),
+    body('noShowPolicy')
+      .optional()
+      .isIn(NO_SHOW_POLICIES).withMessage(`No-show policy must be one of: ${NO_SHOW_POLICIES.join(', ')}`),
+    body(['transferable', 'isActive']).optional().isBoolean().withMessage('Must be a boolean').toBoolean()
+  ];
+};
+
+const createProductRules = productBodyRules(false);
+
+const updateProductRules = [
+  idRule('Invalid package product ID'),
+  ...productBodyRules(true)
+];
+
+const getProductRules = [idRule('Invalid package product ID')];
+
+const listProductsRules = [
+  query('active').optional().isBoolean().withMessage('active must be a boolean').toBoolean()
+];
+
+const sellPackageRules = [
+  body('patient')
+    .exists({ values: 'falsy' }).withMessage('Patient reference is required').bail()
+    .isMongoId().withMessage('Invalid patient ID'),
+  body('product')
+    .exists({ values: 'falsy' }).withMessage('Package product is required').bail()
+    .isMongoId().withMessage('Invalid package product ID'),
+  body('price')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Price must be a whole number of pesos')
+    .toInt(),
+  body('paymentMethod')
+    .exists({ values: 'falsy' }).withMessage('Payment method is required').bail()
+    .isIn(PAYMENT_METHODS).withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body(['paymentReference', 'notes']).optional().isString().withMessage('Must be a string').trim()
+];
+
+const listPackagesRules = [
+  query('patient').optional().isMongoId().withMessage('Invalid patient ID'),
+  query('state').optional().isIn(PACKAGE_STATES).withMessage(`State must be one of: ${PACKAGE_STATES.join(', ')}`)
+];
+
+const getPackageRules = [idRule('Invalid package ID')];
+
+const transferRules = [
+  idRule('Invalid package ID'),
+  body('patient')
+    .exists({ values: 'falsy' }).withMessage('Patient receiving the sessions is required').bail()
+    .isMongoId().withMessage('Invalid patient ID'),
+  body('sessions')
+    .exists({ values: 'falsy' }).withMessage('Number of sessions is required').bail()
+    .isInt({ min: 1 }).withMessage('Sessions must be a positive whole number')
+    .toInt(),
+  body('reason').optional().isString().withMessage('Reason must be a string').trim().isLength({ max: 500 })
+];
+
+const extendRules = [
+  idRule('Invalid package ID'),
+  body('expiresAt')
+    .exists({ values: 'falsy' }).withMessage('New expiry date is required').bail()
+    .isISO8601().withMessage('Expiry must be a valid date')
+    .toDate(),
+  body('reason').optional().isString().withMessage('Reason must be a string').trim().isLength({ max: 500 })
+];
+
+const cancelRules = [
+  idRule('Invalid package ID'),
+  body('reason')
+    .exists({ values: 'falsy' }).withMessage('A cancellation reason is required').bail()
+    .isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+module.exports = {
+  createProductRules,
+  updateProductRules,
+  getProductRules,
+  listProductsRules,
+  sellPackageRules,
+  listPackagesRules,
+  getPackageRules,
+  transferRules,
+  extendRules,
+  cancelRules
+};
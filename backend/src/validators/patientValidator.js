@@ -0,0 +1,184 @@
+const { body, param, query } = require('express-validator');
+const Patient = require('../models/Patient');
+const { isValidRut } = require('../utils/rut');
+const { clinicDate } = require('../utils/time');
+
+// Keep enum checks in sync with the schema
+const DOCUMENT_TYPES = Patient.schema.path('documentType').enumValues;
+const GENDERS = Patient.schema.path('gender').enumValues;
+const BLOOD_TYPES = Patient.schema.path('bloodType').enumValues;
+
+/**
+ * Build the body rules for a patient payload
+ * @param {boolean} isUpdate - When true, required fields become optional
+ * @returns {Array} - Validation chains
+ */
+const patientBodyRules = (isUpdate = false) => {
+  // Fields the schema requires must be present on create, but may be omitted on update
+  const required = (field, message) => {
+    const chain = body(field);
+    return isUpdate
+      ? chain.optional()
+      : chain.exists({ values: 'falsy' }).withMessage(message).bail();
+  };
+
+  return [
+    // Personal Information
+    required('firstName', 'First name is required')
+      .isString().trim().notEmpty().withMessage('First name cannot be empty'),
+    required('lastName', 'Last name is required')
+      .isString().trim().notEmpty().withMessage('Last name cannot be empty'),
+    body('documentType')
+      .optional()
+      .isIn(DOCUMENT_TYPES).withMessage(`Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`),
+    // A new ID defaults to RUT; on update the stored type is checked by the service
+    required('idNumber', 'ID number is required')
+      .isString().trim().notEmpty().withMessage('ID number cannot be empty').bail()
+      .custom((value, { req }) => (req.body.documentType || (isUpdate ? null : 'RUT')) !== 'RUT' || isValidRut(value))
+      .withMessage('RUT is not valid (check digit does not match)'),
+    required('dateOfBirth', 'Date of birth is required')
+      .isISO8601().withMessage('Date of birth must be a valid date')
+      .custom((value) => new Date(value) <= clinicDate())
+      .withMessage('Date of birth cannot be in the future'),
+    required('gender', 'Gender is required')
+      .isIn(GENDERS).withMessage(`Gender must be one of: ${GENDERS.join(', ')}`),
+
+    // Contact Information
+    body('email')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isEmail().withMessage('Please add a valid email')
+      .normalizeEmail(),
+    required('phone', 'Phone number is required')
+      .isString().trim().notEmpty().withMessage('Phone number cannot be empty'),
+    body('address').optional().isObject().withMessage('Address must be an object'),
+    body(['address.street', 'address.city', 'address.state', 'address.postalCode', 'address.country'])
+      .optional()
+      .isString().withMessage('Address fields must be strings')
+      .trim(),
+
+    // Health Information
+    body('emergencyContact').optional().isObject().withMessage('Emergency contact must be an object'),
+    body(['emergencyContact.name', 'emergencyContact.relationship', 'emergencyContact.phone'])
+      .optional()
+      .isString().withMessage('Emergency contact fields must be strings')
+      .trim(),
+    body('bloodType')
+      .optional()
+      .isIn(BLOOD_TYPES).withMessage(`Blood type must be one of: ${BLOOD_TYPES.join(', ')}`),
+    body(['allergies', 'medicalConditions'])
+      .optional()
+      .isArray().withMessage('Must be an array of strings'),
+    body(['allergies.*', 'medicalConditions.*'])
+      .isString().withMessage('Must be a string')
+      .trim(),
+    body('medications')
+      .optional()
+      .isArray().withMessage('Medications must be an array'),
+    body('medications.*')
+      .isObject().withMessage('Each medication must be an object'),
+    body('medications.*.name')
+      .exists({ values: 'falsy' }).withMessage('Medication name is required').bail()
+      .isString().withMessage('Medication name must be a string')
+      .trim(),
+    body(['medications.*.dosage', 'medications.*.frequency'])
+      .optional()
+      .isString().withMessage('Medication fields must be strings')
+      .trim(),
+
+    // Additional Fields
+    body(['occupation', 'referredBy', 'notes'])
+      .optional()
+      .isString().withMessage('Must be a string')
+      .trim(),
+    body('isActive')
+      .optional()
+      .isBoolean().withMessage('isActive must be a boolean')
+      .toBoolean()
+  ];
+};
+
+const patientIdRule = param('id').isMongoId().withMessage('Invalid patient ID');
+
+const paginationRules = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+];
+
+const createPatientRules = patientBodyRules(false);
+
+const updatePatientRules = [patientIdRule, ...patientBodyRules(true)];
+
+const getPatientRules = [patientIdRule];
+
+const getPatientByIdNumberRules = [
+  param('idNumber').trim().notEmpty().withMessage('ID number is required')
+];
+
+const listPatientsRules = [
+  ...paginationRules,
+  query('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+];
+
+const searchPatientsRules = [
+  ...paginationRules,
+  query('q')
+    .optional()
+    .isString().trim()
+    .isLength({ min: 2, max: 100 }).withMessage('Search text must be between 2 and 100 characters'),
+  query(['name', 'idNumber', 'email', 'phone']).optional().isString().trim(),
+  query('gender')
+    .optional()
+    .isIn(GENDERS).withMessage(`Gender must be one of: ${GENDERS.join(', ')}`),
+  query('minAge')
+    .optional()
+    .isInt({ min: 0, max: 130 }).withMessage('minAge must be an integer between 0 and 130')
+    .toInt(),
+  query('maxAge')
+    .optional()
+    .isInt({ min: 0, max: 130 }).withMessage('maxAge must be an integer between 0 and 130').bail()
+    .custom((maxAge, { req }) => req.query.minAge === undefined || Number(maxAge) >= Number(req.query.minAge))
+    .withMessage('maxAge must be greater than or equal to minAge')
+    .toInt()
+];
+
+const minScoreRule = query('minScore')
+  .optional()
+  .isFloat({ min: 0, max: 1 }).withMessage('minScore must be between 0 and 1')
+  .toFloat();
+
+const findDuplicatesRules = [
+  minScoreRule,
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500').toInt()
+];
+
+const patientDuplicatesRules = [patientIdRule, minScoreRule];
+
+const mergePatientRules = [
+  patientIdRule,
+  body('duplicateId')
+    .exists({ values: 'falsy' }).withMessage('Duplicate patient is required').bail()
+    .isMongoId().withMessage('Invalid duplicate patient ID'),
+  body('take')
+    .optional()
+    .isArray().withMessage('take must be an array of field names'),
+  body('take.*')
+    .isString().withMessage('Field names must be strings'),
+  body('reason')
+    .optional()
+    .isString().withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+];
+
+module.exports = {
+  createPatientRules,
+  updatePatientRules,
+  getPatientRules,
+  getPatientByIdNumberRules,
+  listPatientsRules,
+  searchPatientsRules,
+  findDuplicatesRules,
+  patientDuplicatesRules,
+  mergePatientRules
+};
@@ -0,0 +1,146 @@
+const { body, param, query } = require('express-validator');
+const Professional = require('../models/Professional');
+const { isValidRut } = require('../utils/rut');
+const { isValidTime, toMinutes } = require('../utils/time');
+
+// Keep enum checks in sync with the schema
+const DOCUMENT_TYPES = Professional.schema.path('documentType').enumValues;
+const TIME_OFF_TYPES = Professional.schema.path('timeOff').schema.path('type').enumValues;
+
+/**
+ * Build the body rules for a professional payload
+ * @param {boolean} isUpdate - When true, required fields become optional
+ * @returns {Array} - Validation chains
+ */
+const professionalBodyRules = (isUpdate = false) => {
+  // Fields the schema requires must be present on create, but may be omitted on update
+  const required = (field, message) => {
+    const chain = body(field);
+    return isUpdate
+      ? chain.optional()
+      : chain.exists({ values: 'falsy' }).withMessage(message).bail();
+  };
+
+  return [
+    required('firstName', 'First name is required')
+      .isString().trim().notEmpty().withMessage('First name cannot be empty'),
+    required('lastName', 'Last name is required')
+      .isString().trim().notEmpty().withMessage('Last name cannot be empty'),
+    body('documentType')
+      .optional()
+      .isIn(DOCUMENT_TYPES).withMessage(`Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`),
+    // A new ID defaults to RUT; on update the stored type is checked by the service
+    required('idNumber', 'ID number is required')
+      .isString().trim().notEmpty().withMessage('ID number cannot be empty').bail()
+      .custom((value, { req }) => (req.body.documentType || (isUpdate ? null : 'RUT')) !== 'RUT' || isValidRut(value))
+      .withMessage('RUT is not valid (check digit does not match)'),
+    required('dateOfBirth', 'Date of birth is required')
+      .isISO8601().withMessage('Date of birth must be a valid date'),
+    required('especialty', 'Especialty is required')
+      .isString().trim().notEmpty().withMessage('Especialty cannot be empty'),
+    body('email')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isEmail().withMessage('Please add a valid email')
+      .normalizeEmail(),
+    required('phone', 'Phone number is required')
+      .isString().trim().notEmpty().withMessage('Phone number cannot be empty'),
+    body('registrationNumber')
+      .optional()
+      .isString().withMessage('Registration number must be a string')
+      .trim()
+      .isLength({ max: 30 }).withMessage('Registration number cannot exceed 30 characters')
+  ];
+};
+
+const professionalIdRule = param('id').isMongoId().withMessage('Invalid professional ID');
+
+/**
+ * Check that an object's endTime is after its startTime
+ * @param {string} path - Field holding the object
+ * @returns {Object} - Validation chain
+ */
+const rangeRule = (path) => body(path)
+  .custom((range) => !isValidTime(range.startTime) || !isValidTime(range.endTime) ||
+    toMinutes(range.endTime) > toMinutes(range.startTime))
+  .withMessage('End time must be after start time');
+
+const createProfessionalRules = professionalBodyRules(false);
+
+const updateProfessionalRules = [professionalIdRule, ...professionalBodyRules(true)];
+
+const getProfessionalRules = [professionalIdRule];
+
+const listProfessionalsRules = [
+  query('especialty').optional().isString().trim(),
+  query('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+];
+
+const workingHoursRules = [
+  professionalIdRule,
+  body('workingHours').isArray().withMessage('Working hours must be an array'),
+  body('workingHours.*.dayOfWeek')
+    .isInt({ min: 0, max: 6 }).withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+  body(['workingHours.*.startTime', 'workingHours.*.endTime', 'workingHours.*.breaks.*.startTime', 'workingHours.*.breaks.*.endTime'])
+    .custom(isValidTime).withMessage('Times must be in HH:MM format'),
+  rangeRule('workingHours.*'),
+  body('workingHours.*.breaks').optional().isArray().withMessage('Breaks must be an array'),
+  rangeRule('workingHours.*.breaks.*'),
+  body('workingHours.*.breaks.*.label').optional().isString().trim()
+];
+
+const addTimeOffRules = [
+  professionalIdRule,
+  body('type')
+    .optional()
+    .isIn(TIME_OFF_TYPES).withMessage(`Type must be one of: ${TIME_OFF_TYPES.join(', ')}`),
+  body('startDate')
+    .exists({ values: 'falsy' }).withMessage('Time-off start is required').bail()
+    .isISO8601().withMessage('Time-off start must be a valid date')
+    .toDate(),
+  body('endDate')
+    .exists({ values: 'falsy' }).withMessage('Time-off end is required').bail()
+    .isISO8601().withMessage('Time-off end must be a valid date')
+    .toDate(),
+  body('reason').optional().isString().trim()
+];
+
+const removeTimeOffRules = [
+  professionalIdRule,
+  param('timeOffId').isMongoId().withMessage('Invalid time-off ID')
+];
+
+const availableSlotsRules = [
+  query('especialty').optional().isString().trim(),
+  query('professional').optional().isMongoId().withMessage('Invalid professional ID'),
+  query('especialty')
+    .custom((especialty, { req }) => Boolean(especialty || req.query.professional))
+    .withMessage('Either especialty or professional is required'),
+  query('duration')
+    .exists({ values: 'falsy' }).withMessage('Duration is required').bail()
+    .isInt({ min: 5, max: 480 }).withMessage('Duration must be between 5 and 480 minutes')
+    .toInt(),
+  query('from')
+    .exists({ values: 'falsy' }).withMessage('Start of the search range is required').bail()
+    .isISO8601().withMessage('from must be a valid date')
+    .toDate(),
+  query('to')
+    .exists({ values: 'falsy' }).withMessage('End of the search range is required').bail()
+    .isISO8601().withMessage('to must be a valid date')
+    .toDate(),
+  query('room').optional().isString().trim(),
+  query('step').optional().isInt({ min: 5, max: 120 }).withMessage('Step must be between 5 and 120 minutes').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200').toInt()
+];
+
+module.exports = {
+  createProfessionalRules,
+  updateProfessionalRules,
+  getProfessionalRules,
+  listProfessionalsRules,
+  workingHoursRules,
+  addTimeOffRules,
+  removeTimeOffRules,
+  availableSlotsRules
+};
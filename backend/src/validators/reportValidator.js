@@ -0,0 +1,38 @@
+const { param, query } = require('express-validator');
+
+const painReportRules = [
+  query(['from', 'to']).optional().isISO8601().withMessage('Must be a valid date').toDate(),
+  query('practitioner').optional().isMongoId().withMessage('Invalid practitioner ID'),
+  query('minSessions').optional().isInt({ min: 1, max: 1000 }).withMessage('Minimum sessions must be between 1 and 1000').toInt()
+];
+
+const painByTechniqueRules = [
+  ...painReportRules,
+  query('diagnosis').optional().isString().trim().isLength({ min: 2, max: 100 }).withMessage('Diagnosis must be between 2 and 100 characters')
+];
+
+const sessionReportRules = [
+  param('id').isMongoId().withMessage('Invalid clinical record ID')
+];
+
+const progressReportRules = [
+  param('patientId').isMongoId().withMessage('Invalid patient ID'),
+  query(['from', 'to']).optional().isISO8601().withMessage('Must be a valid date').toDate(),
+  query('to')
+    .optional()
+    .custom((to, { req }) => !req.query.from || new Date(req.query.from) <= new Date(to))
+    .withMessage('End date must be on or after start date')
+];
+
+const dischargeSummaryRules = [
+  param('patientId').isMongoId().withMessage('Invalid patient ID'),
+  query('record').optional().isMongoId().withMessage('Invalid clinical record ID')
+];
+
+module.exports = {
+  painReportRules,
+  painByTechniqueRules,
+  sessionReportRules,
+  progressReportRules,
+  dischargeSummaryRules
+};
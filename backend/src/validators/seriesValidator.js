@@ -0,0 +1,88 @@
+const { body, param } = require('express-validator');
+const Appointment = require('../models/Appointment');
+const { isValidTime } = require('../utils/time');
+
+// Keep enum checks in sync with the schema
+const TYPES = Appointment.schema.path('type').enumValues;
+const SCOPES = ['this', 'following', 'all'];
+
+const seriesIdRule = param('id').isMongoId().withMessage('Invalid series ID');
+const occurrenceIdRule = param('appointmentId').isMongoId().withMessage('Invalid appointment ID');
+const scopeRule = body('scope')
+  .exists({ values: 'falsy' }).withMessage('Scope is required').bail()
+  .isIn(SCOPES).withMessage(`Scope must be one of: ${SCOPES.join(', ')}`);
+
+const createSeriesRules = [
+  body('patient')
+    .exists({ values: 'falsy' }).withMessage('Patient reference is required').bail()
+    .isMongoId().withMessage('Invalid patient ID'),
+  body('clinicalRecord').optional().isMongoId().withMessage('Invalid clinical record ID'),
+  body('type')
+    .exists({ values: 'falsy' }).withMessage('Appointment type is required').bail()
+    .isIn(TYPES).withMessage(`Type must be one of: ${TYPES.join(', ')}`),
+  body('practitioner')
+    .exists({ values: 'falsy' }).withMessage('Practitioner is required').bail()
+    .isMongoId().withMessage('Invalid practitioner ID'),
+  body('room').optional().isString().withMessage('Room must be a string').trim(),
+  body('fee').optional().isFloat({ min: 0 }).withMessage('Fee must be a positive number').toFloat(),
+  body('authorization').optional().isMongoId().withMessage('Invalid insurance authorization ID'),
+
+  // Recurrence pattern; daysOfWeek and length may come from the treatment plan instead
+  body('daysOfWeek')
+    .optional()
+    .isArray({ min: 1, max: 7 }).withMessage('Days of week must be a non-empty array'),
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 }).withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+  body('startTime')
+    .exists({ values: 'falsy' }).withMessage('Start time is required').bail()
+    .custom(isValidTime).withMessage('Start time must be in HH:MM format'),
+  body('endTime')
+    .exists({ values: 'falsy' }).withMessage('End time is required').bail()
+    .custom(isValidTime).withMessage('End time must be in HH:MM format'),
+  body('startDate')
+    .exists({ values: 'falsy' }).withMessage('Start date is required').bail()
+    .isISO8601().withMessage('Start date must be a valid date')
+    .toDate(),
+  body('weeks').optional().isInt({ min: 1, max: 52 }).withMessage('Weeks must be between 1 and 52').toInt(),
+  body('sessions').optional().isInt({ min: 1, max: 100 }).withMessage('Sessions must be between 1 and 100').toInt(),
+
+  body('allOrNothing').optional().isBoolean().withMessage('allOrNothing must be a boolean').toBoolean()
+];
+
+const getSeriesRules = [seriesIdRule];
+
+const updateOccurrencesRules = [
+  seriesIdRule,
+  occurrenceIdRule,
+  scopeRule,
+  // A new date only makes sense for a single occurrence
+  body('date')
+    .optional()
+    .custom((date, { req }) => req.body.scope === 'this')
+    .withMessage('Date can only be changed for a single occurrence').bail()
+    .isISO8601().withMessage('Date must be a valid date')
+    .toDate(),
+  body('startTime').optional().custom(isValidTime).withMessage('Start time must be in HH:MM format'),
+  body('endTime').optional().custom(isValidTime).withMessage('End time must be in HH:MM format'),
+  body('practitioner').optional().isMongoId().withMessage('Invalid practitioner ID'),
+  body('room').optional().isString().withMessage('Room must be a string').trim(),
+  body('fee').optional().isFloat({ min: 0 }).withMessage('Fee must be a positive number').toFloat(),
+  body('appointmentNotes').optional().isString().withMessage('Notes must be a string').trim()
+];
+
+const cancelOccurrencesRules = [
+  seriesIdRule,
+  occurrenceIdRule,
+  scopeRule,
+  body('reason')
+    .exists({ values: 'falsy' }).withMessage('Cancellation reason is required').bail()
+    .isString().trim()
+];
+
+module.exports = {
+  createSeriesRules,
+  getSeriesRules,
+  updateOccurrencesRules,
+  cancelOccurrencesRules
+};
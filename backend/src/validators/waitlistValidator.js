@@ -0,0 +1,107 @@
+const { body, param, query } = require('express-validator');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const WaitlistOffer = require('../models/WaitlistOffer');
+const { isValidTime } = require('../utils/time');
+
+// Keep enum checks in sync with the schema
+const TYPES = WaitlistEntry.schema.path('type').enumValues;
+const URGENCIES = WaitlistEntry.schema.path('urgency').enumValues;
+const ENTRY_STATUSES = WaitlistEntry.schema.path('status').enumValues;
+const OFFER_STATUSES = WaitlistOffer.schema.path('status').enumValues;
+const ANSWERS = ['accept', 'decline'];
+
+const idRule = (message) => param('id').isMongoId().withMessage(message);
+
+/**
+ * Build the body rules for a waitlist entry payload
+ * @param {boolean} isUpdate - When true, required fields become optional
+ * @returns {Array} - Validation chains
+ */
+const entryBodyRules = (isUpdate = false) => {
+  // Fields the schema requires must be present on create, but may be omitted on update
+  const required = (field, message) => {
+    const chain = body(field);
+    return isUpdate
+      ? chain.optional()
+      : chain.exists({ values: 'falsy' }).withMessage(message).bail();
+  };
+
+  return [
+    ...(isUpdate ? [] : [
+      body('patient')
+        .exists({ values: 'falsy' }).withMessage('Patient reference is required').bail()
+        .isMongoId().withMessage('Invalid patient ID')
+    ]),
+    body('practitioner').optional().isMongoId().withMessage('Invalid practitioner ID'),
+    body('especialty')
+      .optional()
+      .isString().withMessage('Specialty must be a string')
+      .trim()
+      .notEmpty().withMessage('Specialty cannot be empty'),
+    body('type').optional().isIn(TYPES).withMessage(`Type must be one of: ${TYPES.join(', ')}`),
+    body('availability').optional().isArray({ max: 21 }).withMessage('Availability must be an array'),
+    body('availability.*.dayOfWeek')
+      .isInt({ min: 0, max: 6 }).withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)')
+      .toInt(),
+    body(['availability.*.startTime', 'availability.*.endTime'])
+      .custom(isValidTime).withMessage('Times must be in HH:MM format'),
+    body('urgency').optional().isIn(URGENCIES).withMessage(`Urgency must be one of: ${URGENCIES.join(', ')}`),
+    required('expiresAt', 'Expiry date is required')
+      .isISO8601().withMessage('Expiry must be a valid date')
+      .toDate(),
+    body('notes').optional().isString().withMessage('Notes must be a string').trim()
+  ];
+};
+
+const createEntryRules = entryBodyRules(false);
+
+const updateEntryRules = [
+  idRule('Invalid waitlist entry ID'),
+  ...entryBodyRules(true)
+];
+
+const getEntryRules = [idRule('Invalid waitlist entry ID')];
+
+const cancelEntryRules = [
+  idRule('Invalid waitlist entry ID'),
+  body('reason').optional().isString().withMessage('Reason must be a string').trim().isLength({ max: 500 })
+];
+
+const listEntriesRules = [
+  query('status').optional().isIn(ENTRY_STATUSES).withMessage(`Status must be one of: ${ENTRY_STATUSES.join(', ')}`),
+  query('patient').optional().isMongoId().withMessage('Invalid patient ID'),
+  query('practitioner').optional().isMongoId().withMessage('Invalid practitioner ID'),
+  query('especialty').optional().isString().trim(),
+  query('active').optional().isBoolean().withMessage('active must be a boolean').toBoolean()
+];
+
+const listOffersRules = [
+  query('status').optional().isIn(OFFER_STATUSES).withMessage(`Status must be one of: ${OFFER_STATUSES.join(', ')}`),
+  query('patient').optional().isMongoId().withMessage('Invalid patient ID'),
+  query('practitioner').optional().isMongoId().withMessage('Invalid practitioner ID')
+];
+
+const offerActionRules = [idRule('Invalid offer ID')];
+
+const tokenRule = param('token').isJWT().withMessage('Offer not found');
+
+const getOfferLinkRules = [tokenRule];
+
+const answerOfferLinkRules = [
+  tokenRule,
+  body('answer')
+    .exists({ values: 'falsy' }).withMessage('Answer is required').bail()
+    .isIn(ANSWERS).withMessage(`Answer must be one of: ${ANSWERS.join(', ')}`)
+];
+
+module.exports = {
+  createEntryRules,
+  updateEntryRules,
+  getEntryRules,
+  cancelEntryRules,
+  listEntriesRules,
+  listOffersRules,
+  offerActionRules,
+  getOfferLinkRules,
+  answerOfferLinkRules
+};
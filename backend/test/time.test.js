@@ -0,0 +1,60 @@
+// Run in a zone far from UTC so local-time date math would show up as an off-by-one day
+process.env.TZ = 'America/Santiago';
+process.env.CLINIC_TIMEZONE = 'America/Santiago';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  dayRange,
+  addDays,
+  dayOfWeek,
+  dayKey,
+  clinicDate,
+  atTime,
+  clinicDayRange,
+  weekRange
+} = require('../src/utils/time');
+
+// What the validators produce for "2026-10-20" (a Tuesday)
+const day = new Date('2026-10-20');
+
+test('dayRange covers the calendar day of a date-only value', () => {
+  const { start, end } = dayRange(day);
+  assert.equal(start.toISOString(), '2026-10-20T00:00:00.000Z');
+  assert.equal(end.toISOString(), '2026-10-20T23:59:59.999Z');
+});
+
+test('weekRange runs Monday to Sunday', () => {
+  const { start, end } = weekRange(day);
+  assert.equal(start.toISOString(), '2026-10-19T00:00:00.000Z');
+  assert.equal(end.toISOString(), '2026-10-25T23:59:59.999Z');
+});
+
+test('dayOfWeek and dayKey read the calendar day, not the server day', () => {
+  assert.equal(dayOfWeek(day), 2);
+  assert.equal(dayKey(day), '2026-10-20');
+});
+
+test('addDays steps whole days across a daylight saving change', () => {
+  assert.equal(addDays('2026-09-05', 1).toISOString(), '2026-09-06T00:00:00.000Z');
+  assert.equal(addDays(day, -30).toISOString(), '2026-09-20T00:00:00.000Z');
+});
+
+test('atTime reads the time of day as clinic wall clock time', () => {
+  // UTC-3 in summer time, UTC-4 in winter
+  assert.equal(atTime(day, '09:30').toISOString(), '2026-10-20T12:30:00.000Z');
+  assert.equal(atTime('2026-07-15', '09:30').toISOString(), '2026-07-15T13:30:00.000Z');
+  assert.equal(atTime(day, '23:00').toISOString(), '2026-10-21T02:00:00.000Z');
+});
+
+test('clinicDate gives the clinic day an instant falls on', () => {
+  assert.equal(clinicDate(new Date('2026-10-20T02:00:00Z')).toISOString(), '2026-10-19T00:00:00.000Z');
+  assert.equal(clinicDate(new Date('2026-10-20T03:00:00Z')).toISOString(), '2026-10-20T00:00:00.000Z');
+  assert.equal(clinicDate(atTime(day, '23:59')).toISOString(), '2026-10-20T00:00:00.000Z');
+});
+
+test('clinicDayRange covers the instants of a day at the clinic', () => {
+  const { start, end } = clinicDayRange(day);
+  assert.equal(start.toISOString(), '2026-10-20T03:00:00.000Z');
+  assert.equal(end.toISOString(), '2026-10-21T02:59:59.999Z');
+});